@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Command-line interface for the CFDI tax engine
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { readFile } from 'fs/promises';
+import { TaxCalculator } from '../src/utils/taxCalculator.js';
+import { BatchCalculator } from '../src/utils/batchCalculator.js';
+import { ExportManager } from '../src/utils/exportUtils.js';
+import { formatMoney } from '../src/utils/currencyUtils.js';
+import { validateExchangeRate } from '../src/utils/fiscalValidators.js';
+import { getMessage } from '../src/utils/messages.js';
+import { CalculatorError, serializeError } from '../src/utils/errors.js';
+import { PRECISION_CONFIG, ROUNDING_MODES, VAT_TREATMENTS } from '../src/config/constants.js';
+import { TAX_REGIMES, DEFAULT_REGIME, CUSTOM_REGIME } from '../src/config/taxRegimes.js';
+import { MONEDA_NACIONAL } from '../src/config/satCatalogs.js';
+
+const USAGE = `Usage: cfdi-calc <command> [options]
+
+Commands:
+  from-subtotal <amount>     Breakdown of a subtotal
+  from-net <amount>          Subtotal that gives a net amount
+  batch <file.csv>           Every row of a CSV (use - to read stdin)
+
+Options:
+  --method <name>            from-net method: goalseek (default), algebraic or exact
+  --regime <id>              ${Object.keys(TAX_REGIMES).join(', ')} or ${CUSTOM_REGIME} (default ${DEFAULT_REGIME})
+  --vat <fraction>           IVA rate, e.g. 0.16
+  --isr <fraction>           ISR withholding rate, e.g. 0.10
+  --vat-retention <fraction> Share of the IVA withheld, e.g. 0.6666666667
+  --date <YYYY-MM-DD>        Invoice date; selects the rate table (default today)
+  --border-zone              Border-region IVA rate
+  --vat-treatment <name>     ${Object.values(VAT_TREATMENTS).join(', ')}
+  --currency <code>          c_Moneda code (default ${MONEDA_NACIONAL})
+  --exchange-rate <rate>     TipoCambio for foreign currencies
+  --rounding-mode <mode>     ${Object.values(ROUNDING_MODES).join(', ')}
+  --rate-rounding-mode <mode>
+  --no-high-precision        Use floating point instead of exact centavo arithmetic
+  --no-round-per-line        Round taxes once per document
+  --format <name>            table (default), json or csv
+  --help                     Show this help
+
+Rates given with --vat, --isr or --vat-retention replace the regime rates.
+batch exits with code 1 when any row fails. Errors go to stderr; with
+--format json they are JSON objects with their code, field and parameters.`;
+
+/**
+ * Output formats
+ * @type {Array<string>}
+ */
+const FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * from-net methods and the TaxCalculator method of each one
+ * @type {Object<string, string>}
+ */
+const NET_METHODS = {
+  goalseek: 'goalSeekSubtotal',
+  algebraic: 'calculateSubtotalFromNetAlgebraic',
+  exact: 'solveSubtotalExact',
+};
+
+/**
+ * Flags that take a value
+ * @type {Array<string>}
+ */
+const VALUE_FLAGS = ['method', 'regime', 'vat', 'isr', 'vat-retention', 'date', 'vat-treatment',
+  'currency', 'exchange-rate', 'rounding-mode', 'rate-rounding-mode', 'format'];
+
+/**
+ * Flags without a value
+ * @type {Array<string>}
+ */
+const BOOLEAN_FLAGS = ['border-zone', 'no-high-precision', 'no-round-per-line', 'help'];
+
+/**
+ * Creates an error for a wrong invocation; it exits with code 2 and
+ * serializes with the 'usage' code
+ * @param {string} message - Error message
+ * @returns {Error} Error with exitCode set
+ */
+function usageError(message) {
+  const error = new Error(`${message}\nRun cfdi-calc --help for the options.`);
+  error.name = 'UsageError';
+  error.code = 'usage';
+  error.exitCode = 2;
+  return error;
+}
+
+/**
+ * Splits the arguments into positionals and flags
+ * Flags take their value as the next argument or after an equals sign
+ *
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {{positionals: Array<string>, flags: Object}} Parsed arguments
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else if (VALUE_FLAGS.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) throw usageError(`--${name} needs a value`);
+      flags[name] = value;
+    } else {
+      throw usageError(`Unknown option --${name}`);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Parses a positive amount argument
+ * @param {string} value - Argument
+ * @param {string} name - Argument name for the error message
+ * @returns {number} Amount
+ */
+function parseAmount(value, name) {
+  const amount = Number(value);
+  if (value === undefined || value.trim() === '' || !(amount > 0)) {
+    throw usageError(`${name} must be a number greater than 0`);
+  }
+  return amount;
+}
+
+/**
+ * Parses a rate flag
+ * @param {string} value - Flag value
+ * @param {string} name - Flag name
+ * @returns {number|undefined} Rate as a fraction, or undefined when not given
+ */
+function parseRate(value, name) {
+  if (value === undefined) return undefined;
+
+  const rate = Number(value);
+  if (value.trim() === '' || isNaN(rate) || rate < 0 || rate > 1) {
+    throw usageError(`--${name} must be a fraction between 0 and 1`);
+  }
+  return rate;
+}
+
+/**
+ * Checks that a flag has one of the allowed values
+ * @param {string} value - Flag value
+ * @param {Array<string>} allowed - Allowed values
+ * @param {string} name - Flag name
+ * @returns {string} Value
+ */
+function parseChoice(value, allowed, name) {
+  if (!allowed.includes(value)) {
+    throw usageError(`--${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Builds the calculator and the options from the flags, the same way the
+ * form does: the regime sets the rates and explicit rates make them custom
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {{calculator: TaxCalculator, options: Object}} Calculator and calculation options
+ */
+function buildCalculation(flags) {
+  const regime = flags.regime || DEFAULT_REGIME;
+  if (regime !== CUSTOM_REGIME) {
+    parseChoice(regime, Object.keys(TAX_REGIMES), 'regime');
+  }
+
+  const date = flags.date || new Date();
+  const calculator = regime === CUSTOM_REGIME
+    ? new TaxCalculator({}, date)
+    : TaxCalculator.fromRegime(regime, date);
+
+  if (flags['border-zone']) calculator.setBorderZone(true);
+  if (flags['vat-treatment']) {
+    calculator.setVatTreatment(parseChoice(flags['vat-treatment'], Object.values(VAT_TREATMENTS), 'vat-treatment'));
+  }
+
+  const rates = {
+    vatRate: parseRate(flags.vat, 'vat'),
+    incomeTaxRate: parseRate(flags.isr, 'isr'),
+    vatRetentionFraction: parseRate(flags['vat-retention'], 'vat-retention'),
+  };
+  if (Object.values(rates).some(rate => rate !== undefined)) {
+    calculator.updateRates(rates);
+    calculator.setRegime(null);
+  }
+
+  const currency = (flags.currency || MONEDA_NACIONAL).toUpperCase();
+  const exchangeRate = flags['exchange-rate'];
+  const validation = validateExchangeRate(currency, exchangeRate);
+  if (!validation.valid) {
+    throw usageError(getMessage(validation.error));
+  }
+
+  const modes = Object.values(ROUNDING_MODES);
+  const options = {
+    roundPerLine: !flags['no-round-per-line'],
+    highPrecision: !flags['no-high-precision'],
+    roundingMode: flags['rounding-mode']
+      ? parseChoice(flags['rounding-mode'], modes, 'rounding-mode')
+      : PRECISION_CONFIG.DEFAULT_ROUNDING_MODE,
+    rateRoundingMode: flags['rate-rounding-mode']
+      ? parseChoice(flags['rate-rounding-mode'], modes, 'rate-rounding-mode')
+      : PRECISION_CONFIG.DEFAULT_RATE_ROUNDING_MODE,
+    currency: currency,
+    exchangeRate: exchangeRate === undefined ? 1 : Number(exchangeRate),
+  };
+
+  return { calculator, options };
+}
+
+/**
+ * Formats rows as a text table with aligned columns
+ * Text columns come first and are left-aligned; amounts are right-aligned
+ *
+ * @param {Array<Array<string>>} rows - Rows, header first
+ * @param {number} [textColumns=1] - Number of text columns
+ * @returns {string} Table
+ */
+function formatTable(rows, textColumns = 1) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column] ?? '').length)));
+  return rows
+    .map(row => row.map((cell, column) => {
+      const text = String(cell ?? '');
+      return column < textColumns ? text.padEnd(widths[column]) : text.padStart(widths[column]);
+    }).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Formats a single calculation
+ *
+ * @param {Object} result - TaxCalculator result
+ * @param {Object} rates - Rates used
+ * @param {string} format - Output format
+ * @returns {string} Output
+ */
+function formatResult(result, rates, format) {
+  if (format === 'json') return ExportManager.exportToJSON(result, rates);
+  if (format === 'csv') return ExportManager.exportToCSV(result);
+
+  const currency = result.options?.currency;
+  const money = (value) => formatMoney(value, currency);
+  const percent = (value) => `${(value * 100).toFixed(4).replace(/\.?0+$/, '')}%`;
+
+  const rows = [
+    ['Concept', 'Amount'],
+    ['Subtotal', money(result.subtotal)],
+    ...(result.discount ? [['Discount', money(result.discount)]] : []),
+    [`VAT (${percent(rates.vatRate)})`, money(result.vat)],
+    [`Income tax withheld (${percent(rates.incomeTaxRate)})`, money(result.incomeTaxWithheld)],
+    [`VAT retention (${percent(rates.vatRetentionFraction)} of VAT)`, money(result.vatRetention)],
+    ['Net amount', money(result.netAmount)],
+  ];
+  const lines = [formatTable(rows), '', `Method: ${result.calculationMethod}`];
+
+  if (result.calculationMethod === 'exactSolve') {
+    if (result.exact) {
+      lines.push(`Exact subtotals: ${result.solutions.map(money).join(', ')}`);
+    } else {
+      lines.push(`No subtotal gives exactly ${money(result.targetNetAmount)}`);
+      ['below', 'above'].forEach(side => {
+        const entry = result.nearest[side];
+        if (entry) {
+          lines.push(`Nearest ${side}: net ${money(entry.netAmount)} with subtotal ${entry.subtotals.map(money).join(', ')}`);
+        }
+      });
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats a batch
+ *
+ * @param {Object} batch - BatchCalculator.run result
+ * @param {string} format - Output format
+ * @returns {string} Output
+ */
+function formatBatch(batch, format) {
+  if (format === 'json') return ExportManager.exportBatchToJSON(batch);
+  if (format === 'csv') return ExportManager.exportBatchToCSV(batch);
+
+  const money = (value) => formatMoney(value, batch.currency);
+  const keys = ['subtotal', 'vat', 'incomeTaxWithheld', 'vatRetention', 'netAmount'];
+  const rows = [
+    ['Line', 'Client', 'Subtotal', 'VAT', 'Income tax', 'VAT retention', 'Net amount'],
+    ...batch.rows.map(entry => (entry.error
+      ? [String(entry.line), entry.client, 'Error']
+      : [String(entry.line), entry.client, ...keys.map(key => money(entry.result[key]))])),
+    ['Total', '', ...keys.map(key => money(batch.totals[key]))],
+  ];
+
+  return [
+    formatTable(rows, 2),
+    '',
+    ...batch.rows.filter(entry => entry.error).map(entry => `Line ${entry.line}: ${entry.error.message} [${entry.error.code}]`),
+    `Calculated: ${batch.succeeded}  With errors: ${batch.failed}`,
+  ].join('\n');
+}
+
+/**
+ * Formats a failed run for stderr
+ * JSON output carries the serialized error; text output adds the error code
+ *
+ * @param {Error} error - Error that ended the run
+ * @param {string} format - Requested output format
+ * @returns {string} Output
+ */
+function formatError(error, format) {
+  if (format === 'json') {
+    return JSON.stringify({ error: serializeError(error) }, null, 2);
+  }
+
+  const code = error instanceof CalculatorError ? ` [${error.code}]` : '';
+  return `cfdi-calc: ${error.message}${code}`;
+}
+
+/**
+ * Gets the requested output format without failing on bad arguments
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {string|null} Format flag value
+ */
+function requestedFormat(argv) {
+  try {
+    return parseArgs(argv).flags.format || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a file, or stdin for -
+ * @param {string} file - File path
+ * @returns {Promise<string>} Content
+ */
+async function readInput(file) {
+  if (file !== '-') return readFile(file, 'utf8');
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Runs a command
+ *
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const { positionals, flags } = parseArgs(argv);
+  const [command, input] = positionals;
+
+  if (flags.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return flags.help ? 0 : 2;
+  }
+
+  const format = parseChoice(flags.format || 'table', FORMATS, 'format');
+  const { calculator, options } = buildCalculation(flags);
+
+  switch (command) {
+    case 'from-subtotal': {
+      const result = calculator.calculateFromSubtotal(parseAmount(input, 'Subtotal'), options);
+      process.stdout.write(`${formatResult(result, calculator.getRates(), format)}\n`);
+      return 0;
+    }
+
+    case 'from-net': {
+      const netAmount = parseAmount(input, 'Net amount');
+      const method = parseChoice(flags.method || 'goalseek', Object.keys(NET_METHODS), 'method');
+      const result = method === 'algebraic'
+        ? {
+          ...calculator.calculateFromSubtotal(calculator.calculateSubtotalFromNetAlgebraic(netAmount), options),
+          calculationMethod: 'fromNetAlgebraic',
+        }
+        : calculator[NET_METHODS[method]](netAmount, options);
+      process.stdout.write(`${formatResult(result, calculator.getRates(), format)}\n`);
+      return 0;
+    }
+
+    case 'batch': {
+      if (!input) throw usageError('batch needs a CSV file');
+      const rows = BatchCalculator.parse(await readInput(input));
+      const batch = await BatchCalculator.run(rows, {
+        rates: calculator.getRates(),
+        state: calculator.getState(),
+        options,
+      });
+      process.stdout.write(`${formatBatch(batch, format)}\n`);
+      return batch.failed > 0 ? 1 : 0;
+    }
+
+    default:
+      throw usageError(`Unknown command: ${command}`);
+  }
+}
+
+const argv = process.argv.slice(2);
+
+main(argv)
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    process.stderr.write(`${formatError(error, requestedFormat(argv))}\n`);
+    process.exitCode = error.exitCode || 1;
+  });
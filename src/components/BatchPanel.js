@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Batch calculation panel for CSV uploads
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { BatchCalculator } from '../utils/batchCalculator.js';
+import { ExportManager } from '../utils/exportUtils.js';
+import { formatMoney } from '../utils/currencyUtils.js';
+import { BATCH_CONFIG, EXPORT_CONFIG } from '../config/constants.js';
+import { localizeError } from '../utils/errors.js';
+import { i18n } from '../utils/i18n.js';
+import { notifier } from './Notifier.js';
+
+/**
+ * Batch panel
+ * Reads a CSV from a drop zone or file picker, calculates every row with
+ * the current rates and options, and shows the results with per-row errors
+ */
+export class BatchPanel {
+  /**
+   * Batch panel constructor
+   * @param {Object} elements - Panel elements
+   * @param {HTMLElement} elements.dropZone - Drop target
+   * @param {HTMLInputElement} elements.fileInput - File picker
+   * @param {HTMLProgressElement} elements.progress - Progress bar
+   * @param {HTMLButtonElement} elements.downloadCsvBtn - Download CSV button
+   * @param {HTMLButtonElement} elements.downloadJsonBtn - Download JSON button
+   * @param {HTMLElement} elements.results - Results container
+   * @param {Function} getDefaults - Returns { rates, options } for the rows
+   */
+  constructor(elements, getDefaults) {
+    this.elements = elements;
+    this.getDefaults = getDefaults;
+    this.lastBatch = null;
+    this.lastError = null;
+    this.running = false;
+  }
+
+  /**
+   * Sets up drag and drop, file picker and download listeners
+   */
+  init() {
+    const { dropZone, fileInput, downloadCsvBtn, downloadJsonBtn } = this.elements;
+    if (!dropZone || !fileInput) return;
+
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        this.loadFile(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+
+    dropZone.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      dropZone.classList.add('drop-zone--active');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('drop-zone--active');
+    });
+
+    dropZone.addEventListener('drop', (event) => {
+      event.preventDefault();
+      dropZone.classList.remove('drop-zone--active');
+      const file = event.dataTransfer?.files[0];
+      if (file) {
+        this.loadFile(file);
+      }
+    });
+
+    downloadCsvBtn?.addEventListener('click', () => this._download('csv'));
+    downloadJsonBtn?.addEventListener('click', () => this._download('json'));
+
+    i18n.addLanguageChangeListener(() => {
+      this._render();
+    });
+  }
+
+  /**
+   * Reads and calculates a CSV file
+   * @param {File} file - CSV file
+   */
+  async loadFile(file) {
+    try {
+      const text = await file.text();
+      await this.process(text);
+    } catch (error) {
+      this.lastBatch = null;
+      this.lastError = error.message;
+      this._render();
+    }
+  }
+
+  /**
+   * Calculates CSV content and renders the result
+   * A file dropped while another one is running is ignored
+   * @param {string} text - CSV content
+   * @returns {Promise<Object|null>} Batch result
+   */
+  async process(text) {
+    if (this.running) return this.lastBatch;
+
+    this.running = true;
+    this.lastBatch = null;
+    this.lastError = null;
+    this._render();
+
+    try {
+      const rows = BatchCalculator.parse(text);
+      this._setProgress(0, rows.length);
+      this.lastBatch = await BatchCalculator.run(rows, this.getDefaults(), (done, total) => {
+        this._setProgress(done, total);
+      });
+    } catch (error) {
+      this.lastError = error.message;
+    } finally {
+      this.running = false;
+      this._setProgress(null);
+    }
+
+    this._render();
+    return this.lastBatch;
+  }
+
+  /**
+   * Shows the progress bar, or hides it when done is null
+   * @param {number|null} done - Rows calculated
+   * @param {number} [total] - Rows in the file
+   * @private
+   */
+  _setProgress(done, total) {
+    const progress = this.elements.progress;
+    if (!progress) return;
+
+    progress.hidden = done === null;
+    if (done !== null) {
+      progress.max = total || 1;
+      progress.value = done;
+    }
+  }
+
+  /**
+   * Downloads the last batch
+   * @param {string} format - 'csv' or 'json'
+   * @private
+   */
+  _download(format) {
+    if (!this.lastBatch) {
+      notifier.info('batchEmpty');
+      return;
+    }
+
+    try {
+      if (format === 'json') {
+        const jsonData = ExportManager.exportBatchToJSON(this.lastBatch);
+        ExportManager.downloadFile(jsonData, EXPORT_CONFIG.BATCH_JSON_FILENAME, 'application/json');
+      } else {
+        const csvData = ExportManager.exportBatchToCSV(this.lastBatch);
+        ExportManager.downloadFile(csvData, EXPORT_CONFIG.BATCH_CSV_FILENAME, 'text/csv');
+      }
+    } catch (error) {
+      console.error('Error downloading batch results:', error);
+      notifier.error(error, { prefix: 'errorDownloading' });
+    }
+  }
+
+  /**
+   * Renders the summary, the results table or the last error
+   * Only the first rows are rendered; the downloads have all of them
+   * @private
+   */
+  _render() {
+    const container = this.elements.results;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.running) {
+      const status = document.createElement('p');
+      status.className = 'form-help';
+      status.textContent = i18n.t('batchProcessing');
+      container.appendChild(status);
+      return;
+    }
+
+    if (this.lastError) {
+      const error = document.createElement('p');
+      error.className = 'form-help form-error';
+      error.textContent = this.lastError;
+      container.appendChild(error);
+      return;
+    }
+
+    const batch = this.lastBatch;
+    if (!batch) return;
+
+    const { currency } = batch;
+    const summary = document.createElement('p');
+    summary.className = 'form-help';
+    summary.textContent = [
+      `${i18n.t('batchSucceeded')} ${batch.succeeded}`,
+      `${i18n.t('batchFailed')} ${batch.failed}`,
+      `${i18n.t('batchTotalNet')} ${formatMoney(batch.totals.netAmount, currency)}`,
+    ].join(' · ');
+    container.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'batch-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['batchLine', 'batchClient', 'subtotalResult', 'vatChargedResult', 'incomeTaxWithheldResult',
+      'vatRetentionResult', 'calculatedNetResult'].forEach(key => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = i18n.t(key);
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    batch.rows.slice(0, BATCH_CONFIG.MAX_RENDERED_ROWS).forEach(entry => {
+      const row = document.createElement('tr');
+      [String(entry.line), entry.client].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      if (entry.error) {
+        row.className = 'batch-table__error';
+        const cell = document.createElement('td');
+        cell.colSpan = 5;
+        cell.textContent = localizeError(entry.error);
+        row.appendChild(cell);
+      } else {
+        ['subtotal', 'vat', 'incomeTaxWithheld', 'vatRetention', 'netAmount'].forEach(key => {
+          const cell = document.createElement('td');
+          cell.className = 'batch-table__amount';
+          cell.textContent = formatMoney(entry.result[key], currency);
+          row.appendChild(cell);
+        });
+      }
+      body.appendChild(row);
+    });
+
+    table.appendChild(head);
+    table.appendChild(body);
+    container.appendChild(table);
+
+    if (batch.rows.length > BATCH_CONFIG.MAX_RENDERED_ROWS) {
+      const more = document.createElement('p');
+      more.className = 'form-help';
+      more.textContent = `${i18n.t('batchTruncated')} ${BATCH_CONFIG.MAX_RENDERED_ROWS}`;
+      container.appendChild(more);
+    }
+  }
+}
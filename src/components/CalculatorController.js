@@ -5,9 +5,27 @@
  */
 
 import { TaxCalculator } from '../utils/taxCalculator.js';
+import { TaxEngineClient } from '../utils/taxEngineClient.js';
 import { ExportManager } from '../utils/exportUtils.js';
-import { formatNumber, formatCurrency } from '../utils/mathUtils.js';
-import { ERROR_MESSAGES, EXPORT_CONFIG } from '../config/constants.js';
+import { ConceptsTable } from './ConceptsTable.js';
+import { CfdiAuditPanel } from './CfdiAuditPanel.js';
+import { PartyForm } from './PartyForm.js';
+import { HistoryPanel } from './HistoryPanel.js';
+import { MonthlyEstimatorPanel } from './MonthlyEstimatorPanel.js';
+import { PaymentsPanel } from './PaymentsPanel.js';
+import { CreditNotePanel } from './CreditNotePanel.js';
+import { QuotePanel } from './QuotePanel.js';
+import { BatchPanel } from './BatchPanel.js';
+import { notifier } from './Notifier.js';
+import { formatNumber } from '../utils/mathUtils.js';
+import { encodeShareState, decodeShareState, SHARE_METHODS } from '../utils/shareLink.js';
+import { formatMoney, getMXNEquivalents, isForeignCurrency, getCurrencyDecimals } from '../utils/currencyUtils.js';
+import { ERROR_MESSAGES, EXPORT_CONFIG, DISTRIBUTION_STRATEGIES, PRECISION_CONFIG, CFDI_CONFIG, VAT_TREATMENTS, LIVE_CONFIG } from '../config/constants.js';
+import { TAX_REGIMES, DEFAULT_REGIME, CUSTOM_REGIME } from '../config/taxRegimes.js';
+import { FORMA_PAGO, METODO_PAGO, MONEDA, MONEDA_NACIONAL, EXPORTACION } from '../config/satCatalogs.js';
+import { validatePaymentMethod, validateBorderZonePostalCode, validateExchangeRate } from '../utils/fiscalValidators.js';
+import { toDateKey } from '../utils/rateTableResolver.js';
+import { ValidationError } from '../utils/errors.js';
 import { i18n } from '../utils/i18n.js';
 
 /**
@@ -19,8 +37,21 @@ export class CalculatorController {
    * Controller constructor
    */
   constructor() {
-    this.calculator = new TaxCalculator();
+    this.calculator = TaxCalculator.fromRegime(DEFAULT_REGIME);
+    this.engine = new TaxEngineClient();
     this.currentResult = null;
+    this.exactSolve = null;
+    this.liveDirection = 'net';
+    this.liveTimer = null;
+    this.liveErrorId = null;
+    this.conceptsTable = null;
+    this.auditPanel = null;
+    this.partyForms = {};
+    this.historyPanel = null;
+    this.estimatorPanel = null;
+    this.paymentsPanel = null;
+    this.creditNotePanel = null;
+    this.batchPanel = null;
     this.elements = {};
     this.isInitialized = false;
   }
@@ -35,8 +66,22 @@ export class CalculatorController {
     }
 
     this._cacheElements();
+    notifier.attach(this.elements.notifications);
+    this._renderRegimeOptions();
+    this._renderVatTreatmentOptions();
+    this._renderCurrencyOptions();
+    this._setupConceptsTable();
+    this._setupAuditPanel();
+    this._setupPartyForms();
+    this._setupHistoryPanel();
+    this._setupEstimatorPanel();
+    this._setupPaymentsPanel();
+    this._setupCreditNotePanel();
+    this._setupQuotePanel();
+    this._setupBatchPanel();
     this._setupEventListeners();
     this._setupDefaultValues();
+    this._restoreFromLink();
     this.isInitialized = true;
 
     console.log('CalculatorController initialized successfully');
@@ -48,9 +93,30 @@ export class CalculatorController {
    */
   _cacheElements() {
     // Main inputs
+    this.elements.parameters = document.getElementById('parameters');
     this.elements.netAmount = document.getElementById('neto');
     this.elements.subtotal = document.getElementById('subtotal');
     
+    // Concepts table
+    this.elements.conceptsTable = document.getElementById('conceptsTable');
+    this.elements.addConceptBtn = document.getElementById('addConcept');
+    this.elements.calcFromConceptsBtn = document.getElementById('calcFromConcepts');
+    this.elements.goalSeekConceptsBtn = document.getElementById('goalSeekConcepts');
+    this.elements.distributionStrategy = document.getElementById('distributionStrategy');
+    this.elements.adjustLine = document.getElementById('adjustLine');
+    
+    // Invoice date and regime selector
+    this.elements.invoiceDate = document.getElementById('invoiceDate');
+    this.elements.rateTableInfo = document.getElementById('rate-table-info');
+    this.elements.regime = document.getElementById('regime');
+    this.elements.borderZone = document.getElementById('borderZone');
+    this.elements.borderZoneMessage = document.getElementById('border-zone-message');
+    this.elements.vatTreatment = document.getElementById('vatTreatment');
+    
+    // Invoice currency
+    this.elements.currency = document.getElementById('currency');
+    this.elements.exchangeRate = document.getElementById('exchangeRate');
+    
     // Rate inputs
     this.elements.vatRate = document.getElementById('ivaRate');
     this.elements.incomeTaxRate = document.getElementById('isrRate');
@@ -60,21 +126,123 @@ export class CalculatorController {
     this.elements.useHighPrecision = document.getElementById('useHighPrecision');
     this.elements.roundPerLine = document.getElementById('roundPerLine');
     this.elements.showSteps = document.getElementById('showSteps');
+    this.elements.liveMode = document.getElementById('liveMode');
+    this.elements.roundingMode = document.getElementById('roundingMode');
+    this.elements.rateRoundingMode = document.getElementById('rateRoundingMode');
     
     // Action buttons
     this.elements.calcFromSubtotalBtn = document.getElementById('calcFromSubtotal');
     this.elements.algebraicFromNetBtn = document.getElementById('algebraicFromNeto');
     this.elements.goalSeekFromNetBtn = document.getElementById('goalSeekFromNeto');
+    this.elements.exactFromNetBtn = document.getElementById('exactFromNeto');
+    this.elements.cancelCalculationBtn = document.getElementById('cancelCalculation');
+    this.elements.calculationStatus = document.getElementById('calculationStatus');
+    this.elements.calculationStatusText = document.getElementById('calculationStatusText');
     this.elements.resetBtn = document.getElementById('reset');
     this.elements.copyJsonBtn = document.getElementById('copyJson');
+    this.elements.copyLinkBtn = document.getElementById('copyLink');
     this.elements.downloadCsvBtn = document.getElementById('downloadCsv');
+    this.elements.downloadXmlBtn = document.getElementById('downloadXml');
     
     // Result elements
     this.elements.outSubtotal = document.getElementById('outSubtotal');
+    this.elements.outDiscount = document.getElementById('outDescuento');
+    this.elements.discountResultItem = document.getElementById('discountResultItem');
     this.elements.outVAT = document.getElementById('outIVA');
     this.elements.outIncomeTax = document.getElementById('outISR');
     this.elements.outVATRetention = document.getElementById('outRetIVA');
     this.elements.outNetAmount = document.getElementById('outNeto');
+    this.elements.exactSolutions = document.getElementById('exactSolutions');
+    this.elements.mxnEquivalents = {
+      subtotal: document.getElementById('outSubtotalMXN'),
+      discount: document.getElementById('outDescuentoMXN'),
+      vat: document.getElementById('outIVAMXN'),
+      incomeTaxWithheld: document.getElementById('outISRMXN'),
+      vatRetention: document.getElementById('outRetIVAMXN'),
+      netAmount: document.getElementById('outNetoMXN'),
+    };
+    this.elements.resultMethods = {
+      subtotal: document.getElementById('outSubtotalMethod'),
+      discount: document.getElementById('outDescuentoMethod'),
+      vat: document.getElementById('outIVAMethod'),
+      incomeTaxWithheld: document.getElementById('outISRMethod'),
+      vatRetention: document.getElementById('outRetIVAMethod'),
+      netAmount: document.getElementById('outNetoMethod'),
+    };
+    
+    // Emisor and receptor forms
+    this.elements.emisorForm = document.getElementById('emisorForm');
+    this.elements.receptorForm = document.getElementById('receptorForm');
+    this.elements.metodoPago = document.getElementById('metodoPago');
+    this.elements.formaPago = document.getElementById('formaPago');
+    this.elements.formaPagoOptions = document.getElementById('formaPago-options');
+    this.elements.paymentMessage = document.getElementById('payment-message');
+    this.elements.exportacion = document.getElementById('exportacion');
+    
+    // Calculation history
+    this.elements.historyLabel = document.getElementById('historyLabel');
+    this.elements.historySearch = document.getElementById('historySearch');
+    this.elements.historyFrom = document.getElementById('historyFrom');
+    this.elements.historyTo = document.getElementById('historyTo');
+    this.elements.historyList = document.getElementById('historyList');
+    
+    // Monthly estimator
+    this.elements.estimatorMonth = document.getElementById('estimatorMonth');
+    this.elements.estimatorScheme = document.getElementById('estimatorScheme');
+    this.elements.estimatorAccumulate = document.getElementById('estimatorAccumulate');
+    this.elements.estimatorDeductions = document.getElementById('estimatorDeductions');
+    this.elements.estimatorVatCreditable = document.getElementById('estimatorVatCreditable');
+    this.elements.estimatorPreviousPayments = document.getElementById('estimatorPreviousPayments');
+    this.elements.estimatorInvoices = document.getElementById('estimatorInvoices');
+    this.elements.estimateMonthlyBtn = document.getElementById('estimateMonthly');
+    this.elements.estimatorResults = document.getElementById('estimatorResults');
+    
+    // Payment complement
+    this.elements.paymentUuid = document.getElementById('paymentUuid');
+    this.elements.paymentDate = document.getElementById('paymentDate');
+    this.elements.paymentAmount = document.getElementById('paymentAmount');
+    this.elements.paymentFormaPago = document.getElementById('paymentFormaPago');
+    this.elements.paymentExchangeRate = document.getElementById('paymentExchangeRate');
+    this.elements.addPaymentBtn = document.getElementById('addPayment');
+    this.elements.clearPaymentsBtn = document.getElementById('clearPayments');
+    this.elements.downloadPaymentsCsvBtn = document.getElementById('downloadPaymentsCsv');
+    this.elements.paymentsResults = document.getElementById('paymentsResults');
+
+    // Credit note
+    this.elements.creditSource = document.getElementById('creditSource');
+    this.elements.creditUuid = document.getElementById('creditUuid');
+    this.elements.creditBasis = document.getElementById('creditBasis');
+    this.elements.creditAmount = document.getElementById('creditAmount');
+    this.elements.creditFormaPago = document.getElementById('creditFormaPago');
+    this.elements.calculateCreditBtn = document.getElementById('calculateCredit');
+    this.elements.downloadCreditXmlBtn = document.getElementById('downloadCreditXml');
+    this.elements.downloadCreditCsvBtn = document.getElementById('downloadCreditCsv');
+    this.elements.creditResults = document.getElementById('creditResults');
+
+    // Quote
+    this.elements.quoteFolio = document.getElementById('quoteFolio');
+    this.elements.quoteValidDays = document.getElementById('quoteValidDays');
+    this.elements.quoteNotes = document.getElementById('quoteNotes');
+    this.elements.previewQuoteBtn = document.getElementById('previewQuote');
+    this.elements.printQuoteBtn = document.getElementById('printQuote');
+    this.elements.downloadQuotePdfBtn = document.getElementById('downloadQuotePdf');
+    this.elements.quotePreview = document.getElementById('quotePreview');
+
+    // Batch calculation
+    this.elements.batchDropZone = document.getElementById('batchDropZone');
+    this.elements.batchFile = document.getElementById('batchFile');
+    this.elements.batchProgress = document.getElementById('batchProgress');
+    this.elements.downloadBatchCsvBtn = document.getElementById('downloadBatchCsv');
+    this.elements.downloadBatchJsonBtn = document.getElementById('downloadBatchJson');
+    this.elements.batchResults = document.getElementById('batchResults');
+    
+    // CFDI audit
+    this.elements.auditDropZone = document.getElementById('auditDropZone');
+    this.elements.auditFile = document.getElementById('auditFile');
+    this.elements.auditResults = document.getElementById('auditResults');
+    
+    // Notifications
+    this.elements.notifications = document.getElementById('notifications');
     
     // Log and debug
     this.elements.log = document.getElementById('log');
@@ -98,6 +266,27 @@ export class CalculatorController {
       this._handleGoalSeekFromNet();
     });
 
+    this.elements.exactFromNetBtn?.addEventListener('click', () => {
+      this._handleExactFromNet();
+    });
+
+    this.elements.cancelCalculationBtn?.addEventListener('click', () => {
+      this._handleCancelCalculation();
+    });
+
+    // Concepts buttons
+    this.elements.addConceptBtn?.addEventListener('click', () => {
+      this.conceptsTable.addConcept();
+    });
+
+    this.elements.calcFromConceptsBtn?.addEventListener('click', () => {
+      this._handleCalculateFromConcepts();
+    });
+
+    this.elements.goalSeekConceptsBtn?.addEventListener('click', () => {
+      this._handleGoalSeekConcepts();
+    });
+
     // Reset button
     this.elements.resetBtn?.addEventListener('click', () => {
       this._handleReset();
@@ -108,10 +297,76 @@ export class CalculatorController {
       this._handleCopyJSON();
     });
 
+    this.elements.copyLinkBtn?.addEventListener('click', () => {
+      this._handleCopyLink();
+    });
+
     this.elements.downloadCsvBtn?.addEventListener('click', () => {
       this._handleDownloadCSV();
     });
 
+    // A link pasted into an open tab only changes the hash
+    window.addEventListener('hashchange', () => {
+      this._restoreFromLink();
+    });
+
+    this.elements.downloadXmlBtn?.addEventListener('click', () => {
+      this._handleDownloadXML();
+    });
+
+    // Invoice date selects the rate table
+    this.elements.invoiceDate?.addEventListener('change', () => {
+      this._handleInvoiceDateChange();
+    });
+
+    // Regime selector
+    this.elements.regime?.addEventListener('change', () => {
+      this._handleRegimeChange();
+    });
+
+    // Border-region stimulus, checked against the issuer postal code
+    this.elements.borderZone?.addEventListener('change', () => {
+      this._handleBorderZoneChange();
+    });
+    this.elements.emisorForm?.addEventListener('input', () => {
+      this._validateBorderZone();
+    });
+
+    // Zero-rated and exempt invoices carry no IVA and no withholdings
+    this.elements.vatTreatment?.addEventListener('change', () => {
+      this._handleVatTreatmentChange();
+    });
+
+    // Re-render translated options when the language changes
+    i18n.addLanguageChangeListener(() => {
+      this._renderRegimeOptions();
+      this._renderVatTreatmentOptions();
+      this._renderRateTableInfo();
+      this._validateBorderZone();
+      this._renderExactSolutions();
+      this._displayResultMethods(this.currentResult);
+    });
+
+    // Invoice currency and exchange rate
+    this.elements.currency?.addEventListener('change', () => {
+      this._handleCurrencyChange();
+    });
+    this.elements.exchangeRate?.addEventListener('change', () => {
+      this._clearResults();
+    });
+
+    // Payment catalogs
+    [this.elements.metodoPago, this.elements.formaPago].forEach(element => {
+      element?.addEventListener('change', () => {
+        this._validatePayment();
+      });
+    });
+
+    // Rounding modes only apply with high precision
+    this.elements.useHighPrecision?.addEventListener('change', () => {
+      this._updateRoundingModeState();
+    });
+
     // Event listeners for rate changes
     [this.elements.vatRate, this.elements.incomeTaxRate, this.elements.vatRetentionFraction].forEach(element => {
       element?.addEventListener('change', () => {
@@ -119,10 +374,23 @@ export class CalculatorController {
       });
     });
 
-    // Event listeners for main inputs
-    [this.elements.netAmount, this.elements.subtotal].forEach(element => {
-      element?.addEventListener('input', () => {
-        this._clearResults();
+    // Event listeners for main inputs; the field edited last sets the live direction
+    this.elements.netAmount?.addEventListener('input', () => {
+      this._handleMainInput('net');
+    });
+    this.elements.subtotal?.addEventListener('input', () => {
+      this._handleMainInput('subtotal');
+    });
+
+    // Live mode recalculates after any other parameter change (concepts have their own buttons)
+    this.elements.liveMode?.addEventListener('change', () => {
+      this._handleLiveModeChange();
+    });
+    ['input', 'change'].forEach(type => {
+      this.elements.parameters?.addEventListener(type, (event) => {
+        const ignored = [this.elements.netAmount, this.elements.subtotal, this.elements.liveMode, this.elements.showSteps];
+        if (ignored.includes(event.target) || event.target.closest?.('#concepts-section')) return;
+        this._scheduleLiveCalculation();
       });
     });
   }
@@ -134,24 +402,46 @@ export class CalculatorController {
   _setupDefaultValues() {
     if (this.elements.netAmount) this.elements.netAmount.value = '9280.00';
     if (this.elements.subtotal) this.elements.subtotal.value = '0';
-    if (this.elements.vatRate) this.elements.vatRate.value = '0.16';
-    if (this.elements.incomeTaxRate) this.elements.incomeTaxRate.value = '0.10';
-    if (this.elements.vatRetentionFraction) this.elements.vatRetentionFraction.value = '0.6666666667';
+    if (this.elements.invoiceDate) this.elements.invoiceDate.value = toDateKey(new Date());
+    this.calculator.setDate(new Date());
+    this._renderRateTableInfo();
+    if (this.elements.currency) this.elements.currency.value = MONEDA_NACIONAL;
+    this._handleCurrencyChange();
+    if (this.elements.borderZone) this.elements.borderZone.checked = false;
+    this.calculator.setBorderZone(false);
+    this._validateBorderZone();
+    if (this.elements.vatTreatment) this.elements.vatTreatment.value = VAT_TREATMENTS.TAXED;
+    this.calculator.setVatTreatment(VAT_TREATMENTS.TAXED);
+    this._updateVatTreatmentState();
+    if (this.elements.regime) this.elements.regime.value = DEFAULT_REGIME;
+    this.calculator.setRegime(DEFAULT_REGIME);
+    this._fillRateInputs(this.calculator.getRates());
     if (this.elements.useHighPrecision) this.elements.useHighPrecision.checked = true;
     if (this.elements.roundPerLine) this.elements.roundPerLine.checked = true;
     if (this.elements.showSteps) this.elements.showSteps.checked = false;
+    if (this.elements.roundingMode) this.elements.roundingMode.value = PRECISION_CONFIG.DEFAULT_ROUNDING_MODE;
+    if (this.elements.rateRoundingMode) this.elements.rateRoundingMode.value = PRECISION_CONFIG.DEFAULT_RATE_ROUNDING_MODE;
+    this._updateRoundingModeState();
   }
 
   /**
    * Gets current rates from inputs
+   * A rate of 0 is kept; only empty or invalid inputs fall back to the
+   * rate table in effect
    * @returns {Object} Object with rates
    * @private
    */
   _getCurrentRates() {
+    const defaults = this.calculator.getRateTable().rates;
+    const read = (input, fallback) => {
+      const value = parseFloat(input?.value);
+      return isNaN(value) ? fallback : value;
+    };
+
     return {
-      vatRate: parseFloat(this.elements.vatRate?.value || 0.16),
-      incomeTaxRate: parseFloat(this.elements.incomeTaxRate?.value || 0.10),
-      vatRetentionFraction: parseFloat(this.elements.vatRetentionFraction?.value || 0.6666666667),
+      vatRate: read(this.elements.vatRate, defaults.VAT_RATE),
+      incomeTaxRate: read(this.elements.incomeTaxRate, defaults.INCOME_TAX_RATE),
+      vatRetentionFraction: read(this.elements.vatRetentionFraction, defaults.VAT_RETENTION_FRACTION),
     };
   }
 
@@ -162,11 +452,77 @@ export class CalculatorController {
    */
   _getCurrentOptions() {
     return {
-      roundPerLine: this.elements.roundPerLine?.checked || true,
-      highPrecision: this.elements.useHighPrecision?.checked || true,
+      roundPerLine: this.elements.roundPerLine?.checked ?? true,
+      highPrecision: this.elements.useHighPrecision?.checked ?? true,
+      roundingMode: this.elements.roundingMode?.value || PRECISION_CONFIG.DEFAULT_ROUNDING_MODE,
+      rateRoundingMode: this.elements.rateRoundingMode?.value || PRECISION_CONFIG.DEFAULT_RATE_ROUNDING_MODE,
+      currency: this.elements.currency?.value || MONEDA_NACIONAL,
+      exchangeRate: parseFloat(this.elements.exchangeRate?.value) || 1,
     };
   }
 
+  /**
+   * Renders the c_Moneda options
+   * @private
+   */
+  _renderCurrencyOptions() {
+    const select = this.elements.currency;
+    if (!select) return;
+
+    select.innerHTML = '';
+    Object.entries(MONEDA).forEach(([code, entry]) => {
+      select.appendChild(new Option(`${code} - ${entry.description}`, code));
+    });
+    select.value = MONEDA_NACIONAL;
+  }
+
+  /**
+   * Handles currency changes
+   * MXN always uses an exchange rate of 1, so the input is locked
+   * @private
+   */
+  _handleCurrencyChange() {
+    const { currency, exchangeRate } = this.elements;
+    if (!exchangeRate) return;
+
+    const foreign = isForeignCurrency(currency?.value);
+    exchangeRate.disabled = !foreign;
+    if (!foreign) {
+      exchangeRate.value = '1';
+    } else if (exchangeRate.value === '1') {
+      exchangeRate.value = '';
+    }
+    this._clearResults();
+  }
+
+  /**
+   * Validates the currency and exchange rate before calculating
+   * @returns {boolean} True when they are valid
+   * @private
+   */
+  _validateCurrency() {
+    const { currency, exchangeRate } = this.elements;
+    if (!currency) return true;
+
+    const validation = validateExchangeRate(currency.value, exchangeRate?.value);
+    exchangeRate?.classList.toggle('form-input--invalid', !validation.valid);
+    exchangeRate?.setAttribute('aria-invalid', validation.valid ? 'false' : 'true');
+    if (!validation.valid) {
+      notifier.error(new ValidationError(validation.error, { field: 'exchangeRate' }), { input: exchangeRate });
+    }
+    return validation.valid;
+  }
+
+  /**
+   * Enables rounding mode selectors only when high precision is on
+   * @private
+   */
+  _updateRoundingModeState() {
+    const enabled = this.elements.useHighPrecision?.checked ?? true;
+    if (this.elements.roundingMode) this.elements.roundingMode.disabled = !enabled;
+    if (this.elements.rateRoundingMode) this.elements.rateRoundingMode.disabled = !enabled;
+  }
+
   /**
    * Updates calculator rates
    * @private
@@ -174,204 +530,1332 @@ export class CalculatorController {
   _updateCalculatorRates() {
     const rates = this._getCurrentRates();
     this.calculator.updateRates(rates);
+    this._syncRegimeSelection(rates);
   }
 
   /**
-   * Clears displayed results
+   * Sets up the concepts table
    * @private
    */
-  _clearResults() {
-    const resultElements = [
-      this.elements.outSubtotal,
-      this.elements.outVAT,
-      this.elements.outIncomeTax,
-      this.elements.outVATRetention,
-      this.elements.outNetAmount,
-    ];
+  _setupConceptsTable() {
+    this.conceptsTable = new ConceptsTable(this.elements.conceptsTable);
+    this.conceptsTable.init();
+  }
 
-    resultElements.forEach(element => {
-      if (element) element.textContent = '-';
-    });
+  /**
+   * Sets up the CFDI audit panel
+   * @private
+   */
+  _setupAuditPanel() {
+    this.auditPanel = new CfdiAuditPanel({
+      dropZone: this.elements.auditDropZone,
+      fileInput: this.elements.auditFile,
+      results: this.elements.auditResults,
+    }, () => this._getCurrentOptions());
+    this.auditPanel.init();
+  }
 
-    this.currentResult = null;
+  /**
+   * Sets up the emisor and receptor forms
+   * @private
+   */
+  _setupPartyForms() {
+    this.partyForms = {
+      emisor: new PartyForm(this.elements.emisorForm, 'emisor'),
+      receptor: new PartyForm(this.elements.receptorForm, 'receptor'),
+    };
+    Object.values(this.partyForms).forEach(form => form.init());
+    this._renderPaymentOptions();
+    this._renderExportacionOptions();
   }
 
   /**
-   * Displays a result in the interface
-   * @param {Object} result - Calculation result
+   * Sets up the calculation history panel
    * @private
    */
-  _displayResult(result) {
-    this.currentResult = result;
+  _setupHistoryPanel() {
+    this.historyPanel = new HistoryPanel({
+      label: this.elements.historyLabel,
+      search: this.elements.historySearch,
+      from: this.elements.historyFrom,
+      to: this.elements.historyTo,
+      list: this.elements.historyList,
+    }, (entry) => this._handleOpenHistoryEntry(entry));
+    this.historyPanel.init();
+  }
 
-    if (this.elements.outSubtotal) {
-      this.elements.outSubtotal.textContent = formatCurrency(result.subtotal);
-    }
-    if (this.elements.outVAT) {
-      this.elements.outVAT.textContent = formatCurrency(result.vat);
-    }
-    if (this.elements.outIncomeTax) {
-      this.elements.outIncomeTax.textContent = formatCurrency(result.incomeTaxWithheld);
-    }
-    if (this.elements.outVATRetention) {
-      this.elements.outVATRetention.textContent = formatCurrency(result.vatRetention);
-    }
-    if (this.elements.outNetAmount) {
-      this.elements.outNetAmount.textContent = formatCurrency(result.netAmount);
-    }
+  /**
+   * Sets up the monthly estimator panel
+   * @private
+   */
+  _setupEstimatorPanel() {
+    this.estimatorPanel = new MonthlyEstimatorPanel({
+      month: this.elements.estimatorMonth,
+      scheme: this.elements.estimatorScheme,
+      accumulate: this.elements.estimatorAccumulate,
+      deductions: this.elements.estimatorDeductions,
+      vatCreditable: this.elements.estimatorVatCreditable,
+      previousPayments: this.elements.estimatorPreviousPayments,
+      invoices: this.elements.estimatorInvoices,
+      estimateBtn: this.elements.estimateMonthlyBtn,
+      results: this.elements.estimatorResults,
+    }, this.historyPanel.store);
+    this.estimatorPanel.init();
+  }
 
-    // Add animation class
-    const resultContainer = document.querySelector('.results');
-    if (resultContainer) {
-      resultContainer.classList.add('fade-in');
-      setTimeout(() => resultContainer.classList.remove('fade-in'), 300);
-    }
+  /**
+   * Sets up the payment complement panel
+   * @private
+   */
+  _setupPaymentsPanel() {
+    this.paymentsPanel = new PaymentsPanel({
+      uuid: this.elements.paymentUuid,
+      date: this.elements.paymentDate,
+      amount: this.elements.paymentAmount,
+      formaPago: this.elements.paymentFormaPago,
+      exchangeRate: this.elements.paymentExchangeRate,
+      addBtn: this.elements.addPaymentBtn,
+      clearBtn: this.elements.clearPaymentsBtn,
+      downloadCsvBtn: this.elements.downloadPaymentsCsvBtn,
+      results: this.elements.paymentsResults,
+    }, () => this._getCurrentInvoice());
+    this.paymentsPanel.init();
   }
 
   /**
-   * Logs a step if enabled
-   * @param {string} message - Message to log
+   * Sets up the credit note panel
    * @private
    */
-  _logStep(message) {
-    if (this.elements.showSteps?.checked && this.elements.log) {
-      this.elements.log.textContent += message + '\n';
-    }
+  _setupCreditNotePanel() {
+    this.creditNotePanel = new CreditNotePanel({
+      source: this.elements.creditSource,
+      uuid: this.elements.creditUuid,
+      basis: this.elements.creditBasis,
+      amount: this.elements.creditAmount,
+      formaPago: this.elements.creditFormaPago,
+      calculateBtn: this.elements.calculateCreditBtn,
+      downloadXmlBtn: this.elements.downloadCreditXmlBtn,
+      downloadCsvBtn: this.elements.downloadCreditCsvBtn,
+      results: this.elements.creditResults,
+    }, {
+      getInvoice: () => this._getCurrentInvoice(),
+      getImport: () => this.auditPanel?.getLastImport() || null,
+      getOptions: () => this._getCurrentOptions(),
+    });
+    this.creditNotePanel.init();
   }
 
   /**
-   * Handles calculation from subtotal
+   * Sets up the quote panel
    * @private
    */
-  _handleCalculateFromSubtotal() {
-    try {
-      this._clearLog();
-      
-      const subtotalValue = parseFloat(this.elements.subtotal?.value || 0);
-      if (isNaN(subtotalValue) || subtotalValue <= 0) {
-        alert(i18n.t('invalidSubtotal'));
-        return;
-      }
+  _setupQuotePanel() {
+    this.quotePanel = new QuotePanel({
+      folio: this.elements.quoteFolio,
+      validDays: this.elements.quoteValidDays,
+      notes: this.elements.quoteNotes,
+      previewBtn: this.elements.previewQuoteBtn,
+      printBtn: this.elements.printQuoteBtn,
+      downloadPdfBtn: this.elements.downloadQuotePdfBtn,
+      preview: this.elements.quotePreview,
+    }, () => this._getCurrentInvoice());
+    this.quotePanel.init();
+  }
 
-      this._updateCalculatorRates();
-      const options = this._getCurrentOptions();
-      
-      this._logStep(i18n.t('calculationFromSubtotal'));
-      const result = this.calculator.calculateFromSubtotal(subtotalValue, options);
-      this._displayResult(result);
-      
-      this._logStep(JSON.stringify(result, null, 2));
-    } catch (error) {
-      console.error('Error in calculation from subtotal:', error);
-      alert(`Error: ${error.message}`);
-    }
+  /**
+   * Sets up the batch calculation panel
+   * @private
+   */
+  _setupBatchPanel() {
+    this.batchPanel = new BatchPanel({
+      dropZone: this.elements.batchDropZone,
+      fileInput: this.elements.batchFile,
+      progress: this.elements.batchProgress,
+      downloadCsvBtn: this.elements.downloadBatchCsvBtn,
+      downloadJsonBtn: this.elements.downloadBatchJsonBtn,
+      results: this.elements.batchResults,
+    }, () => ({
+      rates: this._getCurrentRates(),
+      state: this.calculator.getState(),
+      options: this._getCurrentOptions(),
+    }));
+    this.batchPanel.init();
   }
 
   /**
-   * Handles algebraic calculation from net amount
+   * Gets the current invoice, used by the payments and credit note panels
+   * @returns {Object|null} { result, rates, invoiceData } or null without a result
    * @private
    */
-  _handleAlgebraicFromNet() {
-    try {
-      this._clearLog();
-      
-      const netValue = parseFloat(this.elements.netAmount?.value || 0);
-      if (isNaN(netValue) || netValue <= 0) {
-        alert(i18n.t('invalidNetAmount'));
-        return;
-      }
+  _getCurrentInvoice() {
+    if (!this.currentResult) return null;
+    return {
+      result: this.currentResult,
+      rates: this._getCurrentRates(),
+      invoiceData: this._getInvoiceData(),
+    };
+  }
 
-      this._updateCalculatorRates();
-      const options = this._getCurrentOptions();
-      
-      this._logStep(i18n.t('algebraicFormula'));
-      const subtotal = this.calculator.calculateSubtotalFromNetAlgebraic(netValue);
-      this._logStep(`${i18n.t('approximateSubtotal')} ${formatCurrency(subtotal)}`);
-      
-      const result = this.calculator.calculateFromSubtotal(subtotal, options);
-      this._displayResult(result);
-      
-      this._logStep(JSON.stringify(result, null, 2));
-    } catch (error) {
-      console.error('Error in algebraic calculation:', error);
-      alert(`Error: ${error.message}`);
-    }
+  /**
+   * Saves a calculation to the history
+   * @param {Object} result - Calculation result
+   * @private
+   */
+  _saveToHistory(result) {
+    const saved = this.historyPanel?.record({
+      method: result.calculationMethod,
+      regime: this.elements.regime?.value || CUSTOM_REGIME,
+      rates: this._getCurrentRates(),
+      options: this._getCurrentOptions(),
+      inputs: {
+        netAmount: this.elements.netAmount?.value || '',
+        subtotal: this.elements.subtotal?.value || '',
+        invoiceDate: this.calculator.getDate(),
+        concepts: result.lines ? this.conceptsTable.getAllConcepts() : null,
+      },
+      result: result,
+    });
+    saved?.then(() => this.estimatorPanel?.refresh());
   }
 
   /**
-   * Handles Goal Seek from net amount
+   * Restores a history entry into the form and shows its result
+   * @param {Object} entry - History entry
    * @private
    */
-  _handleGoalSeekFromNet() {
-    try {
-      this._clearLog();
-      
-      const netValue = parseFloat(this.elements.netAmount?.value || 0);
-      if (isNaN(netValue) || netValue <= 0) {
-        alert(i18n.t('invalidNetAmount'));
-        return;
-      }
+  _handleOpenHistoryEntry(entry) {
+    const { inputs, options } = entry;
 
-      this._updateCalculatorRates();
-      const options = this._getCurrentOptions();
-      
-      this._logStep(i18n.t('startingGoalSeek'));
-      const result = this.calculator.goalSeekSubtotal(netValue, options);
-      this._displayResult(result);
-      
-      this._logStep(i18n.t('goalSeekResult'));
-      this._logStep(JSON.stringify(result, null, 2));
-    } catch (error) {
-      console.error('Error in Goal Seek:', error);
-      alert(`Error: ${error.message}`);
+    if (this.elements.netAmount) this.elements.netAmount.value = inputs.netAmount;
+    if (this.elements.subtotal) this.elements.subtotal.value = inputs.subtotal;
+
+    if (inputs.invoiceDate) {
+      if (this.elements.invoiceDate) this.elements.invoiceDate.value = inputs.invoiceDate;
+      this.calculator.setDate(inputs.invoiceDate);
+      this._renderRateTableInfo();
+    }
+
+    if (this.elements.borderZone) this.elements.borderZone.checked = Boolean(entry.result.borderZone);
+    this.calculator.setBorderZone(entry.result.borderZone);
+    this._validateBorderZone();
+
+    const vatTreatment = entry.result.vatTreatment || VAT_TREATMENTS.TAXED;
+    if (this.elements.vatTreatment) this.elements.vatTreatment.value = vatTreatment;
+    this.calculator.setVatTreatment(vatTreatment);
+    this._updateVatTreatmentState();
+
+    if (this.elements.regime) this.elements.regime.value = entry.regime;
+    this.calculator.setRegime(entry.regime === CUSTOM_REGIME ? null : entry.regime);
+    this._fillRateInputs(entry.rates);
+    this._updateCalculatorRates();
+
+    if (this.elements.useHighPrecision) this.elements.useHighPrecision.checked = options.highPrecision;
+    if (this.elements.roundPerLine) this.elements.roundPerLine.checked = options.roundPerLine;
+    if (this.elements.roundingMode) this.elements.roundingMode.value = options.roundingMode;
+    if (this.elements.rateRoundingMode) this.elements.rateRoundingMode.value = options.rateRoundingMode;
+    this._updateRoundingModeState();
+
+    if (this.elements.currency) this.elements.currency.value = options.currency || MONEDA_NACIONAL;
+    this._handleCurrencyChange();
+    if (this.elements.exchangeRate && isForeignCurrency(options.currency)) {
+      this.elements.exchangeRate.value = String(options.exchangeRate);
+    }
+
+    if (inputs.concepts) {
+      this.conceptsTable.setConcepts(inputs.concepts);
+    }
+
+    this._clearLog();
+    this._displayResult(entry.result);
+    if (entry.result.calculationMethod === 'exactSolve') {
+      this.exactSolve = entry.result;
+      this._renderExactSolutions();
+    }
+    if (entry.result.lines) {
+      this.conceptsTable.showLineResults(entry.result.lines, options.currency);
     }
   }
 
   /**
-   * Handles application reset
+   * Renders MetodoPago and FormaPago catalog options
    * @private
    */
-  _handleReset() {
-    this._setupDefaultValues();
-    this._clearResults();
-    this._clearLog();
+  _renderPaymentOptions() {
+    const { metodoPago, formaPago, formaPagoOptions } = this.elements;
+    if (!metodoPago || !formaPagoOptions) return;
+
+    metodoPago.innerHTML = '';
+    Object.entries(METODO_PAGO).forEach(([code, entry]) => {
+      metodoPago.appendChild(new Option(`${code} - ${entry.description}`, code));
+    });
+    metodoPago.value = CFDI_CONFIG.DEFAULTS.METODO_PAGO;
+
+    formaPagoOptions.innerHTML = '';
+    Object.entries(FORMA_PAGO).forEach(([code, entry]) => {
+      formaPagoOptions.appendChild(new Option(`${code} - ${entry.description}`, code));
+    });
+    formaPago.value = CFDI_CONFIG.DEFAULTS.FORMA_PAGO;
   }
 
   /**
-   * Handles JSON copy to clipboard
+   * Renders the c_Exportacion options
    * @private
    */
-  async _handleCopyJSON() {
-    if (!this.currentResult) {
-      alert(i18n.t('noResultsToCopy'));
-      return;
-    }
+  _renderExportacionOptions() {
+    const select = this.elements.exportacion;
+    if (!select) return;
 
-    try {
-      const rates = this._getCurrentRates();
-      const jsonData = ExportManager.exportToJSON(this.currentResult, rates);
-      const success = await ExportManager.copyToClipboard(jsonData);
-      
-      if (success) {
-        alert(i18n.t('jsonCopied'));
-      } else {
-        // Fallback: show prompt
-        prompt('Copy JSON manually:', jsonData);
-      }
-    } catch (error) {
-      console.error('Error copying JSON:', error);
-      alert(`${i18n.t('errorCopying')} ${error.message}`);
-    }
+    select.innerHTML = '';
+    Object.entries(EXPORTACION).forEach(([code, entry]) => {
+      select.appendChild(new Option(`${code} - ${entry.description}`, code));
+    });
+    select.value = CFDI_CONFIG.DEFAULTS.EXPORTACION;
   }
 
   /**
-   * Handles CSV download
+   * Validates MetodoPago against FormaPago and shows the result inline
+   * @returns {boolean} True when the combination is valid
    * @private
    */
-  _handleDownloadCSV() {
-    if (!this.currentResult) {
-      alert(i18n.t('noResultsToDownload'));
-      return;
+  _validatePayment() {
+    const { metodoPago, formaPago, paymentMessage } = this.elements;
+    if (!metodoPago || !formaPago) return true;
+
+    const validation = validatePaymentMethod(metodoPago.value, formaPago.value);
+    formaPago.classList.toggle('form-input--invalid', !validation.valid);
+    formaPago.setAttribute('aria-invalid', validation.valid ? 'false' : 'true');
+    if (paymentMessage) {
+      paymentMessage.classList.toggle('form-error', !validation.valid);
+      paymentMessage.textContent = validation.valid ? '' : i18n.t(validation.error);
+    }
+    return validation.valid;
+  }
+
+  /**
+   * Renders regime selector options in the current language
+   * @private
+   */
+  _renderRegimeOptions() {
+    const select = this.elements.regime;
+    if (!select) return;
+
+    const selected = select.value || DEFAULT_REGIME;
+    select.innerHTML = '';
+
+    Object.values(TAX_REGIMES).forEach(regime => {
+      select.appendChild(new Option(i18n.t(regime.labelKey), regime.id));
+    });
+    select.appendChild(new Option(i18n.t('regimeCustom'), CUSTOM_REGIME));
+
+    select.value = selected;
+  }
+
+  /**
+   * Renders IVA treatment options in the current language
+   * @private
+   */
+  _renderVatTreatmentOptions() {
+    const select = this.elements.vatTreatment;
+    if (!select) return;
+
+    const selected = select.value || VAT_TREATMENTS.TAXED;
+    select.innerHTML = '';
+
+    Object.values(VAT_TREATMENTS).forEach(treatment => {
+      select.appendChild(new Option(i18n.t(`vatTreatment_${treatment}`), treatment));
+    });
+
+    select.value = selected;
+  }
+
+  /**
+   * Fills rate inputs with the given rates
+   * @param {Object} rates - Rates to show
+   * @private
+   */
+  _fillRateInputs(rates) {
+    if (this.elements.vatRate) this.elements.vatRate.value = String(rates.vatRate);
+    if (this.elements.incomeTaxRate) this.elements.incomeTaxRate.value = String(rates.incomeTaxRate);
+    if (this.elements.vatRetentionFraction) this.elements.vatRetentionFraction.value = String(rates.vatRetentionFraction);
+  }
+
+  /**
+   * Handles regime selector changes
+   * @private
+   */
+  _handleRegimeChange() {
+    const regimeId = this.elements.regime?.value;
+
+    if (!regimeId || regimeId === CUSTOM_REGIME) {
+      this.calculator.setRegime(null);
+      return;
+    }
+
+    try {
+      this.calculator.setRegime(regimeId);
+    } catch (error) {
+      this._showError(error);
+      this.calculator.setRegime(null);
+      if (this.elements.regime) this.elements.regime.value = CUSTOM_REGIME;
+      return;
+    }
+
+    this._fillRateInputs(this.calculator.getRates());
+    this._clearResults();
+  }
+
+  /**
+   * Handles IVA treatment changes
+   * @private
+   */
+  _handleVatTreatmentChange() {
+    const vatTreatment = this.elements.vatTreatment?.value || VAT_TREATMENTS.TAXED;
+
+    this.calculator.setVatTreatment(vatTreatment);
+    this._fillRateInputs(this.calculator.getRates());
+    this._updateVatTreatmentState();
+    this._clearResults();
+  }
+
+  /**
+   * Locks the rate inputs and the border stimulus while the invoice is
+   * zero-rated or exempt, since every rate is 0
+   * @private
+   */
+  _updateVatTreatmentState() {
+    const taxed = this.calculator.getVatTreatment() === VAT_TREATMENTS.TAXED;
+    [this.elements.vatRate, this.elements.incomeTaxRate, this.elements.vatRetentionFraction, this.elements.borderZone].forEach(input => {
+      if (input) input.disabled = !taxed;
+    });
+  }
+
+  /**
+   * Handles invoice date changes
+   * Switches to the rate table in effect on the date and refills the regime rates
+   * @private
+   */
+  _handleInvoiceDateChange() {
+    const date = this.elements.invoiceDate?.value;
+    if (!date) return;
+
+    try {
+      this.calculator.setDate(date);
+    } catch (error) {
+      this._showError(error, { input: this.elements.invoiceDate });
+      if (this.elements.invoiceDate) this.elements.invoiceDate.value = this.calculator.getDate();
+      return;
+    }
+
+    this._renderRateTableInfo();
+    if (this.calculator.getRegime()) {
+      this._fillRateInputs(this.calculator.getRates());
+    }
+    this._validateBorderZone();
+    this._clearResults();
+  }
+
+  /**
+   * Handles the border-region stimulus checkbox
+   * @private
+   */
+  _handleBorderZoneChange() {
+    // Rates typed in are read first, so a custom IVA rate survives the switch
+    this._updateCalculatorRates();
+    this.calculator.setBorderZone(this.elements.borderZone?.checked);
+    this._fillRateInputs(this.calculator.getRates());
+    this._validateBorderZone();
+    this._clearResults();
+  }
+
+  /**
+   * Checks the issuer postal code against the border stimulus zone in effect on the invoice date
+   * The stimulus is not blocked; a code outside the zone only shows a warning
+   * @returns {boolean} True when the stimulus is off or the postal code is in the zone
+   * @private
+   */
+  _validateBorderZone() {
+    const message = this.elements.borderZoneMessage;
+    if (!message) return true;
+
+    if (!this.elements.borderZone?.checked) {
+      message.textContent = '';
+      message.classList.remove('form-warning');
+      return true;
+    }
+
+    const postalCode = this.partyForms.emisor?.getData().codigoPostal || '';
+    const validation = validateBorderZonePostalCode(postalCode, this.calculator.getDate());
+
+    message.classList.toggle('form-warning', !validation.valid);
+    if (validation.valid) {
+      message.textContent = `${i18n.t('borderZoneInside')} ${validation.zone.municipality}, ${validation.zone.state}`;
+    } else {
+      message.textContent = i18n.t(postalCode ? validation.error : 'borderZoneNoPostalCode', { date: validation.effectiveFrom });
+    }
+    return validation.valid;
+  }
+
+  /**
+   * Shows the rate table version in effect on the invoice date
+   * @private
+   */
+  _renderRateTableInfo() {
+    if (!this.elements.rateTableInfo) return;
+
+    const table = this.calculator.getRateTable();
+    const period = table.effectiveTo
+      ? `${table.effectiveFrom} – ${table.effectiveTo}`
+      : `${i18n.t('rateTableSince')} ${table.effectiveFrom}`;
+    this.elements.rateTableInfo.textContent = `${i18n.t('rateTableLabel')} ${table.version} (${period})`;
+  }
+
+  /**
+   * Switches the selector to custom rates when the inputs no longer match the regime
+   * @param {Object} rates - Rates currently in the inputs
+   * @private
+   */
+  _syncRegimeSelection(rates) {
+    const regime = this.calculator.getRegime();
+    if (!regime) return;
+
+    const regimeRates = TaxCalculator.getRegimeRates(regime.id, this.calculator.getRateTable().rates, {
+      borderZone: this.calculator.isBorderZone(),
+      vatTreatment: this.calculator.getVatTreatment(),
+    });
+    const matches = Object.keys(regimeRates).every(key => regimeRates[key] === rates[key]);
+
+    if (!matches) {
+      this.calculator.setRegime(null);
+      if (this.elements.regime) this.elements.regime.value = CUSTOM_REGIME;
+    }
+  }
+
+  /**
+   * Clears displayed results
+   * @private
+   */
+  _clearResults() {
+    const resultElements = [
+      this.elements.outSubtotal,
+      this.elements.outVAT,
+      this.elements.outIncomeTax,
+      this.elements.outVATRetention,
+      this.elements.outNetAmount,
+    ];
+
+    resultElements.forEach(element => {
+      if (element) element.textContent = '-';
+    });
+
+    if (this.elements.outDiscount) this.elements.outDiscount.textContent = '-';
+    if (this.elements.discountResultItem) this.elements.discountResultItem.hidden = true;
+    this._displayMXNEquivalents(null);
+    this._displayResultMethods(null);
+    this.conceptsTable?.clearLineResults();
+
+    this.currentResult = null;
+    this.exactSolve = null;
+    this._renderExactSolutions();
+    this.paymentsPanel?.refresh();
+    this.quotePanel?.refresh();
+  }
+
+  /**
+   * Displays a result in the interface
+   * @param {Object} result - Calculation result
+   * @private
+   */
+  _displayResult(result) {
+    this.currentResult = result;
+    this.conceptsTable?.clearLineResults();
+    if (result.calculationMethod !== 'exactSolve' && this.exactSolve) {
+      this.exactSolve = null;
+      this._renderExactSolutions();
+    }
+
+    const currency = result.options?.currency;
+    if (this.elements.outSubtotal) {
+      this.elements.outSubtotal.textContent = formatMoney(result.subtotal, currency);
+    }
+    if (this.elements.outDiscount) {
+      this.elements.outDiscount.textContent = formatMoney(result.discount || 0, currency);
+    }
+    if (this.elements.discountResultItem) {
+      this.elements.discountResultItem.hidden = !result.discount;
+    }
+    if (this.elements.outVAT) {
+      this.elements.outVAT.textContent = formatMoney(result.vat, currency);
+    }
+    if (this.elements.outIncomeTax) {
+      this.elements.outIncomeTax.textContent = formatMoney(result.incomeTaxWithheld, currency);
+    }
+    if (this.elements.outVATRetention) {
+      this.elements.outVATRetention.textContent = formatMoney(result.vatRetention, currency);
+    }
+    if (this.elements.outNetAmount) {
+      this.elements.outNetAmount.textContent = formatMoney(result.netAmount, currency);
+    }
+    this._displayMXNEquivalents(result);
+    this._displayResultMethods(result);
+    this._updateShareLink(result);
+    this.paymentsPanel?.refresh();
+    this.quotePanel?.refresh();
+
+    // Add animation class
+    const resultContainer = document.querySelector('.results');
+    if (resultContainer) {
+      resultContainer.classList.add('fade-in');
+      setTimeout(() => resultContainer.classList.remove('fade-in'), 300);
+    }
+  }
+
+  /**
+   * Shows the MXN equivalent under each amount of a foreign-currency result
+   * @param {Object|null} result - Calculation result, or null to hide them
+   * @private
+   */
+  _displayMXNEquivalents(result) {
+    const foreign = Boolean(result) && isForeignCurrency(result.options?.currency);
+    const equivalents = foreign ? getMXNEquivalents(result) : {};
+
+    Object.entries(this.elements.mxnEquivalents || {}).forEach(([field, element]) => {
+      if (!element) return;
+      element.hidden = !foreign;
+      element.textContent = foreign ? formatMoney(equivalents[field], MONEDA_NACIONAL) : '';
+    });
+  }
+
+  /**
+   * Shows under each amount the method that produced it
+   * A subtotal calculated from itself is shown as entered
+   * @param {Object|null} result - Calculation result, or null to hide them
+   * @private
+   */
+  _displayResultMethods(result) {
+    Object.entries(this.elements.resultMethods || {}).forEach(([field, element]) => {
+      if (!element) return;
+      element.hidden = !result;
+      if (!result) {
+        element.textContent = '';
+        return;
+      }
+
+      const method = field === 'subtotal' && result.calculationMethod === 'fromSubtotal'
+        ? 'entered'
+        : result.calculationMethod;
+      element.textContent = `${i18n.t('resultMethodLabel')} ${i18n.t(`method_${method}`)}`;
+    });
+  }
+
+  /**
+   * Logs a step if enabled
+   * @param {string} message - Message to log
+   * @private
+   */
+  _logStep(message) {
+    if (this.elements.showSteps?.checked && this.elements.log) {
+      this.elements.log.textContent += message + '\n';
+    }
+  }
+
+  /**
+   * Handles calculation from subtotal
+   * @param {Object} [options] - Handler options
+   * @param {boolean} [options.record=true] - Save the result to the history
+   * @private
+   */
+  _handleCalculateFromSubtotal({ record = true } = {}) {
+    try {
+      this._clearLog();
+      
+      const subtotalValue = parseFloat(this.elements.subtotal?.value || 0);
+      if (isNaN(subtotalValue) || subtotalValue <= 0) {
+        this._showError(new ValidationError(ERROR_MESSAGES.INVALID_SUBTOTAL, { field: 'subtotal' }));
+        return;
+      }
+
+      this._updateCalculatorRates();
+      if (!this._validateCurrency()) return;
+      const options = this._getCurrentOptions();
+      
+      this._logStep(i18n.t('calculationFromSubtotal'));
+      const result = this.calculator.calculateFromSubtotal(subtotalValue, options);
+      this._displayResult(result);
+      if (record) this._saveToHistory(result);
+      
+      this._logStep(JSON.stringify(result, null, 2));
+    } catch (error) {
+      console.error('Error in calculation from subtotal:', error);
+      this._showError(error);
+    }
+  }
+
+  /**
+   * Handles calculation from concepts
+   * @private
+   */
+  _handleCalculateFromConcepts() {
+    try {
+      this._clearLog();
+      
+      const concepts = this.conceptsTable.getConcepts();
+      if (concepts.length === 0) {
+        this._showError(new ValidationError(ERROR_MESSAGES.NO_CONCEPTS, { field: 'concepts' }));
+        return;
+      }
+
+      this._updateCalculatorRates();
+      if (!this._validateCurrency()) return;
+      const options = this._getCurrentOptions();
+      
+      this._logStep(i18n.t('calculationFromConcepts'));
+      const result = this.calculator.calculateFromConcepts(concepts, options);
+      this._displayResult(result);
+      this.conceptsTable.showLineResults(result.lines, options.currency);
+      this._saveToHistory(result);
+      
+      this._logStep(JSON.stringify(result, null, 2));
+    } catch (error) {
+      console.error('Error in calculation from concepts:', error);
+      this._showError(error);
+    }
+  }
+
+  /**
+   * Handles Goal Seek across concepts from net amount
+   * @private
+   */
+  async _handleGoalSeekConcepts() {
+    try {
+      this._clearLog();
+      
+      const netValue = parseFloat(this.elements.netAmount?.value || 0);
+      if (isNaN(netValue) || netValue <= 0) {
+        this._showError(new ValidationError(ERROR_MESSAGES.INVALID_NET_AMOUNT, { field: 'netAmount' }));
+        return;
+      }
+
+      const concepts = this.conceptsTable.getAllConcepts();
+      const distribution = {
+        strategy: this.elements.distributionStrategy?.value || DISTRIBUTION_STRATEGIES.PROPORTIONAL,
+        lineIndex: parseInt(this.elements.adjustLine?.value || 1, 10) - 1,
+      };
+
+      this._updateCalculatorRates();
+      if (!this._validateCurrency()) return;
+      const options = this._getCurrentOptions();
+      
+      this._logStep(i18n.t('startingGoalSeekConcepts'));
+      const result = await this._runEngine('goalSeekConcepts', [netValue, concepts, distribution, options]);
+      
+      this.conceptsTable.setConcepts(concepts.map((concept, index) => ({
+        ...concept,
+        unitPrice: result.lines[index].unitPrice,
+      })));
+      this._displayResult(result);
+      this.conceptsTable.showLineResults(result.lines, options.currency);
+      this._saveToHistory(result);
+      
+      if (!result.exact) {
+        this._logStep(i18n.t('goalSeekNotExact'));
+      }
+      this._logStep(i18n.t('goalSeekResult'));
+      this._logStep(JSON.stringify(result, null, 2));
+    } catch (error) {
+      if (error.cancelled) {
+        this._logStep(error.message);
+        return;
+      }
+      console.error('Error in Goal Seek across concepts:', error);
+      this._showError(error, { allConceptRows: true });
+    }
+  }
+
+  /**
+   * Handles algebraic calculation from net amount
+   * @param {Object} [options] - Handler options
+   * @param {boolean} [options.record=true] - Save the result to the history
+   * @private
+   */
+  _handleAlgebraicFromNet({ record = true } = {}) {
+    try {
+      this._clearLog();
+      
+      const netValue = parseFloat(this.elements.netAmount?.value || 0);
+      if (isNaN(netValue) || netValue <= 0) {
+        this._showError(new ValidationError(ERROR_MESSAGES.INVALID_NET_AMOUNT, { field: 'netAmount' }));
+        return;
+      }
+
+      this._updateCalculatorRates();
+      if (!this._validateCurrency()) return;
+      const options = this._getCurrentOptions();
+      
+      this._logStep(i18n.t('algebraicFormula'));
+      const subtotal = this.calculator.calculateSubtotalFromNetAlgebraic(netValue);
+      this._logStep(`${i18n.t('approximateSubtotal')} ${formatMoney(subtotal, options.currency)}`);
+      
+      const result = { ...this.calculator.calculateFromSubtotal(subtotal, options), calculationMethod: 'algebraic' };
+      this._displayResult(result);
+      if (record) this._saveToHistory(result);
+      
+      this._logStep(JSON.stringify(result, null, 2));
+    } catch (error) {
+      console.error('Error in algebraic calculation:', error);
+      this._showError(error);
+    }
+  }
+
+  /**
+   * Handles Goal Seek from net amount
+   * @param {Object} [options] - Handler options
+   * @param {boolean} [options.record=true] - Save the result to the history
+   * @private
+   */
+  async _handleGoalSeekFromNet({ record = true } = {}) {
+    try {
+      this._clearLog();
+      
+      const netValue = parseFloat(this.elements.netAmount?.value || 0);
+      if (isNaN(netValue) || netValue <= 0) {
+        this._showError(new ValidationError(ERROR_MESSAGES.INVALID_NET_AMOUNT, { field: 'netAmount' }));
+        return;
+      }
+
+      this._updateCalculatorRates();
+      if (!this._validateCurrency()) return;
+      const options = this._getCurrentOptions();
+      
+      this._logStep(i18n.t('startingGoalSeek'));
+      const result = await this._runEngine('goalSeekSubtotal', [netValue, options]);
+      this._displayResult(result);
+      if (record) this._saveToHistory(result);
+      
+      this._logStep(i18n.t('goalSeekResult'));
+      this._logStep(JSON.stringify(result, null, 2));
+    } catch (error) {
+      if (error.cancelled) {
+        this._logStep(error.message);
+        return;
+      }
+      console.error('Error in Goal Seek:', error);
+      this._showError(error);
+    }
+  }
+
+  /**
+   * Handles the exact solver from net amount
+   * Shows the lowest exact subtotal and lists the alternatives, or the
+   * closest reachable net amounts when the target cannot be reached
+   * @param {Object} [options] - Handler options
+   * @param {boolean} [options.record=true] - Save the result to the history
+   * @private
+   */
+  _handleExactFromNet({ record = true } = {}) {
+    try {
+      this._clearLog();
+      
+      const netValue = parseFloat(this.elements.netAmount?.value || 0);
+      if (isNaN(netValue) || netValue <= 0) {
+        this._showError(new ValidationError(ERROR_MESSAGES.INVALID_NET_AMOUNT, { field: 'netAmount' }));
+        return;
+      }
+
+      this._updateCalculatorRates();
+      if (!this._validateCurrency()) return;
+      const options = this._getCurrentOptions();
+      
+      this._logStep(i18n.t('startingExactSolve'));
+      const result = this.calculator.solveSubtotalExact(netValue, options);
+      this._displayResult(result);
+      if (record) this._saveToHistory(result);
+      this.exactSolve = result;
+      this._renderExactSolutions();
+      
+      this._logStep(JSON.stringify(result, null, 2));
+    } catch (error) {
+      console.error('Error in exact solver:', error);
+      this._showError(error);
+    }
+  }
+
+  /**
+   * Renders the subtotals found by the exact solver
+   * Each one can be picked to show its breakdown
+   * @private
+   */
+  _renderExactSolutions() {
+    const container = this.elements.exactSolutions;
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.hidden = !this.exactSolve;
+    if (!this.exactSolve) return;
+
+    const { exact, solutions, nearest, options } = this.exactSolve;
+    const currency = options?.currency;
+
+    const addChoices = (label, netAmount, subtotals) => {
+      const row = document.createElement('p');
+      row.className = 'exact-solutions__row';
+      if (label) {
+        row.appendChild(document.createTextNode(`${label} ${i18n.t('exactNetLabel')} ${formatMoney(netAmount, currency)} `));
+      }
+      subtotals.forEach(subtotal => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn--ghost exact-solutions__choice';
+        button.textContent = formatMoney(subtotal, currency);
+        button.setAttribute('aria-pressed', String(subtotal === this.currentResult?.subtotal));
+        button.addEventListener('click', () => this._handlePickSubtotal(subtotal));
+        row.appendChild(button);
+      });
+      container.appendChild(row);
+    };
+
+    const status = document.createElement('p');
+    status.className = 'form-help';
+    status.textContent = i18n.t(exact ? 'exactSolutionsFound' : 'exactSolutionsNone');
+    container.appendChild(status);
+
+    if (exact) {
+      addChoices(null, null, solutions);
+      return;
+    }
+    if (nearest.below) addChoices(i18n.t('exactNearestBelow'), nearest.below.netAmount, nearest.below.subtotals);
+    if (nearest.above) addChoices(i18n.t('exactNearestAbove'), nearest.above.netAmount, nearest.above.subtotals);
+  }
+
+  /**
+   * Shows the breakdown of a subtotal picked from the exact solver
+   * @param {number} subtotal - Picked subtotal
+   * @private
+   */
+  _handlePickSubtotal(subtotal) {
+    try {
+      const result = this.calculator.calculateFromSubtotal(subtotal, this.exactSolve.options);
+      if (this.elements.subtotal) this.elements.subtotal.value = subtotal;
+      this._displayResult({ ...this.exactSolve, ...result, calculationMethod: 'exactSolve' });
+      this._renderExactSolutions();
+    } catch (error) {
+      console.error('Error picking subtotal:', error);
+      this._showError(error);
+    }
+  }
+
+  /**
+   * Handles typing in the net amount or subtotal
+   * @param {string} direction - 'net' or 'subtotal', the field that was edited
+   * @private
+   */
+  _handleMainInput(direction) {
+    this.liveDirection = direction;
+    if (this._isLive()) {
+      this._scheduleLiveCalculation();
+    } else {
+      this._clearResults();
+    }
+  }
+
+  /**
+   * Handles the live mode checkbox
+   * Turning it on recalculates right away
+   * @private
+   */
+  _handleLiveModeChange() {
+    clearTimeout(this.liveTimer);
+    if (this._isLive()) {
+      this._runLiveCalculation();
+    }
+  }
+
+  /**
+   * Checks whether live recalculation is on
+   * @returns {boolean} True when results follow the inputs
+   * @private
+   */
+  _isLive() {
+    return Boolean(this.elements.liveMode?.checked);
+  }
+
+  /**
+   * Recalculates once typing pauses
+   * @private
+   */
+  _scheduleLiveCalculation() {
+    if (!this._isLive()) return;
+    clearTimeout(this.liveTimer);
+    this.liveTimer = setTimeout(() => this._runLiveCalculation(), LIVE_CONFIG.DEBOUNCE_MS);
+  }
+
+  /**
+   * Recalculates from the field edited last and fills in the other one
+   * The net amount runs Goal Seek in the tax engine; a newer edit cancels
+   * the running search. Empty or partial amounts clear the results without
+   * an error, and live results are not saved to the history
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runLiveCalculation() {
+    this.engine.cancel();
+    notifier.dismiss(this.liveErrorId);
+    this.liveErrorId = null;
+
+    const fromSubtotal = this.liveDirection === 'subtotal';
+    const source = fromSubtotal ? this.elements.subtotal : this.elements.netAmount;
+    const target = fromSubtotal ? this.elements.netAmount : this.elements.subtotal;
+    const value = parseFloat(source?.value);
+    if (isNaN(value) || value <= 0) {
+      this._clearResults();
+      return;
+    }
+
+    try {
+      this._updateCalculatorRates();
+      const options = this._getCurrentOptions();
+
+      // Reported without focusing the exchange rate, typing goes on where it was
+      const currency = validateExchangeRate(options.currency, this.elements.exchangeRate?.value);
+      if (!currency.valid) {
+        throw new ValidationError(currency.error, { field: 'exchangeRate' });
+      }
+
+      const result = fromSubtotal
+        ? this.calculator.calculateFromSubtotal(value, options)
+        : await this._runEngine('goalSeekSubtotal', [value, options]);
+
+      if (target) {
+        target.value = (fromSubtotal ? result.netAmount : result.subtotal).toFixed(getCurrencyDecimals(options.currency));
+      }
+      this._displayResult(result);
+    } catch (error) {
+      if (error.cancelled) return;
+      console.error('Error in live calculation:', error);
+      this.liveErrorId = notifier.error(error);
+    }
+  }
+
+  /**
+   * Shows a calculation error next to the input it refers to
+   * @param {Error} error - Error to show; CalculatorErrors carry the field
+   * @param {Object} [options] - Display options
+   * @param {HTMLElement} [options.input] - Input to mark instead of the error's field
+   * @param {boolean} [options.allConceptRows] - Concept indexes count rows without
+   *   unit price (Goal Seek across concepts reads every row)
+   * @private
+   */
+  _showError(error, { input = null, allConceptRows = false } = {}) {
+    notifier.error(error, { input: input || this._getFieldInput(error.field, allConceptRows) });
+  }
+
+  /**
+   * Gets the input of an error field reference
+   * @param {string|null} field - Field reference (e.g. 'netAmount', 'concepts[0].quantity')
+   * @param {boolean} allConceptRows - See _showError
+   * @returns {HTMLElement|null} Input element
+   * @private
+   */
+  _getFieldInput(field, allConceptRows) {
+    if (!field) return null;
+
+    const concept = /^concepts\[(\d+)\]\.(\w+)$/.exec(field);
+    const element = concept
+      ? this.conceptsTable?.getInput(Number(concept[1]), concept[2], allConceptRows)
+      : this.elements[field];
+    return element?.matches?.('input, select, textarea') ? element : null;
+  }
+
+  /**
+   * Runs a Goal Seek method in the tax engine with the current calculator state
+   * The calculation buttons stay disabled until it finishes or is cancelled
+   * @param {string} method - Engine method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} Calculation result
+   * @private
+   */
+  async _runEngine(method, args) {
+    this._setBusy(true);
+    try {
+      return await this.engine.run(method, args, {
+        state: this.calculator.getState(),
+        onProgress: (progress) => this._showProgress(progress),
+      });
+    } finally {
+      this._setBusy(false);
+    }
+  }
+
+  /**
+   * Shows or hides the busy state of the calculator
+   * @param {boolean} busy - Whether a calculation is running
+   * @private
+   */
+  _setBusy(busy) {
+    [
+      this.elements.calcFromSubtotalBtn,
+      this.elements.algebraicFromNetBtn,
+      this.elements.goalSeekFromNetBtn,
+      this.elements.exactFromNetBtn,
+      this.elements.calcFromConceptsBtn,
+      this.elements.goalSeekConceptsBtn,
+    ].forEach(button => {
+      if (button) button.disabled = busy;
+    });
+
+    if (this.elements.calculationStatus) {
+      this.elements.calculationStatus.hidden = !busy;
+    }
+    if (busy && this.elements.calculationStatusText) {
+      this.elements.calculationStatusText.textContent = i18n.t('busyCalculating');
+    }
+  }
+
+  /**
+   * Shows the progress of the running calculation
+   * @param {Object} progress - Engine progress ({ phase, step, total })
+   * @private
+   */
+  _showProgress(progress) {
+    if (!this.elements.calculationStatusText) return;
+    this.elements.calculationStatusText.textContent =
+      `${i18n.t('busyCalculating')} ${i18n.t(`progress_${progress.phase}`)} ${progress.step}/${progress.total}`;
+  }
+
+  /**
+   * Handles cancellation of the running calculation
+   * @private
+   */
+  _handleCancelCalculation() {
+    this.engine.cancel();
+  }
+
+  /**
+   * Handles application reset
+   * @private
+   */
+  _handleReset() {
+    clearTimeout(this.liveTimer);
+    this._updateShareLink(null);
+    this.engine.cancel();
+    notifier.clear();
+    this._setupDefaultValues();
+    this._clearResults();
+    this._clearLog();
+    this.conceptsTable?.reset();
+  }
+
+  /**
+   * Handles JSON copy to clipboard
+   * @private
+   */
+  async _handleCopyJSON() {
+    if (!this.currentResult) {
+      notifier.info('noResultsToCopy');
+      return;
+    }
+
+    try {
+      const rates = this._getCurrentRates();
+      const jsonData = ExportManager.exportToJSON(this.currentResult, rates);
+      const success = await ExportManager.copyToClipboard(jsonData);
+      
+      if (success) {
+        notifier.success('jsonCopied');
+      } else {
+        // Fallback: show prompt
+        prompt('Copy JSON manually:', jsonData);
+      }
+    } catch (error) {
+      console.error('Error copying JSON:', error);
+      notifier.error(error, { prefix: 'errorCopying' });
+    }
+  }
+
+  /**
+   * Handles copying a link that reopens the current calculation
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleCopyLink() {
+    if (!this.currentResult) {
+      notifier.info('noResultsToCopy');
+      return;
+    }
+    if (!this._isShareable(this.currentResult)) {
+      notifier.info('linkNotShareable');
+      return;
+    }
+
+    try {
+      const link = this._getShareLink(this.currentResult);
+      const success = await ExportManager.copyToClipboard(link);
+
+      if (success) {
+        notifier.success('linkCopied');
+      } else {
+        // Fallback: show prompt
+        prompt('Copy link manually:', link);
+      }
+    } catch (error) {
+      console.error('Error copying link:', error);
+      notifier.error(error, { prefix: 'errorCopying' });
+    }
+  }
+
+  /**
+   * Checks whether a result can be reopened from a link
+   * Concepts are not part of the link, so only the amount-based methods are
+   * @param {Object|null} result - Calculation result
+   * @returns {boolean} True when the link reproduces the result
+   * @private
+   */
+  _isShareable(result) {
+    return Boolean(result) && SHARE_METHODS.includes(result.calculationMethod);
+  }
+
+  /**
+   * Gets the form state of a result as link parameters
+   * @param {Object} result - Calculation result
+   * @returns {string} Encoded state (see encodeShareState)
+   * @private
+   */
+  _getShareState(result) {
+    const options = this._getCurrentOptions();
+    if (!isForeignCurrency(options.currency)) {
+      delete options.exchangeRate;
+    }
+
+    return encodeShareState({
+      method: this._isShareable(result) ? result.calculationMethod : undefined,
+      regime: this.elements.regime?.value,
+      vatTreatment: this.calculator.getVatTreatment(),
+      borderZone: this.calculator.isBorderZone(),
+      inputs: {
+        netAmount: this.elements.netAmount?.value,
+        subtotal: this.elements.subtotal?.value,
+        invoiceDate: this.calculator.getDate(),
+      },
+      rates: this._getCurrentRates(),
+      options,
+    });
+  }
+
+  /**
+   * Gets the full link that reopens a result
+   * @param {Object} result - Calculation result
+   * @returns {string} URL
+   * @private
+   */
+  _getShareLink(result) {
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}#${this._getShareState(result)}`;
+  }
+
+  /**
+   * Keeps the address bar on the shown result, so a reload reopens it
+   * Concept calculations are not in the link: they clear it and disable copying it
+   * @param {Object|null} result - Shown result, or null to clear the link
+   * @private
+   */
+  _updateShareLink(result) {
+    const shareable = this._isShareable(result);
+    if (this.elements.copyLinkBtn) {
+      this.elements.copyLinkBtn.disabled = Boolean(result) && !shareable;
+    }
+    if (!window.history?.replaceState) return;
+
+    const { pathname } = window.location;
+    window.history.replaceState(null, '', shareable ? `${pathname}#${this._getShareState(result)}` : pathname);
+  }
+
+  /**
+   * Restores the form from the link the page was opened with and runs its method
+   * The state is read from the hash, or from the query string for links
+   * built by hand; without a method the amount that was filled in decides it.
+   * The result is shown without saving it to the history again
+   * @private
+   */
+  _restoreFromLink() {
+    const state = decodeShareState(window.location.hash || window.location.search);
+    if (!state) return;
+
+    this._applyShareState(state);
+
+    const { netAmount, subtotal } = state.inputs;
+    const method = state.method || (parseFloat(subtotal) > 0 && !(parseFloat(netAmount) > 0) ? 'fromSubtotal' : 'goalSeek');
+    const handlers = {
+      fromSubtotal: () => this._handleCalculateFromSubtotal({ record: false }),
+      algebraic: () => this._handleAlgebraicFromNet({ record: false }),
+      goalSeek: () => this._handleGoalSeekFromNet({ record: false }),
+      exactSolve: () => this._handleExactFromNet({ record: false }),
+    };
+    handlers[method]();
+  }
+
+  /**
+   * Fills the form with a decoded link state
+   * Fields missing from the link keep their current value
+   * @param {Object} state - Decoded state (see decodeShareState)
+   * @private
+   */
+  _applyShareState(state) {
+    const { inputs, rates = {}, options = {} } = state;
+
+    if (inputs.netAmount !== undefined && this.elements.netAmount) this.elements.netAmount.value = inputs.netAmount;
+    if (inputs.subtotal !== undefined && this.elements.subtotal) this.elements.subtotal.value = inputs.subtotal;
+
+    if (inputs.invoiceDate) {
+      try {
+        this.calculator.setDate(inputs.invoiceDate);
+        if (this.elements.invoiceDate) this.elements.invoiceDate.value = inputs.invoiceDate;
+        this._renderRateTableInfo();
+      } catch (error) {
+        this._showError(error, { input: this.elements.invoiceDate });
+      }
+    }
+
+    if (state.borderZone !== undefined) {
+      if (this.elements.borderZone) this.elements.borderZone.checked = state.borderZone;
+      this.calculator.setBorderZone(state.borderZone);
+      this._validateBorderZone();
+    }
+
+    if (state.vatTreatment) {
+      if (this.elements.vatTreatment) this.elements.vatTreatment.value = state.vatTreatment;
+      this.calculator.setVatTreatment(state.vatTreatment);
+      this._updateVatTreatmentState();
+    }
+
+    if (state.regime) {
+      if (this.elements.regime) this.elements.regime.value = state.regime;
+      this._handleRegimeChange();
+    }
+    this._fillRateInputs({ ...this._getCurrentRates(), ...rates });
+    this._updateCalculatorRates();
+
+    if (options.highPrecision !== undefined && this.elements.useHighPrecision) this.elements.useHighPrecision.checked = options.highPrecision;
+    if (options.roundPerLine !== undefined && this.elements.roundPerLine) this.elements.roundPerLine.checked = options.roundPerLine;
+    if (options.roundingMode && this.elements.roundingMode) this.elements.roundingMode.value = options.roundingMode;
+    if (options.rateRoundingMode && this.elements.rateRoundingMode) this.elements.rateRoundingMode.value = options.rateRoundingMode;
+    this._updateRoundingModeState();
+
+    if (options.currency) {
+      if (this.elements.currency) this.elements.currency.value = options.currency;
+      this._handleCurrencyChange();
+    }
+    if (this.elements.exchangeRate && options.exchangeRate && isForeignCurrency(this.elements.currency?.value)) {
+      this.elements.exchangeRate.value = String(options.exchangeRate);
+    }
+  }
+
+  /**
+   * Handles CSV download
+   * @private
+   */
+  _handleDownloadCSV() {
+    if (!this.currentResult) {
+      notifier.info('noResultsToDownload');
+      return;
     }
 
     try {
@@ -379,8 +1863,79 @@ export class CalculatorController {
       ExportManager.downloadFile(csvData, EXPORT_CONFIG.CSV_FILENAME, 'text/csv');
     } catch (error) {
       console.error('Error downloading CSV:', error);
-      alert(`${i18n.t('errorDownloading')} ${error.message}`);
+      notifier.error(error, { prefix: 'errorDownloading' });
+    }
+  }
+
+  /**
+   * Handles unsigned CFDI XML download
+   * @private
+   */
+  _handleDownloadXML() {
+    if (!this.currentResult) {
+      notifier.info('noResultsToDownload');
+      return;
+    }
+
+    // Captured party data must be valid; an empty receptor is the general public
+    const invalidForms = Object.values(this.partyForms)
+      .filter(form => !form.isEmpty() && !form.validate().valid);
+    const validPayment = this._validatePayment();
+    if (invalidForms.length > 0 || !validPayment) {
+      notifier.error(new ValidationError(ERROR_MESSAGES.INVALID_PARTY_DATA));
+      return;
+    }
+
+    try {
+      const rates = this._getCurrentRates();
+      const xmlData = ExportManager.exportToCFDIXml(this.currentResult, rates, this._getInvoiceData());
+      ExportManager.downloadFile(xmlData, EXPORT_CONFIG.XML_FILENAME, 'application/xml');
+    } catch (error) {
+      console.error('Error downloading XML:', error);
+      notifier.error(error, { prefix: 'errorDownloading' });
+    }
+  }
+
+  /**
+   * Gets emisor, receptor and comprobante data for the CFDI
+   * @returns {Object} Invoice data
+   * @private
+   */
+  _getInvoiceData() {
+    const invoiceData = {};
+    const { emisor, receptor } = this.partyForms;
+
+    if (this.elements.metodoPago && this.elements.formaPago) {
+      invoiceData.metodoPago = this.elements.metodoPago.value;
+      invoiceData.formaPago = this.elements.formaPago.value.trim();
+    }
+
+    if (this.elements.exportacion) {
+      invoiceData.exportacion = this.elements.exportacion.value;
+    }
+
+    if (emisor && !emisor.isEmpty()) {
+      const data = emisor.getData();
+      invoiceData.emisor = {
+        rfc: data.rfc,
+        nombre: data.nombre,
+        regimenFiscal: data.regimenFiscal,
+      };
+      invoiceData.lugarExpedicion = data.codigoPostal;
+    }
+
+    if (receptor && !receptor.isEmpty()) {
+      const data = receptor.getData();
+      invoiceData.receptor = {
+        rfc: data.rfc,
+        nombre: data.nombre,
+        regimenFiscal: data.regimenFiscal,
+        domicilioFiscal: data.codigoPostal,
+        usoCFDI: data.usoCFDI,
+      };
     }
+
+    return invoiceData;
   }
 
   /**
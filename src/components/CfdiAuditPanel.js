@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Panel for importing and auditing CFDI XML files
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { CFDIImporter } from '../utils/cfdiImporter.js';
+import { formatMoney } from '../utils/currencyUtils.js';
+import { i18n } from '../utils/i18n.js';
+
+/**
+ * CFDI audit panel
+ * Reads an XML from a drop zone or file picker, audits it with
+ * CFDIImporter and renders the comparison table
+ */
+export class CfdiAuditPanel {
+  /**
+   * Audit panel constructor
+   * @param {Object} elements - Panel elements
+   * @param {HTMLElement} elements.dropZone - Drop target
+   * @param {HTMLInputElement} elements.fileInput - File picker
+   * @param {HTMLElement} elements.results - Results container
+   * @param {Function} getCalculationOptions - Returns TaxCalculator options
+   */
+  constructor(elements, getCalculationOptions) {
+    this.elements = elements;
+    this.getCalculationOptions = getCalculationOptions;
+    this.lastAudit = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Sets up drag and drop and file picker listeners
+   */
+  init() {
+    const { dropZone, fileInput } = this.elements;
+    if (!dropZone || !fileInput) return;
+
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        this.loadFile(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+
+    dropZone.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      dropZone.classList.add('drop-zone--active');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('drop-zone--active');
+    });
+
+    dropZone.addEventListener('drop', (event) => {
+      event.preventDefault();
+      dropZone.classList.remove('drop-zone--active');
+      const file = event.dataTransfer?.files[0];
+      if (file) {
+        this.loadFile(file);
+      }
+    });
+
+    i18n.addLanguageChangeListener(() => {
+      this._render();
+    });
+  }
+
+  /**
+   * Reads and audits an XML file
+   * @param {File} file - XML file
+   */
+  async loadFile(file) {
+    try {
+      const xmlText = await file.text();
+      this.audit(xmlText);
+    } catch (error) {
+      this.lastAudit = null;
+      this.lastError = error.message;
+      this._render();
+    }
+  }
+
+  /**
+   * Audits XML content and renders the result
+   * @param {string} xmlText - XML content
+   * @returns {Object|null} Audit result
+   */
+  audit(xmlText) {
+    try {
+      const cfdi = CFDIImporter.parse(xmlText);
+      this.lastAudit = CFDIImporter.audit(cfdi, { calculation: this.getCalculationOptions() });
+      this.lastError = null;
+    } catch (error) {
+      this.lastAudit = null;
+      this.lastError = error.message;
+    }
+    this._render();
+    return this.lastAudit;
+  }
+
+  /**
+   * Gets the last audited comprobante
+   * @returns {Object|null} Parsed comprobante
+   */
+  getLastImport() {
+    return this.lastAudit ? this.lastAudit.cfdi : null;
+  }
+
+  /**
+   * Renders the last audit or error
+   * @private
+   */
+  _render() {
+    const container = this.elements.results;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.lastError) {
+      const error = document.createElement('p');
+      error.className = 'audit-results__error';
+      error.textContent = this.lastError;
+      container.appendChild(error);
+      return;
+    }
+
+    if (!this.lastAudit) return;
+
+    container.appendChild(this._renderSummary(this.lastAudit));
+    container.appendChild(this._renderComparisons(this.lastAudit));
+  }
+
+  /**
+   * Renders the comprobante summary
+   * @param {Object} audit - Audit result
+   * @returns {HTMLElement} Summary element
+   * @private
+   */
+  _renderSummary(audit) {
+    const { cfdi, rates } = audit;
+    const summary = document.createElement('dl');
+    summary.className = 'audit-summary';
+
+    const items = [
+      ['auditVersion', cfdi.version],
+      ['auditUuid', cfdi.uuid || i18n.t('auditNotStamped')],
+      ['auditEmisor', `${cfdi.emisor.rfc} ${cfdi.emisor.nombre}`.trim()],
+      ['auditReceptor', `${cfdi.receptor.rfc} ${cfdi.receptor.nombre}`.trim()],
+      ['auditDetectedRates', [
+        `${i18n.t('auditRateVat')} ${rates.vatRate}`,
+        `${i18n.t('auditRateIncomeTax')} ${rates.incomeTaxRate}`,
+        `${i18n.t('auditRateVatRetention')} ${rates.vatRetentionRate}`,
+      ].join(' · ')],
+    ];
+
+    items.forEach(([key, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = i18n.t(key);
+      const description = document.createElement('dd');
+      description.textContent = value;
+      summary.appendChild(term);
+      summary.appendChild(description);
+    });
+
+    const status = document.createElement('p');
+    status.className = audit.isValid ? 'audit-status audit-status--ok' : 'audit-status audit-status--error';
+    status.textContent = audit.isValid
+      ? i18n.t('auditValid')
+      : `${i18n.t('auditInvalid')} (${audit.differences.length})`;
+
+    const wrapper = document.createElement('div');
+    wrapper.appendChild(summary);
+    if (rates.mixedRates) {
+      const warning = document.createElement('p');
+      warning.className = 'audit-status audit-status--warning';
+      warning.textContent = i18n.t('auditMixedRates');
+      wrapper.appendChild(warning);
+    }
+    wrapper.appendChild(status);
+    return wrapper;
+  }
+
+  /**
+   * Renders the comparison table
+   * @param {Object} audit - Audit result
+   * @returns {HTMLTableElement} Table element
+   * @private
+   */
+  _renderComparisons(audit) {
+    const table = document.createElement('table');
+    table.className = 'audit-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['auditField', 'auditDeclared', 'auditExpected', 'auditDifference'].forEach(key => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = i18n.t(key);
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    audit.comparisons.forEach(comparison => {
+      const row = document.createElement('tr');
+      if (!comparison.withinTolerance) {
+        row.className = 'audit-table__row--error';
+      }
+      [
+        i18n.t(`auditField_${comparison.field}`),
+        formatMoney(comparison.declared, audit.cfdi.moneda),
+        formatMoney(comparison.expected, audit.cfdi.moneda),
+        formatMoney(comparison.difference, audit.cfdi.moneda),
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+
+    table.appendChild(head);
+    table.appendChild(body);
+    return table;
+  }
+}
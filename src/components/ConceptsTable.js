@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Editable table of invoice concepts (line items)
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { formatMoney } from '../utils/currencyUtils.js';
+import { i18n } from '../utils/i18n.js';
+
+/**
+ * Tax treatments selectable per concept, mapped to rate overrides
+ * @type {Object}
+ */
+const TAX_TREATMENTS = {
+  default: { labelKey: 'taxTreatmentDefault', rates: null },
+  noWithholdings: { labelKey: 'taxTreatmentNoWithholdings', rates: { incomeTaxRate: 0, vatRetentionFraction: 0 } },
+};
+
+/**
+ * Editable concepts table
+ * Renders one row per concept and converts rows into the concept
+ * model accepted by TaxCalculator.calculateFromConcepts
+ */
+export class ConceptsTable {
+  /**
+   * Concepts table constructor
+   * @param {HTMLElement} container - Element the table is rendered into
+   */
+  constructor(container) {
+    this.container = container;
+    this.table = null;
+    this.body = null;
+  }
+
+  /**
+   * Renders the table with one empty concept
+   */
+  init() {
+    if (!this.container) return;
+
+    this._render([this._emptyRow()]);
+
+    i18n.addLanguageChangeListener(() => {
+      this._render(this._readRows());
+    });
+  }
+
+  /**
+   * Adds a concept row
+   * @param {Object} values - Initial row values
+   */
+  addConcept(values = this._emptyRow()) {
+    if (!this.body) return;
+    this.body.appendChild(this._createRow(values));
+  }
+
+  /**
+   * Replaces all rows with the given concepts
+   * @param {Array<Object>} concepts - Concepts to show
+   */
+  setConcepts(concepts) {
+    const rows = concepts.map(concept => ({
+      ...this._emptyRow(),
+      description: concept.description || '',
+      quantity: String(concept.quantity),
+      unitPrice: String(concept.unitPrice),
+      discount: String(concept.discount || 0),
+      treatment: concept.treatment || 'default',
+    }));
+    this._render(rows.length > 0 ? rows : [this._emptyRow()]);
+  }
+
+  /**
+   * Gets concepts from the table
+   * Rows without unit price are ignored
+   * @returns {Array<Object>} Concepts for the tax engine
+   */
+  getConcepts() {
+    return this._readRows()
+      .filter(row => row.unitPrice !== '')
+      .map(row => this._toConcept(row));
+  }
+
+  /**
+   * Gets every row as a concept, including rows without unit price
+   * Used by goal seek, which fills in the unit prices
+   * @returns {Array<Object>} Concepts for the tax engine
+   */
+  getAllConcepts() {
+    return this._readRows().map(row => this._toConcept(row));
+  }
+
+  /**
+   * Gets the input of a concept field, e.g. to point out an error
+   * @param {number} index - Concept index
+   * @param {string} key - Concept field (quantity, unitPrice or discount)
+   * @param {boolean} [allRows=false] - Whether the index counts rows without
+   *   unit price (getAllConcepts) or not (getConcepts)
+   * @returns {HTMLInputElement|null} Input element
+   */
+  getInput(index, key, allRows = false) {
+    const classNames = {
+      quantity: 'concepts-table__quantity',
+      unitPrice: 'concepts-table__price',
+      discount: 'concepts-table__discount',
+    };
+    if (!classNames[key]) return null;
+
+    const rows = allRows
+      ? this._getRowElements()
+      : this._getRowElements().filter(row => row.querySelector('.concepts-table__price').value !== '');
+    return rows[index]?.querySelector(`.${classNames[key]}`) || null;
+  }
+
+  /**
+   * Shows calculated line amounts next to each row
+   * @param {Array<Object>} lines - Lines from a calculation result
+   * @param {string} currency - c_Moneda code of the amounts
+   */
+  showLineResults(lines, currency) {
+    const rows = this._getRowElements().filter(row => row.querySelector('.concepts-table__price').value !== '');
+
+    rows.forEach((row, index) => {
+      const line = lines[index];
+      row.querySelector('.concepts-table__amount').textContent = line ? formatMoney(line.amount, currency) : '-';
+      row.querySelector('.concepts-table__vat').textContent = line ? formatMoney(line.vat, currency) : '-';
+    });
+  }
+
+  /**
+   * Clears calculated line amounts
+   */
+  clearLineResults() {
+    this._getRowElements().forEach(row => {
+      row.querySelector('.concepts-table__amount').textContent = '-';
+      row.querySelector('.concepts-table__vat').textContent = '-';
+    });
+  }
+
+  /**
+   * Removes all rows and leaves one empty concept
+   */
+  reset() {
+    this._render([this._emptyRow()]);
+  }
+
+  /**
+   * Renders the whole table
+   * @param {Array<Object>} rows - Row values
+   * @private
+   */
+  _render(rows) {
+    this.container.innerHTML = '';
+
+    this.table = document.createElement('table');
+    this.table.className = 'concepts-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['conceptDescription', 'conceptQuantity', 'conceptUnitPrice', 'conceptDiscount', 'conceptTaxes', 'conceptAmount', 'conceptVat', '']
+      .forEach(key => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = key ? i18n.t(key) : '';
+        headRow.appendChild(th);
+      });
+    head.appendChild(headRow);
+
+    this.body = document.createElement('tbody');
+    rows.forEach(values => this.body.appendChild(this._createRow(values)));
+
+    this.table.appendChild(head);
+    this.table.appendChild(this.body);
+    this.container.appendChild(this.table);
+  }
+
+  /**
+   * Creates a table row
+   * @param {Object} values - Row values
+   * @returns {HTMLTableRowElement} Row element
+   * @private
+   */
+  _createRow(values) {
+    const row = document.createElement('tr');
+
+    const createInput = (className, type, value, labelKey, step) => {
+      const input = document.createElement('input');
+      input.className = `form-input ${className}`;
+      input.type = type;
+      input.value = value;
+      input.setAttribute('aria-label', i18n.t(labelKey));
+      if (step) input.step = step;
+      return input;
+    };
+
+    const treatment = document.createElement('select');
+    treatment.className = 'form-input concepts-table__treatment';
+    treatment.setAttribute('aria-label', i18n.t('conceptTaxes'));
+    Object.entries(TAX_TREATMENTS).forEach(([id, definition]) => {
+      treatment.appendChild(new Option(i18n.t(definition.labelKey), id));
+    });
+    treatment.value = values.treatment;
+
+    const amount = document.createElement('span');
+    amount.className = 'concepts-table__amount';
+    amount.textContent = '-';
+
+    const vat = document.createElement('span');
+    vat.className = 'concepts-table__vat';
+    vat.textContent = '-';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn--ghost concepts-table__remove';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', i18n.t('removeConcept'));
+    removeBtn.addEventListener('click', () => {
+      row.remove();
+      if (this._getRowElements().length === 0) {
+        this.addConcept();
+      }
+    });
+
+    [
+      createInput('concepts-table__description', 'text', values.description, 'conceptDescription'),
+      createInput('concepts-table__quantity', 'number', values.quantity, 'conceptQuantity', '0.000001'),
+      createInput('concepts-table__price', 'number', values.unitPrice, 'conceptUnitPrice', '0.000001'),
+      createInput('concepts-table__discount', 'number', values.discount, 'conceptDiscount', '0.01'),
+      treatment,
+      amount,
+      vat,
+      removeBtn,
+    ].forEach(element => {
+      const cell = document.createElement('td');
+      cell.appendChild(element);
+      row.appendChild(cell);
+    });
+
+    return row;
+  }
+
+  /**
+   * Reads raw values from every row
+   * @returns {Array<Object>} Row values
+   * @private
+   */
+  _readRows() {
+    return this._getRowElements().map(row => ({
+      description: row.querySelector('.concepts-table__description').value,
+      quantity: row.querySelector('.concepts-table__quantity').value,
+      unitPrice: row.querySelector('.concepts-table__price').value,
+      discount: row.querySelector('.concepts-table__discount').value,
+      treatment: row.querySelector('.concepts-table__treatment').value,
+    }));
+  }
+
+  /**
+   * Converts raw row values into a concept
+   * @param {Object} row - Row values
+   * @returns {Object} Concept
+   * @private
+   */
+  _toConcept(row) {
+    const treatment = TAX_TREATMENTS[row.treatment] || TAX_TREATMENTS.default;
+    const concept = {
+      description: row.description,
+      quantity: parseFloat(row.quantity),
+      unitPrice: parseFloat(row.unitPrice),
+      discount: parseFloat(row.discount || 0),
+      treatment: row.treatment,
+    };
+    if (treatment.rates) {
+      concept.rates = { ...treatment.rates };
+    }
+    return concept;
+  }
+
+  /**
+   * Gets row elements
+   * @returns {Array<HTMLTableRowElement>} Rows
+   * @private
+   */
+  _getRowElements() {
+    return this.body ? Array.from(this.body.querySelectorAll('tr')) : [];
+  }
+
+  /**
+   * Values of a new empty row
+   * @returns {Object} Row values
+   * @private
+   */
+  _emptyRow() {
+    return { description: '', quantity: '1', unitPrice: '', discount: '0', treatment: 'default' };
+  }
+}
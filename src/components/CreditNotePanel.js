@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Credit note (CFDI type E) panel linked to an original invoice
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { CreditNote } from '../utils/creditNote.js';
+import { ExportManager } from '../utils/exportUtils.js';
+import { formatMoney } from '../utils/currencyUtils.js';
+import { ValidationError } from '../utils/errors.js';
+import { EXPORT_CONFIG, CFDI_CONFIG, CREDIT_NOTE_CONFIG, ERROR_MESSAGES } from '../config/constants.js';
+import { FORMA_PAGO, FORMA_PAGO_POR_DEFINIR } from '../config/satCatalogs.js';
+import { i18n } from '../utils/i18n.js';
+import { notifier } from './Notifier.js';
+
+/**
+ * Original invoice sources
+ * @type {Object}
+ */
+const SOURCES = {
+  CURRENT: 'current',
+  IMPORTED: 'imported',
+};
+
+/**
+ * Credit note panel
+ * Reverses part of the current calculation (or a re-opened history entry)
+ * or of the last imported XML, and exports the resulting CFDI de egreso
+ */
+export class CreditNotePanel {
+  /**
+   * Credit note panel constructor
+   * @param {Object} elements - Panel elements
+   * @param {HTMLSelectElement} elements.source - Original invoice source selector
+   * @param {HTMLInputElement} elements.uuid - Original invoice UUID input
+   * @param {HTMLSelectElement} elements.basis - Amount basis selector (net or subtotal)
+   * @param {HTMLInputElement} elements.amount - Amount to credit input
+   * @param {HTMLSelectElement} elements.formaPago - Refund payment form selector
+   * @param {HTMLButtonElement} elements.calculateBtn - Calculate button
+   * @param {HTMLButtonElement} elements.downloadXmlBtn - Download XML button
+   * @param {HTMLButtonElement} elements.downloadCsvBtn - Download CSV button
+   * @param {HTMLElement} elements.results - Results container
+   * @param {Object} sources - Original invoice providers
+   * @param {Function} sources.getInvoice - Returns { result, rates, invoiceData } of the current invoice, or null
+   * @param {Function} sources.getImport - Returns the last imported comprobante, or null
+   * @param {Function} sources.getOptions - Returns the current calculation options
+   */
+  constructor(elements, sources) {
+    this.elements = elements;
+    this.sources = sources;
+    this.lastCredit = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Sets up listeners and the selector options
+   */
+  init() {
+    const { source, calculateBtn, downloadXmlBtn, downloadCsvBtn } = this.elements;
+
+    this._renderOptions();
+
+    source?.addEventListener('change', () => this._fillFromImport());
+    calculateBtn?.addEventListener('click', () => this.calculate());
+    downloadXmlBtn?.addEventListener('click', () => this._downloadXml());
+    downloadCsvBtn?.addEventListener('click', () => this._downloadCSV());
+
+    i18n.addLanguageChangeListener(() => {
+      this._renderOptions();
+      this._render();
+    });
+  }
+
+  /**
+   * Calculates the credit note from the form
+   * @returns {Object|null} Credit note result
+   */
+  calculate() {
+    const { basis, amount } = this.elements;
+
+    try {
+      const original = this._getOriginal();
+      const uuid = this.elements.uuid?.value.trim();
+      this.lastCredit = CreditNote.calculate({ ...original, uuid: uuid || original.uuid }, {
+        amount: parseFloat(amount?.value),
+        basis: basis?.value || CREDIT_NOTE_CONFIG.BASIS.NET,
+      }, this.sources.getOptions());
+      this.lastError = null;
+    } catch (error) {
+      this.lastCredit = null;
+      this.lastError = error.message;
+    }
+
+    this._render();
+    return this.lastCredit;
+  }
+
+  /**
+   * Gets the original invoice from the selected source
+   * @returns {Object} Original invoice (see CreditNote.fromResult)
+   * @private
+   */
+  _getOriginal() {
+    if (this.elements.source?.value === SOURCES.IMPORTED) {
+      const cfdi = this.sources.getImport();
+      if (!cfdi) throw new ValidationError(ERROR_MESSAGES.CREDIT_NO_IMPORT, { field: 'source' });
+      return CreditNote.fromImport(cfdi);
+    }
+
+    const invoice = this.sources.getInvoice();
+    if (!invoice) throw new ValidationError(ERROR_MESSAGES.CREDIT_NO_INVOICE, { field: 'source' });
+    return CreditNote.fromResult(invoice.result, invoice.rates);
+  }
+
+  /**
+   * Fills the UUID with the one of the imported XML
+   * @private
+   */
+  _fillFromImport() {
+    const { source, uuid } = this.elements;
+    if (source?.value !== SOURCES.IMPORTED || !uuid) return;
+
+    const cfdi = this.sources.getImport();
+    if (cfdi?.uuid) uuid.value = cfdi.uuid;
+  }
+
+  /**
+   * Renders the source, basis and payment form options
+   * @private
+   */
+  _renderOptions() {
+    const { source, basis, formaPago } = this.elements;
+
+    const fill = (select, options) => {
+      if (!select) return;
+      const selected = select.value;
+      select.innerHTML = '';
+      options.forEach(([value, text]) => select.appendChild(new Option(text, value)));
+      if (selected) select.value = selected;
+    };
+
+    fill(source, Object.values(SOURCES).map(value => [value, i18n.t(`creditSource_${value}`)]));
+    fill(basis, Object.values(CREDIT_NOTE_CONFIG.BASIS).map(value => [value, i18n.t(`creditBasis_${value}`)]));
+
+    if (formaPago && formaPago.options.length === 0) {
+      fill(formaPago, Object.entries(FORMA_PAGO)
+        .filter(([code]) => code !== FORMA_PAGO_POR_DEFINIR)
+        .map(([code, entry]) => [code, `${code} - ${entry.description}`]));
+      formaPago.value = CFDI_CONFIG.DEFAULTS.FORMA_PAGO;
+    }
+  }
+
+  /**
+   * Downloads the unsigned credit note XML
+   * @private
+   */
+  _downloadXml() {
+    if (!this.lastCredit) {
+      notifier.info('creditEmpty');
+      return;
+    }
+
+    try {
+      const invoiceData = CreditNote.getInvoiceData(
+        this.lastCredit,
+        this.sources.getInvoice()?.invoiceData || {},
+        this.elements.formaPago?.value
+      );
+      const xmlData = ExportManager.exportToCFDIXml(this.lastCredit, this.lastCredit.creditNote.rates, invoiceData);
+      ExportManager.downloadFile(xmlData, EXPORT_CONFIG.CREDIT_NOTE_XML_FILENAME, 'application/xml');
+    } catch (error) {
+      console.error('Error downloading credit note XML:', error);
+      notifier.error(error, { prefix: 'errorDownloading' });
+    }
+  }
+
+  /**
+   * Downloads the credit note as CSV
+   * @private
+   */
+  _downloadCSV() {
+    if (!this.lastCredit) {
+      notifier.info('creditEmpty');
+      return;
+    }
+
+    try {
+      const csvData = ExportManager.exportToCSV(this.lastCredit);
+      ExportManager.downloadFile(csvData, EXPORT_CONFIG.CREDIT_NOTE_CSV_FILENAME, 'text/csv');
+    } catch (error) {
+      console.error('Error downloading credit note CSV:', error);
+      notifier.error(error, { prefix: 'errorDownloading' });
+    }
+  }
+
+  /**
+   * Renders the original, credited and remaining amounts or the last error
+   * @private
+   */
+  _render() {
+    const container = this.elements.results;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.lastError) {
+      const error = document.createElement('p');
+      error.className = 'form-help form-error';
+      error.textContent = this.lastError;
+      container.appendChild(error);
+      return;
+    }
+
+    if (!this.lastCredit) return;
+
+    const { original, credit, remaining, proportion } = this.lastCredit.creditNote;
+    const currency = this.lastCredit.options?.currency;
+
+    const table = document.createElement('table');
+    table.className = 'credit-note-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['creditConcept', 'creditOriginal', 'creditCredited', 'creditRemaining'].forEach(key => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = i18n.t(key);
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    [
+      ['subtotalResult', 'base'],
+      ['vatChargedResult', 'vat'],
+      ['incomeTaxWithheldResult', 'incomeTaxWithheld'],
+      ['vatRetentionResult', 'vatRetention'],
+      ['calculatedNetResult', 'netAmount'],
+    ].forEach(([labelKey, amountKey]) => {
+      const row = document.createElement('tr');
+      [
+        i18n.t(labelKey),
+        formatMoney(original[amountKey], currency),
+        formatMoney(credit[amountKey], currency),
+        formatMoney(remaining[amountKey], currency),
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+
+    table.appendChild(head);
+    table.appendChild(body);
+    container.appendChild(table);
+
+    const status = document.createElement('p');
+    status.className = 'form-help';
+    status.textContent = `${i18n.t('creditProportion')} ${(proportion * 100).toFixed(2)}%`;
+    container.appendChild(status);
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Calculation history panel with search and date filters
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { HistoryStore } from '../utils/historyStore.js';
+import { formatMoney } from '../utils/currencyUtils.js';
+import { HISTORY_CONFIG } from '../config/constants.js';
+import { i18n } from '../utils/i18n.js';
+
+/**
+ * History panel
+ * Lists stored calculations and lets the user re-open or delete them
+ */
+export class HistoryPanel {
+  /**
+   * History panel constructor
+   * @param {Object} elements - Panel elements
+   * @param {HTMLInputElement} elements.label - Client label input
+   * @param {HTMLInputElement} elements.search - Search input
+   * @param {HTMLInputElement} elements.from - Start date input
+   * @param {HTMLInputElement} elements.to - End date input
+   * @param {HTMLElement} elements.list - Entries list
+   * @param {Function} onOpen - Called with an entry when the user re-opens it
+   * @param {HistoryStore} store - History store
+   */
+  constructor(elements, onOpen, store = new HistoryStore()) {
+    this.elements = elements;
+    this.onOpen = onOpen;
+    this.store = store;
+    this.entries = [];
+    this.available = HistoryStore.isSupported();
+  }
+
+  /**
+   * Sets up filter listeners and loads the entries
+   */
+  async init() {
+    const { search, from, to } = this.elements;
+
+    search?.addEventListener('input', () => this.refresh());
+    [from, to].forEach(input => {
+      input?.addEventListener('change', () => this.refresh());
+    });
+
+    i18n.addLanguageChangeListener(() => {
+      this._render();
+    });
+
+    await this.refresh();
+  }
+
+  /**
+   * Stores a calculation with the current client label
+   * @param {Object} entry - Entry without id, timestamp or label
+   * @returns {Promise<number|null>} New entry id, or null when history is unavailable
+   */
+  async record(entry) {
+    if (!this.available) return null;
+
+    try {
+      const id = await this.store.add({
+        ...entry,
+        timestamp: Date.now(),
+        label: this.elements.label?.value.trim() || '',
+      });
+      await this.refresh();
+      return id;
+    } catch (error) {
+      console.error('Error saving calculation to history:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Reloads the entries that match the current filters
+   */
+  async refresh() {
+    if (!this.available) {
+      this._render();
+      return;
+    }
+
+    try {
+      this.entries = await this.store.search(this._getFilters());
+    } catch (error) {
+      console.error('Error loading history:', error);
+      this.available = false;
+      this.entries = [];
+    }
+    this._render();
+  }
+
+  /**
+   * Reads the search and date filters
+   * Dates are local days; the end date includes the whole day
+   * @returns {Object} Filters for HistoryStore.search
+   * @private
+   */
+  _getFilters() {
+    const { search, from, to } = this.elements;
+    return {
+      query: search?.value || '',
+      from: from?.value ? new Date(`${from.value}T00:00:00`).getTime() : undefined,
+      to: to?.value ? new Date(`${to.value}T23:59:59.999`).getTime() : undefined,
+    };
+  }
+
+  /**
+   * Deletes an entry
+   * @param {number} id - Entry id
+   * @private
+   */
+  async _delete(id) {
+    try {
+      await this.store.delete(id);
+    } catch (error) {
+      console.error('Error deleting history entry:', error);
+    }
+    await this.refresh();
+  }
+
+  /**
+   * Renders the entries list
+   * @private
+   */
+  _render() {
+    const list = this.elements.list;
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (!this.available || this.entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-list__empty';
+      empty.textContent = i18n.t(this.available ? 'historyEmpty' : 'historyUnavailable');
+      list.appendChild(empty);
+      return;
+    }
+
+    this.entries.slice(0, HISTORY_CONFIG.MAX_LISTED).forEach(entry => {
+      list.appendChild(this._createItem(entry));
+    });
+  }
+
+  /**
+   * Creates a list item for an entry
+   * @param {Object} entry - Entry
+   * @returns {HTMLLIElement} List item
+   * @private
+   */
+  _createItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const info = document.createElement('div');
+    info.className = 'history-item__info';
+
+    const title = document.createElement('strong');
+    title.textContent = entry.label || i18n.t(`method_${entry.method}`);
+
+    const currency = entry.result.options?.currency;
+    const details = document.createElement('span');
+    details.className = 'history-item__details';
+    details.textContent = [
+      new Date(entry.timestamp).toLocaleString(i18n.getCurrentLanguage()),
+      i18n.t(`method_${entry.method}`),
+      `${i18n.t('subtotalResult')} ${formatMoney(entry.result.subtotal, currency)}`,
+      `${i18n.t('calculatedNetResult')} ${formatMoney(entry.result.netAmount, currency)}`,
+    ].join(' · ');
+
+    info.appendChild(title);
+    info.appendChild(details);
+
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.className = 'btn btn--secondary';
+    openBtn.textContent = i18n.t('historyOpen');
+    openBtn.addEventListener('click', () => this.onOpen(entry));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'btn btn--ghost';
+    deleteBtn.textContent = i18n.t('historyDelete');
+    deleteBtn.addEventListener('click', () => this._delete(entry.id));
+
+    const actions = document.createElement('div');
+    actions.className = 'history-item__actions';
+    actions.appendChild(openBtn);
+    actions.appendChild(deleteBtn);
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Monthly provisional payment estimator panel
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { MonthlyEstimator } from '../utils/monthlyEstimator.js';
+import { formatCurrency } from '../utils/mathUtils.js';
+import { formatMoney } from '../utils/currencyUtils.js';
+import { ESTIMATOR_SCHEMES } from '../config/constants.js';
+import { i18n } from '../utils/i18n.js';
+
+/**
+ * Monthly estimator panel
+ * Lists the history calculations of the selected month so the user can
+ * pick the issued invoices, then shows the ISR and IVA estimate
+ */
+export class MonthlyEstimatorPanel {
+  /**
+   * Estimator panel constructor
+   * @param {Object} elements - Panel elements
+   * @param {HTMLInputElement} elements.month - Month input (YYYY-MM)
+   * @param {HTMLSelectElement} elements.scheme - Scheme selector
+   * @param {HTMLInputElement} elements.accumulate - Accumulate from January checkbox
+   * @param {HTMLInputElement} elements.deductions - Deductible expenses input
+   * @param {HTMLInputElement} elements.vatCreditable - Creditable IVA input
+   * @param {HTMLInputElement} elements.previousPayments - Previous provisional payments input
+   * @param {HTMLElement} elements.invoices - Invoices list container
+   * @param {HTMLButtonElement} elements.estimateBtn - Estimate button
+   * @param {HTMLElement} elements.results - Results container
+   * @param {HistoryStore} store - History store with the calculations
+   */
+  constructor(elements, store) {
+    this.elements = elements;
+    this.store = store;
+    this.invoices = [];
+    this.excluded = new Set();
+    this.lastEstimate = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Sets up listeners and loads the current month
+   */
+  async init() {
+    const { month, accumulate, scheme, estimateBtn } = this.elements;
+    if (!month) return;
+
+    const now = new Date();
+    month.value = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+    [month, accumulate].forEach(input => {
+      input?.addEventListener('change', () => this.refresh());
+    });
+    scheme?.addEventListener('change', () => {
+      this._updateSchemeState();
+      this.refresh();
+    });
+    estimateBtn?.addEventListener('click', () => this.estimate());
+
+    i18n.addLanguageChangeListener(() => {
+      this._renderInvoices();
+      this._renderResults();
+    });
+
+    this._updateSchemeState();
+    await this.refresh();
+  }
+
+  /**
+   * Reloads the calculations of the selected period
+   */
+  async refresh() {
+    const period = this._getPeriod();
+    if (!period) return;
+
+    try {
+      this.invoices = await this.store.search({ from: period.from, to: period.to });
+    } catch (error) {
+      console.error('Error loading invoices for the estimate:', error);
+      this.invoices = [];
+    }
+    this._renderInvoices();
+  }
+
+  /**
+   * Estimates the payments with the selected invoices and inputs
+   * @returns {Object|null} Estimate
+   */
+  estimate() {
+    const period = this._getPeriod();
+    if (!period) return null;
+
+    const selected = this.invoices.filter(entry => !this.excluded.has(entry.id));
+    const scheme = this.elements.scheme?.value || ESTIMATOR_SCHEMES.ART_106;
+
+    try {
+      this.lastEstimate = MonthlyEstimator.estimate(MonthlyEstimator.aggregate(selected), {
+        scheme: scheme,
+        deductions: this._readAmount(this.elements.deductions),
+        vatCreditable: this._readAmount(this.elements.vatCreditable),
+        previousPayments: this._readAmount(this.elements.previousPayments),
+        months: period.months,
+        date: new Date(period.to),
+      });
+      this.lastError = null;
+    } catch (error) {
+      this.lastEstimate = null;
+      this.lastError = error.message;
+    }
+
+    this._renderResults();
+    return this.lastEstimate;
+  }
+
+  /**
+   * Gets the selected period
+   * RESICO is always monthly; Art. 106 can accumulate from January
+   * @returns {{from: number, to: number, months: number}|null} Period
+   * @private
+   */
+  _getPeriod() {
+    const value = this.elements.month?.value;
+    if (!value) return null;
+
+    const [year, month] = value.split('-').map(Number);
+    const accumulate = this.elements.accumulate?.checked
+      && this.elements.scheme?.value !== ESTIMATOR_SCHEMES.RESICO;
+    const firstMonth = accumulate ? 1 : month;
+
+    return {
+      from: new Date(year, firstMonth - 1, 1).getTime(),
+      to: new Date(year, month, 1).getTime() - 1,
+      months: month - firstMonth + 1,
+    };
+  }
+
+  /**
+   * Disables the inputs that do not apply to RESICO
+   * @private
+   */
+  _updateSchemeState() {
+    const isResico = this.elements.scheme?.value === ESTIMATOR_SCHEMES.RESICO;
+    [this.elements.deductions, this.elements.accumulate, this.elements.previousPayments].forEach(input => {
+      if (input) input.disabled = isResico;
+    });
+  }
+
+  /**
+   * Reads an optional amount input
+   * @param {HTMLInputElement} input - Input
+   * @returns {number} Amount or 0 when empty
+   * @private
+   */
+  _readAmount(input) {
+    if (!input || input.disabled) return 0;
+    const value = parseFloat(input.value);
+    return isNaN(value) ? 0 : value;
+  }
+
+  /**
+   * Renders the invoices of the period with include checkboxes
+   * @private
+   */
+  _renderInvoices() {
+    const container = this.elements.invoices;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.invoices.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'form-help';
+      empty.textContent = i18n.t('estimatorNoInvoices');
+      container.appendChild(empty);
+      return;
+    }
+
+    this.invoices.forEach(entry => {
+      const label = document.createElement('label');
+      label.className = 'estimator-invoice';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !this.excluded.has(entry.id);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.excluded.delete(entry.id);
+        } else {
+          this.excluded.add(entry.id);
+        }
+      });
+
+      const text = document.createElement('span');
+      text.textContent = [
+        new Date(entry.timestamp).toLocaleDateString(i18n.getCurrentLanguage()),
+        entry.label || i18n.t(`method_${entry.method}`),
+        formatMoney(entry.result.subtotal, entry.result.options?.currency),
+      ].join(' · ');
+
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Renders the last estimate
+   * @private
+   */
+  _renderResults() {
+    const container = this.elements.results;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.lastError) {
+      const error = document.createElement('p');
+      error.className = 'form-help form-error';
+      error.textContent = this.lastError;
+      container.appendChild(error);
+      return;
+    }
+
+    if (!this.lastEstimate) return;
+
+    const { isr, vat, totalPayable } = this.lastEstimate;
+    const rows = [
+      ['estimatorIsrSection', null],
+      ['estimatorIncome', isr.income],
+      ['estimatorDeductionsRow', isr.deductions],
+      ['estimatorTaxableBase', isr.taxableBase],
+      [isr.scheme === ESTIMATOR_SCHEMES.RESICO ? 'estimatorResicoTax' : 'estimatorTariffTax', isr.tax],
+      ['estimatorIsrWithheld', -isr.incomeTaxWithheld || 0],
+      ['estimatorPreviousPaymentsRow', -isr.previousPayments || 0],
+      [isr.favorBalance > 0 ? 'estimatorFavorBalance' : 'estimatorIsrPayable', isr.favorBalance > 0 ? isr.favorBalance : isr.payable],
+      ['estimatorVatSection', null],
+      ['estimatorVatCharged', vat.charged],
+      ['estimatorVatRetained', -vat.retained || 0],
+      ['estimatorVatCreditableRow', -vat.creditable || 0],
+      [vat.favorBalance > 0 ? 'estimatorFavorBalance' : 'estimatorVatPayable', vat.favorBalance > 0 ? vat.favorBalance : vat.payable],
+      ['estimatorTotalPayable', totalPayable],
+    ];
+
+    const table = document.createElement('table');
+    table.className = 'estimator-table';
+    const body = document.createElement('tbody');
+
+    rows.forEach(([key, amount]) => {
+      const row = document.createElement('tr');
+      const label = document.createElement(amount === null ? 'th' : 'td');
+      label.textContent = i18n.t(key);
+      row.appendChild(label);
+
+      if (amount === null) {
+        label.colSpan = 2;
+        row.className = 'estimator-table__section';
+      } else {
+        const value = document.createElement('td');
+        value.className = 'estimator-table__amount';
+        value.textContent = formatCurrency(amount);
+        row.appendChild(value);
+      }
+      body.appendChild(row);
+    });
+
+    table.appendChild(body);
+    container.appendChild(table);
+
+    const version = document.createElement('p');
+    version.className = 'form-help';
+    version.textContent = `${i18n.t('rateTableLabel')} ${this.lastEstimate.rateTableVersion}`;
+    container.appendChild(version);
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Inline notifications for errors and confirmations
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { localizeError } from '../utils/errors.js';
+import { NOTIFICATION_CONFIG } from '../config/constants.js';
+import { i18n } from '../utils/i18n.js';
+
+/**
+ * Notifier
+ * Shows errors and confirmations in a region of the page instead of
+ * blocking dialogs. Errors are announced as alerts and stay until they are
+ * dismissed; the input they refer to is marked invalid and described by
+ * the message until it is edited
+ */
+export class Notifier {
+  /**
+   * Notifier constructor
+   * Nothing is shown until a container is attached
+   */
+  constructor() {
+    this.container = null;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Attaches the notifications region
+   * @param {HTMLElement} container - Notifications container
+   */
+  attach(container) {
+    if (!container || this.container === container) return;
+
+    const firstAttach = !this.container;
+    this.container = container;
+    this.container.setAttribute('aria-label', i18n.t('notificationsLabel'));
+    this.entries.forEach(entry => this.container.appendChild(this._createElement(entry)));
+
+    if (firstAttach) {
+      i18n.addLanguageChangeListener(() => {
+        this._updateTexts();
+      });
+    }
+  }
+
+  /**
+   * Shows an error
+   * CalculatorErrors are translated from their code, so they follow
+   * language changes; other errors show their message (see localizeError)
+   *
+   * @param {Error} error - Error to show
+   * @param {Object} [options] - Display options
+   * @param {string} [options.prefix] - Translation key shown before the message
+   * @param {HTMLElement} [options.input] - Input to mark invalid and focus
+   * @returns {number} Notification id
+   */
+  error(error, { prefix = null, input = null } = {}) {
+    return this._add({ type: 'error', error, prefix, input });
+  }
+
+  /**
+   * Shows a confirmation that hides itself
+   * @param {string} key - Translation key
+   * @param {Object} [params] - Message parameters
+   * @returns {number} Notification id
+   */
+  success(key, params) {
+    return this._add({ type: 'success', key, params });
+  }
+
+  /**
+   * Shows an informational message that hides itself
+   * @param {string} key - Translation key
+   * @param {Object} [params] - Message parameters
+   * @returns {number} Notification id
+   */
+  info(key, params) {
+    return this._add({ type: 'info', key, params });
+  }
+
+  /**
+   * Removes a notification and restores the input it marked
+   * @param {number} id - Notification id
+   */
+  dismiss(id) {
+    const entry = this.entries.find(item => item.id === id);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this._unmarkInput(entry);
+    entry.element?.remove();
+    this.entries = this.entries.filter(item => item !== entry);
+  }
+
+  /**
+   * Removes every notification
+   */
+  clear() {
+    this.entries.map(entry => entry.id).forEach(id => this.dismiss(id));
+  }
+
+  /**
+   * Gets the text of a notification in the current language
+   * @param {Object} entry - Notification entry
+   * @returns {string} Notification text
+   * @private
+   */
+  _getText(entry) {
+    if (entry.type !== 'error') {
+      return i18n.t(entry.key, entry.params);
+    }
+
+    const message = localizeError(entry.error);
+    return entry.prefix ? `${i18n.t(entry.prefix)} ${message}` : message;
+  }
+
+  /**
+   * Adds a notification, dropping the oldest ones past the limit
+   * @param {Object} entry - Notification entry without id
+   * @returns {number} Notification id
+   * @private
+   */
+  _add(entry) {
+    const id = this.nextId++;
+    const notification = { ...entry, id, timer: null, element: null };
+
+    // A new error on the same input replaces the previous one
+    if (notification.input) {
+      this.entries.filter(item => item.input === notification.input).forEach(item => this.dismiss(item.id));
+    }
+
+    this.entries.push(notification);
+    while (this.entries.length > NOTIFICATION_CONFIG.MAX_VISIBLE) {
+      this.dismiss(this.entries[0].id);
+    }
+
+    if (notification.type !== 'error') {
+      notification.timer = setTimeout(() => this.dismiss(id), NOTIFICATION_CONFIG.AUTO_DISMISS_MS);
+    }
+
+    this.container?.appendChild(this._createElement(notification));
+    this._markInput(notification);
+    return id;
+  }
+
+  /**
+   * Marks the input of an error as invalid and points it to the message
+   * Editing the input dismisses the error
+   * @param {Object} entry - Notification entry
+   * @private
+   */
+  _markInput(entry) {
+    const { input } = entry;
+    if (!input) return;
+
+    entry.describedBy = input.getAttribute('aria-describedby');
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', [entry.describedBy, this._getTextId(entry.id)].filter(Boolean).join(' '));
+    input.classList.add('form-input--invalid');
+
+    entry.onEdit = () => this.dismiss(entry.id);
+    input.addEventListener('input', entry.onEdit, { once: true });
+    input.addEventListener('change', entry.onEdit, { once: true });
+    input.focus?.();
+  }
+
+  /**
+   * Restores the input of an error
+   * @param {Object} entry - Notification entry
+   * @private
+   */
+  _unmarkInput(entry) {
+    const { input } = entry;
+    if (!input) return;
+
+    input.removeEventListener('input', entry.onEdit);
+    input.removeEventListener('change', entry.onEdit);
+    input.setAttribute('aria-invalid', 'false');
+    input.classList.remove('form-input--invalid');
+    if (entry.describedBy) {
+      input.setAttribute('aria-describedby', entry.describedBy);
+    } else {
+      input.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * Id of the text element of a notification
+   * @param {number} id - Notification id
+   * @returns {string} Element id
+   * @private
+   */
+  _getTextId(id) {
+    return `notification-${id}-text`;
+  }
+
+  /**
+   * Creates the element of a notification
+   * Existing notifications are never re-created, so screen readers only
+   * announce the new one
+   * @param {Object} entry - Notification entry
+   * @returns {HTMLElement} Notification element
+   * @private
+   */
+  _createElement(entry) {
+    const item = document.createElement('div');
+    item.className = `notification notification--${entry.type}`;
+    item.setAttribute('role', entry.type === 'error' ? 'alert' : 'status');
+
+    const text = document.createElement('p');
+    text.className = 'notification__text';
+    text.id = this._getTextId(entry.id);
+    text.textContent = this._getText(entry);
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.type = 'button';
+    dismissBtn.className = 'btn btn--ghost notification__dismiss';
+    dismissBtn.textContent = '×';
+    dismissBtn.setAttribute('aria-label', i18n.t('dismissNotification'));
+    dismissBtn.addEventListener('click', () => this.dismiss(entry.id));
+
+    item.appendChild(text);
+    item.appendChild(dismissBtn);
+    entry.element = item;
+    return item;
+  }
+
+  /**
+   * Translates the notifications after a language change
+   * @private
+   */
+  _updateTexts() {
+    this.container?.setAttribute('aria-label', i18n.t('notificationsLabel'));
+    this.entries.forEach(entry => {
+      if (!entry.element) return;
+      entry.element.querySelector('.notification__text').textContent = this._getText(entry);
+      entry.element.querySelector('.notification__dismiss').setAttribute('aria-label', i18n.t('dismissNotification'));
+    });
+  }
+}
+
+// Shared instance used by the controller and the panels
+export const notifier = new Notifier();
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Emisor/receptor fiscal data form with inline validation
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { validateParty, validateRFC, normalizeIdentifier } from '../utils/fiscalValidators.js';
+import { FISCAL_VALIDATION_CONFIG } from '../config/constants.js';
+import { SAT_CATALOGS } from '../config/satCatalogs.js';
+import { i18n } from '../utils/i18n.js';
+
+/**
+ * Party roles and the fields each one shows
+ * @type {Object}
+ */
+const PARTY_ROLES = {
+  emisor: {
+    legendKey: 'emisorLegend',
+    fields: [
+      { name: 'rfc', labelKey: 'partyRfc', maxLength: 13 },
+      { name: 'nombre', labelKey: 'partyName' },
+      { name: 'regimenFiscal', labelKey: 'partyRegime', maxLength: 3, inputMode: 'numeric', catalog: 'regimenFiscal' },
+      { name: 'codigoPostal', labelKey: 'partyPostalCodeEmisor', maxLength: 5, inputMode: 'numeric' },
+    ],
+  },
+  receptor: {
+    legendKey: 'receptorLegend',
+    fields: [
+      { name: 'rfc', labelKey: 'partyRfc', maxLength: 13 },
+      { name: 'nombre', labelKey: 'partyName' },
+      { name: 'regimenFiscal', labelKey: 'partyRegime', maxLength: 3, inputMode: 'numeric', catalog: 'regimenFiscal' },
+      { name: 'codigoPostal', labelKey: 'partyPostalCodeReceptor', maxLength: 5, inputMode: 'numeric' },
+      { name: 'usoCFDI', labelKey: 'partyUsoCFDI', maxLength: 4, catalog: 'usoCFDI' },
+    ],
+  },
+};
+
+/**
+ * Emisor or receptor form
+ * Fields are validated on blur and on demand; messages are shown
+ * under each field
+ */
+export class PartyForm {
+  /**
+   * Party form constructor
+   * @param {HTMLElement} container - Element the form is rendered into
+   * @param {string} role - 'emisor' or 'receptor'
+   */
+  constructor(container, role) {
+    this.container = container;
+    this.role = role;
+    this.definition = PARTY_ROLES[role];
+    this.inputs = {};
+    this.messages = {};
+    this.catalogLists = {};
+    this.errors = {};
+  }
+
+  /**
+   * Renders the form
+   */
+  init() {
+    if (!this.container || !this.definition) return;
+
+    this._render({});
+
+    i18n.addLanguageChangeListener(() => {
+      this._render(this.getData());
+    });
+  }
+
+  /**
+   * Gets the form values
+   * @returns {Object} Party data
+   */
+  getData() {
+    const data = {};
+    this.definition.fields.forEach(field => {
+      const value = this.inputs[field.name]?.value.trim() || '';
+      data[field.name] = field.name === 'nombre' ? value : normalizeIdentifier(value);
+    });
+    return data;
+  }
+
+  /**
+   * Sets the form values
+   * @param {Object} data - Party data
+   */
+  setData(data) {
+    this.definition.fields.forEach(field => {
+      if (this.inputs[field.name]) {
+        this.inputs[field.name].value = data[field.name] || '';
+      }
+    });
+    this.errors = {};
+    this._renderCatalogOptions();
+    this._showMessages();
+  }
+
+  /**
+   * Checks whether every field is empty
+   * @returns {boolean} True when nothing was captured
+   */
+  isEmpty() {
+    return Object.values(this.getData()).every(value => value === '');
+  }
+
+  /**
+   * Validates the form and shows the messages inline
+   * @returns {{valid: boolean, errors: Object}} Validation result
+   */
+  validate() {
+    const validation = validateParty(this.getData());
+    this.errors = validation.errors;
+    this._showMessages();
+    return validation;
+  }
+
+  /**
+   * Clears values and messages
+   */
+  reset() {
+    this.setData({});
+  }
+
+  /**
+   * Validates a single field after the user leaves it
+   * Empty fields are not flagged until the whole form is validated
+   * @param {string} name - Field name
+   * @private
+   */
+  _validateField(name) {
+    const data = this.getData();
+    const { errors } = validateParty(data);
+
+    // The regime depends on the RFC person type and the CFDI use on both
+    const dependents = {
+      rfc: ['rfc', 'regimenFiscal', 'usoCFDI'],
+      regimenFiscal: ['regimenFiscal', 'usoCFDI'],
+    };
+    const names = (dependents[name] || [name]).filter(fieldName => fieldName in data);
+    names.forEach(fieldName => {
+      if (data[fieldName] !== '' && errors[fieldName]) {
+        this.errors[fieldName] = errors[fieldName];
+      } else {
+        delete this.errors[fieldName];
+      }
+    });
+
+    this._showMessages();
+  }
+
+  /**
+   * Renders the whole form
+   * @param {Object} values - Field values
+   * @private
+   */
+  _render(values) {
+    this.container.innerHTML = '';
+    this.inputs = {};
+    this.messages = {};
+    this.catalogLists = {};
+
+    const legend = document.createElement('legend');
+    legend.className = 'party-form__legend';
+    legend.textContent = i18n.t(this.definition.legendKey);
+    this.container.appendChild(legend);
+
+    this.definition.fields.forEach(field => {
+      const id = `${this.role}-${field.name}`;
+
+      const group = document.createElement('div');
+      group.className = 'form-group';
+
+      const label = document.createElement('label');
+      label.className = 'form-label';
+      label.htmlFor = id;
+      label.textContent = i18n.t(field.labelKey);
+
+      const input = document.createElement('input');
+      input.id = id;
+      input.type = 'text';
+      input.className = 'form-input';
+      input.autocomplete = 'off';
+      input.value = values[field.name] || '';
+      input.setAttribute('aria-describedby', `${id}-message`);
+      if (field.maxLength) input.maxLength = field.maxLength;
+      if (field.inputMode) input.inputMode = field.inputMode;
+      input.addEventListener('blur', () => this._validateField(field.name));
+      if (field.name === 'rfc' || field.name === 'regimenFiscal') {
+        input.addEventListener('change', () => this._renderCatalogOptions());
+      }
+
+      const message = document.createElement('div');
+      message.id = `${id}-message`;
+      message.className = 'form-help';
+
+      group.appendChild(label);
+      group.appendChild(input);
+      group.appendChild(message);
+
+      if (field.catalog) {
+        const list = document.createElement('datalist');
+        list.id = `${id}-options`;
+        input.setAttribute('list', list.id);
+        group.appendChild(list);
+        this.catalogLists[field.name] = { list: list, catalog: field.catalog };
+      }
+
+      this.container.appendChild(group);
+
+      this.inputs[field.name] = input;
+      this.messages[field.name] = message;
+    });
+
+    this._renderCatalogOptions();
+    this._showMessages();
+  }
+
+  /**
+   * Fills the searchable catalog options
+   * Regimes are narrowed to the RFC person type and uses to the regime
+   * @private
+   */
+  _renderCatalogOptions() {
+    const data = this.getData();
+    const rfc = validateRFC(data.rfc);
+    const personType = rfc.valid ? rfc.personType : null;
+
+    Object.values(this.catalogLists).forEach(({ list, catalog }) => {
+      list.innerHTML = '';
+      Object.entries(SAT_CATALOGS[catalog])
+        .filter(([, entry]) => !personType || entry[personType])
+        .filter(([, entry]) => !entry.regimes || !SAT_CATALOGS.regimenFiscal[data.regimenFiscal] || entry.regimes.includes(data.regimenFiscal))
+        .forEach(([code, entry]) => {
+          const option = document.createElement('option');
+          option.value = code;
+          option.textContent = `${code} - ${entry.description}`;
+          list.appendChild(option);
+        });
+    });
+  }
+
+  /**
+   * Shows the current errors, or the detected person type under the RFC
+   * @private
+   */
+  _showMessages() {
+    Object.entries(this.messages).forEach(([name, message]) => {
+      const error = this.errors[name];
+      const input = this.inputs[name];
+
+      input.setAttribute('aria-invalid', error ? 'true' : 'false');
+      input.classList.toggle('form-input--invalid', Boolean(error));
+      message.classList.toggle('form-error', Boolean(error));
+      message.textContent = error ? i18n.t(error) : '';
+    });
+
+    const rfcInput = this.inputs.rfc;
+    if (rfcInput && !this.errors.rfc && rfcInput.value.trim() !== '') {
+      const rfc = validateRFC(rfcInput.value);
+      if (rfc.valid) {
+        this.messages.rfc.textContent = rfc.generic
+          ? i18n.t('genericRfc')
+          : i18n.t(rfc.personType === FISCAL_VALIDATION_CONFIG.PERSON_TYPES.MORAL ? 'personTypeMoral' : 'personTypeFisica');
+      }
+    }
+  }
+}
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Payment complement (REP) panel for PPD invoices
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { PaymentComplement } from '../utils/paymentComplement.js';
+import { ExportManager } from '../utils/exportUtils.js';
+import { formatMoney, isForeignCurrency } from '../utils/currencyUtils.js';
+import { toDateKey } from '../utils/rateTableResolver.js';
+import { validateExchangeRate } from '../utils/fiscalValidators.js';
+import { EXPORT_CONFIG, CFDI_CONFIG } from '../config/constants.js';
+import { FORMA_PAGO, FORMA_PAGO_POR_DEFINIR } from '../config/satCatalogs.js';
+import { i18n } from '../utils/i18n.js';
+import { notifier } from './Notifier.js';
+
+/**
+ * Payments panel
+ * Collects the payments received for the current invoice, shows the
+ * balances and prorated taxes of each one and exports them
+ */
+export class PaymentsPanel {
+  /**
+   * Payments panel constructor
+   * @param {Object} elements - Panel elements
+   * @param {HTMLInputElement} elements.uuid - Paid invoice UUID input
+   * @param {HTMLInputElement} elements.date - Payment date input
+   * @param {HTMLInputElement} elements.amount - Payment amount input
+   * @param {HTMLSelectElement} elements.formaPago - Payment form selector
+   * @param {HTMLInputElement} elements.exchangeRate - Payment exchange rate input
+   * @param {HTMLButtonElement} elements.addBtn - Add payment button
+   * @param {HTMLButtonElement} elements.clearBtn - Clear payments button
+   * @param {HTMLButtonElement} elements.downloadCsvBtn - Download CSV button
+   * @param {HTMLElement} elements.results - Results container
+   * @param {Function} getInvoice - Returns { result, rates, invoiceData } of the current invoice, or null
+   */
+  constructor(elements, getInvoice) {
+    this.elements = elements;
+    this.getInvoice = getInvoice;
+    this.payments = [];
+    this.lastSchedule = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Sets up listeners and the payment form options
+   */
+  init() {
+    const { date, addBtn, clearBtn, downloadCsvBtn } = this.elements;
+
+    this._renderFormaPagoOptions();
+    if (date) date.value = toDateKey(new Date());
+
+    addBtn?.addEventListener('click', () => this.addPayment());
+    clearBtn?.addEventListener('click', () => this.clear());
+    downloadCsvBtn?.addEventListener('click', () => this._downloadCSV());
+
+    i18n.addLanguageChangeListener(() => {
+      this._render();
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Adds a payment from the form
+   * The payment is kept only when the schedule accepts it
+   * @returns {Object|null} Updated schedule
+   */
+  addPayment() {
+    const { date, amount, formaPago, exchangeRate } = this.elements;
+    const payment = {
+      date: date?.value,
+      amount: parseFloat(amount?.value),
+      formaPago: formaPago?.value,
+      exchangeRate: parseFloat(exchangeRate?.value),
+    };
+
+    const currency = this.getInvoice()?.result.options?.currency;
+    if (isForeignCurrency(currency)) {
+      const validation = validateExchangeRate(currency, payment.exchangeRate);
+      if (!validation.valid) {
+        this.lastError = i18n.t(validation.error);
+        this._render();
+        return this.lastSchedule;
+      }
+    }
+
+    if (this._schedule([...this.payments, payment])) {
+      this.payments.push(payment);
+      if (amount) amount.value = '';
+    }
+    this._render();
+    return this.lastSchedule;
+  }
+
+  /**
+   * Removes every payment
+   */
+  clear() {
+    this.payments = [];
+    this.refresh();
+  }
+
+  /**
+   * Recomputes the payments against the current invoice
+   */
+  refresh() {
+    const invoice = this.getInvoice();
+    if (this.elements.exchangeRate) {
+      this.elements.exchangeRate.disabled = !isForeignCurrency(invoice?.result.options?.currency);
+    }
+
+    if (invoice) {
+      if (!this._schedule(this.payments)) this.lastSchedule = null;
+    } else {
+      this.lastSchedule = null;
+      this.lastError = null;
+    }
+    this._render();
+  }
+
+  /**
+   * Computes the schedule of the given payments
+   * @param {Array<Object>} payments - Payments
+   * @returns {boolean} True when the schedule was computed
+   * @private
+   */
+  _schedule(payments) {
+    const invoice = this.getInvoice();
+    if (!invoice) {
+      this.lastError = i18n.t('paymentsNoInvoice');
+      return false;
+    }
+
+    try {
+      this.lastSchedule = PaymentComplement.schedule(invoice.result, invoice.rates, payments, invoice.invoiceData);
+      this.lastError = null;
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      return false;
+    }
+  }
+
+  /**
+   * Renders the FormaDePagoP options; 99 (Por definir) does not apply to payments
+   * @private
+   */
+  _renderFormaPagoOptions() {
+    const select = this.elements.formaPago;
+    if (!select) return;
+
+    select.innerHTML = '';
+    Object.entries(FORMA_PAGO)
+      .filter(([code]) => code !== FORMA_PAGO_POR_DEFINIR)
+      .forEach(([code, entry]) => {
+        select.appendChild(new Option(`${code} - ${entry.description}`, code));
+      });
+    select.value = CFDI_CONFIG.DEFAULTS.FORMA_PAGO;
+  }
+
+  /**
+   * Downloads the unsigned payment receipt of a payment
+   * @param {number} index - Payment index
+   * @private
+   */
+  _downloadXml(index) {
+    const invoice = this.getInvoice();
+    if (!this.lastSchedule || !invoice) return;
+
+    try {
+      const xmlData = ExportManager.exportPaymentToCFDIXml(this.lastSchedule, index, {
+        ...invoice.invoiceData,
+        documento: { uuid: this.elements.uuid?.value.trim() || '' },
+      });
+      const filename = `${EXPORT_CONFIG.PAYMENT_XML_FILENAME}_${index + 1}.xml`;
+      ExportManager.downloadFile(xmlData, filename, 'application/xml');
+    } catch (error) {
+      console.error('Error downloading payment XML:', error);
+      notifier.error(error, { prefix: 'errorDownloading' });
+    }
+  }
+
+  /**
+   * Downloads the payments as CSV
+   * @private
+   */
+  _downloadCSV() {
+    if (!this.lastSchedule || this.lastSchedule.payments.length === 0) {
+      notifier.info('paymentsEmpty');
+      return;
+    }
+
+    try {
+      const csvData = ExportManager.exportPaymentsToCSV(this.lastSchedule);
+      ExportManager.downloadFile(csvData, EXPORT_CONFIG.PAYMENTS_CSV_FILENAME, 'text/csv');
+    } catch (error) {
+      console.error('Error downloading payments CSV:', error);
+      notifier.error(error, { prefix: 'errorDownloading' });
+    }
+  }
+
+  /**
+   * Renders the payments table or the last error
+   * @private
+   */
+  _render() {
+    const container = this.elements.results;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.lastError) {
+      const error = document.createElement('p');
+      error.className = 'form-help form-error';
+      error.textContent = this.lastError;
+      container.appendChild(error);
+    }
+
+    const schedule = this.lastSchedule;
+    if (!schedule || schedule.payments.length === 0) return;
+
+    const currency = schedule.document.currency;
+    const sumTaxes = (taxes) => taxes.reduce((sum, tax) => sum + (tax.importe || 0), 0);
+
+    const table = document.createElement('table');
+    table.className = 'payments-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['paymentsNumber', 'paymentsDate', 'paymentsBalanceBefore', 'paymentsPaid', 'paymentsBalanceAfter',
+      'paymentsVat', 'paymentsWithheld', 'paymentsXml'].forEach(key => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = i18n.t(key);
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    schedule.payments.forEach((payment, index) => {
+      const row = document.createElement('tr');
+      [
+        String(payment.numParcialidad),
+        payment.fechaPago,
+        formatMoney(payment.impSaldoAnt, currency),
+        formatMoney(payment.impPagado, currency),
+        formatMoney(payment.impSaldoInsoluto, currency),
+        formatMoney(sumTaxes(payment.trasladosP), currency),
+        formatMoney(sumTaxes(payment.retencionesP), currency),
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actions = document.createElement('td');
+      const xmlBtn = document.createElement('button');
+      xmlBtn.type = 'button';
+      xmlBtn.className = 'btn btn--ghost';
+      xmlBtn.textContent = 'XML';
+      xmlBtn.addEventListener('click', () => this._downloadXml(index));
+      actions.appendChild(xmlBtn);
+      row.appendChild(actions);
+
+      body.appendChild(row);
+    });
+
+    table.appendChild(head);
+    table.appendChild(body);
+    container.appendChild(table);
+
+    const status = document.createElement('p');
+    status.className = 'form-help';
+    status.textContent = schedule.settled
+      ? i18n.t('paymentsSettled')
+      : `${i18n.t('paymentsOutstanding')} ${formatMoney(schedule.balance, currency)}`;
+    container.appendChild(status);
+  }
+}
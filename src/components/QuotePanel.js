@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Printable quote (pre-invoice) panel with PDF export
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { buildQuote, getQuoteTotals, getPartyLines } from '../utils/quoteDocument.js';
+import { ExportManager } from '../utils/exportUtils.js';
+import { formatMoney } from '../utils/currencyUtils.js';
+import { APP_CONFIG, EXPORT_CONFIG, QUOTE_CONFIG } from '../config/constants.js';
+import { i18n } from '../utils/i18n.js';
+import { notifier } from './Notifier.js';
+
+/**
+ * Creates an element with a class and text
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, className, text = '') {
+  const element = document.createElement(tag);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Quote panel
+ * Lays out the current calculation as a branded quote with the issuer and
+ * client, the concepts, the tax breakdown, the amount in words and notes.
+ * The preview is what gets printed (see print.css); the PDF is generated
+ * in the browser with the same content
+ */
+export class QuotePanel {
+  /**
+   * Quote panel constructor
+   * @param {Object} elements - Panel elements
+   * @param {HTMLInputElement} elements.folio - Quote number input
+   * @param {HTMLInputElement} elements.validDays - Validity days input
+   * @param {HTMLTextAreaElement} elements.notes - Notes input
+   * @param {HTMLButtonElement} elements.previewBtn - Preview button
+   * @param {HTMLButtonElement} elements.printBtn - Print button
+   * @param {HTMLButtonElement} elements.downloadPdfBtn - Download PDF button
+   * @param {HTMLElement} elements.preview - Preview container
+   * @param {Function} getInvoice - Returns { result, rates, invoiceData } of the current invoice, or null
+   */
+  constructor(elements, getInvoice) {
+    this.elements = elements;
+    this.getInvoice = getInvoice;
+    this.lastQuote = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Sets up listeners
+   */
+  init() {
+    const { validDays, previewBtn, printBtn, downloadPdfBtn } = this.elements;
+
+    if (validDays && !validDays.value) validDays.value = String(QUOTE_CONFIG.DEFAULT_VALID_DAYS);
+
+    previewBtn?.addEventListener('click', () => this.build());
+    printBtn?.addEventListener('click', () => this._print());
+    downloadPdfBtn?.addEventListener('click', () => this._downloadPdf());
+
+    i18n.addLanguageChangeListener(() => {
+      this._render();
+    });
+  }
+
+  /**
+   * Builds the quote from the current invoice and the form, and shows it
+   * @returns {Object|null} Quote, or null without a calculation
+   */
+  build() {
+    const invoice = this.getInvoice();
+    if (!invoice) {
+      notifier.info('quoteEmpty');
+      return null;
+    }
+
+    const { folio, validDays, notes } = this.elements;
+    const days = parseInt(validDays?.value, 10);
+
+    try {
+      this.lastQuote = buildQuote(invoice, {
+        folio: folio?.value.trim() || '',
+        validDays: days >= 0 ? days : QUOTE_CONFIG.DEFAULT_VALID_DAYS,
+        notes: notes?.value || '',
+      });
+      this.lastError = null;
+    } catch (error) {
+      this.lastQuote = null;
+      this.lastError = error.message;
+    }
+
+    this._render();
+    return this.lastQuote;
+  }
+
+  /**
+   * Rebuilds a shown quote after the calculation changes
+   */
+  refresh() {
+    if (!this.lastQuote) return;
+
+    if (this.getInvoice()) {
+      this.build();
+    } else {
+      this.lastQuote = null;
+      this._render();
+    }
+  }
+
+  /**
+   * Prints the quote alone
+   * The body class limits the printed page to the preview
+   * @private
+   */
+  _print() {
+    if (!this.build()) return;
+
+    document.body.classList.add('quote-printing');
+    window.addEventListener('afterprint', () => {
+      document.body.classList.remove('quote-printing');
+    }, { once: true });
+    window.print();
+  }
+
+  /**
+   * Downloads the quote as a PDF
+   * @private
+   */
+  _downloadPdf() {
+    const quote = this.build();
+    if (!quote) return;
+
+    try {
+      const pdf = ExportManager.exportQuoteToPDF(quote, (key) => i18n.t(key));
+      ExportManager.downloadFile(pdf, EXPORT_CONFIG.QUOTE_PDF_FILENAME, 'application/pdf');
+    } catch (error) {
+      console.error('Error downloading quote PDF:', error);
+      notifier.error(error, { prefix: 'errorDownloading' });
+    }
+  }
+
+  /**
+   * Renders the quote preview or the last error
+   * @private
+   */
+  _render() {
+    const container = this.elements.preview;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.lastError) {
+      container.appendChild(createElement('p', 'form-help form-error', this.lastError));
+      return;
+    }
+
+    const quote = this.lastQuote;
+    if (!quote) return;
+
+    const translate = (key) => i18n.t(key);
+    const money = (value) => formatMoney(value, quote.currency);
+    const article = createElement('article', 'quote');
+
+    // Header with the issuer as brand, number and dates
+    const header = createElement('header', 'quote__header');
+    const brand = createElement('div', 'quote__brand');
+    brand.appendChild(createElement('p', 'quote__issuer', quote.issuer?.nombre || APP_CONFIG.NAME));
+    brand.appendChild(createElement('h3', 'quote__title', i18n.t('quoteTitle')));
+    header.appendChild(brand);
+
+    const meta = createElement('dl', 'quote__meta');
+    [
+      ['quoteFolio', quote.folio],
+      ['quoteDate', quote.issueDate],
+      ['quoteValidUntil', quote.validUntil],
+    ].filter(([, value]) => value).forEach(([key, value]) => {
+      const item = createElement('div', 'quote__meta-item');
+      item.appendChild(createElement('dt', '', i18n.t(key)));
+      item.appendChild(createElement('dd', '', value));
+      meta.appendChild(item);
+    });
+    header.appendChild(meta);
+    article.appendChild(header);
+
+    // Issuer and client
+    const parties = createElement('div', 'quote__parties');
+    [['quoteIssuer', quote.issuer], ['quoteClient', quote.client]].forEach(([key, party]) => {
+      const block = createElement('section', 'quote__party');
+      block.appendChild(createElement('h4', 'quote__heading', i18n.t(key)));
+      getPartyLines(party, translate).forEach((line, index) => {
+        block.appendChild(createElement('p', index === 0 && party ? 'quote__party-name' : '', line));
+      });
+      parties.appendChild(block);
+    });
+    article.appendChild(parties);
+
+    // Concepts
+    const table = createElement('table', 'quote__concepts');
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['quoteDescription', 'quoteQuantity', 'quoteUnitPrice', 'quoteDiscount', 'quoteAmount'].forEach(key => {
+      const th = createElement('th', '', i18n.t(key));
+      th.scope = 'col';
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    quote.lines.forEach(line => {
+      const row = document.createElement('tr');
+      [
+        line.description || '-',
+        String(line.quantity),
+        money(line.unitPrice),
+        line.discount ? money(line.discount) : '-',
+        money(line.amount),
+      ].forEach(text => row.appendChild(createElement('td', '', text)));
+      body.appendChild(row);
+    });
+    table.appendChild(head);
+    table.appendChild(body);
+    article.appendChild(table);
+
+    // Tax breakdown
+    const totals = createElement('table', 'quote__totals');
+    const totalsBody = document.createElement('tbody');
+    getQuoteTotals(quote, translate).forEach(({ label, amount, total }) => {
+      const row = createElement('tr', total ? 'quote__total' : '');
+      const th = createElement('th', '', label);
+      th.scope = 'row';
+      row.appendChild(th);
+      row.appendChild(createElement('td', '', money(amount)));
+      totalsBody.appendChild(row);
+    });
+    totals.appendChild(totalsBody);
+    article.appendChild(totals);
+
+    if (quote.exchangeRate) {
+      article.appendChild(createElement('p', 'quote__exchange', `${i18n.t('quoteExchangeRate')}: ${quote.exchangeRate} MXN`));
+    }
+
+    // Amount in words and notes
+    const words = createElement('section', 'quote__words');
+    words.appendChild(createElement('h4', 'quote__heading', i18n.t('quoteAmountInWords')));
+    words.appendChild(createElement('p', '', quote.amountInWords));
+    article.appendChild(words);
+
+    if (quote.notes) {
+      const notes = createElement('section', 'quote__notes');
+      notes.appendChild(createElement('h4', 'quote__heading', i18n.t('quoteNotes')));
+      notes.appendChild(createElement('p', '', quote.notes));
+      article.appendChild(notes);
+    }
+
+    article.appendChild(createElement('footer', 'quote__footer', i18n.t('quoteDisclaimer')));
+    container.appendChild(article);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Postal codes of the border-region IVA stimulus zones
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+/**
+ * Border stimulus regions
+ * @type {Object}
+ */
+export const BORDER_REGIONS = {
+  NORTH: 'north',
+  SOUTH: 'south',
+};
+
+/**
+ * Date each region's stimulus took effect (YYYY-MM-DD)
+ * The southern decree did not cover invoices issued before 2021
+ * @type {Object}
+ */
+export const BORDER_REGION_EFFECTIVE_FROM = {
+  [BORDER_REGIONS.NORTH]: '2019-01-01',
+  [BORDER_REGIONS.SOUTH]: '2021-01-01',
+};
+
+/**
+ * Postal code ranges of the municipalities covered by the border-region
+ * stimulus decrees (north: DOF 31/12/2018, south: DOF 30/12/2020).
+ * Ranges group the SEPOMEX codes assigned to each municipality, so a few
+ * codes at the edges may need a manual check; the calculator only warns.
+ * @type {Array<{region: string, state: string, municipality: string, from: string, to: string}>}
+ */
+export const BORDER_ZONE_POSTAL_CODES = [
+  // North
+  { region: BORDER_REGIONS.NORTH, state: 'BC', municipality: 'Todos los municipios', from: '21000', to: '22999' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'San Luis Río Colorado', from: '83400', to: '83479' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'Puerto Peñasco', from: '83550', to: '83579' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'General Plutarco Elías Calles', from: '83580', to: '83599' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'Caborca', from: '83600', to: '83699' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'Altar', from: '83750', to: '83759' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'Nogales', from: '84000', to: '84099' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'Sáric y Santa Cruz', from: '84150', to: '84189' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'Agua Prieta', from: '84200', to: '84299' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'Naco', from: '84300', to: '84349' },
+  { region: BORDER_REGIONS.NORTH, state: 'SON', municipality: 'Cananea', from: '84600', to: '84699' },
+  { region: BORDER_REGIONS.NORTH, state: 'CHIH', municipality: 'Ascensión y Janos', from: '31800', to: '31849' },
+  { region: BORDER_REGIONS.NORTH, state: 'CHIH', municipality: 'Juárez', from: '32000', to: '32699' },
+  { region: BORDER_REGIONS.NORTH, state: 'CHIH', municipality: 'Práxedis G. Guerrero y Guadalupe', from: '32800', to: '32849' },
+  { region: BORDER_REGIONS.NORTH, state: 'CHIH', municipality: 'Ojinaga, Coyame del Sotol y Manuel Benavides', from: '32850', to: '32899' },
+  { region: BORDER_REGIONS.NORTH, state: 'COAH', municipality: 'Piedras Negras', from: '26000', to: '26099' },
+  { region: BORDER_REGIONS.NORTH, state: 'COAH', municipality: 'Nava', from: '26170', to: '26179' },
+  { region: BORDER_REGIONS.NORTH, state: 'COAH', municipality: 'Acuña', from: '26200', to: '26299' },
+  { region: BORDER_REGIONS.NORTH, state: 'COAH', municipality: 'Jiménez y Zaragoza', from: '26400', to: '26459' },
+  { region: BORDER_REGIONS.NORTH, state: 'COAH', municipality: 'Guerrero e Hidalgo', from: '26600', to: '26699' },
+  { region: BORDER_REGIONS.NORTH, state: 'COAH', municipality: 'Ocampo', from: '27500', to: '27599' },
+  { region: BORDER_REGIONS.NORTH, state: 'NL', municipality: 'Anáhuac', from: '65000', to: '65049' },
+  { region: BORDER_REGIONS.NORTH, state: 'TAMPS', municipality: 'Nuevo Laredo', from: '88000', to: '88299' },
+  { region: BORDER_REGIONS.NORTH, state: 'TAMPS', municipality: 'Miguel Alemán, Mier, Camargo y Gustavo Díaz Ordaz', from: '88300', to: '88499' },
+  { region: BORDER_REGIONS.NORTH, state: 'TAMPS', municipality: 'Reynosa', from: '88500', to: '88799' },
+  { region: BORDER_REGIONS.NORTH, state: 'TAMPS', municipality: 'Río Bravo', from: '88900', to: '88999' },
+  { region: BORDER_REGIONS.NORTH, state: 'TAMPS', municipality: 'Matamoros', from: '87300', to: '87499' },
+  { region: BORDER_REGIONS.NORTH, state: 'TAMPS', municipality: 'Valle Hermoso', from: '87500', to: '87599' },
+  // South
+  { region: BORDER_REGIONS.SOUTH, state: 'QROO', municipality: 'Othón P. Blanco', from: '77000', to: '77199' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CAMP', municipality: 'Candelaria', from: '24330', to: '24339' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CAMP', municipality: 'Calakmul', from: '24640', to: '24649' },
+  { region: BORDER_REGIONS.SOUTH, state: 'TAB', municipality: 'Tenosique y Balancán', from: '86900', to: '86939' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CHIS', municipality: 'Tapachula', from: '30700', to: '30799' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CHIS', municipality: 'Suchiate, Frontera Hidalgo, Metapa y Tuxtla Chico', from: '30800', to: '30879' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CHIS', municipality: 'Cacahoatán y Unión Juárez', from: '30890', to: '30899' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CHIS', municipality: 'Frontera Comalapa, Amatenango de la Frontera y Mazapa de Madero', from: '30140', to: '30159' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CHIS', municipality: 'Motozintla', from: '30900', to: '30949' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CHIS', municipality: 'La Trinitaria y Las Margaritas', from: '30160', to: '30189' },
+  { region: BORDER_REGIONS.SOUTH, state: 'CHIS', municipality: 'Ocosingo, Benemérito de las Américas, Marqués de Comillas y Maravilla Tenejapa', from: '29950', to: '29959' },
+];
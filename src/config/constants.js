@@ -7,11 +7,13 @@
 /**
  * Default tax rates configuration
  * @type {Object}
+ * @deprecated Use getRateTable() to resolve the rates in effect on a date
  */
 export const DEFAULT_TAX_RATES = {
   VAT_RATE: 0.16,           // 16% VAT
   INCOME_TAX_RATE: 0.10,    // 10% Income Tax withheld
   VAT_RETENTION_FRACTION: 0.6666666667, // 2/3 for VAT retention
+  RESICO_INCOME_TAX_RATE: 0.0125, // 1.25% Income Tax withheld (RESICO)
 };
 
 /**
@@ -21,6 +23,19 @@ export const DEFAULT_TAX_RATES = {
 export const PRECISION_CONFIG = {
   DECIMAL_PLACES: 2,
   EPSILON: Number.EPSILON,
+  RATE_DECIMALS: 6,        // TasaOCuota decimals in CFDI
+  DEFAULT_ROUNDING_MODE: 'halfUp',
+  DEFAULT_RATE_ROUNDING_MODE: 'halfUp',
+};
+
+/**
+ * Rounding modes supported by the exact decimal arithmetic
+ * @type {Object}
+ */
+export const ROUNDING_MODES = {
+  HALF_UP: 'halfUp',     // 0.005 -> 0.01 (SAT default)
+  HALF_EVEN: 'halfEven', // 0.005 -> 0.00, 0.015 -> 0.02 (banker's rounding)
+  TRUNCATE: 'truncate',  // Drops extra decimals
 };
 
 /**
@@ -43,21 +58,117 @@ export const GOAL_SEEK_CONFIG = {
   MAX_ITERATIONS: 80,
   TOLERANCE: 0.0005,
   SEARCH_RANGE_MULTIPLIER: 2000,
+  MIN_SUBTOTAL: 0.01, // Lowest search limit; a zero subtotal is rejected
   MAX_ATTEMPTS: 40,
+  CENTS_SCAN_WINDOW: 10, // Cents scanned per line around the bisection result
+  EXACT_WINDOW_UNITS: 3, // Cents scanned around N / denominator by the exact solver (one per rounded tax)
+  EXACT_NEAREST_LIMIT: 100, // Cents searched above and below for the nearest reachable net amount
+  UNIT_PRICE_DECIMALS: 6, // ValorUnitario decimals allowed by CFDI
+};
+
+/**
+ * IVA treatments of an invoice
+ * @type {Object}
+ */
+export const VAT_TREATMENTS = {
+  TAXED: 'taxed',          // IVA at the configured rate, withholdings as configured
+  ZERO_RATED: 'zeroRated', // Tasa 0% (export of services, Art. 29 LIVA), no withholdings
+  EXEMPT: 'exempt',        // Exento (Art. 15 LIVA), no IVA and no withholdings
 };
 
 /**
- * Error messages (now handled by i18n system)
+ * Strategies to distribute a goal seek adjustment across concepts
+ * @type {Object}
+ */
+export const DISTRIBUTION_STRATEGIES = {
+  PROPORTIONAL: 'proportional', // Split by weights
+  SINGLE_LINE: 'singleLine',    // Only one designated line changes
+};
+
+/**
+ * Error codes
+ * Each code is the i18n key of its message; CalculatorError and its
+ * subclasses carry them (see utils/errors.js)
  * @type {Object}
- * @deprecated Use i18n.t() instead
  */
 export const ERROR_MESSAGES = {
-  INVALID_NET_AMOUNT: 'invalidNetAmount', // Key for i18n
-  INVALID_SUBTOTAL: 'invalidSubtotal', // Key for i18n
-  CALCULATION_ERROR: 'calculationError', // Key for i18n
-  GOAL_SEEK_TIMEOUT: 'goalSeekTimeout', // Key for i18n
-  INVALID_PERCENTAGE: 'invalidPercentage', // Key for i18n
-  DENOMINATOR_TOO_SMALL: 'denominatorTooSmall', // Key for i18n
+  INVALID_NET_AMOUNT: 'invalidNetAmount',
+  INVALID_SUBTOTAL: 'invalidSubtotal',
+  CALCULATION_ERROR: 'calculationError',
+  GOAL_SEEK_TIMEOUT: 'goalSeekTimeout',
+  INVALID_PERCENTAGE: 'invalidPercentage',
+  DENOMINATOR_TOO_SMALL: 'denominatorTooSmall',
+  NO_CONCEPTS: 'noConcepts',
+  INVALID_PARTY_DATA: 'invalidPartyData',
+  NOT_A_NUMBER: 'valueNotNumber',               // {field}
+  NOT_POSITIVE: 'valueNotPositive',             // {field}
+  INVALID_DISCOUNT: 'invalidDiscount',          // {field}
+  UNKNOWN_REGIME: 'unknownRegime',              // {regime}
+  REGIME_NOT_AVAILABLE: 'regimeNotAvailable',   // {regime}, {rateKey}
+  UNKNOWN_VAT_TREATMENT: 'unknownVatTreatment', // {vatTreatment}
+  UNKNOWN_DISTRIBUTION: 'unknownDistribution',  // {strategy}
+  INVALID_ADJUSTED_LINE: 'invalidAdjustedLine', // {max}
+  INVALID_WEIGHTS: 'invalidWeights',
+  INVALID_CELL: 'invalidCell',                  // {field}, {value}
+  INVALID_RATE: 'invalidRate',                  // {field}
+  NET_AND_SUBTOTAL: 'netAndSubtotal',
+  NO_AMOUNT: 'noAmount',
+  VALUE_NEGATIVE: 'valueNegative',             // {field}
+  VALUE_OUT_OF_RANGE: 'valueOutOfRange',        // {field}
+  UNKNOWN_ROUNDING_MODE: 'unknownRoundingMode', // {mode}
+  INVALID_DATE: 'invalidDate',                  // {date}
+  NO_RATE_TABLE: 'noRateTable',                 // {date}
+  RESICO_NOT_IN_EFFECT: 'resicoNotInEffect',    // {version}
+  INVALID_XML: 'invalidXml',
+  NO_COMPROBANTE: 'noComprobante',
+  UNKNOWN_TIPO_RELACION: 'unknownTipoRelacion', // {tipoRelacion}
+  UNKNOWN_EXPORTACION: 'unknownExportacion',    // {exportacion}
+  UNSUPPORTED_TIPO_COMPROBANTE: 'unsupportedTipoComprobante', // {tipoDeComprobante}
+  PAYMENT_EXCEEDS_BALANCE: 'paymentExceedsBalance', // {number}, {amount}, {balance}
+  PAYMENT_DATE_REQUIRED: 'paymentDateRequired', // {number}
+  UNKNOWN_PAYMENT: 'unknownPayment',            // {number}
+  CREDIT_NOT_INCOME: 'creditNotIncome',         // {tipoDeComprobante}
+  CREDIT_MIXED_RATES: 'creditMixedRates',
+  UNKNOWN_CREDIT_BASIS: 'unknownCreditBasis',   // {basis}
+  CREDIT_EXCEEDS_ORIGINAL: 'creditExceedsOriginal', // {credit}, {original}
+  CREDIT_NO_INVOICE: 'creditNoInvoice',
+  CREDIT_NO_IMPORT: 'creditNoImport',
+  CSV_EMPTY: 'csvEmpty',
+  CSV_NO_AMOUNT_COLUMN: 'csvNoAmountColumn',
+  CSV_TOO_MANY_ROWS: 'csvTooManyRows',          // {rows}, {max}
+  HISTORY_UNAVAILABLE: 'historyUnavailable',
+  HISTORY_OPEN_FAILED: 'historyOpenFailed',     // {detail}
+  UNKNOWN_ENGINE_METHOD: 'unknownEngineMethod', // {method}
+  UNEXPECTED_ERROR: 'unexpectedError',          // {detail}
+};
+
+/**
+ * Printable quote (pre-invoice) configuration
+ * @type {Object}
+ */
+export const QUOTE_CONFIG = {
+  DEFAULT_VALID_DAYS: 15,
+  BRAND_COLOR: '#2b6cb0',    // --color-primary
+  LIGHT_COLOR: '#e6eefc',    // --color-primary-light
+  TEXT_COLOR: '#1f2937',
+  MUTED_COLOR: '#6b7280',
+};
+
+/**
+ * Live recalculation configuration
+ * @type {Object}
+ */
+export const LIVE_CONFIG = {
+  DEBOUNCE_MS: 350,  // Pause in typing before recalculating
+};
+
+/**
+ * Inline notification configuration
+ * @type {Object}
+ */
+export const NOTIFICATION_CONFIG = {
+  AUTO_DISMISS_MS: 5000,  // Success and info messages; errors stay until dismissed
+  MAX_VISIBLE: 3,
 };
 
 /**
@@ -66,5 +177,162 @@ export const ERROR_MESSAGES = {
  */
 export const EXPORT_CONFIG = {
   CSV_FILENAME: 'invoice_breakdown.csv',
+  XML_FILENAME: 'cfdi_unsigned.xml',
+  PAYMENTS_CSV_FILENAME: 'payments.csv',
+  PAYMENT_XML_FILENAME: 'rep_unsigned', // Suffixed with the NumParcialidad
+  CREDIT_NOTE_CSV_FILENAME: 'credit_note.csv',
+  CREDIT_NOTE_XML_FILENAME: 'credit_note_unsigned.xml',
+  BATCH_CSV_FILENAME: 'batch_results.csv',
+  BATCH_JSON_FILENAME: 'batch_results.json',
+  QUOTE_PDF_FILENAME: 'quote.pdf',
   JSON_INDENT: 2,
 };
+
+/**
+ * Provisional payment schemes for the monthly estimator
+ * @type {Object}
+ */
+export const ESTIMATOR_SCHEMES = {
+  ART_106: 'art106', // Actividades empresariales y profesionales: tariff on profit
+  RESICO: 'resico',  // Régimen Simplificado de Confianza: rate on income
+};
+
+/**
+ * Payment complement (Complemento para recepción de Pagos 2.0) configuration
+ * @type {Object}
+ */
+export const PAYMENTS_CONFIG = {
+  VERSION: '2.0',
+  NAMESPACE: 'http://www.sat.gob.mx/Pagos20',
+  SCHEMA_LOCATION: 'http://www.sat.gob.mx/Pagos20 http://www.sat.gob.mx/sitio_internet/cfd/Pagos/Pagos20.xsd',
+  DR_DECIMALS: 6,        // BaseDR/ImporteDR and BaseP/ImporteP decimals
+  TOTALS_DECIMALS: 2,    // Totales are always in MXN
+  EQUIVALENCIA_DR: 1,    // Payments are made in the currency of the invoice
+  OBJETO_IMP_DR: '02',
+  DEFAULTS: {
+    TIPO_DE_COMPROBANTE: 'P',
+    MONEDA: 'XXX',
+    USO_CFDI: 'CP01',
+    CLAVE_PROD_SERV: '84111506',
+    CLAVE_UNIDAD: 'ACT',
+    DESCRIPCION: 'Pago',
+    OBJETO_IMP: '01',
+  },
+};
+
+/**
+ * Batch calculation (CSV upload) configuration
+ * Column names are matched case-insensitively, ignoring spaces, dashes and underscores
+ * @type {Object}
+ */
+export const BATCH_CONFIG = {
+  CHUNK_SIZE: 25,          // Rows calculated before yielding to the browser
+  MAX_ROWS: 10000,
+  MAX_RENDERED_ROWS: 200,  // Larger batches are complete only in the downloads
+  COLUMNS: {
+    client: ['client', 'cliente'],
+    net: ['net', 'neto', 'netamount'],
+    subtotal: ['subtotal'],
+    vatRate: ['vatrate', 'iva'],
+    incomeTaxRate: ['incometaxrate', 'isr'],
+    vatRetentionFraction: ['vatretentionfraction', 'retiva'],
+  },
+};
+
+/**
+ * Credit note (CFDI de egreso) configuration
+ * @type {Object}
+ */
+export const CREDIT_NOTE_CONFIG = {
+  TIPO_DE_COMPROBANTE: 'E',
+  TIPO_RELACION: '01',   // Nota de crédito de los documentos relacionados
+  BASIS: {
+    NET: 'net',
+    SUBTOTAL: 'subtotal',
+  },
+  DEFAULTS: {
+    METODO_PAGO: 'PUE',  // A credit note is always settled when issued
+    USO_CFDI: 'G02',     // Devoluciones, descuentos o bonificaciones
+    CLAVE_PROD_SERV: '84111506',
+    CLAVE_UNIDAD: 'ACT',
+    DESCRIPCION: 'Nota de crédito',
+  },
+};
+
+/**
+ * Calculation history configuration (IndexedDB)
+ * @type {Object}
+ */
+export const HISTORY_CONFIG = {
+  DB_NAME: 'cfdi-calculator',
+  DB_VERSION: 1,
+  STORE_NAME: 'calculations',
+  TIMESTAMP_INDEX: 'timestamp',
+  MAX_LISTED: 100, // Entries shown in the history panel
+};
+
+/**
+ * Imported CFDI audit configuration
+ * @type {Object}
+ */
+export const AUDIT_CONFIG = {
+  TOLERANCE: 0.01, // Maximum accepted difference per amount
+};
+
+/**
+ * CFDI 4.0 configuration
+ * @type {Object}
+ */
+export const CFDI_CONFIG = {
+  VERSION: '4.0',
+  NAMESPACE: 'http://www.sat.gob.mx/cfd/4',
+  XSI_NAMESPACE: 'http://www.w3.org/2001/XMLSchema-instance',
+  SCHEMA_LOCATION: 'http://www.sat.gob.mx/cfd/4 http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd',
+  TAX_CODES: {
+    ISR: '001',
+    IVA: '002',
+  },
+  IMPORT_NAMESPACES: {
+    '3.3': 'http://www.sat.gob.mx/cfd/3',
+    '4.0': 'http://www.sat.gob.mx/cfd/4',
+  },
+  TFD_NAMESPACE: 'http://www.sat.gob.mx/TimbreFiscalDigital',
+  TIPO_FACTOR: {
+    TASA: 'Tasa',
+    EXENTO: 'Exento',
+  },
+  DEFAULTS: {
+    TIPO_DE_COMPROBANTE: 'I',
+    EXPORTACION: '01',
+    MONEDA: 'MXN',
+    METODO_PAGO: 'PUE',
+    FORMA_PAGO: '03',
+    OBJETO_IMP: '02',
+    CLAVE_PROD_SERV: '01010101',
+    CLAVE_UNIDAD: 'E48',
+    DESCRIPCION: 'Servicios profesionales',
+    RECEPTOR: {
+      rfc: 'XAXX010101000',
+      nombre: 'PUBLICO EN GENERAL',
+      regimenFiscal: '616',
+      usoCFDI: 'S01',
+    },
+  },
+};
+
+/**
+ * Fiscal data validation configuration
+ * @type {Object}
+ */
+export const FISCAL_VALIDATION_CONFIG = {
+  PERSON_TYPES: {
+    FISICA: 'fisica',
+    MORAL: 'moral',
+  },
+  GENERIC_RFCS: {
+    NATIONAL: 'XAXX010101000',
+    FOREIGN: 'XEXX010101000',
+  },
+  RFC_CHECK_DIGIT_DICTIONARY: '0123456789ABCDEFGHIJKLMN&OPQRSTUVWXYZ Ñ',
+  CURP_CHECK_DIGIT_DICTIONARY: '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ',
+};
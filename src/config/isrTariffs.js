@@ -0,0 +1,57 @@
+/**
+ * @fileoverview ISR tariff tables for monthly provisional payments
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+/**
+ * Monthly ISR tariff (Art. 96 LISR, Anexo 8 RMF 2020), in effect from
+ * 2019 to 2022 (the 2019 Anexo 8 has the same limits and fees)
+ * @type {Array<Object>}
+ */
+export const ISR_MONTHLY_TARIFF_2020 = [
+  { lowerLimit: 0.01, fixedFee: 0, rate: 0.0192 },
+  { lowerLimit: 578.53, fixedFee: 11.11, rate: 0.064 },
+  { lowerLimit: 4910.19, fixedFee: 288.33, rate: 0.1088 },
+  { lowerLimit: 8629.21, fixedFee: 692.96, rate: 0.16 },
+  { lowerLimit: 10031.08, fixedFee: 917.26, rate: 0.1792 },
+  { lowerLimit: 12009.95, fixedFee: 1271.87, rate: 0.2136 },
+  { lowerLimit: 24222.32, fixedFee: 3880.44, rate: 0.2352 },
+  { lowerLimit: 38177.70, fixedFee: 7162.74, rate: 0.30 },
+  { lowerLimit: 72887.51, fixedFee: 17575.69, rate: 0.32 },
+  { lowerLimit: 97183.34, fixedFee: 25350.35, rate: 0.34 },
+  { lowerLimit: 291550.01, fixedFee: 91435.02, rate: 0.35 },
+];
+
+/**
+ * Monthly ISR tariff (Art. 96 LISR, Anexo 8 RMF 2023), used by Art. 106
+ * provisional payments. For accumulated periods the limits and fixed
+ * fees are multiplied by the number of months
+ * @type {Array<Object>}
+ */
+export const ISR_MONTHLY_TARIFF_2023 = [
+  { lowerLimit: 0.01, fixedFee: 0, rate: 0.0192 },
+  { lowerLimit: 746.05, fixedFee: 14.32, rate: 0.064 },
+  { lowerLimit: 6332.06, fixedFee: 371.83, rate: 0.1088 },
+  { lowerLimit: 11128.02, fixedFee: 893.63, rate: 0.16 },
+  { lowerLimit: 12935.83, fixedFee: 1182.88, rate: 0.1792 },
+  { lowerLimit: 15487.72, fixedFee: 1640.18, rate: 0.2136 },
+  { lowerLimit: 31236.50, fixedFee: 5004.12, rate: 0.2352 },
+  { lowerLimit: 49233.01, fixedFee: 9236.89, rate: 0.30 },
+  { lowerLimit: 93993.91, fixedFee: 22665.17, rate: 0.32 },
+  { lowerLimit: 125325.21, fixedFee: 32691.18, rate: 0.34 },
+  { lowerLimit: 375975.62, fixedFee: 117912.32, rate: 0.35 },
+];
+
+/**
+ * Monthly RESICO rates for personas físicas (Art. 113-E LISR)
+ * The rate applies to the whole monthly income, without deductions
+ * @type {Array<Object>}
+ */
+export const RESICO_MONTHLY_RATES = [
+  { upperLimit: 25000.00, rate: 0.01 },
+  { upperLimit: 50000.00, rate: 0.011 },
+  { upperLimit: 83333.33, rate: 0.015 },
+  { upperLimit: 208333.33, rate: 0.02 },
+  { upperLimit: 3500000.00, rate: 0.025 },
+];
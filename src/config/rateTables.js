@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Date-effective tax rate tables
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { ISR_MONTHLY_TARIFF_2020, ISR_MONTHLY_TARIFF_2023, RESICO_MONTHLY_RATES } from './isrTariffs.js';
+
+/**
+ * Rate table versions, oldest first. Each version applies to invoices dated
+ * between effectiveFrom and effectiveTo (inclusive, YYYY-MM-DD); a null
+ * effectiveTo means the version is still in effect. Periods must not overlap.
+ *
+ * rates uses the same keys as DEFAULT_TAX_RATES, so regime profiles can
+ * reference them. A key missing from a version is not in effect on its dates.
+ * @type {Array<Object>}
+ */
+export const RATE_TABLES = [
+  {
+    version: '2019.1',
+    effectiveFrom: '2019-01-01', // Northern border stimulus starts (DOF 31/12/2018)
+    effectiveTo: '2019-12-31',
+    rates: {
+      VAT_RATE: 0.16,
+      BORDER_VAT_RATE: 0.08,
+      INCOME_TAX_RATE: 0.10,
+      VAT_RETENTION_FRACTION: 0.6666666667,
+    },
+    isrMonthlyTariff: ISR_MONTHLY_TARIFF_2020,
+    resicoMonthlyRates: null,
+  },
+  {
+    version: '2020.1',
+    effectiveFrom: '2020-01-01',
+    effectiveTo: '2021-12-31',
+    rates: {
+      VAT_RATE: 0.16,
+      BORDER_VAT_RATE: 0.08, // Border-region stimulus
+      INCOME_TAX_RATE: 0.10,
+      VAT_RETENTION_FRACTION: 0.6666666667,
+    },
+    isrMonthlyTariff: ISR_MONTHLY_TARIFF_2020,
+    resicoMonthlyRates: null,
+  },
+  {
+    version: '2022.1',
+    effectiveFrom: '2022-01-01',
+    effectiveTo: '2022-12-31',
+    rates: {
+      VAT_RATE: 0.16,
+      BORDER_VAT_RATE: 0.08,
+      INCOME_TAX_RATE: 0.10,
+      VAT_RETENTION_FRACTION: 0.6666666667,
+      RESICO_INCOME_TAX_RATE: 0.0125, // RESICO starts in 2022
+    },
+    isrMonthlyTariff: ISR_MONTHLY_TARIFF_2020,
+    resicoMonthlyRates: RESICO_MONTHLY_RATES,
+  },
+  {
+    version: '2023.1',
+    effectiveFrom: '2023-01-01',
+    effectiveTo: null,
+    rates: {
+      VAT_RATE: 0.16,
+      BORDER_VAT_RATE: 0.08,
+      INCOME_TAX_RATE: 0.10,
+      VAT_RETENTION_FRACTION: 0.6666666667,
+      RESICO_INCOME_TAX_RATE: 0.0125,
+    },
+    isrMonthlyTariff: ISR_MONTHLY_TARIFF_2023,
+    resicoMonthlyRates: RESICO_MONTHLY_RATES,
+  },
+];
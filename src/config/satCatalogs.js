@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Bundled SAT catalogs for CFDI 4.0 and their compatibility rules
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+/**
+ * Receptor regimes allowed by the general purpose UsoCFDI codes
+ * @type {Array<string>}
+ */
+const BUSINESS_REGIMES = ['601', '603', '606', '612', '620', '621', '622', '623', '624', '625', '626'];
+
+/**
+ * Receptor regimes allowed by personal deductions (D01-D10)
+ * @type {Array<string>}
+ */
+const PERSONAL_DEDUCTION_REGIMES = ['605', '606', '607', '608', '611', '612', '614', '615', '625'];
+
+/**
+ * Receptor regimes allowed by S01 and CP01
+ * @type {Array<string>}
+ */
+const ALL_RECEPTOR_REGIMES = [
+  '601', '603', '605', '606', '607', '608', '610', '611', '612', '614', '615', '616',
+  '620', '621', '622', '623', '624', '625', '626',
+];
+
+/**
+ * c_RegimenFiscal
+ * @type {Object}
+ */
+export const REGIMEN_FISCAL = {
+  '601': { description: 'General de Ley Personas Morales', fisica: false, moral: true },
+  '603': { description: 'Personas Morales con Fines no Lucrativos', fisica: false, moral: true },
+  '605': { description: 'Sueldos y Salarios e Ingresos Asimilados a Salarios', fisica: true, moral: false },
+  '606': { description: 'Arrendamiento', fisica: true, moral: false },
+  '607': { description: 'Régimen de Enajenación o Adquisición de Bienes', fisica: true, moral: false },
+  '608': { description: 'Demás ingresos', fisica: true, moral: false },
+  '610': { description: 'Residentes en el Extranjero sin Establecimiento Permanente en México', fisica: true, moral: true },
+  '611': { description: 'Ingresos por Dividendos (socios y accionistas)', fisica: true, moral: false },
+  '612': { description: 'Personas Físicas con Actividades Empresariales y Profesionales', fisica: true, moral: false },
+  '614': { description: 'Ingresos por intereses', fisica: true, moral: false },
+  '615': { description: 'Régimen de los ingresos por obtención de premios', fisica: true, moral: false },
+  '616': { description: 'Sin obligaciones fiscales', fisica: true, moral: false },
+  '620': { description: 'Sociedades Cooperativas de Producción que optan por diferir sus ingresos', fisica: false, moral: true },
+  '621': { description: 'Incorporación Fiscal', fisica: true, moral: false },
+  '622': { description: 'Actividades Agrícolas, Ganaderas, Silvícolas y Pesqueras', fisica: false, moral: true },
+  '623': { description: 'Opcional para Grupos de Sociedades', fisica: false, moral: true },
+  '624': { description: 'Coordinados', fisica: false, moral: true },
+  '625': { description: 'Régimen de las Actividades Empresariales con ingresos a través de Plataformas Tecnológicas', fisica: true, moral: false },
+  '626': { description: 'Régimen Simplificado de Confianza', fisica: true, moral: true },
+  '628': { description: 'Hidrocarburos', fisica: false, moral: true },
+  '629': { description: 'De los Regímenes Fiscales Preferentes y de las Empresas Multinacionales', fisica: true, moral: false },
+  '630': { description: 'Enajenación de acciones en bolsa de valores', fisica: true, moral: false },
+};
+
+/**
+ * c_UsoCFDI with the receptor regimes each use allows
+ * @type {Object}
+ */
+export const USO_CFDI = {
+  G01: { description: 'Adquisición de mercancías', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  G02: { description: 'Devoluciones, descuentos o bonificaciones', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  G03: { description: 'Gastos en general', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  I01: { description: 'Construcciones', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  I02: { description: 'Mobiliario y equipo de oficina por inversiones', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  I03: { description: 'Equipo de transporte', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  I04: { description: 'Equipo de cómputo y accesorios', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  I05: { description: 'Dados, troqueles, moldes, matrices y herramental', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  I06: { description: 'Comunicaciones telefónicas', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  I07: { description: 'Comunicaciones satelitales', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  I08: { description: 'Otra maquinaria y equipo', fisica: true, moral: true, regimes: BUSINESS_REGIMES },
+  D01: { description: 'Honorarios médicos, dentales y gastos hospitalarios', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D02: { description: 'Gastos médicos por incapacidad o discapacidad', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D03: { description: 'Gastos funerales', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D04: { description: 'Donativos', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D05: { description: 'Intereses reales efectivamente pagados por créditos hipotecarios (casa habitación)', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D06: { description: 'Aportaciones voluntarias al SAR', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D07: { description: 'Primas por seguros de gastos médicos', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D08: { description: 'Gastos de transportación escolar obligatoria', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D09: { description: 'Depósitos en cuentas para el ahorro, primas que tengan como base planes de pensiones', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  D10: { description: 'Pagos por servicios educativos (colegiaturas)', fisica: true, moral: false, regimes: PERSONAL_DEDUCTION_REGIMES },
+  S01: { description: 'Sin efectos fiscales', fisica: true, moral: true, regimes: ALL_RECEPTOR_REGIMES },
+  CP01: { description: 'Pagos', fisica: true, moral: true, regimes: ALL_RECEPTOR_REGIMES },
+  CN01: { description: 'Nómina', fisica: true, moral: false, regimes: ['605'] },
+};
+
+/**
+ * c_FormaPago
+ * @type {Object}
+ */
+export const FORMA_PAGO = {
+  '01': { description: 'Efectivo' },
+  '02': { description: 'Cheque nominativo' },
+  '03': { description: 'Transferencia electrónica de fondos' },
+  '04': { description: 'Tarjeta de crédito' },
+  '05': { description: 'Monedero electrónico' },
+  '06': { description: 'Dinero electrónico' },
+  '08': { description: 'Vales de despensa' },
+  '12': { description: 'Dación en pago' },
+  '13': { description: 'Pago por subrogación' },
+  '14': { description: 'Pago por consignación' },
+  '15': { description: 'Condonación' },
+  '17': { description: 'Compensación' },
+  '23': { description: 'Novación' },
+  '24': { description: 'Confusión' },
+  '25': { description: 'Remisión de deuda' },
+  '26': { description: 'Prescripción o caducidad' },
+  '27': { description: 'A satisfacción del acreedor' },
+  '28': { description: 'Tarjeta de débito' },
+  '29': { description: 'Tarjeta de servicios' },
+  '30': { description: 'Aplicación de anticipos' },
+  '31': { description: 'Intermediario pagos' },
+  '99': { description: 'Por definir' },
+};
+
+/**
+ * c_MetodoPago with the FormaPago rule of each method
+ * PPD must use FormaPago 99 and PUE must use a defined FormaPago
+ * @type {Object}
+ */
+export const METODO_PAGO = {
+  PUE: { description: 'Pago en una sola exhibición', requiresUndefinedFormaPago: false },
+  PPD: { description: 'Pago en parcialidades o diferido', requiresUndefinedFormaPago: true },
+};
+
+/**
+ * FormaPago used when the payment is not known at issue time
+ * @type {string}
+ */
+export const FORMA_PAGO_POR_DEFINIR = '99';
+
+/**
+ * c_ObjetoImp
+ * @type {Object}
+ */
+export const OBJETO_IMP = {
+  '01': { description: 'No objeto de impuesto', breakdownTaxes: false },
+  '02': { description: 'Sí objeto de impuesto', breakdownTaxes: true },
+  '03': { description: 'Sí objeto del impuesto y no obligado al desglose', breakdownTaxes: false },
+  '04': { description: 'Sí objeto del impuesto y no causa impuesto', breakdownTaxes: false },
+  '05': { description: 'Sí objeto del impuesto, IVA crédito PODEBI', breakdownTaxes: true },
+};
+
+/**
+ * c_Moneda currencies billed most often, with the decimals SAT allows
+ * for their amounts
+ * @type {Object}
+ */
+export const MONEDA = {
+  MXN: { description: 'Peso Mexicano', decimals: 2 },
+  USD: { description: 'Dolar americano', decimals: 2 },
+  EUR: { description: 'Euro', decimals: 2 },
+  CAD: { description: 'Dolar Canadiense', decimals: 2 },
+  GBP: { description: 'Libra Esterlina', decimals: 2 },
+  CHF: { description: 'Franco Suizo', decimals: 2 },
+  JPY: { description: 'Yen', decimals: 0 },
+  CNY: { description: 'Yuan Renminbi', decimals: 2 },
+  KRW: { description: 'Won', decimals: 0 },
+  BRL: { description: 'Real brasileño', decimals: 2 },
+  COP: { description: 'Peso Colombiano', decimals: 2 },
+  CLP: { description: 'Peso Chileno', decimals: 0 },
+};
+
+/**
+ * National currency; it never carries an exchange rate other than 1
+ * @type {string}
+ */
+export const MONEDA_NACIONAL = 'MXN';
+
+/**
+ * c_Exportacion
+ * @type {Object}
+ */
+export const EXPORTACION = {
+  '01': { description: 'No aplica' },
+  '02': { description: 'Definitiva con clave A1' },
+  '03': { description: 'Temporal' },
+  '04': { description: 'Definitiva con clave distinta a A1 o cuando no existe enajenación en términos del CFF' },
+};
+
+/**
+ * c_TipoRelacion
+ * @type {Object}
+ */
+export const TIPO_RELACION = {
+  '01': { description: 'Nota de crédito de los documentos relacionados' },
+  '02': { description: 'Nota de débito de los documentos relacionados' },
+  '03': { description: 'Devolución de mercancía sobre facturas o traslados previos' },
+  '04': { description: 'Sustitución de los CFDI previos' },
+  '05': { description: 'Traslados de mercancías facturados previamente' },
+  '06': { description: 'Factura generada por los traslados previos' },
+  '07': { description: 'CFDI por aplicación de anticipo' },
+};
+
+/**
+ * Catalogs by name, used by the searchable selectors
+ * @type {Object}
+ */
+export const SAT_CATALOGS = {
+  regimenFiscal: REGIMEN_FISCAL,
+  usoCFDI: USO_CFDI,
+  formaPago: FORMA_PAGO,
+  metodoPago: METODO_PAGO,
+  objetoImp: OBJETO_IMP,
+  moneda: MONEDA,
+  exportacion: EXPORTACION,
+  tipoRelacion: TIPO_RELACION,
+};
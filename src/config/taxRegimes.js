@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tax regime profiles
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+/**
+ * Parties that can withhold a tax
+ * @type {Object}
+ */
+export const WITHHOLDING_AGENTS = {
+  RECEPTOR: 'receptor', // The client withholds and pays it to SAT
+  NONE: 'none',         // Nobody withholds it
+};
+
+/**
+ * Regime profiles. Each tax references a key of the rate tables
+ * (RATE_TABLES) so profiles follow the rates in effect on the invoice date.
+ * @type {Object}
+ */
+export const TAX_REGIMES = {
+  honorarios: {
+    id: 'honorarios',
+    regimeCode: '612',
+    labelKey: 'regimeHonorarios',
+    taxes: {
+      vat: { applies: true, rateKey: 'VAT_RATE' },
+      incomeTax: { applies: true, rateKey: 'INCOME_TAX_RATE', withheldBy: WITHHOLDING_AGENTS.RECEPTOR },
+      vatRetention: { applies: true, rateKey: 'VAT_RETENTION_FRACTION', withheldBy: WITHHOLDING_AGENTS.RECEPTOR },
+    },
+  },
+  honorariosIndividual: {
+    id: 'honorariosIndividual',
+    regimeCode: '612',
+    labelKey: 'regimeHonorariosIndividual',
+    taxes: {
+      vat: { applies: true, rateKey: 'VAT_RATE' },
+      incomeTax: { applies: false, withheldBy: WITHHOLDING_AGENTS.NONE },
+      vatRetention: { applies: false, withheldBy: WITHHOLDING_AGENTS.NONE },
+    },
+  },
+  resico: {
+    id: 'resico',
+    regimeCode: '626',
+    labelKey: 'regimeResico',
+    taxes: {
+      vat: { applies: true, rateKey: 'VAT_RATE' },
+      incomeTax: { applies: true, rateKey: 'RESICO_INCOME_TAX_RATE', withheldBy: WITHHOLDING_AGENTS.RECEPTOR },
+      vatRetention: { applies: true, rateKey: 'VAT_RETENTION_FRACTION', withheldBy: WITHHOLDING_AGENTS.RECEPTOR },
+    },
+  },
+  arrendamiento: {
+    id: 'arrendamiento',
+    regimeCode: '606',
+    labelKey: 'regimeArrendamiento',
+    taxes: {
+      vat: { applies: true, rateKey: 'VAT_RATE' },
+      incomeTax: { applies: true, rateKey: 'INCOME_TAX_RATE', withheldBy: WITHHOLDING_AGENTS.RECEPTOR },
+      vatRetention: { applies: true, rateKey: 'VAT_RETENTION_FRACTION', withheldBy: WITHHOLDING_AGENTS.RECEPTOR },
+    },
+  },
+  personaMoral: {
+    id: 'personaMoral',
+    regimeCode: '601',
+    labelKey: 'regimePersonaMoral',
+    taxes: {
+      vat: { applies: true, rateKey: 'VAT_RATE' },
+      incomeTax: { applies: false, withheldBy: WITHHOLDING_AGENTS.NONE },
+      vatRetention: { applies: false, withheldBy: WITHHOLDING_AGENTS.NONE },
+    },
+  },
+};
+
+/**
+ * Regime used when none is selected
+ * @type {string}
+ */
+export const DEFAULT_REGIME = 'honorarios';
+
+/**
+ * Selector value used when the rates were edited by hand
+ * @type {string}
+ */
+export const CUSTOM_REGIME = 'custom';
@@ -27,25 +27,72 @@ export const TRANSLATIONS = {
     netAmountHelp: 'Amount that was deposited to you (already with withholdings applied).',
     subtotalLabel: 'Subtotal (optional)',
     subtotalHelp: 'If you want to calculate from a known subtotal, enter it and press "Calculate from Subtotal".',
+    conceptsTitle: 'Concepts (multi-line invoice)',
+    conceptsHelp: 'Each concept is rounded on its own line and the totals are the sum of the lines, like invoicing software does.',
+    distributionLabel: 'Goal Seek distribution',
+    distributionHelp: 'Proportional uses the current line amounts as weights (equal weights if any price is empty).',
+    distributionProportional: 'Proportional to current amounts',
+    distributionSingleLine: 'Adjust a single line',
+    adjustLineLabel: 'Line to adjust',
+    regimeLabel: 'Tax regime',
+    regimeHelp: 'Fills the rates below with the taxes and withholdings of the selected regime.',
     ratesLabel: 'Rates (you can adjust)',
     ratesHelp: 'VAT, Income Tax withheld, and VAT retention fraction (2/3 = 0.66666...)',
     calculationOptionsLabel: 'Calculation options',
     
+    // Rounding modes
+    roundingModeLabel: 'Amount rounding',
+    rateRoundingModeLabel: 'TasaOCuota decimals',
+    roundingHelp: 'Rounding rules used with high internal precision (exact arithmetic on centavos).',
+    roundingMode_halfUp: 'Half up (SAT)',
+    roundingMode_halfEven: 'Half even',
+    roundingMode_truncate: 'Truncate',
+    
     // Checkbox options
     highPrecisionOption: 'Maintain high internal precision',
     roundPerLineOption: 'Round taxes per line to 2 decimal places (simulate invoicing software)',
     showStepsOption: 'Show detailed steps (console)',
+    liveModeOption: 'Recalculate as I type',
+    liveModeHelp: 'Editing the net amount runs Goal Seek and fills in the subtotal; editing the subtotal fills in the net amount. Other changes recalculate from the field edited last.',
+    
+    // Regime options
+    regimeHonorarios: 'Professional services (612) billed to a company',
+    regimeHonorariosIndividual: 'Professional services (612) billed to an individual',
+    regimeResico: 'RESICO (626) billed to a company',
+    regimeArrendamiento: 'Leasing (606) billed to a company',
+    regimePersonaMoral: 'Company (601)',
+    regimeCustom: 'Custom rates',
+    
+    // Concepts table
+    conceptDescription: 'Description',
+    conceptQuantity: 'Quantity',
+    conceptUnitPrice: 'Unit price',
+    conceptDiscount: 'Discount',
+    conceptTaxes: 'Taxes',
+    conceptAmount: 'Amount',
+    conceptVat: 'VAT',
+    removeConcept: 'Remove concept',
+    taxTreatmentDefault: 'Regime rates',
+    taxTreatmentNoWithholdings: 'VAT only (no withholdings)',
     
     // Buttons
     calculateFromSubtotalBtn: 'Calculate from Subtotal',
+    addConceptBtn: 'Add concept',
+    calculateFromConceptsBtn: 'Calculate from Concepts',
+    goalSeekConceptsBtn: 'Goal Seek across Concepts (uses net amount)',
     calculateSubtotalDirectBtn: 'Calculate Subtotal (Direct formula)',
     goalSeekBtn: 'Goal Seek (respects rounding)',
+    exactSolveBtn: 'Exact solutions (centavos)',
     resetBtn: 'Reset',
     copyJsonBtn: 'Copy JSON',
+    copyLinkBtn: 'Copy link',
     downloadCsvBtn: 'Download CSV',
+    downloadJsonBtn: 'Download JSON',
+    downloadXmlBtn: 'Download CFDI XML',
     
     // Results
     subtotalResult: 'Subtotal',
+    discountResult: 'Discount',
     vatChargedResult: 'VAT charged',
     incomeTaxWithheldResult: 'Income Tax withheld',
     vatRetentionResult: 'VAT Retention (2/3)',
@@ -75,19 +122,324 @@ export const TRANSLATIONS = {
     goalSeekTimeout: 'Could not find an exact solution. Try with different values.',
     invalidPercentage: 'Percentage must be between 0 and 1',
     denominatorTooSmall: 'Denominator too close to zero. Please verify the rates.',
+    noConcepts: 'Add at least one concept with a unit price',
+    valueNotNumber: '{field}: Must be a valid number',
+    valueNotPositive: '{field}: Must be greater than 0',
+    invalidDiscount: '{field}: Must be between 0 and the line amount',
+    unknownRegime: 'Unknown tax regime: {regime}',
+    regimeNotAvailable: 'Tax regime {regime} is not available: {rateKey} is not in effect',
+    unknownVatTreatment: 'Unknown IVA treatment: {vatTreatment}',
+    unknownDistribution: 'Unknown distribution strategy: {strategy}',
+    invalidAdjustedLine: 'Adjusted line must be between 1 and {max}',
+    invalidWeights: 'Weights must be positive numbers, one per concept',
+    invalidCell: '{field}: "{value}" is not a number',
+    invalidRate: '{field}: Must be a fraction between 0 and 1',
+    netAndSubtotal: 'Fill either net or subtotal, not both',
+    noAmount: 'The row has no net or subtotal',
+    valueNegative: '{field}: Must be 0 or greater',
+    valueOutOfRange: '{field}: Value out of range',
+    unknownRoundingMode: 'Unknown rounding mode: {mode}',
+    invalidDate: 'Invalid date: {date}',
+    noRateTable: 'No tax rate table in effect on {date}',
+    resicoNotInEffect: 'RESICO is not in effect in rate table {version}',
+    invalidXml: 'The file is not well-formed XML',
+    noComprobante: 'No CFDI 3.3 or 4.0 Comprobante found',
+    unknownTipoRelacion: 'Unknown c_TipoRelacion code: {tipoRelacion}',
+    unknownExportacion: 'Unknown c_Exportacion code: {exportacion}',
+    unsupportedTipoComprobante: 'Unsupported TipoDeComprobante: {tipoDeComprobante}',
+    paymentExceedsBalance: 'Payment {number} ({amount}) exceeds the outstanding balance ({balance})',
+    paymentDateRequired: 'Payment {number}: FechaPago is required',
+    unknownPayment: 'Unknown payment: {number}',
+    creditNotIncome: 'Only income (I) invoices can be credited, got {tipoDeComprobante}',
+    creditMixedRates: 'Invoices with mixed IVA rates cannot be credited proportionally',
+    unknownCreditBasis: 'Unknown credit basis: {basis}',
+    creditExceedsOriginal: 'The credit ({credit}) exceeds the original invoice ({original})',
+    csvEmpty: 'The CSV file is empty',
+    csvNoAmountColumn: 'The CSV needs a net or subtotal column',
+    csvTooManyRows: 'The CSV has {rows} rows; the limit is {max}',
+    historyOpenFailed: 'Error opening history: {detail}',
+    unknownEngineMethod: 'Unknown engine method: {method}',
+    unexpectedError: 'Unexpected error: {detail}',
     noResultsToCopy: 'No results to copy',
     noResultsToDownload: 'No results to download',
     jsonCopied: 'JSON copied to clipboard',
+    linkCopied: 'Link copied to clipboard',
+    linkNotShareable: 'Calculations from concepts cannot be shared as a link; export them as XML or JSON',
     errorCopying: 'Error copying:',
     errorDownloading: 'Error downloading:',
     
     // Log messages
     stepsWillAppear: 'Steps will appear here if you check "Show detailed steps".',
     calculationFromSubtotal: 'Calculation from subtotal (direct).',
+    calculationFromConcepts: 'Calculation from concepts (rounded per line).',
     algebraicFormula: 'Algebraic formula (without intermediate rounding)',
     approximateSubtotal: 'Approximate subtotal:',
     startingGoalSeek: 'Starting Goal Seek (binary search) respecting line rounding...',
     goalSeekResult: 'Goal Seek result:',
+    startingGoalSeekConcepts: 'Starting Goal Seek across concepts...',
+    goalSeekNotExact: 'No unit prices reach that net amount exactly; showing the closest result.',
+    startingExactSolve: 'Listing every subtotal (to the centavo) that gives the net amount...',
+    exactSolutionsFound: 'Subtotals that give exactly this net amount:',
+    exactSolutionsNone: 'No subtotal gives exactly this net amount. Closest reachable net amounts:',
+    exactNearestBelow: 'Below:',
+    exactNearestAbove: 'Above:',
+    exactNetLabel: 'net',
+    
+    // Emisor and receptor
+    partiesTitle: 'Issuer and receiver',
+    partiesHelp: 'Fiscal data used in the CFDI XML. Leave the receiver empty to invoice the general public (XAXX010101000).',
+    emisorLegend: 'Issuer (Emisor)',
+    receptorLegend: 'Receiver (Receptor)',
+    partyRfc: 'RFC',
+    partyName: 'Name or business name',
+    partyRegime: 'Tax regime (c_RegimenFiscal)',
+    partyPostalCodeEmisor: 'Place of issue postal code',
+    partyPostalCodeReceptor: 'Tax domicile postal code',
+    partyUsoCFDI: 'CFDI use (UsoCFDI)',
+    personTypeFisica: 'Individual (persona física)',
+    personTypeMoral: 'Legal entity (persona moral)',
+    genericRfc: 'Generic RFC',
+    rfcRequired: 'RFC is required.',
+    rfcInvalidFormat: 'Invalid RFC: use 13 characters for individuals or 12 for legal entities.',
+    rfcInvalidDate: 'Invalid RFC: the date part does not exist.',
+    rfcInvalidCheckDigit: 'Invalid RFC: the check digit does not match.',
+    curpRequired: 'CURP is required.',
+    curpInvalidFormat: 'Invalid CURP format.',
+    curpInvalidDate: 'Invalid CURP: the birth date does not exist.',
+    curpInvalidCheckDigit: 'Invalid CURP: the check digit does not match.',
+    nameRequired: 'Name is required.',
+    postalCodeRequired: 'Postal code is required.',
+    postalCodeInvalid: 'The postal code must have 5 digits.',
+    regimeRequired: 'Tax regime is required.',
+    regimeUnknown: 'Unknown c_RegimenFiscal code.',
+    regimeNotForFisica: 'This regime does not apply to individuals.',
+    regimeNotForMoral: 'This regime does not apply to legal entities.',
+    usoCFDIRequired: 'CFDI use is required.',
+    usoCFDIUnknown: 'Unknown c_UsoCFDI code.',
+    usoCFDINotForFisica: 'This CFDI use does not apply to individuals.',
+    usoCFDINotForMoral: 'This CFDI use does not apply to legal entities.',
+    usoCFDINotForRegime: 'This CFDI use is not allowed for the receiver tax regime.',
+    genericRfcRequiresS01: 'The generic RFC requires regime 616 and CFDI use S01.',
+    metodoPagoLabel: 'Payment method (MetodoPago)',
+    formaPagoLabel: 'Payment form (FormaPago)',
+    metodoPagoUnknown: 'Unknown c_MetodoPago code.',
+    formaPagoUnknown: 'Unknown c_FormaPago code.',
+    ppdRequiresFormaPago99: 'PPD (deferred payment) requires FormaPago 99 (to be defined).',
+    pueRequiresFormaPago: 'PUE (single payment) requires a defined FormaPago, not 99.',
+    objetoImpUnknown: 'Unknown c_ObjetoImp code.',
+    objetoImpTaxMismatch: 'The c_ObjetoImp code does not match the concept taxes.',
+    invalidPartyData: 'Please fix the issuer, receiver and payment data before exporting the XML.',
+    
+    // Calculation history
+    historyTitle: 'History',
+    historyLabelLabel: 'Client label (optional)',
+    historyLabelHelp: 'Saved with the next calculations so you can find them later.',
+    historySearchLabel: 'Search',
+    historyFromLabel: 'From',
+    historyToLabel: 'To',
+    historyEmpty: 'No saved calculations.',
+    historyUnavailable: 'History is not available in this browser.',
+    historyOpen: 'Open',
+    historyDelete: 'Delete',
+    method_fromSubtotal: 'From subtotal',
+    method_fromConcepts: 'From concepts',
+    method_goalSeek: 'Goal Seek',
+    method_exactSolve: 'Exact solver',
+    method_goalSeekConcepts: 'Goal Seek across concepts',
+    method_algebraic: 'Algebraic formula',
+    method_entered: 'Entered',
+    resultMethodLabel: 'Method:',
+    
+    // Rate tables
+    invoiceDateLabel: 'Invoice date',
+    rateTableLabel: 'Rate table',
+    rateTableSince: 'since',
+    
+    // Currency
+    currencyLabel: 'Currency',
+    exchangeRateLabel: 'Exchange rate (TipoCambio)',
+    currencyHelp: 'Amounts are calculated in the invoice currency; the MXN equivalents use this exchange rate.',
+    currencyInvalid: 'Select a currency from the c_Moneda catalog.',
+    exchangeRateRequired: 'Enter the exchange rate (TipoCambio) for the foreign currency.',
+    exchangeRateInvalid: 'The exchange rate must be greater than 0 with up to 6 decimals.',
+    exchangeRateNational: 'The exchange rate for MXN must be 1.',
+    
+    // Border-region stimulus
+    borderZoneOption: 'Border-region IVA stimulus (8%)',
+    borderZoneInside: 'Issuer postal code in the stimulus zone:',
+    borderZoneOutside: 'The issuer postal code is not in the border stimulus zone. Check that the 8% rate applies.',
+    borderZoneNotInEffect: 'The border stimulus of the issuer postal code is in effect from {date}. Check the invoice date.',
+    borderZoneNoPostalCode: 'Capture the issuer postal code to check the border stimulus zone.',
+    
+    // IVA treatment and export
+    vatTreatmentLabel: 'IVA treatment',
+    vatTreatmentHelp: 'Exported services are usually zero-rated (Art. 29 LIVA) and exempt activities carry no IVA (Art. 15 LIVA); neither has withholdings.',
+    vatTreatment_taxed: 'Taxed at the IVA rate',
+    vatTreatment_zeroRated: 'Zero-rated (IVA 0%)',
+    vatTreatment_exempt: 'Exempt (Exento)',
+    exportacionLabel: 'Export (Exportacion)',
+    
+    // Payment complement
+    paymentsTitle: 'Payment complement (REP)',
+    paymentsHelp: 'For PPD invoices, each payment received needs a payment receipt (CFDI type P with Pagos 2.0) carrying its share of the taxes. Calculate the invoice first, then add the payments in order.',
+    paymentUuidLabel: 'Invoice UUID (IdDocumento)',
+    paymentFormaPagoLabel: 'Payment form (FormaDePagoP)',
+    paymentDateLabel: 'Payment date',
+    paymentAmountLabel: 'Amount paid',
+    paymentExchangeRateLabel: 'Exchange rate (TipoCambioP)',
+    addPaymentBtn: 'Add payment',
+    clearPaymentsBtn: 'Clear payments',
+    paymentsNoInvoice: 'Calculate the invoice before adding payments.',
+    paymentsEmpty: 'There are no payments to export.',
+    paymentsNumber: 'No.',
+    paymentsDate: 'Date',
+    paymentsBalanceBefore: 'Previous balance',
+    paymentsPaid: 'Paid',
+    paymentsBalanceAfter: 'Outstanding balance',
+    paymentsVat: 'IVA',
+    paymentsWithheld: 'Withheld',
+    paymentsXml: 'Receipt',
+    paymentsSettled: 'The invoice is fully paid.',
+    paymentsOutstanding: 'Outstanding balance:',
+    paymentFormaPagoUndefined: 'A received payment cannot use FormaPago 99 (Por definir).',
+    
+    // Credit note
+    creditTitle: 'Credit note (CFDI type E)',
+    creditHelp: 'Reverses part of an invoice with a CFDI de egreso related by TipoRelacion 01. IVA, ISR and IVA retention are reversed with the rates of the original invoice. Use the current calculation (or open one from the history) or the last audited XML.',
+    creditSourceLabel: 'Original invoice',
+    creditSource_current: 'Current calculation',
+    creditSource_imported: 'Audited XML',
+    creditUuidLabel: 'Original invoice UUID',
+    creditBasisLabel: 'Amount entered as',
+    creditBasis_net: 'Net amount (Total)',
+    creditBasis_subtotal: 'Subtotal',
+    creditAmountLabel: 'Amount to credit',
+    creditFormaPagoLabel: 'Refund payment form',
+    calculateCreditBtn: 'Calculate credit note',
+    creditNoInvoice: 'Calculate the invoice before issuing a credit note.',
+    creditNoImport: 'Audit the original XML before issuing a credit note from it.',
+    creditEmpty: 'Calculate the credit note first.',
+    creditConcept: 'Concept',
+    creditOriginal: 'Original',
+    creditCredited: 'Credited',
+    creditRemaining: 'Remaining',
+    creditProportion: 'Credited share of the invoice:',
+    uuidRequired: 'The UUID is required.',
+    uuidInvalid: 'The UUID must have the format XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXX.',
+    
+    // Batch calculation
+    batchTitle: 'Batch calculation (CSV)',
+    batchHelp: 'Load a CSV with a header row and one invoice per row. Columns: client, net or subtotal (fill one per row) and, optionally, vatRate, incomeTaxRate and vatRetentionFraction as fractions (0.16). Empty rates and the options use the current values of the calculator.',
+    batchDropText: 'Drop a CSV file here or click to choose one',
+    batchProcessing: 'Calculating rows...',
+    batchEmpty: 'Load a CSV file first.',
+    batchSucceeded: 'Calculated:',
+    batchFailed: 'With errors:',
+    batchTotalNet: 'Total net:',
+    batchLine: 'Line',
+    batchClient: 'Client',
+    batchTruncated: 'Download the results to see every row. Rows shown:',
+    
+    // Background calculation
+    busyCalculating: 'Calculating...',
+    cancelCalculationBtn: 'Cancel',
+    calculationCancelled: 'Calculation cancelled.',
+    progress_expand: 'searching range',
+    progress_bisect: 'narrowing down',
+    progress_scan: 'checking rounding',
+    
+    // Notifications
+    notificationsLabel: 'Notifications',
+    dismissNotification: 'Dismiss',
+    
+    // Quote
+    quoteSectionTitle: 'Quote / pre-invoice',
+    quoteHelp: 'Lays out the current calculation as a printable quote with the issuer and client data, the concepts, the tax breakdown and the amount in words. The PDF is generated in your browser; nothing is sent to a server.',
+    quoteFolioLabel: 'Quote number',
+    quoteValidDaysLabel: 'Valid for (days)',
+    quoteNotesLabel: 'Notes',
+    previewQuoteBtn: 'Preview quote',
+    printQuoteBtn: 'Print',
+    downloadPdfBtn: 'Download PDF',
+    quoteEmpty: 'Calculate an invoice first to build the quote',
+    quoteTitle: 'Quote',
+    quoteFolio: 'No.',
+    quoteDate: 'Date',
+    quoteValidUntil: 'Valid until',
+    quoteIssuer: 'Issuer',
+    quoteClient: 'Client',
+    quoteNoParty: 'Not captured',
+    quoteRfc: 'RFC',
+    quoteRegime: 'Tax regime',
+    quotePostalCode: 'Postal code',
+    quoteUsoCFDI: 'CFDI use',
+    quoteDescription: 'Description',
+    quoteQuantity: 'Qty.',
+    quoteUnitPrice: 'Unit price',
+    quoteDiscount: 'Discount',
+    quoteAmount: 'Amount',
+    quoteVatWithheld: 'VAT withheld',
+    quoteTotal: 'Total',
+    quoteExchangeRate: 'Exchange rate',
+    quoteAmountInWords: 'Amount in words',
+    quoteNotes: 'Notes',
+    quoteDisclaimer: 'This quote is not a tax receipt (CFDI). Amounts are subject to change until the invoice is issued.',
+    
+    // Monthly estimator
+    estimatorTitle: 'Monthly provisional payments',
+    estimatorHelp: 'Adds up the calculations saved in the history for the month and estimates the provisional ISR (Art. 96/106 LISR tariff or RESICO) and the IVA payable. It is an estimate, not a tax return.',
+    estimatorMonthLabel: 'Month',
+    estimatorAccumulateOption: 'Accumulate from January (Art. 106)',
+    estimatorSchemeLabel: 'Scheme',
+    estimatorScheme_art106: 'Business and professional activities (Art. 106)',
+    estimatorScheme_resico: 'RESICO (Art. 113-E)',
+    estimatorDeductionsLabel: 'Deductible expenses',
+    estimatorVatCreditableLabel: 'Creditable IVA paid',
+    estimatorPreviousPaymentsLabel: 'Previous provisional ISR payments',
+    estimateMonthlyBtn: 'Estimate payments',
+    estimatorNoInvoices: 'No saved calculations in this period.',
+    estimatorIsrSection: 'ISR',
+    estimatorIncome: 'Income',
+    estimatorDeductionsRow: 'Deductions',
+    estimatorTaxableBase: 'Taxable base',
+    estimatorTariffTax: 'ISR per tariff',
+    estimatorResicoTax: 'ISR per RESICO rate',
+    estimatorIsrWithheld: 'ISR withheld',
+    estimatorPreviousPaymentsRow: 'Previous provisional payments',
+    estimatorIsrPayable: 'ISR payable',
+    estimatorVatSection: 'IVA',
+    estimatorVatCharged: 'IVA charged',
+    estimatorVatRetained: 'IVA withheld',
+    estimatorVatCreditableRow: 'Creditable IVA',
+    estimatorVatPayable: 'IVA payable',
+    estimatorFavorBalance: 'Balance in favor',
+    estimatorTotalPayable: 'Total payable',
+    
+    // CFDI audit
+    auditTitle: 'Audit CFDI XML',
+    auditHelp: 'Load a CFDI 3.3 or 4.0 XML to recalculate its taxes with the detected rates and compare them with the declared amounts.',
+    auditDropText: 'Drop an XML file here or click to choose one',
+    auditVersion: 'Version',
+    auditUuid: 'UUID',
+    auditNotStamped: 'Not stamped',
+    auditEmisor: 'Issuer',
+    auditReceptor: 'Receiver',
+    auditDetectedRates: 'Detected rates',
+    auditRateVat: 'VAT',
+    auditRateIncomeTax: 'Income Tax',
+    auditRateVatRetention: 'VAT ret.',
+    auditMixedRates: 'The concepts use different VAT rates; the first detected rate was used.',
+    auditValid: 'The declared amounts match the recalculation.',
+    auditInvalid: 'Differences beyond tolerance found',
+    auditField: 'Field',
+    auditDeclared: 'Declared',
+    auditExpected: 'Recalculated',
+    auditDifference: 'Difference',
+    auditField_vat: 'VAT charged',
+    auditField_incomeTaxWithheld: 'Income Tax withheld',
+    auditField_vatRetention: 'VAT retention',
+    auditField_total: 'Total',
+    auditField_totalConsistency: 'Total vs. declared taxes',
     
     // Browser compatibility
     browserNotCompatible: 'Browser not compatible',
@@ -124,25 +476,72 @@ export const TRANSLATIONS = {
     netAmountHelp: 'Monto que te depositaron (ya con retenciones aplicadas).',
     subtotalLabel: 'Subtotal (opcional)',
     subtotalHelp: 'Si quieres calcular a partir de un subtotal conocido, introdúcelo y presiona "Calcular desde Subtotal".',
+    conceptsTitle: 'Conceptos (factura con varias partidas)',
+    conceptsHelp: 'Cada concepto se redondea en su propia línea y los totales son la suma de las líneas, como lo hace el facturador.',
+    distributionLabel: 'Distribución del Goal Seek',
+    distributionHelp: 'Proporcional usa los importes actuales de cada línea como pesos (pesos iguales si falta algún precio).',
+    distributionProportional: 'Proporcional a los importes actuales',
+    distributionSingleLine: 'Ajustar una sola línea',
+    adjustLineLabel: 'Línea a ajustar',
+    regimeLabel: 'Régimen fiscal',
+    regimeHelp: 'Llena las tasas con los impuestos y retenciones del régimen seleccionado.',
     ratesLabel: 'Tasas (puedes ajustar)',
     ratesHelp: 'IVA, ISR retenido, y fracción de retención de IVA (2/3 = 0.66666...)',
     calculationOptionsLabel: 'Opciones de cálculo',
     
+    // Rounding modes
+    roundingModeLabel: 'Redondeo de importes',
+    rateRoundingModeLabel: 'Decimales de TasaOCuota',
+    roundingHelp: 'Reglas de redondeo usadas con alta precisión interna (aritmética exacta en centavos).',
+    roundingMode_halfUp: 'Mitad hacia arriba (SAT)',
+    roundingMode_halfEven: 'Mitad al par',
+    roundingMode_truncate: 'Truncar',
+    
     // Checkbox options
     highPrecisionOption: 'Mantener alta precisión interna',
     roundPerLineOption: 'Redondear impuestos por línea a 2 decimales (simular facturador)',
     showStepsOption: 'Mostrar pasos detallados (consola)',
+    liveModeOption: 'Recalcular mientras escribo',
+    liveModeHelp: 'Al editar el neto se ejecuta Goal Seek y se llena el subtotal; al editar el subtotal se llena el neto. Los demás cambios recalculan desde el último campo editado.',
+    
+    // Regime options
+    regimeHonorarios: 'Servicios profesionales (612) a persona moral',
+    regimeHonorariosIndividual: 'Servicios profesionales (612) a persona física',
+    regimeResico: 'RESICO (626) a persona moral',
+    regimeArrendamiento: 'Arrendamiento (606) a persona moral',
+    regimePersonaMoral: 'Persona moral (601)',
+    regimeCustom: 'Tasas personalizadas',
+    
+    // Concepts table
+    conceptDescription: 'Descripción',
+    conceptQuantity: 'Cantidad',
+    conceptUnitPrice: 'Valor unitario',
+    conceptDiscount: 'Descuento',
+    conceptTaxes: 'Impuestos',
+    conceptAmount: 'Importe',
+    conceptVat: 'IVA',
+    removeConcept: 'Eliminar concepto',
+    taxTreatmentDefault: 'Tasas del régimen',
+    taxTreatmentNoWithholdings: 'Solo IVA (sin retenciones)',
     
     // Buttons
     calculateFromSubtotalBtn: 'Calcular desde Subtotal',
+    addConceptBtn: 'Agregar concepto',
+    calculateFromConceptsBtn: 'Calcular desde Conceptos',
+    goalSeekConceptsBtn: 'Goal Seek entre Conceptos (usa el neto)',
     calculateSubtotalDirectBtn: 'Calcular Subtotal (Fórmula directa)',
     goalSeekBtn: 'Goal Seek (respeta redondeos)',
+    exactSolveBtn: 'Soluciones exactas (centavos)',
     resetBtn: 'Reset',
     copyJsonBtn: 'Copiar JSON',
+    copyLinkBtn: 'Copiar enlace',
     downloadCsvBtn: 'Descargar CSV',
+    downloadJsonBtn: 'Descargar JSON',
+    downloadXmlBtn: 'Descargar XML CFDI',
     
     // Results
     subtotalResult: 'Subtotal',
+    discountResult: 'Descuento',
     vatChargedResult: 'IVA trasladado',
     incomeTaxWithheldResult: 'Retención ISR',
     vatRetentionResult: 'Retención IVA (2/3)',
@@ -172,19 +571,324 @@ export const TRANSLATIONS = {
     goalSeekTimeout: 'No se pudo encontrar una solución exacta. Intenta con otros valores.',
     invalidPercentage: 'Porcentaje debe estar entre 0 y 1',
     denominatorTooSmall: 'Denominador muy cercano a cero. Verifica las tasas.',
+    noConcepts: 'Agrega al menos un concepto con valor unitario',
+    valueNotNumber: '{field}: Debe ser un número válido',
+    valueNotPositive: '{field}: Debe ser mayor a 0',
+    invalidDiscount: '{field}: Debe estar entre 0 y el importe de la línea',
+    unknownRegime: 'Régimen fiscal desconocido: {regime}',
+    regimeNotAvailable: 'El régimen {regime} no está disponible: {rateKey} no está vigente',
+    unknownVatTreatment: 'Tratamiento de IVA desconocido: {vatTreatment}',
+    unknownDistribution: 'Estrategia de distribución desconocida: {strategy}',
+    invalidAdjustedLine: 'La línea ajustada debe estar entre 1 y {max}',
+    invalidWeights: 'Los pesos deben ser números positivos, uno por concepto',
+    invalidCell: '{field}: "{value}" no es un número',
+    invalidRate: '{field}: Debe ser una fracción entre 0 y 1',
+    netAndSubtotal: 'Llena neto o subtotal, no ambos',
+    noAmount: 'La fila no tiene neto ni subtotal',
+    valueNegative: '{field}: Debe ser 0 o mayor',
+    valueOutOfRange: '{field}: Valor fuera de rango',
+    unknownRoundingMode: 'Modo de redondeo desconocido: {mode}',
+    invalidDate: 'Fecha inválida: {date}',
+    noRateTable: 'No hay tabla de tasas vigente el {date}',
+    resicoNotInEffect: 'RESICO no está vigente en la tabla de tasas {version}',
+    invalidXml: 'El archivo no es un XML bien formado',
+    noComprobante: 'No se encontró un Comprobante CFDI 3.3 o 4.0',
+    unknownTipoRelacion: 'Clave de c_TipoRelacion desconocida: {tipoRelacion}',
+    unknownExportacion: 'Clave de c_Exportacion desconocida: {exportacion}',
+    unsupportedTipoComprobante: 'TipoDeComprobante no soportado: {tipoDeComprobante}',
+    paymentExceedsBalance: 'El pago {number} ({amount}) excede el saldo insoluto ({balance})',
+    paymentDateRequired: 'Pago {number}: la FechaPago es obligatoria',
+    unknownPayment: 'Pago desconocido: {number}',
+    creditNotIncome: 'Solo se pueden acreditar facturas de ingreso (I), se recibió {tipoDeComprobante}',
+    creditMixedRates: 'Las facturas con tasas de IVA mixtas no se pueden acreditar proporcionalmente',
+    unknownCreditBasis: 'Base de la nota de crédito desconocida: {basis}',
+    creditExceedsOriginal: 'La nota de crédito ({credit}) excede la factura original ({original})',
+    csvEmpty: 'El archivo CSV está vacío',
+    csvNoAmountColumn: 'El CSV necesita una columna de neto o de subtotal',
+    csvTooManyRows: 'El CSV tiene {rows} filas; el límite es {max}',
+    historyOpenFailed: 'Error al abrir el historial: {detail}',
+    unknownEngineMethod: 'Método del motor desconocido: {method}',
+    unexpectedError: 'Error inesperado: {detail}',
     noResultsToCopy: 'No hay resultados para copiar',
     noResultsToDownload: 'No hay resultados para descargar',
     jsonCopied: 'JSON copiado al portapapeles',
+    linkCopied: 'Enlace copiado al portapapeles',
+    linkNotShareable: 'Los cálculos por conceptos no se pueden compartir como enlace; expórtalos como XML o JSON',
     errorCopying: 'Error al copiar:',
     errorDownloading: 'Error al descargar:',
     
     // Log messages
     stepsWillAppear: 'Aquí aparecerán los pasos si marcas "Mostrar pasos detallados".',
     calculationFromSubtotal: 'Cálculo desde subtotal (directo).',
+    calculationFromConcepts: 'Cálculo desde conceptos (redondeo por línea).',
     algebraicFormula: 'Fórmula algebraica (sin redondeos intermedios)',
     approximateSubtotal: 'Subtotal aproximado:',
     startingGoalSeek: 'Iniciando Goal Seek (búsqueda binaria) respetando redondeos por línea...',
     goalSeekResult: 'Resultado Goal Seek:',
+    startingGoalSeekConcepts: 'Iniciando Goal Seek entre conceptos...',
+    goalSeekNotExact: 'Ningún precio unitario alcanza ese neto exacto; se muestra el resultado más cercano.',
+    startingExactSolve: 'Buscando todos los subtotales (al centavo) que dan el neto...',
+    exactSolutionsFound: 'Subtotales que dan exactamente este neto:',
+    exactSolutionsNone: 'Ningún subtotal da exactamente este neto. Netos alcanzables más cercanos:',
+    exactNearestBelow: 'Abajo:',
+    exactNearestAbove: 'Arriba:',
+    exactNetLabel: 'neto',
+    
+    // Emisor and receptor
+    partiesTitle: 'Emisor y receptor',
+    partiesHelp: 'Datos fiscales usados en el XML CFDI. Deja el receptor vacío para facturar al público en general (XAXX010101000).',
+    emisorLegend: 'Emisor',
+    receptorLegend: 'Receptor',
+    partyRfc: 'RFC',
+    partyName: 'Nombre o razón social',
+    partyRegime: 'Régimen fiscal (c_RegimenFiscal)',
+    partyPostalCodeEmisor: 'Código postal de expedición',
+    partyPostalCodeReceptor: 'Código postal del domicilio fiscal',
+    partyUsoCFDI: 'Uso del CFDI (UsoCFDI)',
+    personTypeFisica: 'Persona física',
+    personTypeMoral: 'Persona moral',
+    genericRfc: 'RFC genérico',
+    rfcRequired: 'El RFC es obligatorio.',
+    rfcInvalidFormat: 'RFC inválido: usa 13 caracteres para persona física o 12 para persona moral.',
+    rfcInvalidDate: 'RFC inválido: la fecha no existe.',
+    rfcInvalidCheckDigit: 'RFC inválido: el dígito verificador no coincide.',
+    curpRequired: 'La CURP es obligatoria.',
+    curpInvalidFormat: 'Formato de CURP inválido.',
+    curpInvalidDate: 'CURP inválida: la fecha de nacimiento no existe.',
+    curpInvalidCheckDigit: 'CURP inválida: el dígito verificador no coincide.',
+    nameRequired: 'El nombre es obligatorio.',
+    postalCodeRequired: 'El código postal es obligatorio.',
+    postalCodeInvalid: 'El código postal debe tener 5 dígitos.',
+    regimeRequired: 'El régimen fiscal es obligatorio.',
+    regimeUnknown: 'Clave de c_RegimenFiscal desconocida.',
+    regimeNotForFisica: 'Este régimen no aplica a personas físicas.',
+    regimeNotForMoral: 'Este régimen no aplica a personas morales.',
+    usoCFDIRequired: 'El uso del CFDI es obligatorio.',
+    usoCFDIUnknown: 'Clave de c_UsoCFDI desconocida.',
+    usoCFDINotForFisica: 'Este uso del CFDI no aplica a personas físicas.',
+    usoCFDINotForMoral: 'Este uso del CFDI no aplica a personas morales.',
+    usoCFDINotForRegime: 'Este uso del CFDI no está permitido para el régimen fiscal del receptor.',
+    genericRfcRequiresS01: 'El RFC genérico requiere el régimen 616 y el uso S01.',
+    metodoPagoLabel: 'Método de pago (MetodoPago)',
+    formaPagoLabel: 'Forma de pago (FormaPago)',
+    metodoPagoUnknown: 'Clave de c_MetodoPago desconocida.',
+    formaPagoUnknown: 'Clave de c_FormaPago desconocida.',
+    ppdRequiresFormaPago99: 'PPD (pago diferido) requiere la forma de pago 99 (por definir).',
+    pueRequiresFormaPago: 'PUE (una sola exhibición) requiere una forma de pago definida, no 99.',
+    objetoImpUnknown: 'Clave de c_ObjetoImp desconocida.',
+    objetoImpTaxMismatch: 'La clave de c_ObjetoImp no corresponde a los impuestos del concepto.',
+    invalidPartyData: 'Corrige los datos del emisor, receptor y pago antes de exportar el XML.',
+    
+    // Calculation history
+    historyTitle: 'Historial',
+    historyLabelLabel: 'Etiqueta de cliente (opcional)',
+    historyLabelHelp: 'Se guarda con los siguientes cálculos para encontrarlos después.',
+    historySearchLabel: 'Buscar',
+    historyFromLabel: 'Desde',
+    historyToLabel: 'Hasta',
+    historyEmpty: 'No hay cálculos guardados.',
+    historyUnavailable: 'El historial no está disponible en este navegador.',
+    historyOpen: 'Abrir',
+    historyDelete: 'Eliminar',
+    method_fromSubtotal: 'Desde subtotal',
+    method_fromConcepts: 'Desde conceptos',
+    method_goalSeek: 'Goal Seek',
+    method_exactSolve: 'Solución exacta',
+    method_goalSeekConcepts: 'Goal Seek entre conceptos',
+    method_algebraic: 'Fórmula algebraica',
+    method_entered: 'Capturado',
+    resultMethodLabel: 'Método:',
+    
+    // Rate tables
+    invoiceDateLabel: 'Fecha de la factura',
+    rateTableLabel: 'Tabla de tasas',
+    rateTableSince: 'desde',
+    
+    // Currency
+    currencyLabel: 'Moneda',
+    exchangeRateLabel: 'Tipo de cambio',
+    currencyHelp: 'Los importes se calculan en la moneda de la factura; los equivalentes en MXN usan este tipo de cambio.',
+    currencyInvalid: 'Selecciona una moneda del catálogo c_Moneda.',
+    exchangeRateRequired: 'Captura el tipo de cambio de la moneda extranjera.',
+    exchangeRateInvalid: 'El tipo de cambio debe ser mayor a 0 y tener hasta 6 decimales.',
+    exchangeRateNational: 'El tipo de cambio de MXN debe ser 1.',
+    
+    // Border-region stimulus
+    borderZoneOption: 'Estímulo de IVA en región fronteriza (8%)',
+    borderZoneInside: 'Código postal del emisor en zona de estímulo:',
+    borderZoneOutside: 'El código postal del emisor no está en la zona de estímulo fronterizo. Verifica que aplique la tasa del 8%.',
+    borderZoneNotInEffect: 'El estímulo fronterizo del código postal del emisor está vigente desde el {date}. Verifica la fecha de la factura.',
+    borderZoneNoPostalCode: 'Captura el código postal del emisor para verificar la zona de estímulo fronterizo.',
+    
+    // IVA treatment and export
+    vatTreatmentLabel: 'Tratamiento de IVA',
+    vatTreatmentHelp: 'Los servicios exportados suelen gravarse a tasa 0% (Art. 29 LIVA) y los actos exentos no causan IVA (Art. 15 LIVA); ninguno lleva retenciones.',
+    vatTreatment_taxed: 'Gravado a la tasa de IVA',
+    vatTreatment_zeroRated: 'Tasa 0% de IVA',
+    vatTreatment_exempt: 'Exento',
+    exportacionLabel: 'Exportación',
+    
+    // Payment complement
+    paymentsTitle: 'Complemento de pagos (REP)',
+    paymentsHelp: 'En facturas PPD cada pago recibido requiere un recibo electrónico de pago (CFDI tipo P con Pagos 2.0) con su parte proporcional de impuestos. Calcula primero la factura y después agrega los pagos en orden.',
+    paymentUuidLabel: 'UUID de la factura (IdDocumento)',
+    paymentFormaPagoLabel: 'Forma de pago (FormaDePagoP)',
+    paymentDateLabel: 'Fecha de pago',
+    paymentAmountLabel: 'Importe pagado',
+    paymentExchangeRateLabel: 'Tipo de cambio (TipoCambioP)',
+    addPaymentBtn: 'Agregar pago',
+    clearPaymentsBtn: 'Limpiar pagos',
+    paymentsNoInvoice: 'Calcula la factura antes de agregar pagos.',
+    paymentsEmpty: 'No hay pagos para exportar.',
+    paymentsNumber: 'Núm.',
+    paymentsDate: 'Fecha',
+    paymentsBalanceBefore: 'Saldo anterior',
+    paymentsPaid: 'Pagado',
+    paymentsBalanceAfter: 'Saldo insoluto',
+    paymentsVat: 'IVA',
+    paymentsWithheld: 'Retenido',
+    paymentsXml: 'Recibo',
+    paymentsSettled: 'La factura está totalmente pagada.',
+    paymentsOutstanding: 'Saldo insoluto:',
+    paymentFormaPagoUndefined: 'Un pago recibido no puede usar la forma de pago 99 (Por definir).',
+    
+    // Credit note
+    creditTitle: 'Nota de crédito (CFDI tipo E)',
+    creditHelp: 'Revierte parte de una factura con un CFDI de egreso relacionado con TipoRelacion 01. El IVA, el ISR y la retención de IVA se revierten con las tasas de la factura original. Usa el cálculo actual (o abre uno del historial) o el último XML auditado.',
+    creditSourceLabel: 'Factura original',
+    creditSource_current: 'Cálculo actual',
+    creditSource_imported: 'XML auditado',
+    creditUuidLabel: 'UUID de la factura original',
+    creditBasisLabel: 'Importe capturado como',
+    creditBasis_net: 'Neto (Total)',
+    creditBasis_subtotal: 'Subtotal',
+    creditAmountLabel: 'Importe a acreditar',
+    creditFormaPagoLabel: 'Forma de pago del reembolso',
+    calculateCreditBtn: 'Calcular nota de crédito',
+    creditNoInvoice: 'Calcula la factura antes de emitir una nota de crédito.',
+    creditNoImport: 'Audita el XML original antes de emitir una nota de crédito a partir de él.',
+    creditEmpty: 'Calcula primero la nota de crédito.',
+    creditConcept: 'Concepto',
+    creditOriginal: 'Original',
+    creditCredited: 'Acreditado',
+    creditRemaining: 'Restante',
+    creditProportion: 'Proporción acreditada de la factura:',
+    uuidRequired: 'El UUID es obligatorio.',
+    uuidInvalid: 'El UUID debe tener el formato XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXX.',
+    
+    // Batch calculation
+    batchTitle: 'Cálculo por lotes (CSV)',
+    batchHelp: 'Carga un CSV con fila de encabezados y una factura por fila. Columnas: cliente, neto o subtotal (llena una por fila) y, opcionalmente, vatRate, incomeTaxRate y vatRetentionFraction como fracciones (0.16). Las tasas vacías y las opciones usan los valores actuales de la calculadora.',
+    batchDropText: 'Suelta aquí un archivo CSV o haz clic para elegirlo',
+    batchProcessing: 'Calculando filas...',
+    batchEmpty: 'Primero carga un archivo CSV.',
+    batchSucceeded: 'Calculadas:',
+    batchFailed: 'Con errores:',
+    batchTotalNet: 'Neto total:',
+    batchLine: 'Línea',
+    batchClient: 'Cliente',
+    batchTruncated: 'Descarga los resultados para ver todas las filas. Filas mostradas:',
+    
+    // Background calculation
+    busyCalculating: 'Calculando...',
+    cancelCalculationBtn: 'Cancelar',
+    calculationCancelled: 'Cálculo cancelado.',
+    progress_expand: 'buscando rango',
+    progress_bisect: 'acotando',
+    progress_scan: 'revisando redondeo',
+    
+    // Notifications
+    notificationsLabel: 'Notificaciones',
+    dismissNotification: 'Cerrar',
+    
+    // Quote
+    quoteSectionTitle: 'Cotización / prefactura',
+    quoteHelp: 'Presenta el cálculo actual como una cotización imprimible con los datos del emisor y del cliente, los conceptos, el desglose de impuestos y el importe con letra. El PDF se genera en tu navegador; no se envía nada a ningún servidor.',
+    quoteFolioLabel: 'Folio de la cotización',
+    quoteValidDaysLabel: 'Vigencia (días)',
+    quoteNotesLabel: 'Notas',
+    previewQuoteBtn: 'Vista previa',
+    printQuoteBtn: 'Imprimir',
+    downloadPdfBtn: 'Descargar PDF',
+    quoteEmpty: 'Primero calcula una factura para armar la cotización',
+    quoteTitle: 'Cotización',
+    quoteFolio: 'Folio',
+    quoteDate: 'Fecha',
+    quoteValidUntil: 'Vigente hasta',
+    quoteIssuer: 'Emisor',
+    quoteClient: 'Cliente',
+    quoteNoParty: 'Sin capturar',
+    quoteRfc: 'RFC',
+    quoteRegime: 'Régimen fiscal',
+    quotePostalCode: 'C.P.',
+    quoteUsoCFDI: 'Uso del CFDI',
+    quoteDescription: 'Descripción',
+    quoteQuantity: 'Cant.',
+    quoteUnitPrice: 'Precio unitario',
+    quoteDiscount: 'Descuento',
+    quoteAmount: 'Importe',
+    quoteVatWithheld: 'Retención IVA',
+    quoteTotal: 'Total',
+    quoteExchangeRate: 'Tipo de cambio',
+    quoteAmountInWords: 'Importe con letra',
+    quoteNotes: 'Notas',
+    quoteDisclaimer: 'Esta cotización no es un comprobante fiscal (CFDI). Los importes pueden cambiar hasta que se emita la factura.',
+    
+    // Monthly estimator
+    estimatorTitle: 'Pagos provisionales mensuales',
+    estimatorHelp: 'Suma los cálculos guardados en el historial del mes y estima el pago provisional de ISR (tarifa Art. 96/106 LISR o RESICO) y el IVA a pagar. Es una estimación, no una declaración.',
+    estimatorMonthLabel: 'Mes',
+    estimatorAccumulateOption: 'Acumular desde enero (Art. 106)',
+    estimatorSchemeLabel: 'Esquema',
+    estimatorScheme_art106: 'Actividades empresariales y profesionales (Art. 106)',
+    estimatorScheme_resico: 'RESICO (Art. 113-E)',
+    estimatorDeductionsLabel: 'Gastos deducibles',
+    estimatorVatCreditableLabel: 'IVA acreditable pagado',
+    estimatorPreviousPaymentsLabel: 'Pagos provisionales de ISR anteriores',
+    estimateMonthlyBtn: 'Estimar pagos',
+    estimatorNoInvoices: 'No hay cálculos guardados en este periodo.',
+    estimatorIsrSection: 'ISR',
+    estimatorIncome: 'Ingresos',
+    estimatorDeductionsRow: 'Deducciones',
+    estimatorTaxableBase: 'Base gravable',
+    estimatorTariffTax: 'ISR según tarifa',
+    estimatorResicoTax: 'ISR según tasa RESICO',
+    estimatorIsrWithheld: 'ISR retenido',
+    estimatorPreviousPaymentsRow: 'Pagos provisionales anteriores',
+    estimatorIsrPayable: 'ISR a pagar',
+    estimatorVatSection: 'IVA',
+    estimatorVatCharged: 'IVA trasladado',
+    estimatorVatRetained: 'IVA retenido',
+    estimatorVatCreditableRow: 'IVA acreditable',
+    estimatorVatPayable: 'IVA a pagar',
+    estimatorFavorBalance: 'Saldo a favor',
+    estimatorTotalPayable: 'Total a pagar',
+    
+    // CFDI audit
+    auditTitle: 'Auditar XML CFDI',
+    auditHelp: 'Carga un XML CFDI 3.3 o 4.0 para recalcular sus impuestos con las tasas detectadas y compararlos con los importes declarados.',
+    auditDropText: 'Suelta un archivo XML aquí o haz clic para elegirlo',
+    auditVersion: 'Versión',
+    auditUuid: 'UUID',
+    auditNotStamped: 'Sin timbrar',
+    auditEmisor: 'Emisor',
+    auditReceptor: 'Receptor',
+    auditDetectedRates: 'Tasas detectadas',
+    auditRateVat: 'IVA',
+    auditRateIncomeTax: 'ISR',
+    auditRateVatRetention: 'Ret. IVA',
+    auditMixedRates: 'Los conceptos usan distintas tasas de IVA; se usó la primera tasa detectada.',
+    auditValid: 'Los importes declarados coinciden con el recálculo.',
+    auditInvalid: 'Se encontraron diferencias fuera de tolerancia',
+    auditField: 'Campo',
+    auditDeclared: 'Declarado',
+    auditExpected: 'Recalculado',
+    auditDifference: 'Diferencia',
+    auditField_vat: 'IVA trasladado',
+    auditField_incomeTaxWithheld: 'ISR retenido',
+    auditField_vatRetention: 'Retención de IVA',
+    auditField_total: 'Total',
+    auditField_totalConsistency: 'Total vs. impuestos declarados',
     
     // Browser compatibility
     browserNotCompatible: 'Navegador no compatible',
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Amount in words in Spanish (importe con letra)
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { getCurrencyDecimals } from './currencyUtils.js';
+import { MONEDA_NACIONAL } from '../config/satCatalogs.js';
+
+/**
+ * Words for 0-29, which are written as a single word
+ * @type {Array<string>}
+ */
+const UNITS = [
+  '', 'UNO', 'DOS', 'TRES', 'CUATRO', 'CINCO', 'SEIS', 'SIETE', 'OCHO', 'NUEVE',
+  'DIEZ', 'ONCE', 'DOCE', 'TRECE', 'CATORCE', 'QUINCE', 'DIECISÉIS', 'DIECISIETE', 'DIECIOCHO', 'DIECINUEVE',
+  'VEINTE', 'VEINTIUNO', 'VEINTIDÓS', 'VEINTITRÉS', 'VEINTICUATRO', 'VEINTICINCO', 'VEINTISÉIS', 'VEINTISIETE', 'VEINTIOCHO', 'VEINTINUEVE',
+];
+
+/**
+ * Words for the tens from 30
+ * @type {Array<string>}
+ */
+const TENS = ['', '', '', 'TREINTA', 'CUARENTA', 'CINCUENTA', 'SESENTA', 'SETENTA', 'OCHENTA', 'NOVENTA'];
+
+/**
+ * Words for the hundreds (100 alone is CIEN)
+ * @type {Array<string>}
+ */
+const HUNDREDS = [
+  '', 'CIENTO', 'DOSCIENTOS', 'TRESCIENTOS', 'CUATROCIENTOS', 'QUINIENTOS',
+  'SEISCIENTOS', 'SETECIENTOS', 'OCHOCIENTOS', 'NOVECIENTOS',
+];
+
+/**
+ * Currency names used in the amount in words, singular and plural, and the
+ * suffix after the cents. Currencies not listed use their c_Moneda code
+ * @type {Object}
+ */
+const CURRENCY_WORDS = {
+  MXN: { singular: 'PESO', plural: 'PESOS', suffix: 'M.N.' },
+  USD: { singular: 'DÓLAR', plural: 'DÓLARES', suffix: 'USD' },
+  EUR: { singular: 'EURO', plural: 'EUROS', suffix: 'EUR' },
+};
+
+/**
+ * Writes 0-999 in words
+ * @param {number} number - Integer between 0 and 999
+ * @returns {string} Words, empty for 0
+ */
+function hundredsToWords(number) {
+  if (number === 100) return 'CIEN';
+
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  let restWords = '';
+  if (rest < 30) {
+    restWords = UNITS[rest];
+  } else {
+    const units = rest % 10;
+    restWords = units ? `${TENS[Math.floor(rest / 10)]} Y ${UNITS[units]}` : TENS[rest / 10];
+  }
+
+  return [HUNDREDS[hundreds], restWords].filter(Boolean).join(' ');
+}
+
+/**
+ * Shortens UNO before a noun (UN MIL, VEINTIÚN PESOS, TREINTA Y UN MILLONES)
+ * @param {string} words - Words ending in UNO or not
+ * @returns {string} Words
+ */
+function apocopate(words) {
+  return words.replace(/VEINTIUNO$/, 'VEINTIÚN').replace(/UNO$/, 'UN');
+}
+
+/**
+ * Writes a non-negative integer in words
+ * Supports amounts below a billón (10^12)
+ *
+ * @param {number} number - Integer
+ * @returns {string} Uppercase words (CERO for 0)
+ */
+export function integerToWords(number) {
+  if (number === 0) return 'CERO';
+
+  const millions = Math.floor(number / 1e6);
+  const thousands = Math.floor((number % 1e6) / 1000);
+  const rest = number % 1000;
+  const words = [];
+
+  if (millions) {
+    words.push(millions === 1 ? 'UN MILLÓN' : `${apocopate(integerToWords(millions))} MILLONES`);
+  }
+  if (thousands) {
+    words.push(thousands === 1 ? 'MIL' : `${apocopate(hundredsToWords(thousands))} MIL`);
+  }
+  if (rest) {
+    words.push(hundredsToWords(rest));
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Writes an amount the way it goes in the importe con letra of an invoice,
+ * e.g. 1160.5 MXN -> MIL CIENTO SESENTA PESOS 50/100 M.N.
+ * Negative amounts are written by their absolute value
+ *
+ * @param {number} amount - Amount
+ * @param {string} [currency] - c_Moneda code
+ * @returns {string} Amount in words
+ */
+export function amountToWords(amount, currency = MONEDA_NACIONAL) {
+  const decimals = getCurrencyDecimals(currency);
+  const [integerText, fractionText = ''] = Math.abs(amount).toFixed(decimals).split('.');
+  const integer = Number(integerText);
+  const names = CURRENCY_WORDS[currency] || { singular: currency, plural: currency, suffix: '' };
+
+  // Exact millions take DE before the currency (UN MILLÓN DE PESOS)
+  const exactMillions = integer >= 1e6 && integer % 1e6 === 0;
+  const words = [
+    integer === 1 ? 'UN' : apocopate(integerToWords(integer)),
+    exactMillions ? 'DE' : '',
+    integer === 1 ? names.singular : names.plural,
+    decimals > 0 ? `${fractionText}/1${'0'.repeat(decimals)}` : '',
+    names.suffix,
+  ];
+
+  return words.filter(Boolean).join(' ');
+}
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Batch calculation of invoices from a CSV file
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { TaxCalculator } from './taxCalculator.js';
+import { sumDecimals } from './mathUtils.js';
+import { getCurrencyDecimals } from './currencyUtils.js';
+import { ValidationError, serializeError } from './errors.js';
+import { BATCH_CONFIG, ERROR_MESSAGES } from '../config/constants.js';
+import { MONEDA_NACIONAL } from '../config/satCatalogs.js';
+
+/**
+ * Amounts added up in the batch totals
+ * @type {Array<string>}
+ */
+const TOTAL_KEYS = ['subtotal', 'vat', 'incomeTaxWithheld', 'vatRetention', 'netAmount'];
+
+/**
+ * Splits CSV text into records
+ * Supports quoted fields with escaped quotes and line breaks, CRLF line
+ * endings and comma or semicolon delimiters (detected from the header)
+ *
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Records with their fields
+ */
+export function parseCSV(text) {
+  const content = String(text ?? '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are not rows
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses an optional numeric cell; currency signs and thousands separators are ignored
+ *
+ * @param {string} value - Cell value
+ * @param {string} column - Column key, used in error messages
+ * @returns {number|null} Number, or null when the cell is empty
+ */
+function parseCell(value, column) {
+  const text = String(value ?? '').replace(/[$\s,]/g, '');
+  if (text === '') return null;
+
+  const number = Number(text);
+  if (isNaN(number)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_CELL, { field: column, params: { field: column, value } });
+  }
+  return number;
+}
+
+/**
+ * Class for calculating many invoices from a spreadsheet
+ */
+export class BatchCalculator {
+  /**
+   * Reads the rows of a batch CSV
+   * The header needs a net or subtotal column; client and rate columns are
+   * optional, and rates apply only to the rows that fill them
+   *
+   * @param {string} text - CSV content
+   * @returns {Array<Object>} Rows ({ line, client, net, subtotal, rates, error })
+   */
+  static parse(text) {
+    const [header, ...records] = parseCSV(text);
+    if (!header) {
+      throw new ValidationError(ERROR_MESSAGES.CSV_EMPTY);
+    }
+
+    const normalized = header.map(name => name.trim().toLowerCase().replace(/[\s_-]/g, ''));
+    const columns = {};
+    Object.entries(BATCH_CONFIG.COLUMNS).forEach(([key, aliases]) => {
+      const index = normalized.findIndex(name => aliases.includes(name));
+      if (index !== -1) columns[key] = index;
+    });
+
+    if (columns.net === undefined && columns.subtotal === undefined) {
+      throw new ValidationError(ERROR_MESSAGES.CSV_NO_AMOUNT_COLUMN);
+    }
+    if (records.length > BATCH_CONFIG.MAX_ROWS) {
+      throw new ValidationError(ERROR_MESSAGES.CSV_TOO_MANY_ROWS, { params: { rows: records.length, max: BATCH_CONFIG.MAX_ROWS } });
+    }
+
+    const cell = (fields, key) => (columns[key] === undefined ? '' : fields[columns[key]] ?? '');
+
+    // Line numbers match the spreadsheet: the header is line 1
+    return records.map((fields, index) => {
+      const row = { line: index + 2, client: cell(fields, 'client').trim(), net: null, subtotal: null, rates: {}, error: null };
+      try {
+        row.net = parseCell(cell(fields, 'net'), 'net');
+        row.subtotal = parseCell(cell(fields, 'subtotal'), 'subtotal');
+        ['vatRate', 'incomeTaxRate', 'vatRetentionFraction'].forEach(key => {
+          const rate = parseCell(cell(fields, key), key);
+          if (rate === null) return;
+          if (rate < 0 || rate > 1) {
+            throw new ValidationError(ERROR_MESSAGES.INVALID_RATE, { field: key, params: { field: key } });
+          }
+          row.rates[key] = rate;
+        });
+      } catch (error) {
+        row.error = serializeError(error);
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Calculates one row
+   * Rows with a net amount use Goal Seek; rows with a subtotal are calculated directly
+   *
+   * @param {Object} row - Parsed row (see parse)
+   * @param {Object} defaults - Batch defaults
+   * @param {Object} defaults.rates - Rates for the cells left empty
+   * @param {Object} [defaults.state] - Calculator state (see TaxCalculator.getState);
+   *   the rows keep its date, regime, border zone and IVA treatment
+   * @param {Object} defaults.options - TaxCalculator options
+   * @returns {Object} Row with its method, input, rates and result, or its serialized error
+   */
+  static calculateRow(row, defaults) {
+    const entry = { line: row.line, client: row.client, method: null, input: null, rates: null, result: null, error: row.error };
+    if (entry.error) return entry;
+
+    try {
+      if (row.net !== null && row.subtotal !== null) {
+        throw new ValidationError(ERROR_MESSAGES.NET_AND_SUBTOTAL, { field: 'net' });
+      }
+      if (row.net === null && row.subtotal === null) {
+        throw new ValidationError(ERROR_MESSAGES.NO_AMOUNT, { field: 'net' });
+      }
+
+      const calculator = TaxCalculator.fromState({ ...defaults.state, rates: { ...defaults.rates, ...row.rates } });
+      if (Object.keys(row.rates).length > 0) {
+        calculator.setRegime(null);
+      }
+      entry.rates = calculator.getRates();
+
+      if (row.net !== null) {
+        entry.method = 'goalSeek';
+        entry.input = row.net;
+        entry.result = calculator.goalSeekSubtotal(row.net, defaults.options);
+      } else {
+        entry.method = 'fromSubtotal';
+        entry.input = row.subtotal;
+        entry.result = calculator.calculateFromSubtotal(row.subtotal, defaults.options);
+      }
+    } catch (error) {
+      entry.result = null;
+      entry.error = serializeError(error);
+    }
+    return entry;
+  }
+
+  /**
+   * Calculates every row in chunks, yielding to the event loop between
+   * chunks so the page keeps responding on large files
+   *
+   * @param {Array<Object>} rows - Parsed rows (see parse)
+   * @param {Object} defaults - Batch defaults (see calculateRow)
+   * @param {Function} [onProgress] - Called with (done, total) after each chunk
+   * @returns {Promise<Object>} Rows, counts and totals of the calculated rows
+   */
+  static async run(rows, defaults, onProgress) {
+    const results = [];
+
+    for (let start = 0; start < rows.length; start += BATCH_CONFIG.CHUNK_SIZE) {
+      rows.slice(start, start + BATCH_CONFIG.CHUNK_SIZE).forEach(row => {
+        results.push(BatchCalculator.calculateRow(row, defaults));
+      });
+      onProgress?.(results.length, rows.length);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return BatchCalculator.summarize(results, defaults.options?.currency);
+  }
+
+  /**
+   * Counts the rows and adds up the calculated ones
+   *
+   * @param {Array<Object>} results - Calculated rows (see calculateRow)
+   * @param {string} currency - c_Moneda code of the batch
+   * @returns {Object} Rows, succeeded, failed and totals
+   */
+  static summarize(results, currency = MONEDA_NACIONAL) {
+    const calculated = results.filter(entry => entry.result);
+    const decimals = getCurrencyDecimals(currency);
+    const totals = {};
+    TOTAL_KEYS.forEach(key => {
+      totals[key] = sumDecimals(calculated.map(entry => entry.result[key]), decimals);
+    });
+
+    return {
+      rows: results,
+      succeeded: calculated.length,
+      failed: results.length - calculated.length,
+      currency: currency,
+      totals: totals,
+    };
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview CFDI 3.3/4.0 XML importer and reverse audit
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { TaxCalculator } from './taxCalculator.js';
+import { roundDecimal, sumDecimals } from './mathUtils.js';
+import { ValidationError, withOperation } from './errors.js';
+import { AUDIT_CONFIG, CFDI_CONFIG, ERROR_MESSAGES, PRECISION_CONFIG } from '../config/constants.js';
+
+/**
+ * Reads a numeric attribute
+ * @param {Element} element - Element
+ * @param {string} name - Attribute name
+ * @returns {number} Attribute value or 0 when missing
+ */
+function numberAttribute(element, name) {
+  const value = element?.getAttribute(name);
+  return value ? parseFloat(value) : 0;
+}
+
+/**
+ * Gets direct children with a local name
+ * @param {Element} parent - Parent element
+ * @param {string} localName - Child local name
+ * @returns {Array<Element>} Matching children
+ */
+function childrenByName(parent, localName) {
+  if (!parent) return [];
+  return Array.from(parent.childNodes).filter(child => child.nodeType === 1 && child.localName === localName);
+}
+
+/**
+ * Gets the rates declared by a single concepto
+ * An Exento or missing traslado (ObjetoImp 01) is a 0 rate; a TasaOCuota
+ * missing from a retention is derived from its Importe / Base
+ *
+ * @param {Object} concepto - Parsed concepto (see CFDIImporter.parse)
+ * @returns {Object} Rates in TaxCalculator format
+ */
+function conceptRates(concepto) {
+  const { TAX_CODES, TIPO_FACTOR } = CFDI_CONFIG;
+  const rateOf = (taxes, impuesto) => {
+    const tax = taxes.find(entry => entry.impuesto === impuesto);
+    if (!tax || tax.tipoFactor === TIPO_FACTOR.EXENTO) return 0;
+    if (tax.tasaOCuota !== null) return tax.tasaOCuota;
+    return tax.base > 0 ? roundDecimal(tax.importe / tax.base, PRECISION_CONFIG.RATE_DECIMALS) : 0;
+  };
+
+  const vatRate = rateOf(concepto.traslados, TAX_CODES.IVA);
+  const vatRetentionRate = rateOf(concepto.retenciones, TAX_CODES.IVA);
+  return {
+    vatRate: vatRate,
+    incomeTaxRate: rateOf(concepto.retenciones, TAX_CODES.ISR),
+    vatRetentionFraction: vatRate > 0 ? roundDecimal(vatRetentionRate / vatRate, 10) : 0,
+  };
+}
+
+/**
+ * Reads the Traslado/Retencion elements of an Impuestos node
+ * @param {Element} impuestos - Impuestos element
+ * @returns {{traslados: Array<Object>, retenciones: Array<Object>}} Taxes
+ */
+function readTaxes(impuestos) {
+  const readTax = (element) => ({
+    base: element.hasAttribute('Base') ? numberAttribute(element, 'Base') : null,
+    impuesto: element.getAttribute('Impuesto'),
+    tipoFactor: element.getAttribute('TipoFactor'),
+    tasaOCuota: element.hasAttribute('TasaOCuota') ? numberAttribute(element, 'TasaOCuota') : null,
+    importe: numberAttribute(element, 'Importe'),
+  });
+
+  return {
+    traslados: childrenByName(childrenByName(impuestos, 'Traslados')[0], 'Traslado').map(readTax),
+    retenciones: childrenByName(childrenByName(impuestos, 'Retenciones')[0], 'Retencion').map(readTax),
+  };
+}
+
+/**
+ * Class for importing and auditing CFDI XML files
+ */
+export class CFDIImporter {
+  /**
+   * Parses a CFDI 3.3 or 4.0 XML
+   *
+   * @param {string} xmlText - XML content
+   * @returns {Object} Parsed comprobante
+   */
+  static parse(xmlText) {
+    try {
+      const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+      if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new ValidationError(ERROR_MESSAGES.INVALID_XML);
+      }
+
+      const comprobante = Object.values(CFDI_CONFIG.IMPORT_NAMESPACES)
+        .map(namespace => doc.getElementsByTagNameNS(namespace, 'Comprobante')[0])
+        .find(Boolean);
+
+      if (!comprobante) {
+        throw new ValidationError(ERROR_MESSAGES.NO_COMPROBANTE);
+      }
+
+      const emisor = childrenByName(comprobante, 'Emisor')[0];
+      const receptor = childrenByName(comprobante, 'Receptor')[0];
+      const impuestos = childrenByName(comprobante, 'Impuestos')[0];
+      const timbre = doc.getElementsByTagNameNS(CFDI_CONFIG.TFD_NAMESPACE, 'TimbreFiscalDigital')[0];
+
+      const conceptos = childrenByName(childrenByName(comprobante, 'Conceptos')[0], 'Concepto').map(concepto => ({
+        description: concepto.getAttribute('Descripcion') || '',
+        quantity: numberAttribute(concepto, 'Cantidad'),
+        unitPrice: numberAttribute(concepto, 'ValorUnitario'),
+        amount: numberAttribute(concepto, 'Importe'),
+        discount: numberAttribute(concepto, 'Descuento'),
+        ...readTaxes(childrenByName(concepto, 'Impuestos')[0]),
+      }));
+
+      return {
+        version: comprobante.getAttribute('Version'),
+        serie: comprobante.getAttribute('Serie') || '',
+        folio: comprobante.getAttribute('Folio') || '',
+        fecha: comprobante.getAttribute('Fecha') || '',
+        tipoDeComprobante: comprobante.getAttribute('TipoDeComprobante') || '',
+        moneda: comprobante.getAttribute('Moneda') || 'MXN',
+        tipoCambio: numberAttribute(comprobante, 'TipoCambio') || 1,
+        subtotal: numberAttribute(comprobante, 'SubTotal'),
+        discount: numberAttribute(comprobante, 'Descuento'),
+        total: numberAttribute(comprobante, 'Total'),
+        uuid: timbre ? timbre.getAttribute('UUID') : null,
+        emisor: {
+          rfc: emisor?.getAttribute('Rfc') || '',
+          nombre: emisor?.getAttribute('Nombre') || '',
+          regimenFiscal: emisor?.getAttribute('RegimenFiscal') || '',
+        },
+        receptor: {
+          rfc: receptor?.getAttribute('Rfc') || '',
+          nombre: receptor?.getAttribute('Nombre') || '',
+          usoCFDI: receptor?.getAttribute('UsoCFDI') || '',
+          domicilioFiscal: receptor?.getAttribute('DomicilioFiscalReceptor') || '',
+          regimenFiscal: receptor?.getAttribute('RegimenFiscalReceptor') || '',
+        },
+        totalImpuestosTrasladados: numberAttribute(impuestos, 'TotalImpuestosTrasladados'),
+        totalImpuestosRetenidos: numberAttribute(impuestos, 'TotalImpuestosRetenidos'),
+        ...readTaxes(impuestos),
+        conceptos: conceptos,
+      };
+    } catch (error) {
+      throw withOperation(error, 'importCfdi');
+    }
+  }
+
+  /**
+   * Detects the rates used by a parsed CFDI
+   * Concept level TasaOCuota is preferred; when missing (3.3 document
+   * level retentions) the rate is derived from Importe / base
+   *
+   * @param {Object} cfdi - Parsed comprobante
+   * @returns {Object} Rates in TaxCalculator format plus detection notes
+   */
+  static detectRates(cfdi) {
+    const { TAX_CODES } = CFDI_CONFIG;
+    const base = sumDecimals([cfdi.subtotal, -cfdi.discount]);
+    const conceptTaxes = (kind, impuesto) => cfdi.conceptos
+      .flatMap(concepto => concepto[kind])
+      .filter(tax => tax.impuesto === impuesto && tax.tasaOCuota !== null);
+
+    const rateOf = (kind, impuesto) => {
+      const fromConcepts = conceptTaxes(kind, impuesto);
+      if (fromConcepts.length > 0) {
+        return fromConcepts[0].tasaOCuota;
+      }
+      const fromDocument = cfdi[kind].filter(tax => tax.impuesto === impuesto);
+      if (fromDocument.length === 0 || base <= 0) {
+        return 0;
+      }
+      if (fromDocument[0].tasaOCuota !== null) {
+        return fromDocument[0].tasaOCuota;
+      }
+      const importe = sumDecimals(fromDocument.map(tax => tax.importe));
+      return roundDecimal(importe / base, PRECISION_CONFIG.RATE_DECIMALS);
+    };
+
+    const vatRate = rateOf('traslados', TAX_CODES.IVA);
+    const incomeTaxRate = rateOf('retenciones', TAX_CODES.ISR);
+    const vatRetentionRate = rateOf('retenciones', TAX_CODES.IVA);
+    const vatRates = new Set(conceptTaxes('traslados', TAX_CODES.IVA).map(tax => tax.tasaOCuota));
+
+    return {
+      vatRate: vatRate,
+      incomeTaxRate: incomeTaxRate,
+      vatRetentionFraction: vatRate > 0 ? roundDecimal(vatRetentionRate / vatRate, 10) : 0,
+      vatRetentionRate: vatRetentionRate,
+      mixedRates: vatRates.size > 1,
+    };
+  }
+
+  /**
+   * Recalculates a parsed CFDI and compares it with the declared amounts
+   * The taxes are recalculated concept by concept from their declared
+   * Importe, Descuento and rates, so documents rounded per concept or with
+   * mixed rates are not flagged. Documents that only declare taxes at
+   * document level (3.3) use the detected rates for every concept, and
+   * without conceptos the document base is recalculated as a whole
+   *
+   * @param {Object} cfdi - Parsed comprobante
+   * @param {Object} options - Audit options
+   * @param {number} [options.tolerance] - Maximum accepted difference
+   * @param {Object} [options.calculation] - TaxCalculator options
+   * @returns {Object} Detected rates, recalculated result and comparisons
+   */
+  static audit(cfdi, options = {}) {
+    const tolerance = options.tolerance ?? AUDIT_CONFIG.TOLERANCE;
+    // The CFDI currency decides the decimals of the recalculated amounts
+    const calculationOptions = {
+      ...(options.calculation || { roundPerLine: true, highPrecision: true }),
+      currency: cfdi.moneda,
+      exchangeRate: cfdi.tipoCambio,
+    };
+    const { TAX_CODES } = CFDI_CONFIG;
+
+    const detected = CFDIImporter.detectRates(cfdi);
+    const calculator = new TaxCalculator(detected);
+    const conceptTaxes = cfdi.conceptos.some(concepto => concepto.traslados.length + concepto.retenciones.length > 0);
+    const concepts = cfdi.conceptos
+      .filter(concepto => concepto.amount > 0)
+      .map(concepto => ({
+        description: concepto.description,
+        quantity: 1,
+        unitPrice: concepto.amount,
+        discount: concepto.discount,
+        ...(conceptTaxes ? { rates: conceptRates(concepto) } : {}),
+      }));
+    const expected = concepts.length > 0
+      ? calculator.calculateFromConcepts(concepts, calculationOptions)
+      : calculator.calculateFromSubtotal(sumDecimals([cfdi.subtotal, -cfdi.discount]), calculationOptions);
+
+    const declaredTotal = (kind, impuesto) => sumDecimals(
+      cfdi[kind].filter(tax => tax.impuesto === impuesto).map(tax => tax.importe)
+    );
+
+    const declared = {
+      vat: declaredTotal('traslados', TAX_CODES.IVA),
+      incomeTaxWithheld: declaredTotal('retenciones', TAX_CODES.ISR),
+      vatRetention: declaredTotal('retenciones', TAX_CODES.IVA),
+      total: cfdi.total,
+    };
+
+    const compare = (field, declaredValue, expectedValue) => {
+      const difference = sumDecimals([declaredValue, -expectedValue]);
+      return {
+        field: field,
+        declared: declaredValue,
+        expected: expectedValue,
+        difference: difference,
+        withinTolerance: Math.abs(difference) <= tolerance,
+      };
+    };
+
+    const comparisons = [
+      compare('vat', declared.vat, expected.vat),
+      compare('incomeTaxWithheld', declared.incomeTaxWithheld, expected.incomeTaxWithheld),
+      compare('vatRetention', declared.vatRetention, expected.vatRetention),
+      compare('total', declared.total, expected.netAmount),
+      // The declared amounts must also add up among themselves
+      compare('totalConsistency', declared.total, sumDecimals([
+        cfdi.subtotal,
+        -cfdi.discount,
+        cfdi.totalImpuestosTrasladados,
+        -cfdi.totalImpuestosRetenidos,
+      ])),
+    ];
+
+    return {
+      cfdi: cfdi,
+      rates: detected,
+      expected: expected,
+      declared: declared,
+      comparisons: comparisons,
+      differences: comparisons.filter(comparison => !comparison.withinTolerance),
+      isValid: comparisons.every(comparison => comparison.withinTolerance),
+      tolerance: tolerance,
+    };
+  }
+}
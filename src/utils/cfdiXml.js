@@ -0,0 +1,657 @@
+/**
+ * @fileoverview CFDI 4.0 XML builder
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { roundDecimal, sumDecimals } from './mathUtils.js';
+import { TaxCalculator } from './taxCalculator.js';
+import { ValidationError } from './errors.js';
+import { CFDI_CONFIG, CREDIT_NOTE_CONFIG, ERROR_MESSAGES, PAYMENTS_CONFIG, PRECISION_CONFIG, VAT_TREATMENTS } from '../config/constants.js';
+import { EXPORTACION, TIPO_RELACION } from '../config/satCatalogs.js';
+import { TAX_REGIMES } from '../config/taxRegimes.js';
+import { isGenericRFC, validateCatalogCombinations, validateExchangeRate, validateParty, validateUUID } from './fiscalValidators.js';
+import { getCurrencyDecimals, isForeignCurrency } from './currencyUtils.js';
+
+/**
+ * Escapes a value for use inside an XML attribute
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped value
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats an amount with a fixed number of decimals
+ *
+ * @param {number} value - Value to format
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted value
+ *
+ * @example
+ * formatFixed(1600, 2) // returns '1600.00'
+ */
+export function formatFixed(value, decimals = PRECISION_CONFIG.DECIMAL_PLACES) {
+  return roundDecimal(value, decimals).toFixed(decimals);
+}
+
+/**
+ * Formats a value with between min and max decimals, trimming trailing zeros
+ *
+ * @param {number} value - Value to format
+ * @param {number} min - Minimum decimals
+ * @param {number} max - Maximum decimals
+ * @returns {string} Formatted value
+ *
+ * @example
+ * formatVariable(540.7933333, 2, 6) // returns '540.793333'
+ */
+export function formatVariable(value, min, max) {
+  let text = formatFixed(value, max);
+  while (max > min && text.endsWith('0')) {
+    text = text.slice(0, -1);
+    max--;
+  }
+  return text.endsWith('.') ? text.slice(0, -1) : text;
+}
+
+/**
+ * Formats a date as required by the Fecha attribute (local time, no zone)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date as YYYY-MM-DDTHH:mm:ss
+ */
+export function formatCFDIDate(date = new Date()) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Builds an XML element. Attributes keep the given order and empty
+ * optional attributes (undefined or null) are omitted
+ *
+ * @param {string} name - Element name
+ * @param {Array<Array>} attributes - [name, value] pairs in XSD order
+ * @param {Array<string>} children - Already built child elements
+ * @param {number} depth - Indentation level
+ * @returns {string} Element markup
+ */
+function element(name, attributes, children = [], depth = 0) {
+  const indent = '  '.repeat(depth);
+  const attributeText = attributes
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (children.length === 0) {
+    return `${indent}<${name}${attributeText}/>`;
+  }
+
+  return [`${indent}<${name}${attributeText}>`, ...children, `${indent}</${name}>`].join('\n');
+}
+
+/**
+ * Gets the concepts of a result. Single subtotal results become one concept
+ *
+ * @param {Object} result - TaxCalculator result
+ * @param {Object} rates - Rates used in the calculation
+ * @param {Object} invoiceData - Invoice data
+ * @returns {Array<Object>} Lines
+ */
+export function getLines(result, rates, invoiceData) {
+  if (Array.isArray(result.lines) && result.lines.length > 0) {
+    return result.lines;
+  }
+
+  return [{
+    description: invoiceData.descripcion || CFDI_CONFIG.DEFAULTS.DESCRIPCION,
+    quantity: 1,
+    unitPrice: result.subtotal,
+    amount: result.subtotal,
+    discount: result.discount || 0,
+    base: sumDecimals([result.subtotal, -(result.discount || 0)]),
+    rates: rates,
+    vat: result.vat,
+    incomeTaxWithheld: result.incomeTaxWithheld,
+    vatRetention: result.vatRetention,
+  }];
+}
+
+/**
+ * Gets the taxes of a line in CFDI terms
+ * Exempt lines carry an IVA traslado with TipoFactor Exento and no
+ * TasaOCuota or Importe
+ *
+ * @param {Object} line - Line breakdown
+ * @param {Object} options - Calculation options (rate rounding)
+ * @param {string} vatTreatment - VAT_TREATMENTS value of the invoice
+ * @returns {{traslados: Array<Object>, retenciones: Array<Object>}} Line taxes
+ */
+function getLineTaxes(line, options, vatTreatment = VAT_TREATMENTS.TAXED) {
+  const tasaOCuota = new TaxCalculator(line.rates).getTasaOCuota(line.rates, options);
+  const { TAX_CODES, TIPO_FACTOR } = CFDI_CONFIG;
+  const exempt = vatTreatment === VAT_TREATMENTS.EXEMPT;
+
+  const traslados = [{
+    base: line.base,
+    impuesto: TAX_CODES.IVA,
+    tipoFactor: exempt ? TIPO_FACTOR.EXENTO : TIPO_FACTOR.TASA,
+    tasaOCuota: exempt ? null : tasaOCuota.vat,
+    importe: exempt ? null : line.vat,
+  }];
+
+  const retenciones = [];
+  if (line.rates.incomeTaxRate > 0) {
+    retenciones.push({
+      base: line.base,
+      impuesto: TAX_CODES.ISR,
+      tipoFactor: TIPO_FACTOR.TASA,
+      tasaOCuota: tasaOCuota.incomeTax,
+      importe: line.incomeTaxWithheld,
+    });
+  }
+  if (line.rates.vatRate > 0 && line.rates.vatRetentionFraction > 0) {
+    retenciones.push({
+      base: line.base,
+      impuesto: TAX_CODES.IVA,
+      tipoFactor: TIPO_FACTOR.TASA,
+      tasaOCuota: tasaOCuota.vatRetention,
+      importe: line.vatRetention,
+    });
+  }
+
+  return { traslados, retenciones };
+}
+
+/**
+ * Gets the taxes of a whole invoice grouped by Impuesto, TipoFactor and
+ * TasaOCuota, with the added Base and Importe of each group. Exempt
+ * groups keep a null Importe
+ *
+ * @param {Object} result - TaxCalculator result
+ * @param {Object} rates - Rates used in the calculation
+ * @param {Object} invoiceData - Invoice data
+ * @returns {{traslados: Array<Object>, retenciones: Array<Object>}} Invoice taxes
+ */
+export function getDocumentTaxes(result, rates, invoiceData = {}) {
+  const options = result.options || {};
+  const vatTreatment = result.vatTreatment || VAT_TREATMENTS.TAXED;
+  const allLineTaxes = getLines(result, rates, invoiceData).map(line => getLineTaxes(line, options, vatTreatment));
+
+  const group = (taxes) => {
+    const groups = new Map();
+    taxes.forEach(tax => {
+      const key = `${tax.impuesto}|${tax.tipoFactor}|${tax.tasaOCuota}`;
+      const current = groups.get(key) || { ...tax, base: 0, importe: tax.importe === null ? null : 0 };
+      current.base = sumDecimals([current.base, tax.base]);
+      if (current.importe !== null) current.importe = sumDecimals([current.importe, tax.importe]);
+      groups.set(key, current);
+    });
+    return [...groups.values()].sort((a, b) => a.impuesto.localeCompare(b.impuesto));
+  };
+
+  return {
+    traslados: group(allLineTaxes.flatMap(lineTaxes => lineTaxes.traslados)),
+    retenciones: group(allLineTaxes.flatMap(lineTaxes => lineTaxes.retenciones)),
+  };
+}
+
+/**
+ * Builds the Concepto element
+ *
+ * @param {Object} line - Line breakdown
+ * @param {Object} lineTaxes - Line taxes (see getLineTaxes)
+ * @param {Object} invoiceData - Invoice data
+ * @param {number} decimals - Decimals of the invoice currency
+ * @returns {string} Concepto markup
+ */
+function buildConcepto(line, lineTaxes, invoiceData, decimals) {
+  const { DEFAULTS } = CFDI_CONFIG;
+
+  const traslados = lineTaxes.traslados.map(tax => element('cfdi:Traslado', [
+    ['Base', formatFixed(tax.base, decimals)],
+    ['Impuesto', tax.impuesto],
+    ['TipoFactor', tax.tipoFactor],
+    ['TasaOCuota', tax.tasaOCuota === null ? undefined : formatFixed(tax.tasaOCuota, PRECISION_CONFIG.RATE_DECIMALS)],
+    ['Importe', tax.importe === null ? undefined : formatFixed(tax.importe, decimals)],
+  ], [], 5));
+
+  const retenciones = lineTaxes.retenciones.map(tax => element('cfdi:Retencion', [
+    ['Base', formatFixed(tax.base, decimals)],
+    ['Impuesto', tax.impuesto],
+    ['TipoFactor', tax.tipoFactor],
+    ['TasaOCuota', formatFixed(tax.tasaOCuota, PRECISION_CONFIG.RATE_DECIMALS)],
+    ['Importe', formatFixed(tax.importe, decimals)],
+  ], [], 5));
+
+  const taxGroups = [element('cfdi:Traslados', [], traslados, 4)];
+  if (retenciones.length > 0) {
+    taxGroups.push(element('cfdi:Retenciones', [], retenciones, 4));
+  }
+
+  return element('cfdi:Concepto', [
+    ['ClaveProdServ', line.claveProdServ || invoiceData.claveProdServ || DEFAULTS.CLAVE_PROD_SERV],
+    ['NoIdentificacion', line.noIdentificacion],
+    ['Cantidad', formatVariable(line.quantity, 0, 6)],
+    ['ClaveUnidad', line.claveUnidad || invoiceData.claveUnidad || DEFAULTS.CLAVE_UNIDAD],
+    ['Unidad', line.unidad],
+    ['Descripcion', line.description || invoiceData.descripcion || DEFAULTS.DESCRIPCION],
+    ['ValorUnitario', formatVariable(line.unitPrice, decimals, 6)],
+    ['Importe', formatFixed(line.amount, decimals)],
+    ['Descuento', line.discount > 0 ? formatFixed(line.discount, decimals) : undefined],
+    ['ObjetoImp', DEFAULTS.OBJETO_IMP],
+  ], [element('cfdi:Impuestos', [], taxGroups, 3)], 2);
+}
+
+/**
+ * Builds the document level Impuestos element from line taxes
+ * Traslados are grouped by Impuesto, TipoFactor and TasaOCuota;
+ * Retenciones by Impuesto
+ *
+ * @param {Array<Object>} allLineTaxes - Taxes of every line
+ * @param {number} decimals - Decimals of the invoice currency
+ * @returns {string} Impuestos markup
+ */
+function buildImpuestos(allLineTaxes, decimals) {
+  const trasladoGroups = new Map();
+  const retencionGroups = new Map();
+
+  allLineTaxes.forEach(({ traslados, retenciones }) => {
+    traslados.forEach(tax => {
+      const key = `${tax.impuesto}|${tax.tipoFactor}|${tax.tasaOCuota}`;
+      const group = trasladoGroups.get(key) || { ...tax, bases: [], importes: [] };
+      group.bases.push(tax.base);
+      if (tax.importe !== null) group.importes.push(tax.importe);
+      trasladoGroups.set(key, group);
+    });
+    retenciones.forEach(tax => {
+      const group = retencionGroups.get(tax.impuesto) || { impuesto: tax.impuesto, importes: [] };
+      group.importes.push(tax.importe);
+      retencionGroups.set(tax.impuesto, group);
+    });
+  });
+
+  const traslados = [...trasladoGroups.values()];
+  const taxedTraslados = traslados.filter(group => group.tipoFactor !== CFDI_CONFIG.TIPO_FACTOR.EXENTO);
+  const retenciones = [...retencionGroups.values()].sort((a, b) => a.impuesto.localeCompare(b.impuesto));
+
+  const totalTrasladados = sumDecimals(traslados.flatMap(group => group.importes));
+  const totalRetenidos = sumDecimals(retenciones.flatMap(group => group.importes));
+
+  const children = [];
+  if (retenciones.length > 0) {
+    children.push(element('cfdi:Retenciones', [], retenciones.map(group => element('cfdi:Retencion', [
+      ['Impuesto', group.impuesto],
+      ['Importe', formatFixed(sumDecimals(group.importes), decimals)],
+    ], [], 3)), 2));
+  }
+  children.push(element('cfdi:Traslados', [], traslados.map(group => element('cfdi:Traslado', [
+    ['Base', formatFixed(sumDecimals(group.bases), decimals)],
+    ['Impuesto', group.impuesto],
+    ['TipoFactor', group.tipoFactor],
+    ['TasaOCuota', group.tasaOCuota === null ? undefined : formatFixed(group.tasaOCuota, PRECISION_CONFIG.RATE_DECIMALS)],
+    ['Importe', group.tasaOCuota === null ? undefined : formatFixed(sumDecimals(group.importes), decimals)],
+  ], [], 3)), 2));
+
+  return element('cfdi:Impuestos', [
+    ['TotalImpuestosRetenidos', retenciones.length > 0 ? formatFixed(totalRetenidos, decimals) : undefined],
+    // Exempt-only invoices do not declare a total of transferred taxes
+    ['TotalImpuestosTrasladados', taxedTraslados.length > 0 ? formatFixed(totalTrasladados, decimals) : undefined],
+  ], children, 1);
+}
+
+/**
+ * Validates the Emisor, Receptor and LugarExpedicion of a CFDI
+ * The XSD rejects empty Rfc, Nombre, RegimenFiscal and postal codes, so no
+ * XML is built without them. Only the generic RFCs take the issuer postal
+ * code as DomicilioFiscalReceptor
+ *
+ * @param {Object} emisor - { rfc, nombre, regimenFiscal }
+ * @param {Object} receptor - { rfc, nombre, domicilioFiscal, regimenFiscal }
+ * @param {string} lugarExpedicion - Issuer postal code
+ * @returns {string} DomicilioFiscalReceptor
+ * @throws {ValidationError} On the first missing or malformed field
+ */
+function validateParties(emisor, receptor, lugarExpedicion) {
+  const domicilioFiscal = receptor.domicilioFiscal || (isGenericRFC(receptor.rfc) ? lugarExpedicion : '');
+  const parties = [
+    ['emisor', { ...emisor, codigoPostal: lugarExpedicion }, 'lugarExpedicion'],
+    ['receptor', { ...receptor, codigoPostal: domicilioFiscal, usoCFDI: undefined }, 'receptor.domicilioFiscal'],
+  ];
+
+  parties.forEach(([name, party, postalCodeField]) => {
+    const { errors } = validateParty(party);
+    const [field] = Object.keys(errors);
+    if (field) {
+      throw new ValidationError(errors[field], { field: field === 'codigoPostal' ? postalCodeField : `${name}.${field}` });
+    }
+  });
+
+  return domicilioFiscal;
+}
+
+/**
+ * Builds the CfdiRelacionados element
+ *
+ * @param {Object} cfdiRelacionados - { tipoRelacion, uuids }
+ * @returns {string} CfdiRelacionados markup
+ */
+function buildCfdiRelacionados(cfdiRelacionados) {
+  const uuids = cfdiRelacionados.uuids || [];
+
+  if (!TIPO_RELACION[cfdiRelacionados.tipoRelacion]) {
+    throw new ValidationError(ERROR_MESSAGES.UNKNOWN_TIPO_RELACION, {
+      field: 'cfdiRelacionados.tipoRelacion',
+      params: { tipoRelacion: cfdiRelacionados.tipoRelacion },
+    });
+  }
+  if (uuids.length === 0) {
+    throw new ValidationError('uuidRequired', { field: 'cfdiRelacionados.uuids' });
+  }
+  uuids.forEach((uuid, index) => {
+    const validation = validateUUID(uuid);
+    if (!validation.valid) {
+      throw new ValidationError(validation.error, { field: `cfdiRelacionados.uuids[${index}]`, params: { uuid } });
+    }
+  });
+
+  return element('cfdi:CfdiRelacionados', [
+    ['TipoRelacion', cfdiRelacionados.tipoRelacion],
+  ], uuids.map(uuid => element('cfdi:CfdiRelacionado', [['UUID', uuid.trim().toUpperCase()]], [], 2)), 1);
+}
+
+/**
+ * Builds an unsigned CFDI 4.0 Comprobante from a calculation result.
+ * Sello, NoCertificado and Certificado are left empty for the signing step.
+ * Moneda and TipoCambio come from the calculation options (currency, exchangeRate)
+ *
+ * @param {Object} result - TaxCalculator result
+ * @param {Object} rates - Rates used in the calculation
+ * @param {Object} invoiceData - Invoice data
+ * @param {Object} invoiceData.emisor - { rfc, nombre, regimenFiscal }
+ * @param {Object} [invoiceData.receptor] - { rfc, nombre, domicilioFiscal, regimenFiscal, usoCFDI };
+ *   defaults to the general public
+ * @param {string} [invoiceData.serie] - Serie
+ * @param {string} [invoiceData.folio] - Folio
+ * @param {Date} [invoiceData.fecha] - Issue date (defaults to now)
+ * @param {string} [invoiceData.formaPago] - c_FormaPago code
+ * @param {string} [invoiceData.metodoPago] - c_MetodoPago code
+ * @param {string} invoiceData.lugarExpedicion - Issuer postal code
+ * @param {string} [invoiceData.exportacion] - c_Exportacion code
+ * @param {string} [invoiceData.tipoDeComprobante] - 'I' (default) or 'E' for credit notes
+ * @param {Object} [invoiceData.cfdiRelacionados] - { tipoRelacion, uuids } of the related CFDI
+ * @returns {string} CFDI XML
+ */
+export function buildCFDI40(result, rates, invoiceData = {}) {
+  const { DEFAULTS } = CFDI_CONFIG;
+  const options = result.options || {};
+  const emisor = invoiceData.emisor || {};
+  const receptor = { ...DEFAULTS.RECEPTOR, ...(invoiceData.receptor || {}) };
+  const lugarExpedicion = invoiceData.lugarExpedicion || '';
+  const regime = result.regime ? TAX_REGIMES[result.regime] : null;
+
+  const emisorRegime = emisor.regimenFiscal || (regime ? regime.regimeCode : '');
+  const formaPago = invoiceData.formaPago || DEFAULTS.FORMA_PAGO;
+  const metodoPago = invoiceData.metodoPago || DEFAULTS.METODO_PAGO;
+  const exportacion = invoiceData.exportacion || DEFAULTS.EXPORTACION;
+  const tipoDeComprobante = invoiceData.tipoDeComprobante || DEFAULTS.TIPO_DE_COMPROBANTE;
+  const vatTreatment = result.vatTreatment || VAT_TREATMENTS.TAXED;
+  const moneda = options.currency || DEFAULTS.MONEDA;
+  const decimals = getCurrencyDecimals(moneda);
+
+  const exchangeRate = validateExchangeRate(moneda, options.exchangeRate);
+  if (!exchangeRate.valid) {
+    throw new ValidationError(exchangeRate.error, { field: 'exchangeRate', params: { currency: moneda } });
+  }
+
+  if (!EXPORTACION[exportacion]) {
+    throw new ValidationError(ERROR_MESSAGES.UNKNOWN_EXPORTACION, { field: 'exportacion', params: { exportacion } });
+  }
+
+  // Payment receipts (P) have their own builder
+  if (![DEFAULTS.TIPO_DE_COMPROBANTE, CREDIT_NOTE_CONFIG.TIPO_DE_COMPROBANTE].includes(tipoDeComprobante)) {
+    throw new ValidationError(ERROR_MESSAGES.UNSUPPORTED_TIPO_COMPROBANTE, {
+      field: 'tipoDeComprobante',
+      params: { tipoDeComprobante },
+    });
+  }
+
+  const domicilioFiscal = validateParties({ ...emisor, regimenFiscal: emisorRegime }, receptor, lugarExpedicion);
+
+  const relacionadosElements = invoiceData.cfdiRelacionados
+    ? [buildCfdiRelacionados(invoiceData.cfdiRelacionados)]
+    : [];
+
+  const lines = getLines(result, rates, invoiceData);
+  const allLineTaxes = lines.map(line => getLineTaxes(line, options, vatTreatment));
+
+  const catalogs = validateCatalogCombinations({
+    emisor: { rfc: emisor.rfc, regimenFiscal: emisorRegime },
+    receptor: receptor,
+    formaPago: formaPago,
+    metodoPago: metodoPago,
+    objetoImp: DEFAULTS.OBJETO_IMP,
+    hasTaxes: allLineTaxes.every(lineTaxes => lineTaxes.traslados.length > 0),
+  });
+  if (!catalogs.valid) {
+    // The first failed rule is the message; all of them stay in the params
+    throw new ValidationError(catalogs.errors[0], { field: 'catalogs', params: { errors: catalogs.errors } });
+  }
+
+  const emisorElement = element('cfdi:Emisor', [
+    ['Rfc', emisor.rfc],
+    ['Nombre', emisor.nombre],
+    ['RegimenFiscal', emisorRegime],
+  ], [], 1);
+
+  const receptorElement = element('cfdi:Receptor', [
+    ['Rfc', receptor.rfc],
+    ['Nombre', receptor.nombre],
+    ['DomicilioFiscalReceptor', domicilioFiscal],
+    ['RegimenFiscalReceptor', receptor.regimenFiscal],
+    ['UsoCFDI', receptor.usoCFDI],
+  ], [], 1);
+
+  const conceptosElement = element('cfdi:Conceptos', [],
+    lines.map((line, index) => buildConcepto(line, allLineTaxes[index], invoiceData, decimals)), 1);
+
+  const discount = result.discount || 0;
+
+  const comprobante = element('cfdi:Comprobante', [
+    ['xmlns:cfdi', CFDI_CONFIG.NAMESPACE],
+    ['xmlns:xsi', CFDI_CONFIG.XSI_NAMESPACE],
+    ['xsi:schemaLocation', CFDI_CONFIG.SCHEMA_LOCATION],
+    ['Version', CFDI_CONFIG.VERSION],
+    ['Serie', invoiceData.serie || undefined],
+    ['Folio', invoiceData.folio || undefined],
+    ['Fecha', formatCFDIDate(invoiceData.fecha || new Date())],
+    ['Sello', ''],
+    ['FormaPago', formaPago],
+    ['NoCertificado', ''],
+    ['Certificado', ''],
+    ['SubTotal', formatFixed(result.subtotal, decimals)],
+    ['Descuento', discount > 0 ? formatFixed(discount, decimals) : undefined],
+    ['Moneda', moneda],
+    ['TipoCambio', isForeignCurrency(moneda) ? formatVariable(options.exchangeRate, 0, 6) : undefined],
+    ['Total', formatFixed(result.netAmount, decimals)],
+    ['TipoDeComprobante', tipoDeComprobante],
+    ['Exportacion', exportacion],
+    ['MetodoPago', metodoPago],
+    ['LugarExpedicion', lugarExpedicion],
+  ], [
+    ...relacionadosElements,
+    emisorElement,
+    receptorElement,
+    conceptosElement,
+    buildImpuestos(allLineTaxes, decimals),
+  ], 0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${comprobante}\n`;
+}
+
+/**
+ * Builds a payment tax element (TrasladoDR, RetencionDR or TrasladoP)
+ *
+ * @param {string} name - Element name
+ * @param {Object} tax - Prorated tax (base, impuesto, tipoFactor, tasaOCuota, importe)
+ * @param {string} suffix - Attribute suffix ('DR' or 'P')
+ * @param {number} depth - Indentation depth
+ * @returns {string} Tax markup
+ */
+function buildPaymentTax(name, tax, suffix, depth) {
+  return element(name, [
+    [`Base${suffix}`, formatFixed(tax.base, PAYMENTS_CONFIG.DR_DECIMALS)],
+    [`Impuesto${suffix}`, tax.impuesto],
+    [`TipoFactor${suffix}`, tax.tipoFactor],
+    [`TasaOCuota${suffix}`, tax.tasaOCuota === null ? undefined : formatFixed(tax.tasaOCuota, PRECISION_CONFIG.RATE_DECIMALS)],
+    [`Importe${suffix}`, tax.importe === null ? undefined : formatFixed(tax.importe, PAYMENTS_CONFIG.DR_DECIMALS)],
+  ], [], depth);
+}
+
+/**
+ * Builds the pago20:Pagos complement of one payment
+ *
+ * @param {Object} schedule - PaymentComplement.schedule result
+ * @param {Object} payment - Payment of the schedule
+ * @param {Object} documento - Related invoice { uuid, serie, folio }
+ * @returns {string} Pagos markup
+ */
+function buildPagos20(schedule, payment, documento) {
+  const { document } = schedule;
+  const decimals = document.decimals;
+
+  const totals = Object.entries(payment.totals).map(([key, value]) => [
+    key.charAt(0).toUpperCase() + key.slice(1),
+    value === null ? undefined : formatFixed(value, PAYMENTS_CONFIG.TOTALS_DECIMALS),
+  ]);
+
+  const impuestosDR = [];
+  if (payment.retencionesDR.length > 0) {
+    impuestosDR.push(element('pago20:RetencionesDR', [],
+      payment.retencionesDR.map(tax => buildPaymentTax('pago20:RetencionDR', tax, 'DR', 7)), 6));
+  }
+  impuestosDR.push(element('pago20:TrasladosDR', [],
+    payment.trasladosDR.map(tax => buildPaymentTax('pago20:TrasladoDR', tax, 'DR', 7)), 6));
+
+  const doctoRelacionado = element('pago20:DoctoRelacionado', [
+    ['IdDocumento', documento.uuid || ''],
+    ['Serie', documento.serie || undefined],
+    ['Folio', documento.folio || undefined],
+    ['MonedaDR', document.currency],
+    ['EquivalenciaDR', String(PAYMENTS_CONFIG.EQUIVALENCIA_DR)],
+    ['NumParcialidad', String(payment.numParcialidad)],
+    ['ImpSaldoAnt', formatFixed(payment.impSaldoAnt, decimals)],
+    ['ImpPagado', formatFixed(payment.impPagado, decimals)],
+    ['ImpSaldoInsoluto', formatFixed(payment.impSaldoInsoluto, decimals)],
+    ['ObjetoImpDR', PAYMENTS_CONFIG.OBJETO_IMP_DR],
+  ], [element('pago20:ImpuestosDR', [], impuestosDR, 5)], 4);
+
+  const impuestosP = [];
+  if (payment.retencionesP.length > 0) {
+    impuestosP.push(element('pago20:RetencionesP', [], payment.retencionesP.map(tax => element('pago20:RetencionP', [
+      ['ImpuestoP', tax.impuesto],
+      ['ImporteP', formatFixed(tax.importe, PAYMENTS_CONFIG.DR_DECIMALS)],
+    ], [], 6)), 5));
+  }
+  impuestosP.push(element('pago20:TrasladosP', [],
+    payment.trasladosP.map(tax => buildPaymentTax('pago20:TrasladoP', tax, 'P', 6)), 5));
+
+  const pago = element('pago20:Pago', [
+    ['FechaPago', `${payment.fechaPago}T12:00:00`],
+    ['FormaDePagoP', payment.formaPago],
+    ['MonedaP', document.currency],
+    ['TipoCambioP', formatVariable(payment.exchangeRate, 0, 6)],
+    ['Monto', formatFixed(payment.impPagado, decimals)],
+  ], [doctoRelacionado, element('pago20:ImpuestosP', [], impuestosP, 4)], 3);
+
+  return element('pago20:Pagos', [
+    ['Version', PAYMENTS_CONFIG.VERSION],
+  ], [element('pago20:Totales', totals, [], 3), pago], 2);
+}
+
+/**
+ * Builds an unsigned CFDI 4.0 of type P (Recibo Electrónico de Pago) for
+ * one payment of a PPD invoice, with its Pagos 2.0 complement.
+ * The Comprobante carries no amounts; the taxes are in the complement
+ *
+ * @param {Object} schedule - PaymentComplement.schedule result
+ * @param {number} paymentIndex - Index of the payment in the schedule
+ * @param {Object} invoiceData - Invoice data
+ * @param {Object} invoiceData.emisor - { rfc, nombre, regimenFiscal }
+ * @param {Object} [invoiceData.receptor] - { rfc, nombre, domicilioFiscal, regimenFiscal };
+ *   defaults to the general public
+ * @param {string} invoiceData.lugarExpedicion - Issuer postal code
+ * @param {Object} [invoiceData.documento] - Paid invoice { uuid, serie, folio }
+ * @param {Date} [invoiceData.fecha] - Issue date (defaults to now)
+ * @returns {string} CFDI XML
+ */
+export function buildPaymentCFDI40(schedule, paymentIndex, invoiceData = {}) {
+  const payment = schedule.payments[paymentIndex];
+  if (!payment) {
+    throw new ValidationError(ERROR_MESSAGES.UNKNOWN_PAYMENT, { field: 'paymentIndex', params: { number: paymentIndex + 1 } });
+  }
+
+  const { DEFAULTS } = PAYMENTS_CONFIG;
+  const emisor = invoiceData.emisor || {};
+  const receptor = { ...CFDI_CONFIG.DEFAULTS.RECEPTOR, ...(invoiceData.receptor || {}) };
+  const lugarExpedicion = invoiceData.lugarExpedicion || '';
+  const domicilioFiscal = validateParties(emisor, receptor, lugarExpedicion);
+
+  const emisorElement = element('cfdi:Emisor', [
+    ['Rfc', emisor.rfc],
+    ['Nombre', emisor.nombre],
+    ['RegimenFiscal', emisor.regimenFiscal],
+  ], [], 1);
+
+  // Payment receipts always use UsoCFDI CP01
+  const receptorElement = element('cfdi:Receptor', [
+    ['Rfc', receptor.rfc],
+    ['Nombre', receptor.nombre],
+    ['DomicilioFiscalReceptor', domicilioFiscal],
+    ['RegimenFiscalReceptor', receptor.regimenFiscal],
+    ['UsoCFDI', DEFAULTS.USO_CFDI],
+  ], [], 1);
+
+  const conceptosElement = element('cfdi:Conceptos', [], [element('cfdi:Concepto', [
+    ['ClaveProdServ', DEFAULTS.CLAVE_PROD_SERV],
+    ['Cantidad', '1'],
+    ['ClaveUnidad', DEFAULTS.CLAVE_UNIDAD],
+    ['Descripcion', DEFAULTS.DESCRIPCION],
+    ['ValorUnitario', '0'],
+    ['Importe', '0'],
+    ['ObjetoImp', DEFAULTS.OBJETO_IMP],
+  ], [], 2)], 1);
+
+  const complementoElement = element('cfdi:Complemento', [],
+    [buildPagos20(schedule, payment, invoiceData.documento || {})], 1);
+
+  const comprobante = element('cfdi:Comprobante', [
+    ['xmlns:cfdi', CFDI_CONFIG.NAMESPACE],
+    ['xmlns:xsi', CFDI_CONFIG.XSI_NAMESPACE],
+    ['xmlns:pago20', PAYMENTS_CONFIG.NAMESPACE],
+    ['xsi:schemaLocation', `${CFDI_CONFIG.SCHEMA_LOCATION} ${PAYMENTS_CONFIG.SCHEMA_LOCATION}`],
+    ['Version', CFDI_CONFIG.VERSION],
+    ['Serie', invoiceData.serie || undefined],
+    ['Folio', invoiceData.folio || undefined],
+    ['Fecha', formatCFDIDate(invoiceData.fecha || new Date())],
+    ['Sello', ''],
+    ['NoCertificado', ''],
+    ['Certificado', ''],
+    ['SubTotal', '0'],
+    ['Moneda', DEFAULTS.MONEDA],
+    ['Total', '0'],
+    ['TipoDeComprobante', DEFAULTS.TIPO_DE_COMPROBANTE],
+    ['Exportacion', CFDI_CONFIG.DEFAULTS.EXPORTACION],
+    ['LugarExpedicion', lugarExpedicion],
+  ], [emisorElement, receptorElement, conceptosElement, complementoElement], 0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${comprobante}\n`;
+}
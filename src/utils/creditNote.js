@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Credit note (CFDI de egreso) calculator linked to an original invoice
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { TaxCalculator } from './taxCalculator.js';
+import { CFDIImporter } from './cfdiImporter.js';
+import { roundDecimal, sumDecimals, validatePositiveNumber } from './mathUtils.js';
+import { getCurrencyDecimals } from './currencyUtils.js';
+import { isGenericRFC } from './fiscalValidators.js';
+import { ValidationError, withOperation } from './errors.js';
+import { CFDI_CONFIG, CREDIT_NOTE_CONFIG, ERROR_MESSAGES, PRECISION_CONFIG, VAT_TREATMENTS } from '../config/constants.js';
+import { MONEDA_NACIONAL } from '../config/satCatalogs.js';
+
+/**
+ * Amounts compared between the original invoice and the credit note
+ * @type {Array<string>}
+ */
+const AMOUNT_KEYS = ['base', 'vat', 'incomeTaxWithheld', 'vatRetention', 'netAmount'];
+
+/**
+ * Class for calculating credit notes that reverse part of an invoice
+ */
+export class CreditNote {
+  /**
+   * Gets the original invoice from a calculation result
+   *
+   * @param {Object} result - TaxCalculator result of the invoice
+   * @param {Object} rates - Rates used in the calculation
+   * @param {Object} related - Stamped invoice data
+   * @param {string} [related.uuid] - Folio fiscal of the invoice
+   * @param {string} [related.serie] - Serie
+   * @param {string} [related.folio] - Folio
+   * @returns {Object} Original invoice
+   */
+  static fromResult(result, rates, related = {}) {
+    const options = result.options || {};
+    const currency = options.currency || MONEDA_NACIONAL;
+
+    return {
+      uuid: related.uuid || '',
+      serie: related.serie || '',
+      folio: related.folio || '',
+      emisor: null,
+      receptor: null,
+      regime: result.regime || null,
+      rates: { ...rates },
+      vatTreatment: result.vatTreatment || VAT_TREATMENTS.TAXED,
+      currency: currency,
+      exchangeRate: options.exchangeRate,
+      amounts: CreditNote.getAmounts(result, getCurrencyDecimals(currency)),
+    };
+  }
+
+  /**
+   * Gets the original invoice from an imported CFDI
+   * The declared amounts are kept as they are; rates are detected from the taxes
+   *
+   * @param {Object} cfdi - Parsed comprobante (see CFDIImporter.parse)
+   * @returns {Object} Original invoice
+   */
+  static fromImport(cfdi) {
+    const { TAX_CODES, TIPO_FACTOR } = CFDI_CONFIG;
+
+    if (cfdi.tipoDeComprobante !== CFDI_CONFIG.DEFAULTS.TIPO_DE_COMPROBANTE) {
+      throw new ValidationError(ERROR_MESSAGES.CREDIT_NOT_INCOME, { params: { tipoDeComprobante: cfdi.tipoDeComprobante || '-' } });
+    }
+
+    const detected = CFDIImporter.detectRates(cfdi);
+    if (detected.mixedRates) {
+      throw new ValidationError(ERROR_MESSAGES.CREDIT_MIXED_RATES);
+    }
+
+    const currency = cfdi.moneda || MONEDA_NACIONAL;
+    const decimals = getCurrencyDecimals(currency);
+    const taxTotal = (taxes, impuesto) => sumDecimals(
+      taxes.filter(tax => tax.impuesto === impuesto).map(tax => tax.importe), decimals);
+    const exempt = cfdi.conceptos
+      .flatMap(concepto => concepto.traslados)
+      .concat(cfdi.traslados)
+      .some(tax => tax.impuesto === TAX_CODES.IVA && tax.tipoFactor === TIPO_FACTOR.EXENTO);
+
+    return {
+      uuid: cfdi.uuid || '',
+      serie: cfdi.serie,
+      folio: cfdi.folio,
+      emisor: cfdi.emisor,
+      receptor: cfdi.receptor,
+      regime: null,
+      rates: {
+        vatRate: detected.vatRate,
+        incomeTaxRate: detected.incomeTaxRate,
+        vatRetentionFraction: detected.vatRetentionFraction,
+      },
+      vatTreatment: exempt ? VAT_TREATMENTS.EXEMPT : VAT_TREATMENTS.TAXED,
+      currency: currency,
+      exchangeRate: cfdi.tipoCambio,
+      amounts: {
+        base: sumDecimals([cfdi.subtotal, -cfdi.discount], decimals),
+        vat: taxTotal(cfdi.traslados, TAX_CODES.IVA),
+        incomeTaxWithheld: taxTotal(cfdi.retenciones, TAX_CODES.ISR),
+        vatRetention: taxTotal(cfdi.retenciones, TAX_CODES.IVA),
+        netAmount: cfdi.total,
+      },
+    };
+  }
+
+  /**
+   * Gets the amounts of a result that a credit note reverses
+   *
+   * @param {Object} result - TaxCalculator result
+   * @param {number} decimals - Currency decimals
+   * @returns {Object} Base (subtotal minus discount), taxes and net amount
+   */
+  static getAmounts(result, decimals = 2) {
+    return {
+      base: sumDecimals([result.subtotal, -(result.discount || 0)], decimals),
+      vat: result.vat,
+      incomeTaxWithheld: result.incomeTaxWithheld,
+      vatRetention: result.vatRetention,
+      netAmount: result.netAmount,
+    };
+  }
+
+  /**
+   * Calculates a credit note for part of the original invoice
+   * The refund is recalculated with the rates of the original, so IVA, ISR
+   * and IVA retention are reversed in the same proportion as the base. A
+   * refund of the whole invoice reverses the original amounts as they are
+   *
+   * @param {Object} original - Original invoice (see fromResult and fromImport)
+   * @param {Object} refund - Refund
+   * @param {number} refund.amount - Amount to credit
+   * @param {string} [refund.basis] - CREDIT_NOTE_CONFIG.BASIS value: net (Total) or subtotal
+   * @param {Object} options - TaxCalculator options
+   * @returns {Object} TaxCalculator result with a creditNote breakdown (relation, rates
+   *   used, proportion and the original, credited and remaining amounts)
+   */
+  static calculate(original, refund, options = { roundPerLine: true }) {
+    try {
+      const basis = refund.basis || CREDIT_NOTE_CONFIG.BASIS.NET;
+      if (!Object.values(CREDIT_NOTE_CONFIG.BASIS).includes(basis)) {
+        throw new ValidationError(ERROR_MESSAGES.UNKNOWN_CREDIT_BASIS, { field: 'basis', params: { basis } });
+      }
+      validatePositiveNumber(refund.amount, 'Credit amount');
+      validatePositiveNumber(original.amounts.base, 'Original subtotal');
+
+      // The credit note is issued today but keeps the rates of the original
+      const calculator = new TaxCalculator(original.rates);
+      if (original.vatTreatment !== VAT_TREATMENTS.TAXED) {
+        calculator.setVatTreatment(original.vatTreatment);
+      }
+
+      const calculationOptions = {
+        ...options,
+        currency: original.currency,
+        exchangeRate: original.exchangeRate,
+      };
+      const decimals = getCurrencyDecimals(original.currency);
+      const bySubtotal = basis === CREDIT_NOTE_CONFIG.BASIS.SUBTOTAL;
+      const amount = roundDecimal(refund.amount, decimals);
+      const limit = bySubtotal ? original.amounts.base : original.amounts.netAmount;
+      if (amount > limit) {
+        throw new ValidationError(ERROR_MESSAGES.CREDIT_EXCEEDS_ORIGINAL, {
+          field: 'amount',
+          params: { credit: amount, original: limit },
+        });
+      }
+
+      let result = null;
+      if (amount < limit) {
+        result = bySubtotal
+          ? calculator.calculateFromSubtotal(amount, calculationOptions)
+          : calculator.goalSeekSubtotal(amount, calculationOptions);
+      }
+      // Two subtotals can share a net amount, so Goal Seek may land on the
+      // original subtotal or a cent above it: that credit is the whole invoice
+      if (!result || CreditNote.getAmounts(result, decimals).base >= original.amounts.base) {
+        result = CreditNote.reverseAll(calculator, original, calculationOptions);
+      }
+
+      const credit = CreditNote.getAmounts(result, decimals);
+      if (credit.netAmount > original.amounts.netAmount) {
+        throw new ValidationError(ERROR_MESSAGES.CREDIT_EXCEEDS_ORIGINAL, {
+          field: 'amount',
+          params: { credit: credit.netAmount, original: original.amounts.netAmount },
+        });
+      }
+
+      const remaining = {};
+      AMOUNT_KEYS.forEach(key => {
+        remaining[key] = sumDecimals([original.amounts[key], -credit[key]], decimals);
+      });
+
+      return {
+        ...result,
+        regime: original.regime ?? result.regime,
+        creditNote: {
+          tipoDeComprobante: CREDIT_NOTE_CONFIG.TIPO_DE_COMPROBANTE,
+          tipoRelacion: CREDIT_NOTE_CONFIG.TIPO_RELACION,
+          related: {
+            uuid: original.uuid,
+            serie: original.serie,
+            folio: original.folio,
+            emisor: original.emisor,
+            receptor: original.receptor,
+          },
+          basis: basis,
+          rates: calculator.getRates(),
+          proportion: roundDecimal(credit.base / original.amounts.base, PRECISION_CONFIG.RATE_DECIMALS),
+          original: { ...original.amounts },
+          credit: credit,
+          remaining: remaining,
+        },
+      };
+    } catch (error) {
+      throw withOperation(error, 'creditNote');
+    }
+  }
+
+  /**
+   * Gets a result that reverses the whole original invoice
+   * The original amounts are kept, so nothing is left after the credit even
+   * when recalculating the base would round a tax to another cent
+   *
+   * @param {TaxCalculator} calculator - Calculator with the rates of the original
+   * @param {Object} original - Original invoice (see fromResult and fromImport)
+   * @param {Object} options - TaxCalculator options
+   * @returns {Object} TaxCalculator result with the original amounts
+   */
+  static reverseAll(calculator, original, options) {
+    const { base, vat, incomeTaxWithheld, vatRetention, netAmount } = original.amounts;
+    return {
+      ...calculator.calculateFromSubtotal(base, options),
+      subtotal: base,
+      discount: 0,
+      vat: vat,
+      incomeTaxWithheld: incomeTaxWithheld,
+      vatRetention: vatRetention,
+      netAmount: netAmount,
+    };
+  }
+
+  /**
+   * Gets the comprobante data of a credit note (see buildCFDI40)
+   * Parties of an imported invoice take precedence over the form, since the
+   * credit note must be issued to the same receptor
+   *
+   * @param {Object} creditResult - CreditNote.calculate result
+   * @param {Object} invoiceData - Invoice data from the form
+   * @param {string} [formaPago] - c_FormaPago code of the refund
+   * @returns {Object} Invoice data for buildCFDI40
+   */
+  static getInvoiceData(creditResult, invoiceData = {}, formaPago) {
+    const { DEFAULTS } = CREDIT_NOTE_CONFIG;
+    const { related, tipoDeComprobante, tipoRelacion } = creditResult.creditNote;
+    const emisor = related.emisor || invoiceData.emisor;
+    const receptor = { ...(related.receptor || invoiceData.receptor || {}) };
+    const rfc = receptor.rfc || CFDI_CONFIG.DEFAULTS.RECEPTOR.rfc;
+
+    return {
+      ...invoiceData,
+      emisor: emisor,
+      receptor: {
+        ...receptor,
+        // Público en general keeps S01; identified receptors deduct the refund
+        usoCFDI: isGenericRFC(rfc) ? CFDI_CONFIG.DEFAULTS.RECEPTOR.usoCFDI : DEFAULTS.USO_CFDI,
+      },
+      serie: undefined,
+      folio: undefined,
+      tipoDeComprobante: tipoDeComprobante,
+      formaPago: formaPago || invoiceData.formaPago,
+      metodoPago: DEFAULTS.METODO_PAGO,
+      claveProdServ: DEFAULTS.CLAVE_PROD_SERV,
+      claveUnidad: DEFAULTS.CLAVE_UNIDAD,
+      descripcion: DEFAULTS.DESCRIPCION,
+      cfdiRelacionados: {
+        tipoRelacion: tipoRelacion,
+        uuids: [related.uuid],
+      },
+    };
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Invoice currency helpers (c_Moneda and TipoCambio)
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { multiplyDecimals, formatCurrency } from './mathUtils.js';
+import { MONEDA, MONEDA_NACIONAL } from '../config/satCatalogs.js';
+import { PRECISION_CONFIG } from '../config/constants.js';
+
+/**
+ * Amount fields of a calculation result
+ * @type {Array<string>}
+ */
+const RESULT_AMOUNTS = ['subtotal', 'discount', 'vat', 'incomeTaxWithheld', 'vatRetention', 'netAmount'];
+
+/**
+ * Gets the decimals of a currency's amounts
+ * Codes outside the bundled catalog use 2 decimals
+ *
+ * @param {string} currency - c_Moneda code
+ * @returns {number} Decimal places
+ */
+export function getCurrencyDecimals(currency = MONEDA_NACIONAL) {
+  return MONEDA[currency]?.decimals ?? PRECISION_CONFIG.DECIMAL_PLACES;
+}
+
+/**
+ * Checks whether a currency is a foreign currency
+ *
+ * @param {string} currency - c_Moneda code
+ * @returns {boolean} True for any currency other than MXN
+ */
+export function isForeignCurrency(currency) {
+  return Boolean(currency) && currency !== MONEDA_NACIONAL;
+}
+
+/**
+ * Formats an amount in a currency with its c_Moneda decimals
+ *
+ * @param {number} value - Amount
+ * @param {string} currency - c_Moneda code
+ * @returns {string} Formatted amount
+ */
+export function formatMoney(value, currency = MONEDA_NACIONAL) {
+  return formatCurrency(value, currency, getCurrencyDecimals(currency));
+}
+
+/**
+ * Converts an amount to MXN with the exchange rate, rounded to centavos
+ *
+ * @param {number} amount - Amount in the invoice currency
+ * @param {number} exchangeRate - MXN per unit of the currency (TipoCambio)
+ * @returns {number} Amount in MXN
+ */
+export function convertToMXN(amount, exchangeRate) {
+  return multiplyDecimals(amount, exchangeRate, getCurrencyDecimals(MONEDA_NACIONAL));
+}
+
+/**
+ * Gets the MXN equivalents of a calculation result
+ * Results in MXN, or without a currency, are returned as they are
+ *
+ * @param {Object} result - TaxCalculator result
+ * @returns {Object} Amounts in MXN (subtotal, discount, vat, incomeTaxWithheld, vatRetention, netAmount)
+ */
+export function getMXNEquivalents(result) {
+  const options = result.options || {};
+  const foreign = isForeignCurrency(options.currency);
+
+  return Object.fromEntries(RESULT_AMOUNTS.map(field => {
+    const amount = result[field] || 0;
+    return [field, foreign ? convertToMXN(amount, options.exchangeRate) : amount];
+  }));
+}
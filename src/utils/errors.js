@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Typed errors of the calculation engine
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { ERROR_MESSAGES } from '../config/constants.js';
+import { getMessage } from './messages.js';
+
+/**
+ * Base error of the calculation engine
+ * The code is an ERROR_MESSAGES value and doubles as the i18n key of the
+ * message, so the message can be shown again in another language
+ */
+export class CalculatorError extends Error {
+  /**
+   * Calculator error constructor
+   * @param {string} code - ERROR_MESSAGES value, or the error key of a fiscal validator
+   * @param {Object} [details] - Error details
+   * @param {string} [details.field] - Input the error refers to (e.g. 'netAmount', 'concepts[0].quantity')
+   * @param {Object} [details.params] - Values for the message placeholders
+   * @param {string} [details.operation] - Engine operation that failed (a calculationMethod value)
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(code, { field = null, params = {}, operation = null, cause } = {}) {
+    super(getMessage(code, params), cause ? { cause } : undefined);
+    this.name = 'CalculatorError';
+    this.code = code;
+    this.field = field;
+    this.params = params;
+    this.operation = operation;
+  }
+
+  /**
+   * Gets the error in its serialized form (used by JSON.stringify)
+   * @returns {Object} Serialized error
+   */
+  toJSON() {
+    return serializeError(this);
+  }
+}
+
+/**
+ * Invalid input: a non-positive amount, a bad discount, an unknown regime...
+ * The field says which input has to be fixed
+ */
+export class ValidationError extends CalculatorError {
+  constructor(code, details) {
+    super(code, details);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Goal Seek could not bracket or reach the target net amount
+ */
+export class ConvergenceError extends CalculatorError {
+  constructor(code = ERROR_MESSAGES.GOAL_SEEK_TIMEOUT, details) {
+    super(code, details);
+    this.name = 'ConvergenceError';
+  }
+}
+
+/**
+ * The rates leave the net amount factor too close to zero to invert it
+ */
+export class DenominatorError extends CalculatorError {
+  constructor(code = ERROR_MESSAGES.DENOMINATOR_TOO_SMALL, details) {
+    super(code, details);
+    this.name = 'DenominatorError';
+  }
+}
+
+/**
+ * Error classes by name, to rebuild errors that crossed a worker boundary
+ * @type {Object}
+ */
+const ERROR_CLASSES = {
+  CalculatorError,
+  ValidationError,
+  ConvergenceError,
+  DenominatorError,
+};
+
+/**
+ * Tags an error with the engine operation that failed
+ * Errors that are not CalculatorErrors are wrapped as unexpected errors;
+ * the outermost operation wins, so nested calculations report what was asked for
+ *
+ * @param {Error} error - Caught error
+ * @param {string} operation - Engine operation (a calculationMethod value)
+ * @returns {CalculatorError} Error to rethrow
+ */
+export function withOperation(error, operation) {
+  if (error instanceof CalculatorError) {
+    error.operation = operation;
+    return error;
+  }
+
+  return new CalculatorError(ERROR_MESSAGES.UNEXPECTED_ERROR, {
+    params: { detail: error.message },
+    operation,
+    cause: error,
+  });
+}
+
+/**
+ * Serializes an error for exports, CLI output and worker messages
+ * Plain errors keep their own code (e.g. ENOENT) or get the unexpected error code
+ *
+ * @param {Error} error - Error to serialize
+ * @returns {{name: string, code: string, field: string|null, params: Object,
+ *   operation: string|null, message: string}} Serialized error
+ */
+export function serializeError(error) {
+  if (error instanceof CalculatorError) {
+    return {
+      name: error.name,
+      code: error.code,
+      field: error.field,
+      params: { ...error.params },
+      operation: error.operation,
+      message: error.message,
+    };
+  }
+
+  return {
+    name: error?.name || 'Error',
+    code: typeof error?.code === 'string' ? error.code : ERROR_MESSAGES.UNEXPECTED_ERROR,
+    field: null,
+    params: { detail: error?.message ?? String(error) },
+    operation: null,
+    message: error?.message ?? String(error),
+  };
+}
+
+/**
+ * Gets the message of an error in the current language
+ * Works with CalculatorErrors and with their serialized form; other and
+ * unexpected errors keep their original message
+ *
+ * @param {Error|Object} error - Error or serialized error
+ * @returns {string} Message
+ */
+export function localizeError(error) {
+  const translatable = error instanceof CalculatorError || Boolean(ERROR_CLASSES[error?.name]);
+  if (!translatable || error.code === ERROR_MESSAGES.UNEXPECTED_ERROR) {
+    return error?.message ?? String(error);
+  }
+  return getMessage(error.code, error.params);
+}
+
+/**
+ * Rebuilds an error from its serialized form
+ * @param {Object} data - Serialized error (see serializeError)
+ * @returns {CalculatorError} Error of the original class
+ */
+export function deserializeError(data) {
+  const ErrorClass = ERROR_CLASSES[data.name] || CalculatorError;
+  return new ErrorClass(data.code, {
+    field: data.field,
+    params: data.params,
+    operation: data.operation,
+  });
+}
@@ -4,7 +4,77 @@
  * @version 1.0.0
  */
 
-import { EXPORT_CONFIG } from '../config/constants.js';
+import { EXPORT_CONFIG, VAT_TREATMENTS, CFDI_CONFIG, PAYMENTS_CONFIG } from '../config/constants.js';
+import { sumDecimals } from './mathUtils.js';
+import { withOperation } from './errors.js';
+import { buildCFDI40, buildPaymentCFDI40 } from './cfdiXml.js';
+import { renderQuotePdf } from './quoteDocument.js';
+import { getCurrencyDecimals, getMXNEquivalents, isForeignCurrency } from './currencyUtils.js';
+import { MONEDA_NACIONAL } from '../config/satCatalogs.js';
+
+/**
+ * Gets the currency data of a result
+ * @param {Object} calculationResult - Calculation result
+ * @returns {{moneda: string, tipoCambio: number, decimals: number, foreign: boolean}} Currency data
+ */
+function getCurrency(calculationResult) {
+  const options = calculationResult.options || {};
+  const moneda = options.currency || MONEDA_NACIONAL;
+  const foreign = isForeignCurrency(moneda);
+
+  return {
+    moneda: moneda,
+    tipoCambio: foreign ? options.exchangeRate : 1,
+    decimals: getCurrencyDecimals(moneda),
+    foreign: foreign,
+  };
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Gets the credit note data of a result for the exports
+ * @param {Object} calculationResult - Calculation result
+ * @returns {Object|null} Relation, original and remaining amounts, or null for invoices
+ */
+function getCreditNote(calculationResult) {
+  const creditNote = calculationResult.creditNote;
+  if (!creditNote) return null;
+
+  return {
+    tipoDeComprobante: creditNote.tipoDeComprobante,
+    tipoRelacion: creditNote.tipoRelacion,
+    relatedUuid: creditNote.related.uuid || null,
+    basis: creditNote.basis,
+    proportion: creditNote.proportion,
+    original: creditNote.original,
+    remaining: creditNote.remaining,
+  };
+}
+
+/**
+ * Gets the exact solver data of a result for the exports
+ * @param {Object} calculationResult - Calculation result
+ * @returns {Object|null} Target, exact subtotals and nearest reachable net amounts, or null
+ */
+function getExactSolve(calculationResult) {
+  if (calculationResult.calculationMethod !== 'exactSolve') return null;
+
+  return {
+    targetNetAmount: calculationResult.targetNetAmount,
+    exact: calculationResult.exact,
+    solutions: calculationResult.solutions,
+    nearest: calculationResult.nearest,
+  };
+}
 
 /**
  * Class for handling tax data exports
@@ -19,16 +89,35 @@ export class ExportManager {
    */
   static exportToJSON(calculationResult, rates) {
     try {
+      const currency = getCurrency(calculationResult);
       const exportData = {
         timestamp: new Date().toISOString(),
         calculation: {
           subtotal: calculationResult.subtotal,
+          discount: calculationResult.discount || 0,
           vat: calculationResult.vat,
           incomeTaxWithheld: calculationResult.incomeTaxWithheld,
           vatRetention: calculationResult.vatRetention,
           netAmount: calculationResult.netAmount,
           method: calculationResult.calculationMethod,
+          rateTableVersion: calculationResult.rateTableVersion ?? null,
+          moneda: currency.moneda,
+          tipoCambio: currency.tipoCambio,
+          vatTreatment: calculationResult.vatTreatment || VAT_TREATMENTS.TAXED,
         },
+        mxnEquivalent: currency.foreign ? getMXNEquivalents(calculationResult) : null,
+        creditNote: getCreditNote(calculationResult),
+        exactSolve: getExactSolve(calculationResult),
+        lines: (calculationResult.lines || []).map(line => ({
+          description: line.description,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          amount: line.amount,
+          discount: line.discount,
+          vat: line.vat,
+          incomeTaxWithheld: line.incomeTaxWithheld,
+          vatRetention: line.vatRetention,
+        })),
         rates: rates,
         metadata: {
           version: '1.0.0',
@@ -38,7 +127,7 @@ export class ExportManager {
       
       return JSON.stringify(exportData, null, EXPORT_CONFIG.JSON_INDENT);
     } catch (error) {
-      throw new Error(`Error exporting JSON: ${error.message}`);
+      throw withOperation(error, 'exportJson');
     }
   }
 
@@ -50,15 +139,58 @@ export class ExportManager {
    */
   static exportToCSV(calculationResult) {
     try {
+      const currency = getCurrency(calculationResult);
+      const amount = (value) => value.toFixed(currency.decimals);
+      const creditNote = getCreditNote(calculationResult);
+      
       const headers = ['Concept', 'Value'];
       const rows = [
-        ['Subtotal', calculationResult.subtotal.toFixed(2)],
-        ['VAT', calculationResult.vat.toFixed(2)],
-        ['Income Tax Withheld', calculationResult.incomeTaxWithheld.toFixed(2)],
-        ['VAT Retention', calculationResult.vatRetention.toFixed(2)],
-        ['Net Amount', calculationResult.netAmount.toFixed(2)],
+        ...(creditNote ? [
+          ['TipoDeComprobante', creditNote.tipoDeComprobante],
+          ['TipoRelacion', creditNote.tipoRelacion],
+          ['Related UUID', creditNote.relatedUuid || ''],
+        ] : []),
+        ['Moneda', currency.moneda],
+        ['TipoCambio', String(currency.tipoCambio)],
+        ['VAT Treatment', calculationResult.vatTreatment || VAT_TREATMENTS.TAXED],
+        ['Subtotal', amount(calculationResult.subtotal)],
+        ...(calculationResult.discount ? [['Discount', amount(calculationResult.discount)]] : []),
+        ['VAT', amount(calculationResult.vat)],
+        ['Income Tax Withheld', amount(calculationResult.incomeTaxWithheld)],
+        ['VAT Retention', amount(calculationResult.vatRetention)],
+        ['Net Amount', amount(calculationResult.netAmount)],
       ];
       
+      // Original invoice amounts still in effect after the credit note
+      if (creditNote) {
+        rows.push(['Credit Proportion', String(creditNote.proportion)]);
+        rows.push(['Original Net Amount', amount(creditNote.original.netAmount)]);
+        rows.push(['Remaining Subtotal', amount(creditNote.remaining.base)]);
+        rows.push(['Remaining VAT', amount(creditNote.remaining.vat)]);
+        rows.push(['Remaining Income Tax Withheld', amount(creditNote.remaining.incomeTaxWithheld)]);
+        rows.push(['Remaining VAT Retention', amount(creditNote.remaining.vatRetention)]);
+        rows.push(['Remaining Net Amount', amount(creditNote.remaining.netAmount)]);
+      }
+      
+      // Line breakdown for multi-line invoices
+      (calculationResult.lines || []).forEach((line, index) => {
+        const prefix = `Line ${index + 1}`;
+        rows.push([`${prefix} Amount`, amount(line.amount)]);
+        rows.push([`${prefix} VAT`, amount(line.vat)]);
+        rows.push([`${prefix} Income Tax Withheld`, amount(line.incomeTaxWithheld)]);
+        rows.push([`${prefix} VAT Retention`, amount(line.vatRetention)]);
+      });
+      
+      // MXN equivalents for foreign-currency invoices
+      if (currency.foreign) {
+        const mxn = getMXNEquivalents(calculationResult);
+        rows.push(['Subtotal MXN', mxn.subtotal.toFixed(2)]);
+        rows.push(['VAT MXN', mxn.vat.toFixed(2)]);
+        rows.push(['Income Tax Withheld MXN', mxn.incomeTaxWithheld.toFixed(2)]);
+        rows.push(['VAT Retention MXN', mxn.vatRetention.toFixed(2)]);
+        rows.push(['Net Amount MXN', mxn.netAmount.toFixed(2)]);
+      }
+      
       const csvContent = [
         headers.join(','),
         ...rows.map(row => row.join(','))
@@ -66,7 +198,182 @@ export class ExportManager {
       
       return csvContent;
     } catch (error) {
-      throw new Error(`Error exporting CSV: ${error.message}`);
+      throw withOperation(error, 'exportCsv');
+    }
+  }
+
+  /**
+   * Exports results as an unsigned CFDI 4.0 XML
+   * 
+   * @param {Object} calculationResult - Calculation result
+   * @param {Object} rates - Used rates
+   * @param {Object} invoiceData - Emisor, receptor and comprobante data (see buildCFDI40)
+   * @returns {string} CFDI XML
+   */
+  static exportToCFDIXml(calculationResult, rates, invoiceData = {}) {
+    try {
+      return buildCFDI40(calculationResult, rates, invoiceData);
+    } catch (error) {
+      throw withOperation(error, 'exportCfdiXml');
+    }
+  }
+
+  /**
+   * Exports a quote as a PDF, generated in the browser
+   * 
+   * @param {Object} quote - Quote (see buildQuote)
+   * @param {Function} translate - Translator for the labels (key => text)
+   * @returns {string} PDF source
+   */
+  static exportQuoteToPDF(quote, translate) {
+    try {
+      return renderQuotePdf(quote, translate);
+    } catch (error) {
+      throw withOperation(error, 'exportQuotePdf');
+    }
+  }
+
+  /**
+   * Exports the payments of a PPD invoice as CSV, one row per payment
+   * 
+   * @param {Object} schedule - PaymentComplement.schedule result
+   * @returns {string} Data in CSV format
+   */
+  static exportPaymentsToCSV(schedule) {
+    try {
+      const { decimals } = schedule.document;
+      const amount = (value) => value.toFixed(decimals);
+      const taxAmount = (taxes, impuesto) => sumDecimals(taxes
+        .filter(tax => tax.impuesto === impuesto && tax.importe !== null)
+        .map(tax => tax.importe), PAYMENTS_CONFIG.DR_DECIMALS)
+        .toFixed(PAYMENTS_CONFIG.DR_DECIMALS);
+      
+      const headers = [
+        'NumParcialidad', 'FechaPago', 'FormaDePagoP', 'MonedaP', 'TipoCambioP',
+        'ImpSaldoAnt', 'ImpPagado', 'ImpSaldoInsoluto',
+        'Traslados IVA', 'Retenciones ISR', 'Retenciones IVA', 'MontoTotalPagos MXN',
+      ];
+      const rows = schedule.payments.map(payment => [
+        payment.numParcialidad,
+        payment.fechaPago,
+        payment.formaPago,
+        payment.currency,
+        String(payment.exchangeRate),
+        amount(payment.impSaldoAnt),
+        amount(payment.impPagado),
+        amount(payment.impSaldoInsoluto),
+        taxAmount(payment.trasladosP, CFDI_CONFIG.TAX_CODES.IVA),
+        taxAmount(payment.retencionesP, CFDI_CONFIG.TAX_CODES.ISR),
+        taxAmount(payment.retencionesP, CFDI_CONFIG.TAX_CODES.IVA),
+        payment.totals.montoTotalPagos.toFixed(2),
+      ]);
+      
+      return [
+        headers.join(','),
+        ...rows.map(row => row.join(','))
+      ].join('\n');
+    } catch (error) {
+      throw withOperation(error, 'exportPaymentsCsv');
+    }
+  }
+
+  /**
+   * Exports a batch calculation as CSV, one row per spreadsheet row
+   * Rows that failed keep their error message and code and leave the amounts empty
+   * 
+   * @param {Object} batch - BatchCalculator.run result
+   * @returns {string} Data in CSV format
+   */
+  static exportBatchToCSV(batch) {
+    try {
+      const decimals = getCurrencyDecimals(batch.currency);
+      const amount = (entry, key) => (entry.result ? entry.result[key].toFixed(decimals) : '');
+      
+      const headers = [
+        'Line', 'Client', 'Method', 'Input', 'Subtotal', 'VAT', 'Income Tax Withheld',
+        'VAT Retention', 'Net Amount', 'Error', 'Error Code',
+      ];
+      const rows = batch.rows.map(entry => [
+        entry.line,
+        entry.client,
+        entry.method || '',
+        entry.input ?? '',
+        amount(entry, 'subtotal'),
+        amount(entry, 'vat'),
+        amount(entry, 'incomeTaxWithheld'),
+        amount(entry, 'vatRetention'),
+        amount(entry, 'netAmount'),
+        entry.error?.message || '',
+        entry.error?.code || '',
+      ]);
+      
+      return [
+        headers.join(','),
+        ...rows.map(row => row.map(csvField).join(','))
+      ].join('\n');
+    } catch (error) {
+      throw withOperation(error, 'exportBatchCsv');
+    }
+  }
+
+  /**
+   * Exports a batch calculation as a JSON bundle
+   * 
+   * @param {Object} batch - BatchCalculator.run result
+   * @returns {string} Formatted JSON
+   */
+  static exportBatchToJSON(batch) {
+    try {
+      const exportData = {
+        timestamp: new Date().toISOString(),
+        summary: {
+          rows: batch.rows.length,
+          succeeded: batch.succeeded,
+          failed: batch.failed,
+          moneda: batch.currency,
+          totals: batch.totals,
+        },
+        rows: batch.rows.map(entry => ({
+          line: entry.line,
+          client: entry.client,
+          method: entry.method,
+          input: entry.input,
+          rates: entry.rates,
+          calculation: entry.result ? {
+            subtotal: entry.result.subtotal,
+            vat: entry.result.vat,
+            incomeTaxWithheld: entry.result.incomeTaxWithheld,
+            vatRetention: entry.result.vatRetention,
+            netAmount: entry.result.netAmount,
+            rateTableVersion: entry.result.rateTableVersion ?? null,
+          } : null,
+          error: entry.error,
+        })),
+        metadata: {
+          version: '1.0.0',
+          exportedAt: new Date().toLocaleString('en-US'),
+        },
+      };
+      
+      return JSON.stringify(exportData, null, EXPORT_CONFIG.JSON_INDENT);
+    } catch (error) {
+      throw withOperation(error, 'exportBatchJson');
+    }
+  }
+
+  /**
+   * Exports one payment as an unsigned CFDI 4.0 of type P with the Pagos 2.0 complement
+   * 
+   * @param {Object} schedule - PaymentComplement.schedule result
+   * @param {number} paymentIndex - Index of the payment in the schedule
+   * @param {Object} invoiceData - Emisor, receptor and paid invoice data (see buildPaymentCFDI40)
+   * @returns {string} CFDI XML
+   */
+  static exportPaymentToCFDIXml(schedule, paymentIndex, invoiceData = {}) {
+    try {
+      return buildPaymentCFDI40(schedule, paymentIndex, invoiceData);
+    } catch (error) {
+      throw withOperation(error, 'exportPaymentXml');
     }
   }
 
@@ -126,7 +433,7 @@ export class ExportManager {
       // Clean up URL
       setTimeout(() => URL.revokeObjectURL(url), 100);
     } catch (error) {
-      throw new Error(`Error downloading file: ${error.message}`);
+      throw withOperation(error, 'downloadFile');
     }
   }
 
@@ -138,15 +445,26 @@ export class ExportManager {
    * @returns {string} Formatted report
    */
   static generateReport(calculationResult, rates) {
+    const vatTreatment = calculationResult.vatTreatment || VAT_TREATMENTS.TAXED;
+    const creditNote = getCreditNote(calculationResult);
+    const vatLine = vatTreatment === VAT_TREATMENTS.EXEMPT
+      ? 'VAT: Exempt'
+      : `VAT (${(rates.vatRate * 100).toFixed(1)}%): $${calculationResult.vat.toFixed(2)}`;
+
     const report = [
       '=== CFDI CALCULATION REPORT ===',
       '',
       `Date: ${new Date().toLocaleString('en-US')}`,
       `Method: ${calculationResult.calculationMethod}`,
+      `VAT Treatment: ${vatTreatment}`,
+      ...(creditNote ? [
+        `Credit note (${creditNote.tipoDeComprobante}) for: ${creditNote.relatedUuid || '-'} (TipoRelacion ${creditNote.tipoRelacion})`,
+        `Remaining net amount: $${creditNote.remaining.netAmount.toFixed(2)}`,
+      ] : []),
       '',
       '--- BREAKDOWN ---',
       `Subtotal: $${calculationResult.subtotal.toFixed(2)}`,
-      `VAT (${(rates.vatRate * 100).toFixed(1)}%): $${calculationResult.vat.toFixed(2)}`,
+      vatLine,
       `Income Tax Withheld (${(rates.incomeTaxRate * 100).toFixed(1)}%): $${calculationResult.incomeTaxWithheld.toFixed(2)}`,
       `VAT Retention (${(rates.vatRetentionFraction * 100).toFixed(2)}%): $${calculationResult.vatRetention.toFixed(2)}`,
       `Net Amount: $${calculationResult.netAmount.toFixed(2)}`,
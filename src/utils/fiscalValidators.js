@@ -0,0 +1,500 @@
+/**
+ * @fileoverview Validators for Mexican fiscal identifiers (RFC, CURP, postal code) and SAT catalog codes
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { FISCAL_VALIDATION_CONFIG } from '../config/constants.js';
+import {
+  REGIMEN_FISCAL,
+  USO_CFDI,
+  FORMA_PAGO,
+  METODO_PAGO,
+  OBJETO_IMP,
+  FORMA_PAGO_POR_DEFINIR,
+  MONEDA,
+  MONEDA_NACIONAL,
+} from '../config/satCatalogs.js';
+import { BORDER_REGION_EFFECTIVE_FROM, BORDER_ZONE_POSTAL_CODES } from '../config/borderZone.js';
+
+const { PERSON_TYPES, GENERIC_RFCS } = FISCAL_VALIDATION_CONFIG;
+
+const RFC_PATTERNS = {
+  [PERSON_TYPES.FISICA]: /^([A-ZÑ&]{4})(\d{6})([A-Z\d]{2}[\dA])$/,
+  [PERSON_TYPES.MORAL]: /^([A-ZÑ&]{3})(\d{6})([A-Z\d]{2}[\dA])$/,
+};
+
+const CURP_PATTERN = /^[A-Z][AEIOUX][A-Z]{2}(\d{6})[HMX](AS|BC|BS|CC|CL|CM|CS|CH|DF|DG|GT|GR|HG|JC|MC|MN|MS|NT|NL|OC|PL|QT|QR|SP|SL|SR|TC|TS|TL|VZ|YN|ZS|NE)[B-DF-HJ-NP-TV-Z]{3}[A-Z\d]\d$/;
+
+const POSTAL_CODE_PATTERN = /^\d{5}$/;
+
+const UUID_PATTERN = /^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/i;
+
+/**
+ * Builds a validation result
+ * @param {string|null} error - Translation key of the error, null when valid
+ * @param {Object} details - Extra result fields
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+function result(error, details = {}) {
+  return { valid: error === null, error: error, ...details };
+}
+
+/**
+ * Checks a YYMMDD date, accepting either century
+ * @param {string} yymmdd - Date digits
+ * @returns {boolean} True when the date exists
+ */
+function isValidShortDate(yymmdd) {
+  const year = parseInt(yymmdd.slice(0, 2), 10);
+  const month = parseInt(yymmdd.slice(2, 4), 10);
+  const day = parseInt(yymmdd.slice(4, 6), 10);
+
+  return [1900, 2000].some(century => {
+    const date = new Date(Date.UTC(century + year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  });
+}
+
+/**
+ * Normalizes an identifier for validation
+ * @param {string} value - Raw value
+ * @returns {string} Trimmed uppercase value
+ */
+export function normalizeIdentifier(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+/**
+ * Gets the person type of an RFC from its length
+ *
+ * @param {string} rfc - RFC
+ * @returns {string|null} 'fisica' (13 characters), 'moral' (12) or null
+ */
+export function getPersonType(rfc) {
+  const length = normalizeIdentifier(rfc).length;
+  if (length === 13) return PERSON_TYPES.FISICA;
+  if (length === 12) return PERSON_TYPES.MORAL;
+  return null;
+}
+
+/**
+ * Checks whether an RFC is one of the SAT generic RFCs
+ *
+ * @param {string} rfc - RFC
+ * @returns {boolean} True for XAXX010101000 and XEXX010101000
+ */
+export function isGenericRFC(rfc) {
+  return Object.values(GENERIC_RFCS).includes(normalizeIdentifier(rfc));
+}
+
+/**
+ * Calculates the homoclave check digit of an RFC
+ * Persona moral RFCs are padded with a leading space to 13 characters
+ *
+ * @param {string} rfc - RFC with or without its check digit
+ * @returns {string} Check digit ('0'-'9' or 'A')
+ *
+ * @example
+ * calculateRFCCheckDigit('EKU9003173C') // returns '9'
+ */
+export function calculateRFCCheckDigit(rfc) {
+  const dictionary = FISCAL_VALIDATION_CONFIG.RFC_CHECK_DIGIT_DICTIONARY;
+  let base = normalizeIdentifier(rfc);
+  if (base.length === 12 || base.length === 13) {
+    base = base.slice(0, -1);
+  }
+  base = base.padStart(12, ' ');
+
+  const sum = Array.from(base).reduce((total, char, index) => {
+    return total + Math.max(dictionary.indexOf(char), 0) * (13 - index);
+  }, 0);
+
+  const digit = 11 - (sum % 11);
+  if (digit === 11) return '0';
+  if (digit === 10) return 'A';
+  return String(digit);
+}
+
+/**
+ * Validates an RFC
+ * Checks structure, date and homoclave check digit; generic RFCs are accepted as-is
+ *
+ * @param {string} rfc - RFC
+ * @returns {{valid: boolean, error: string|null, personType: string|null, generic: boolean}} Validation result
+ */
+export function validateRFC(rfc) {
+  const value = normalizeIdentifier(rfc);
+  const personType = getPersonType(value);
+
+  if (!value) {
+    return result('rfcRequired', { personType: null, generic: false });
+  }
+
+  if (isGenericRFC(value)) {
+    return result(null, { personType: PERSON_TYPES.FISICA, generic: true });
+  }
+
+  const match = personType ? value.match(RFC_PATTERNS[personType]) : null;
+  if (!match) {
+    return result('rfcInvalidFormat', { personType: personType, generic: false });
+  }
+
+  if (!isValidShortDate(match[2])) {
+    return result('rfcInvalidDate', { personType: personType, generic: false });
+  }
+
+  if (calculateRFCCheckDigit(value) !== value.slice(-1)) {
+    return result('rfcInvalidCheckDigit', { personType: personType, generic: false });
+  }
+
+  return result(null, { personType: personType, generic: false });
+}
+
+/**
+ * Calculates the check digit of a CURP
+ *
+ * @param {string} curp - CURP with or without its check digit
+ * @returns {string} Check digit
+ */
+export function calculateCURPCheckDigit(curp) {
+  const dictionary = FISCAL_VALIDATION_CONFIG.CURP_CHECK_DIGIT_DICTIONARY;
+  const base = normalizeIdentifier(curp).slice(0, 17);
+
+  const sum = Array.from(base).reduce((total, char, index) => {
+    return total + Math.max(dictionary.indexOf(char), 0) * (18 - index);
+  }, 0);
+
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Validates a CURP
+ *
+ * @param {string} curp - CURP
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateCURP(curp) {
+  const value = normalizeIdentifier(curp);
+
+  if (!value) {
+    return result('curpRequired');
+  }
+
+  const match = value.match(CURP_PATTERN);
+  if (!match) {
+    return result('curpInvalidFormat');
+  }
+
+  if (!isValidShortDate(match[1])) {
+    return result('curpInvalidDate');
+  }
+
+  if (calculateCURPCheckDigit(value) !== value.slice(-1)) {
+    return result('curpInvalidCheckDigit');
+  }
+
+  return result(null);
+}
+
+/**
+ * Validates a postal code (5 digits)
+ *
+ * @param {string} postalCode - Postal code
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validatePostalCode(postalCode) {
+  const value = String(postalCode ?? '').trim();
+
+  if (!value) {
+    return result('postalCodeRequired');
+  }
+
+  return result(POSTAL_CODE_PATTERN.test(value) ? null : 'postalCodeInvalid');
+}
+
+/**
+ * Validates a folio fiscal (UUID of the TimbreFiscalDigital)
+ *
+ * @param {string} uuid - UUID
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateUUID(uuid) {
+  const value = String(uuid ?? '').trim();
+
+  if (!value) {
+    return result('uuidRequired');
+  }
+
+  return result(UUID_PATTERN.test(value) ? null : 'uuidInvalid');
+}
+
+/**
+ * Validates a c_Moneda code and its exchange rate (TipoCambio)
+ * MXN only accepts 1; other currencies need a positive rate with up to
+ * six decimals
+ *
+ * @param {string} currency - c_Moneda code
+ * @param {number|string} exchangeRate - MXN per unit of the currency
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateExchangeRate(currency, exchangeRate) {
+  if (!MONEDA[currency]) {
+    return result('currencyInvalid');
+  }
+
+  const text = String(exchangeRate ?? '').trim();
+  if (!text) {
+    return result(currency === MONEDA_NACIONAL ? null : 'exchangeRateRequired');
+  }
+
+  const value = Number(text);
+  if (!/^\d+(\.\d{1,6})?$/.test(text) || !(value > 0)) {
+    return result('exchangeRateInvalid');
+  }
+
+  return result(currency === MONEDA_NACIONAL && value !== 1 ? 'exchangeRateNational' : null);
+}
+
+/**
+ * Finds the border stimulus zone entry of a postal code
+ *
+ * @param {string} postalCode - Postal code
+ * @returns {Object|null} BORDER_ZONE_POSTAL_CODES entry, or null outside the zone
+ */
+export function findBorderZone(postalCode) {
+  const value = String(postalCode ?? '').trim();
+  if (!POSTAL_CODE_PATTERN.test(value)) return null;
+
+  return BORDER_ZONE_POSTAL_CODES.find(entry => value >= entry.from && value <= entry.to) || null;
+}
+
+/**
+ * Validates that the issuer postal code is in a border stimulus zone
+ * that was in effect on the invoice date
+ *
+ * @param {string} postalCode - Issuer postal code (LugarExpedicion)
+ * @param {string} [date] - Invoice date as YYYY-MM-DD; without it only the zone is checked
+ * @returns {{valid: boolean, error: string|null, zone: Object|null, effectiveFrom: string|null}} Validation result
+ */
+export function validateBorderZonePostalCode(postalCode, date) {
+  const format = validatePostalCode(postalCode);
+  if (!format.valid) {
+    return result(format.error, { zone: null, effectiveFrom: null });
+  }
+
+  const zone = findBorderZone(postalCode);
+  if (!zone) {
+    return result('borderZoneOutside', { zone: null, effectiveFrom: null });
+  }
+
+  const effectiveFrom = BORDER_REGION_EFFECTIVE_FROM[zone.region];
+  return result(date && date < effectiveFrom ? 'borderZoneNotInEffect' : null, { zone: zone, effectiveFrom: effectiveFrom });
+}
+
+/**
+ * Validates that a c_RegimenFiscal code can be used by a person type
+ *
+ * @param {string} regimeCode - c_RegimenFiscal code
+ * @param {string|null} personType - 'fisica' or 'moral'
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateRegimeForPersonType(regimeCode, personType) {
+  const code = String(regimeCode ?? '').trim();
+
+  if (!code) {
+    return result('regimeRequired');
+  }
+
+  const regime = REGIMEN_FISCAL[code];
+  if (!regime) {
+    return result('regimeUnknown');
+  }
+
+  if (personType && !regime[personType]) {
+    return result(personType === PERSON_TYPES.MORAL ? 'regimeNotForMoral' : 'regimeNotForFisica');
+  }
+
+  return result(null);
+}
+
+/**
+ * Validates a c_UsoCFDI code against the receptor regime and person type
+ *
+ * @param {string} usoCFDI - c_UsoCFDI code
+ * @param {string} regimeCode - Receptor c_RegimenFiscal code
+ * @param {string|null} personType - 'fisica' or 'moral'
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateUsoCFDI(usoCFDI, regimeCode, personType) {
+  const code = normalizeIdentifier(usoCFDI);
+
+  if (!code) {
+    return result('usoCFDIRequired');
+  }
+
+  const uso = USO_CFDI[code];
+  if (!uso) {
+    return result('usoCFDIUnknown');
+  }
+
+  if (personType && !uso[personType]) {
+    return result(personType === PERSON_TYPES.MORAL ? 'usoCFDINotForMoral' : 'usoCFDINotForFisica');
+  }
+
+  if (REGIMEN_FISCAL[regimeCode] && !uso.regimes.includes(regimeCode)) {
+    return result('usoCFDINotForRegime');
+  }
+
+  return result(null);
+}
+
+/**
+ * Validates c_MetodoPago against c_FormaPago
+ * PPD requires FormaPago 99 and PUE requires a defined FormaPago
+ *
+ * @param {string} metodoPago - c_MetodoPago code
+ * @param {string} formaPago - c_FormaPago code
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validatePaymentMethod(metodoPago, formaPago) {
+  const metodo = METODO_PAGO[normalizeIdentifier(metodoPago)];
+  const forma = String(formaPago ?? '').trim();
+
+  if (!metodo) {
+    return result('metodoPagoUnknown');
+  }
+
+  if (!FORMA_PAGO[forma]) {
+    return result('formaPagoUnknown');
+  }
+
+  const isUndefined = forma === FORMA_PAGO_POR_DEFINIR;
+  if (metodo.requiresUndefinedFormaPago && !isUndefined) {
+    return result('ppdRequiresFormaPago99');
+  }
+  if (!metodo.requiresUndefinedFormaPago && isUndefined) {
+    return result('pueRequiresFormaPago');
+  }
+
+  return result(null);
+}
+
+/**
+ * Validates the c_FormaPago of a received payment (FormaDePagoP)
+ * A payment is always made in a known form, so 99 is not accepted
+ *
+ * @param {string} formaPago - c_FormaPago code
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validatePaymentForm(formaPago) {
+  const forma = String(formaPago ?? '').trim();
+
+  if (!FORMA_PAGO[forma]) {
+    return result('formaPagoUnknown');
+  }
+
+  return result(forma === FORMA_PAGO_POR_DEFINIR ? 'paymentFormaPagoUndefined' : null);
+}
+
+/**
+ * Validates a c_ObjetoImp code against whether the concept breaks down taxes
+ *
+ * @param {string} objetoImp - c_ObjetoImp code
+ * @param {boolean} hasTaxes - True when the concept has Impuestos
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateObjetoImp(objetoImp, hasTaxes) {
+  const objeto = OBJETO_IMP[String(objetoImp ?? '').trim()];
+
+  if (!objeto) {
+    return result('objetoImpUnknown');
+  }
+
+  if (objeto.breakdownTaxes !== hasTaxes) {
+    return result('objetoImpTaxMismatch');
+  }
+
+  return result(null);
+}
+
+/**
+ * Validates the catalog combinations of a CFDI
+ * Expects resolved values (defaults already applied); an empty emisor
+ * regime is left to the signing step, as in unsigned drafts
+ *
+ * @param {Object} data - CFDI values
+ * @param {Object} data.emisor - { rfc, regimenFiscal }
+ * @param {Object} data.receptor - { rfc, regimenFiscal, usoCFDI }
+ * @param {string} data.formaPago - c_FormaPago code
+ * @param {string} data.metodoPago - c_MetodoPago code
+ * @param {string} data.objetoImp - c_ObjetoImp code of the concepts
+ * @param {boolean} data.hasTaxes - True when the concepts have Impuestos
+ * @returns {{valid: boolean, errors: Array<string>}} Translation keys of the failed rules
+ */
+export function validateCatalogCombinations(data) {
+  const emisorRFC = validateRFC(data.emisor.rfc);
+  const receptorRFC = validateRFC(data.receptor.rfc);
+  const emisorPersonType = emisorRFC.valid ? emisorRFC.personType : null;
+  const receptorPersonType = receptorRFC.valid ? receptorRFC.personType : null;
+
+  const errors = [
+    data.emisor.regimenFiscal ? validateRegimeForPersonType(data.emisor.regimenFiscal, emisorPersonType) : result(null),
+    validateRegimeForPersonType(data.receptor.regimenFiscal, receptorPersonType),
+    validateUsoCFDI(data.receptor.usoCFDI, data.receptor.regimenFiscal, receptorPersonType),
+    validatePaymentMethod(data.metodoPago, data.formaPago),
+    validateObjetoImp(data.objetoImp, data.hasTaxes),
+  ].filter(check => !check.valid).map(check => check.error);
+
+  // Invoices to the general public must use the generic receptor values
+  if (receptorRFC.generic && (data.receptor.regimenFiscal !== '616' || normalizeIdentifier(data.receptor.usoCFDI) !== 'S01')) {
+    errors.push('genericRfcRequiresS01');
+  }
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Validates emisor or receptor data
+ *
+ * @param {Object} party - Party data
+ * @param {string} party.rfc - RFC
+ * @param {string} party.nombre - Name or business name
+ * @param {string} party.regimenFiscal - c_RegimenFiscal code
+ * @param {string} party.codigoPostal - Postal code
+ * @param {string} [party.usoCFDI] - c_UsoCFDI code, receptor only
+ * @returns {{valid: boolean, errors: Object}} Errors keyed by field, as translation keys
+ */
+export function validateParty(party) {
+  const rfc = validateRFC(party.rfc);
+  const errors = {};
+
+  if (!rfc.valid) {
+    errors.rfc = rfc.error;
+  }
+
+  if (!String(party.nombre ?? '').trim()) {
+    errors.nombre = 'nameRequired';
+  }
+
+  const regime = validateRegimeForPersonType(party.regimenFiscal, rfc.valid ? rfc.personType : null);
+  if (!regime.valid) {
+    errors.regimenFiscal = regime.error;
+  }
+
+  const postalCode = validatePostalCode(party.codigoPostal);
+  if (!postalCode.valid) {
+    errors.codigoPostal = postalCode.error;
+  }
+
+  if (party.usoCFDI !== undefined) {
+    const uso = validateUsoCFDI(party.usoCFDI, party.regimenFiscal, rfc.valid ? rfc.personType : null);
+    if (!uso.valid) {
+      errors.usoCFDI = uso.error;
+    } else if (rfc.generic && (party.regimenFiscal !== '616' || normalizeIdentifier(party.usoCFDI) !== 'S01')) {
+      errors.usoCFDI = 'genericRfcRequiresS01';
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors: errors };
+}
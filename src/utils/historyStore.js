@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Persistent calculation history backed by IndexedDB
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { CalculatorError } from './errors.js';
+import { ERROR_MESSAGES, HISTORY_CONFIG } from '../config/constants.js';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Class for storing calculations in IndexedDB
+ * Entries are { id, timestamp, label, method, regime, rates, options, inputs, result }
+ */
+export class HistoryStore {
+  /**
+   * History store constructor
+   * @param {string} dbName - Database name
+   */
+  constructor(dbName = HISTORY_CONFIG.DB_NAME) {
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  /**
+   * Checks whether IndexedDB is available
+   * @returns {boolean} True when the browser supports IndexedDB
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Opens the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    if (!HistoryStore.isSupported()) {
+      throw new CalculatorError(ERROR_MESSAGES.HISTORY_UNAVAILABLE);
+    }
+
+    const request = indexedDB.open(this.dbName, HISTORY_CONFIG.DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(HISTORY_CONFIG.STORE_NAME)) {
+        const store = db.createObjectStore(HISTORY_CONFIG.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex(HISTORY_CONFIG.TIMESTAMP_INDEX, 'timestamp');
+      }
+    };
+
+    try {
+      this.db = await promisifyRequest(request);
+      return this.db;
+    } catch (error) {
+      throw new CalculatorError(ERROR_MESSAGES.HISTORY_OPEN_FAILED, { params: { detail: error?.message || String(error) }, cause: error });
+    }
+  }
+
+  /**
+   * Adds a calculation
+   * @param {Object} entry - Entry without id
+   * @returns {Promise<number>} New entry id
+   */
+  async add(entry) {
+    const store = await this._getStore('readwrite');
+    return promisifyRequest(store.add({ timestamp: Date.now(), label: '', ...entry }));
+  }
+
+  /**
+   * Gets an entry
+   * @param {number} id - Entry id
+   * @returns {Promise<Object|undefined>} Entry
+   */
+  async get(id) {
+    const store = await this._getStore('readonly');
+    return promisifyRequest(store.get(id));
+  }
+
+  /**
+   * Searches entries, newest first
+   *
+   * @param {Object} filters - Search filters
+   * @param {string} [filters.query] - Text matched against label, method, regime and amounts
+   * @param {number} [filters.from] - Minimum timestamp (inclusive)
+   * @param {number} [filters.to] - Maximum timestamp (inclusive)
+   * @returns {Promise<Array<Object>>} Matching entries
+   */
+  async search(filters = {}) {
+    const store = await this._getStore('readonly');
+    const index = store.index(HISTORY_CONFIG.TIMESTAMP_INDEX);
+    const from = filters.from ?? 0;
+    const to = filters.to ?? Number.MAX_SAFE_INTEGER;
+
+    const entries = await promisifyRequest(index.getAll(IDBKeyRange.bound(from, to)));
+    const query = (filters.query || '').trim().toLowerCase();
+
+    return entries
+      .filter(entry => !query || HistoryStore._searchText(entry).includes(query))
+      .reverse();
+  }
+
+  /**
+   * Gets every entry, newest first
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async getAll() {
+    return this.search();
+  }
+
+  /**
+   * Deletes an entry
+   * @param {number} id - Entry id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const store = await this._getStore('readwrite');
+    await promisifyRequest(store.delete(id));
+  }
+
+  /**
+   * Deletes every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const store = await this._getStore('readwrite');
+    await promisifyRequest(store.clear());
+  }
+
+  /**
+   * Gets the object store in a new transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>} Object store
+   * @private
+   */
+  async _getStore(mode) {
+    const db = await this.open();
+    return db.transaction(HISTORY_CONFIG.STORE_NAME, mode).objectStore(HISTORY_CONFIG.STORE_NAME);
+  }
+
+  /**
+   * Builds the searchable text of an entry
+   * @param {Object} entry - Entry
+   * @returns {string} Lowercase text
+   * @private
+   */
+  static _searchText(entry) {
+    const result = entry.result || {};
+    return [
+      entry.label,
+      entry.method,
+      entry.regime,
+      result.subtotal?.toFixed(2),
+      result.netAmount?.toFixed(2),
+    ].filter(Boolean).join(' ').toLowerCase();
+  }
+}
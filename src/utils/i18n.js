@@ -5,6 +5,7 @@
  */
 
 import { TRANSLATIONS, DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../config/translations.js';
+import { setMessageTranslator, formatMessage } from './messages.js';
 
 /**
  * Internationalization service class
@@ -22,14 +23,18 @@ export class I18nService {
    * @private
    */
   _detectLanguage() {
-    // First check localStorage for saved preference
-    const savedLanguage = localStorage.getItem('cfdi-calculator-language');
+    // First check localStorage for saved preference (not available in workers)
+    const savedLanguage = typeof localStorage !== 'undefined'
+      ? localStorage.getItem('cfdi-calculator-language')
+      : null;
     if (savedLanguage && SUPPORTED_LANGUAGES.includes(savedLanguage)) {
       return savedLanguage;
     }
 
     // Then check browser language
-    const browserLanguage = navigator.language || navigator.userLanguage;
+    const browserLanguage = typeof navigator !== 'undefined'
+      ? navigator.language || navigator.userLanguage
+      : null;
     if (browserLanguage) {
       const languageCode = browserLanguage.split('-')[0].toLowerCase();
       if (SUPPORTED_LANGUAGES.includes(languageCode)) {
@@ -46,22 +51,24 @@ export class I18nService {
    * @private
    */
   _saveLanguagePreference() {
+    if (typeof localStorage === 'undefined') return;
     localStorage.setItem('cfdi-calculator-language', this.currentLanguage);
   }
 
   /**
    * Gets translation for a key
    * @param {string} key - Translation key
+   * @param {Object} [params] - Values for the {name} placeholders
    * @returns {string} Translated text
    */
-  t(key) {
+  t(key, params) {
     const translations = TRANSLATIONS[this.currentLanguage];
     if (!translations) {
       console.warn(`Language ${this.currentLanguage} not found, falling back to ${DEFAULT_LANGUAGE}`);
-      return TRANSLATIONS[DEFAULT_LANGUAGE][key] || key;
+      return formatMessage(TRANSLATIONS[DEFAULT_LANGUAGE][key] || key, params);
     }
     
-    return translations[key] || TRANSLATIONS[DEFAULT_LANGUAGE][key] || key;
+    return formatMessage(translations[key] || TRANSLATIONS[DEFAULT_LANGUAGE][key] || key, params);
   }
 
   /**
@@ -84,7 +91,10 @@ export class I18nService {
 
     this.currentLanguage = language;
     this._saveLanguagePreference();
-    this._updateInterface();
+    // Workers only translate messages; there is no interface to update
+    if (typeof document !== 'undefined') {
+      this._updateInterface();
+    }
     this._notifyListeners();
   }
 
@@ -120,16 +130,197 @@ export class I18nService {
       parametersTitle.textContent = this.t('parametersTitle');
     }
 
-    const resultsTitle = document.querySelector('.card:nth-child(3) .card__title');
+    const resultsTitle = document.querySelector('#results-title');
     if (resultsTitle) {
       resultsTitle.textContent = this.t('resultsTitle');
     }
 
-    const quickNotesTitle = document.querySelector('.card:nth-child(4) .card__title');
+    const quickNotesTitle = document.querySelector('#quick-notes-title');
     if (quickNotesTitle) {
       quickNotesTitle.textContent = this.t('quickNotesTitle');
     }
 
+    const partiesTitle = document.querySelector('#parties-title');
+    if (partiesTitle) {
+      partiesTitle.textContent = this.t('partiesTitle');
+    }
+
+    const partiesHelp = document.querySelector('#parties-help');
+    if (partiesHelp) {
+      partiesHelp.textContent = this.t('partiesHelp');
+    }
+
+    const metodoPagoLabel = document.querySelector('label[for="metodoPago"]');
+    if (metodoPagoLabel) {
+      metodoPagoLabel.textContent = this.t('metodoPagoLabel');
+    }
+
+    const formaPagoLabel = document.querySelector('label[for="formaPago"]');
+    if (formaPagoLabel) {
+      formaPagoLabel.textContent = this.t('formaPagoLabel');
+    }
+
+    const exportacionLabel = document.querySelector('label[for="exportacion"]');
+    if (exportacionLabel) {
+      exportacionLabel.textContent = this.t('exportacionLabel');
+    }
+
+    const historyTitle = document.querySelector('#history-title');
+    if (historyTitle) {
+      historyTitle.textContent = this.t('historyTitle');
+    }
+
+    const historyLabels = {
+      historyLabel: 'historyLabelLabel',
+      historySearch: 'historySearchLabel',
+      historyFrom: 'historyFromLabel',
+      historyTo: 'historyToLabel',
+    };
+    Object.entries(historyLabels).forEach(([inputId, key]) => {
+      const label = document.querySelector(`label[for="${inputId}"]`);
+      if (label) {
+        label.textContent = this.t(key);
+      }
+    });
+
+    const historyLabelHelp = document.querySelector('#history-label-help');
+    if (historyLabelHelp) {
+      historyLabelHelp.textContent = this.t('historyLabelHelp');
+    }
+
+    const estimatorTitle = document.querySelector('#estimator-title');
+    if (estimatorTitle) {
+      estimatorTitle.textContent = this.t('estimatorTitle');
+    }
+
+    const estimatorHelp = document.querySelector('#estimator-help');
+    if (estimatorHelp) {
+      estimatorHelp.textContent = this.t('estimatorHelp');
+    }
+
+    const estimatorLabels = {
+      estimatorMonth: 'estimatorMonthLabel',
+      estimatorScheme: 'estimatorSchemeLabel',
+      estimatorDeductions: 'estimatorDeductionsLabel',
+      estimatorVatCreditable: 'estimatorVatCreditableLabel',
+      estimatorPreviousPayments: 'estimatorPreviousPaymentsLabel',
+    };
+    Object.entries(estimatorLabels).forEach(([inputId, key]) => {
+      const label = document.querySelector(`label[for="${inputId}"]`);
+      if (label) {
+        label.textContent = this.t(key);
+      }
+    });
+
+    const estimatorAccumulate = document.querySelector('#estimatorAccumulate + span');
+    if (estimatorAccumulate) {
+      estimatorAccumulate.textContent = this.t('estimatorAccumulateOption');
+    }
+
+    document.querySelectorAll('#estimatorScheme option').forEach(option => {
+      option.textContent = this.t(`estimatorScheme_${option.value}`);
+    });
+
+    const paymentsTitle = document.querySelector('#payments-title');
+    if (paymentsTitle) {
+      paymentsTitle.textContent = this.t('paymentsTitle');
+    }
+
+    const paymentsHelp = document.querySelector('#payments-help');
+    if (paymentsHelp) {
+      paymentsHelp.textContent = this.t('paymentsHelp');
+    }
+
+    const paymentLabels = {
+      paymentUuid: 'paymentUuidLabel',
+      paymentFormaPago: 'paymentFormaPagoLabel',
+      paymentDate: 'paymentDateLabel',
+      paymentAmount: 'paymentAmountLabel',
+      paymentExchangeRate: 'paymentExchangeRateLabel',
+    };
+    Object.entries(paymentLabels).forEach(([inputId, key]) => {
+      const label = document.querySelector(`label[for="${inputId}"]`);
+      if (label) {
+        label.textContent = this.t(key);
+      }
+    });
+
+    const auditTitle = document.querySelector('#audit-title');
+    if (auditTitle) {
+      auditTitle.textContent = this.t('auditTitle');
+    }
+
+    const auditHelp = document.querySelector('#audit-help');
+    if (auditHelp) {
+      auditHelp.textContent = this.t('auditHelp');
+    }
+
+    const auditDropText = document.querySelector('#audit-drop-text');
+    if (auditDropText) {
+      auditDropText.textContent = this.t('auditDropText');
+    }
+
+    const creditTitle = document.querySelector('#credit-title');
+    if (creditTitle) {
+      creditTitle.textContent = this.t('creditTitle');
+    }
+
+    const creditHelp = document.querySelector('#credit-help');
+    if (creditHelp) {
+      creditHelp.textContent = this.t('creditHelp');
+    }
+
+    const creditLabels = {
+      creditSource: 'creditSourceLabel',
+      creditUuid: 'creditUuidLabel',
+      creditBasis: 'creditBasisLabel',
+      creditAmount: 'creditAmountLabel',
+      creditFormaPago: 'creditFormaPagoLabel',
+    };
+    Object.entries(creditLabels).forEach(([inputId, key]) => {
+      const label = document.querySelector(`label[for="${inputId}"]`);
+      if (label) {
+        label.textContent = this.t(key);
+      }
+    });
+
+    const quoteTitle = document.querySelector('#quote-title');
+    if (quoteTitle) {
+      quoteTitle.textContent = this.t('quoteSectionTitle');
+    }
+
+    const quoteHelp = document.querySelector('#quote-help');
+    if (quoteHelp) {
+      quoteHelp.textContent = this.t('quoteHelp');
+    }
+
+    const quoteLabels = {
+      quoteFolio: 'quoteFolioLabel',
+      quoteValidDays: 'quoteValidDaysLabel',
+      quoteNotes: 'quoteNotesLabel',
+    };
+    Object.entries(quoteLabels).forEach(([inputId, key]) => {
+      const label = document.querySelector(`label[for="${inputId}"]`);
+      if (label) {
+        label.textContent = this.t(key);
+      }
+    });
+
+    const batchTitle = document.querySelector('#batch-title');
+    if (batchTitle) {
+      batchTitle.textContent = this.t('batchTitle');
+    }
+
+    const batchHelp = document.querySelector('#batch-help');
+    if (batchHelp) {
+      batchHelp.textContent = this.t('batchHelp');
+    }
+
+    const batchDropText = document.querySelector('#batch-drop-text');
+    if (batchDropText) {
+      batchDropText.textContent = this.t('batchDropText');
+    }
+
     // Update form labels
     this._updateFormLabels();
     
@@ -173,30 +364,132 @@ export class I18nService {
       subtotalHelp.textContent = this.t('subtotalHelp');
     }
 
-    // Rates label and help
-    const ratesLabel = document.querySelector('.form-group:nth-child(2) .form-label');
+    // Regime label and help
+    const regimeLabel = document.querySelector('label[for="regime"]');
+    if (regimeLabel) {
+      regimeLabel.textContent = this.t('regimeLabel');
+    }
+
+    const invoiceDateLabel = document.querySelector('label[for="invoiceDate"]');
+    if (invoiceDateLabel) {
+      invoiceDateLabel.textContent = this.t('invoiceDateLabel');
+    }
+
+    const regimeHelp = document.querySelector('#regime-help');
+    if (regimeHelp) {
+      regimeHelp.textContent = this.t('regimeHelp');
+    }
+
+    // Concepts section
+    const conceptsTitle = document.querySelector('#concepts-title');
+    if (conceptsTitle) {
+      conceptsTitle.textContent = this.t('conceptsTitle');
+    }
+
+    const conceptsHelp = document.querySelector('#concepts-help');
+    if (conceptsHelp) {
+      conceptsHelp.textContent = this.t('conceptsHelp');
+    }
+
+    const distributionLabel = document.querySelector('label[for="distributionStrategy"]');
+    if (distributionLabel) {
+      distributionLabel.textContent = this.t('distributionLabel');
+    }
+
+    const distributionHelp = document.querySelector('#distribution-help');
+    if (distributionHelp) {
+      distributionHelp.textContent = this.t('distributionHelp');
+    }
+
+    const distributionOptions = document.querySelectorAll('#distributionStrategy option');
+    if (distributionOptions.length >= 2) {
+      distributionOptions[0].textContent = this.t('distributionProportional');
+      distributionOptions[1].textContent = this.t('distributionSingleLine');
+    }
+
+    const adjustLineLabel = document.querySelector('label[for="adjustLine"]');
+    if (adjustLineLabel) {
+      adjustLineLabel.textContent = this.t('adjustLineLabel');
+    }
+
+    // Currency, IVA treatment and rates labels and help
+    const currencyLabels = {
+      currency: 'currencyLabel',
+      exchangeRate: 'exchangeRateLabel',
+      vatTreatment: 'vatTreatmentLabel',
+    };
+    Object.entries(currencyLabels).forEach(([inputId, key]) => {
+      const label = document.querySelector(`label[for="${inputId}"]`);
+      if (label) {
+        label.textContent = this.t(key);
+      }
+    });
+
+    const currencyHelp = document.querySelector('#currency-help');
+    if (currencyHelp) {
+      currencyHelp.textContent = this.t('currencyHelp');
+    }
+
+    const vatTreatmentHelp = document.querySelector('#vat-treatment-help');
+    if (vatTreatmentHelp) {
+      vatTreatmentHelp.textContent = this.t('vatTreatmentHelp');
+    }
+
+    const ratesLabel = document.querySelector('#rates-label');
     if (ratesLabel) {
       ratesLabel.textContent = this.t('ratesLabel');
     }
 
-    const ratesHelp = document.querySelector('.form-group:nth-child(2) .form-help');
+    const ratesHelp = document.querySelector('#rates-help');
     if (ratesHelp) {
       ratesHelp.textContent = this.t('ratesHelp');
     }
 
     // Calculation options label
-    const calculationOptionsLabel = document.querySelector('.form-group:nth-child(3) .form-label');
+    const calculationOptionsLabel = document.querySelector('#calculation-options-label');
     if (calculationOptionsLabel) {
       calculationOptionsLabel.textContent = this.t('calculationOptionsLabel');
     }
 
-    // Checkbox options
-    const checkboxes = document.querySelectorAll('.checkbox-item span');
-    if (checkboxes.length >= 3) {
-      checkboxes[0].textContent = this.t('highPrecisionOption');
-      checkboxes[1].textContent = this.t('roundPerLineOption');
-      checkboxes[2].textContent = this.t('showStepsOption');
+    // Rounding modes
+    const roundingLabel = document.querySelector('label[for="roundingMode"]');
+    if (roundingLabel) {
+      roundingLabel.textContent = this.t('roundingModeLabel');
+    }
+
+    const rateRoundingLabel = document.querySelector('label[for="rateRoundingMode"]');
+    if (rateRoundingLabel) {
+      rateRoundingLabel.textContent = this.t('rateRoundingModeLabel');
+    }
+
+    const roundingHelp = document.querySelector('#rounding-help');
+    if (roundingHelp) {
+      roundingHelp.textContent = this.t('roundingHelp');
+    }
+
+    const liveModeHelp = document.querySelector('#live-mode-help');
+    if (liveModeHelp) {
+      liveModeHelp.textContent = this.t('liveModeHelp');
     }
+
+    document.querySelectorAll('#roundingMode option, #rateRoundingMode option').forEach(option => {
+      option.textContent = this.t(`roundingMode_${option.value}`);
+    });
+
+    // Checkbox options, matched by the id of the checkbox before each text
+    const checkboxOptions = {
+      borderZone: 'borderZoneOption',
+      useHighPrecision: 'highPrecisionOption',
+      roundPerLine: 'roundPerLineOption',
+      showSteps: 'showStepsOption',
+      liveMode: 'liveModeOption',
+    };
+    Object.entries(checkboxOptions).forEach(([inputId, key]) => {
+      const text = document.querySelector(`#${inputId} + span`);
+      if (text) {
+        text.textContent = this.t(key);
+      }
+    });
   }
 
   /**
@@ -219,6 +512,31 @@ export class I18nService {
       goalSeekFromNetoBtn.textContent = this.t('goalSeekBtn');
     }
 
+    const exactFromNetoBtn = document.getElementById('exactFromNeto');
+    if (exactFromNetoBtn) {
+      exactFromNetoBtn.textContent = this.t('exactSolveBtn');
+    }
+
+    const cancelCalculationBtn = document.getElementById('cancelCalculation');
+    if (cancelCalculationBtn) {
+      cancelCalculationBtn.textContent = this.t('cancelCalculationBtn');
+    }
+
+    const addConceptBtn = document.getElementById('addConcept');
+    if (addConceptBtn) {
+      addConceptBtn.textContent = this.t('addConceptBtn');
+    }
+
+    const calcFromConceptsBtn = document.getElementById('calcFromConcepts');
+    if (calcFromConceptsBtn) {
+      calcFromConceptsBtn.textContent = this.t('calculateFromConceptsBtn');
+    }
+
+    const goalSeekConceptsBtn = document.getElementById('goalSeekConcepts');
+    if (goalSeekConceptsBtn) {
+      goalSeekConceptsBtn.textContent = this.t('goalSeekConceptsBtn');
+    }
+
     const resetBtn = document.getElementById('reset');
     if (resetBtn) {
       resetBtn.textContent = this.t('resetBtn');
@@ -229,10 +547,72 @@ export class I18nService {
       copyJsonBtn.textContent = this.t('copyJsonBtn');
     }
 
+    const copyLinkBtn = document.getElementById('copyLink');
+    if (copyLinkBtn) {
+      copyLinkBtn.textContent = this.t('copyLinkBtn');
+    }
+
     const downloadCsvBtn = document.getElementById('downloadCsv');
     if (downloadCsvBtn) {
       downloadCsvBtn.textContent = this.t('downloadCsvBtn');
     }
+
+    const estimateMonthlyBtn = document.getElementById('estimateMonthly');
+    if (estimateMonthlyBtn) {
+      estimateMonthlyBtn.textContent = this.t('estimateMonthlyBtn');
+    }
+
+    const downloadXmlBtn = document.getElementById('downloadXml');
+    if (downloadXmlBtn) {
+      downloadXmlBtn.textContent = this.t('downloadXmlBtn');
+    }
+
+    const paymentButtons = {
+      addPayment: 'addPaymentBtn',
+      clearPayments: 'clearPaymentsBtn',
+      downloadPaymentsCsv: 'downloadCsvBtn',
+    };
+    Object.entries(paymentButtons).forEach(([buttonId, key]) => {
+      const button = document.getElementById(buttonId);
+      if (button) {
+        button.textContent = this.t(key);
+      }
+    });
+
+    const creditButtons = {
+      calculateCredit: 'calculateCreditBtn',
+      downloadCreditXml: 'downloadXmlBtn',
+      downloadCreditCsv: 'downloadCsvBtn',
+    };
+    Object.entries(creditButtons).forEach(([buttonId, key]) => {
+      const button = document.getElementById(buttonId);
+      if (button) {
+        button.textContent = this.t(key);
+      }
+    });
+
+    const quoteButtons = {
+      previewQuote: 'previewQuoteBtn',
+      printQuote: 'printQuoteBtn',
+      downloadQuotePdf: 'downloadPdfBtn',
+    };
+    Object.entries(quoteButtons).forEach(([buttonId, key]) => {
+      const button = document.getElementById(buttonId);
+      if (button) {
+        button.textContent = this.t(key);
+      }
+    });
+
+    const batchButtons = {
+      downloadBatchCsv: 'downloadCsvBtn',
+      downloadBatchJson: 'downloadJsonBtn',
+    };
+    Object.entries(batchButtons).forEach(([buttonId, key]) => {
+      const button = document.getElementById(buttonId);
+      if (button) {
+        button.textContent = this.t(key);
+      }
+    });
   }
 
   /**
@@ -240,14 +620,20 @@ export class I18nService {
    * @private
    */
   _updateResults() {
-    const resultItems = document.querySelectorAll('.result-item__label');
-    if (resultItems.length >= 5) {
-      resultItems[0].textContent = this.t('subtotalResult');
-      resultItems[1].textContent = this.t('vatChargedResult');
-      resultItems[2].textContent = this.t('incomeTaxWithheldResult');
-      resultItems[3].textContent = this.t('vatRetentionResult');
-      resultItems[4].textContent = this.t('calculatedNetResult');
-    }
+    const resultLabels = {
+      outSubtotal: 'subtotalResult',
+      outDescuento: 'discountResult',
+      outIVA: 'vatChargedResult',
+      outISR: 'incomeTaxWithheldResult',
+      outRetIVA: 'vatRetentionResult',
+      outNeto: 'calculatedNetResult',
+    };
+    Object.entries(resultLabels).forEach(([valueId, key]) => {
+      const label = document.getElementById(valueId)?.previousElementSibling;
+      if (label) {
+        label.textContent = this.t(key);
+      }
+    });
 
     // Update log content
     const logContent = document.getElementById('log');
@@ -275,7 +661,7 @@ export class I18nService {
     }
 
     // Quick notes
-    const quickNotes = document.querySelector('.card:nth-child(4) ul');
+    const quickNotes = document.querySelector('#quick-notes-list');
     if (quickNotes && quickNotes.children.length >= 3) {
       quickNotes.children[0].textContent = this.t('quickNote1');
       quickNotes.children[1].textContent = this.t('quickNote2');
@@ -374,3 +760,6 @@ export class I18nService {
 
 // Create global instance
 export const i18n = new I18nService();
+
+// Engine messages follow the interface language
+setMessageTranslator((key, params) => i18n.t(key, params));
@@ -4,7 +4,8 @@
  * @version 1.0.0
  */
 
-import { PRECISION_CONFIG } from '../config/constants.js';
+import { PRECISION_CONFIG, ROUNDING_MODES, ERROR_MESSAGES } from '../config/constants.js';
+import { ValidationError } from './errors.js';
 
 /**
  * Rounds a number to 2 decimal places using ROUND_HALF_UP method
@@ -19,29 +20,208 @@ import { PRECISION_CONFIG } from '../config/constants.js';
  */
 export function round2(value) {
   if (typeof value !== 'number' || isNaN(value)) {
-    throw new Error('round2: Value must be a valid number');
+    throw new ValidationError(ERROR_MESSAGES.NOT_A_NUMBER, { params: { field: 'round2' } });
   }
   
   return Math.round((value + PRECISION_CONFIG.EPSILON) * 100) / 100;
 }
 
+/**
+ * Rounds a number to the given decimal places using ROUND_HALF_UP method
+ * 
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ * 
+ * @example
+ * roundTo(333.3333333, 6) // returns 333.333333
+ */
+export function roundTo(value, decimals) {
+  if (typeof value !== 'number' || isNaN(value)) {
+    throw new ValidationError(ERROR_MESSAGES.NOT_A_NUMBER, { params: { field: 'roundTo' } });
+  }
+  
+  const factor = Math.pow(10, decimals);
+  return Math.round((value + PRECISION_CONFIG.EPSILON) * factor) / factor;
+}
+
+/**
+ * Parses a decimal value into an exact scaled integer
+ * Numbers are read from their shortest decimal representation, so 2.675
+ * is treated as the decimal 2.675 and not as its binary approximation
+ * 
+ * @param {number|string} value - Value to parse
+ * @returns {{digits: bigint, scale: number}} Value equal to digits / 10^scale
+ * 
+ * @example
+ * parseDecimal(12.5) // returns { digits: 125n, scale: 1 }
+ */
+export function parseDecimal(value) {
+  let text = typeof value === 'number' ? String(value) : String(value).trim();
+  
+  if (typeof value === 'number' && /e/i.test(text)) {
+    if (!isFinite(value) || Math.abs(value) >= 1e21) {
+      throw new ValidationError(ERROR_MESSAGES.VALUE_OUT_OF_RANGE, { params: { field: 'parseDecimal' } });
+    }
+    text = value.toFixed(20);
+  }
+  
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new ValidationError(ERROR_MESSAGES.NOT_A_NUMBER, { params: { field: 'parseDecimal' } });
+  }
+  
+  const [, sign, integerPart, fractionPart = ''] = match;
+  const digits = BigInt((integerPart || '0') + fractionPart);
+  
+  return {
+    digits: sign === '-' ? -digits : digits,
+    scale: fractionPart.length,
+  };
+}
+
+/**
+ * Divides two integers rounding the quotient with the given mode
+ * 
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator (greater than 0)
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {bigint} Rounded quotient
+ */
+export function divideRounded(numerator, denominator, mode = ROUNDING_MODES.HALF_UP) {
+  const negative = numerator < 0n;
+  const absolute = negative ? -numerator : numerator;
+  let quotient = absolute / denominator;
+  const twiceRemainder = (absolute % denominator) * 2n;
+  
+  if (mode === ROUNDING_MODES.HALF_UP) {
+    if (twiceRemainder >= denominator) quotient += 1n;
+  } else if (mode === ROUNDING_MODES.HALF_EVEN) {
+    if (twiceRemainder > denominator || (twiceRemainder === denominator && quotient % 2n === 1n)) {
+      quotient += 1n;
+    }
+  } else if (mode !== ROUNDING_MODES.TRUNCATE) {
+    throw new ValidationError(ERROR_MESSAGES.UNKNOWN_ROUNDING_MODE, { field: 'roundingMode', params: { mode } });
+  }
+  
+  return negative ? -quotient : quotient;
+}
+
+/**
+ * Changes the scale of a scaled integer
+ * 
+ * @param {bigint} scaled - Scaled integer
+ * @param {number} fromScale - Current decimal places
+ * @param {number} toScale - Target decimal places
+ * @param {string} mode - Rounding mode used when decimals are dropped
+ * @returns {bigint} Scaled integer with toScale decimals
+ */
+export function rescale(scaled, fromScale, toScale, mode = ROUNDING_MODES.HALF_UP) {
+  if (toScale >= fromScale) {
+    return scaled * 10n ** BigInt(toScale - fromScale);
+  }
+  return divideRounded(scaled, 10n ** BigInt(fromScale - toScale), mode);
+}
+
+/**
+ * Converts a value into an integer with a fixed number of decimals
+ * 
+ * @param {number|string} value - Value to convert
+ * @param {number} scale - Decimal places (2 gives centavos)
+ * @param {string} mode - Rounding mode
+ * @returns {bigint} Scaled integer
+ * 
+ * @example
+ * toScaled(10.005, 2) // returns 1001n
+ */
+export function toScaled(value, scale, mode = ROUNDING_MODES.HALF_UP) {
+  const { digits, scale: valueScale } = parseDecimal(value);
+  return rescale(digits, valueScale, scale, mode);
+}
+
+/**
+ * Converts a scaled integer back to a number
+ * 
+ * @param {bigint} scaled - Scaled integer
+ * @param {number} scale - Decimal places
+ * @returns {number} Number value
+ */
+export function fromScaled(scaled, scale) {
+  const negative = scaled < 0n;
+  const digits = (negative ? -scaled : scaled).toString().padStart(scale + 1, '0');
+  const integerPart = digits.slice(0, digits.length - scale);
+  const fractionPart = digits.slice(digits.length - scale);
+  
+  return Number(`${negative ? '-' : ''}${integerPart}${scale > 0 ? '.' + fractionPart : ''}`);
+}
+
+/**
+ * Rounds a value to the given decimals using exact decimal arithmetic
+ * 
+ * @param {number|string} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @param {string} mode - Rounding mode
+ * @returns {number} Rounded value
+ * 
+ * @example
+ * roundDecimal(0.125, 2, 'halfEven') // returns 0.12
+ * roundDecimal(0.1066666667, 6, 'truncate') // returns 0.106666
+ */
+export function roundDecimal(value, decimals, mode = ROUNDING_MODES.HALF_UP) {
+  return fromScaled(toScaled(value, decimals, mode), decimals);
+}
+
+/**
+ * Multiplies two decimals exactly and rounds the product
+ * 
+ * @param {number|string} a - First factor
+ * @param {number|string} b - Second factor
+ * @param {number} decimals - Decimal places of the result
+ * @param {string} mode - Rounding mode
+ * @returns {number} Rounded product
+ */
+export function multiplyDecimals(a, b, decimals, mode = ROUNDING_MODES.HALF_UP) {
+  const left = parseDecimal(a);
+  const right = parseDecimal(b);
+  const product = left.digits * right.digits;
+  
+  return fromScaled(rescale(product, left.scale + right.scale, decimals, mode), decimals);
+}
+
+/**
+ * Adds decimals exactly and rounds the sum
+ * 
+ * @param {Array<number|string>} values - Values to add
+ * @param {number} decimals - Decimal places of the result
+ * @param {string} mode - Rounding mode
+ * @returns {number} Rounded sum
+ */
+export function sumDecimals(values, decimals = PRECISION_CONFIG.DECIMAL_PLACES, mode = ROUNDING_MODES.HALF_UP) {
+  const parsed = values.map(value => parseDecimal(value));
+  const scale = Math.max(decimals, ...parsed.map(value => value.scale));
+  const total = parsed.reduce((sum, value) => sum + rescale(value.digits, value.scale, scale), 0n);
+  
+  return fromScaled(rescale(total, scale, decimals, mode), decimals);
+}
+
 /**
  * Validates that a value is a positive number
  * 
  * @param {number} value - Value to validate
  * @param {string} fieldName - Field name for error messages
+ * @param {string} [field] - Field reference for the error; defaults to the field name
  * @returns {boolean} true if valid
- * @throws {Error} If value is not valid
+ * @throws {ValidationError} If value is not valid
  */
-export function validatePositiveNumber(value, fieldName = 'value') {
+export function validatePositiveNumber(value, fieldName = 'value', field = fieldName) {
   const numValue = parseFloat(value);
   
   if (isNaN(numValue)) {
-    throw new Error(`${fieldName}: Must be a valid number`);
+    throw new ValidationError(ERROR_MESSAGES.NOT_A_NUMBER, { field, params: { field: fieldName } });
   }
   
   if (numValue <= 0) {
-    throw new Error(`${fieldName}: Must be greater than 0`);
+    throw new ValidationError(ERROR_MESSAGES.NOT_POSITIVE, { field, params: { field: fieldName } });
   }
   
   return true;
@@ -49,33 +229,43 @@ export function validatePositiveNumber(value, fieldName = 'value') {
 
 /**
  * Calculates the percentage of a value
+ * A base of 0 is valid: a 0% or exempt IVA leaves nothing to retain
  * 
- * @param {number} value - Base value
+ * @param {number} value - Base value (0 or greater)
  * @param {number} percentage - Percentage (0-1)
  * @returns {number} Calculation result
  */
 export function calculatePercentage(value, percentage) {
-  validatePositiveNumber(value, 'Base value');
+  if (typeof value !== 'number' || isNaN(value) || value < 0) {
+    throw new ValidationError(ERROR_MESSAGES.VALUE_NEGATIVE, { params: { field: 'Base value' } });
+  }
   
   if (percentage < 0 || percentage > 1) {
-    throw new Error('Percentage must be between 0 and 1');
+    throw new ValidationError(ERROR_MESSAGES.INVALID_PERCENTAGE);
   }
   
   return value * percentage;
 }
 
 /**
- * Formats a number as Mexican currency
+ * Formats a number as currency
  * 
  * @param {number} value - Value to format
+ * @param {string} currency - ISO 4217 / c_Moneda code
+ * @param {number} decimals - Decimal places
+ * @param {string} locale - Locale used for separators
  * @returns {string} Value formatted as currency
+ * 
+ * @example
+ * formatCurrency(1160) // returns '$1,160.00'
+ * formatCurrency(1160, 'USD') // returns 'USD 1,160.00'
  */
-export function formatCurrency(value) {
-  return new Intl.NumberFormat('es-MX', {
+export function formatCurrency(value, currency = 'MXN', decimals = 2, locale = 'es-MX') {
+  return new Intl.NumberFormat(locale, {
     style: 'currency',
-    currency: 'MXN',
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
+    currency: currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
   }).format(value);
 }
 
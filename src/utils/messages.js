@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Message lookup for the calculation engine
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { TRANSLATIONS, DEFAULT_LANGUAGE } from '../config/translations.js';
+
+/**
+ * Current translator; the default language is used until the i18n service
+ * registers itself, so the engine also runs in Node without a browser
+ * @type {Function}
+ */
+let translator = (key, params) => formatMessage(TRANSLATIONS[DEFAULT_LANGUAGE][key] || key, params);
+
+/**
+ * Fills the {name} placeholders of a message
+ * Placeholders without a parameter are left as they are
+ * @param {string} text - Message text
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Message with the parameters filled in
+ */
+export function formatMessage(text, params) {
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+  ));
+}
+
+/**
+ * Sets the function that translates engine messages
+ * @param {Function} translate - Receives a translation key and its parameters and returns the text
+ */
+export function setMessageTranslator(translate) {
+  translator = translate;
+}
+
+/**
+ * Gets the text of a message
+ * @param {string} key - Translation key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Translated text
+ */
+export function getMessage(key, params) {
+  return translator(key, params);
+}
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Monthly provisional ISR and IVA payment estimator
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { round2, multiplyDecimals, sumDecimals, validatePositiveNumber } from './mathUtils.js';
+import { getRateTable } from './rateTableResolver.js';
+import { getMXNEquivalents } from './currencyUtils.js';
+import { CalculatorError, withOperation } from './errors.js';
+import { ERROR_MESSAGES, ESTIMATOR_SCHEMES } from '../config/constants.js';
+
+/**
+ * Class for estimating monthly provisional payments from invoices
+ */
+export class MonthlyEstimator {
+  /**
+   * Adds up the invoices of a period
+   * Accepts calculation results or history entries ({ result }).
+   * Foreign-currency results are converted to MXN with their TipoCambio
+   *
+   * @param {Array<Object>} invoices - Calculation results or history entries
+   * @returns {Object} Totals: income, vatCharged, incomeTaxWithheld, vatRetained, count
+   */
+  static aggregate(invoices) {
+    const results = invoices.map(invoice => getMXNEquivalents(invoice.result || invoice));
+
+    return {
+      income: sumDecimals(results.map(result => sumDecimals([result.subtotal, -result.discount]))),
+      vatCharged: sumDecimals(results.map(result => result.vat)),
+      incomeTaxWithheld: sumDecimals(results.map(result => result.incomeTaxWithheld)),
+      vatRetained: sumDecimals(results.map(result => result.vatRetention)),
+      count: results.length,
+    };
+  }
+
+  /**
+   * Applies a tariff table
+   * ISR = (base - lower limit) × rate + fixed fee, with limits and fees
+   * scaled by the number of months of the period
+   *
+   * @param {number} taxableBase - Taxable base of the period
+   * @param {number} months - Months in the period (1 for a single month)
+   * @param {Array<Object>} tariff - Tariff table (defaults to the one in effect today)
+   * @returns {{tax: number, bracket: Object|null}} Tax and the applied bracket
+   */
+  static applyTariff(taxableBase, months = 1, tariff = getRateTable().isrMonthlyTariff) {
+    const scaled = tariff.map(row => ({
+      lowerLimit: multiplyDecimals(row.lowerLimit, months, 2),
+      fixedFee: multiplyDecimals(row.fixedFee, months, 2),
+      rate: row.rate,
+    }));
+
+    const bracket = scaled.filter(row => taxableBase >= row.lowerLimit).pop();
+    if (!bracket) {
+      return { tax: 0, bracket: null };
+    }
+
+    const surplus = sumDecimals([taxableBase, -bracket.lowerLimit]);
+    const tax = sumDecimals([multiplyDecimals(surplus, bracket.rate, 2), bracket.fixedFee]);
+    return { tax: tax, bracket: bracket };
+  }
+
+  /**
+   * Applies the RESICO monthly rate to the income of a month
+   *
+   * @param {number} income - Monthly income
+   * @param {Array<Object>} rates - RESICO rate table (defaults to the one in effect today)
+   * @returns {{tax: number, bracket: Object|null}} Tax and the applied bracket
+   */
+  static applyResicoRate(income, rates = getRateTable().resicoMonthlyRates) {
+    if (income <= 0) {
+      return { tax: 0, bracket: null };
+    }
+
+    const bracket = rates.find(row => income <= row.upperLimit) || rates[rates.length - 1];
+    return { tax: multiplyDecimals(income, bracket.rate, 2), bracket: bracket };
+  }
+
+  /**
+   * Estimates the provisional ISR and IVA payments of a period
+   *
+   * @param {Object} period - Period totals
+   * @param {number} period.income - Income (subtotal minus discounts)
+   * @param {number} period.incomeTaxWithheld - ISR withheld by customers
+   * @param {number} period.vatCharged - IVA charged
+   * @param {number} period.vatRetained - IVA withheld by customers
+   * @param {Object} options - Estimation options
+   * @param {string} [options.scheme] - ESTIMATOR_SCHEMES value
+   * @param {number} [options.deductions] - Deductible expenses (Art. 106 only)
+   * @param {number} [options.vatCreditable] - Creditable IVA paid on expenses
+   * @param {number} [options.months] - Months accumulated in the period (Art. 106 only)
+   * @param {number} [options.previousPayments] - Provisional ISR already paid in the year
+   * @param {Date|string} [options.date] - Last day of the period; selects the rate table
+   * @returns {Object} ISR and IVA estimate
+   */
+  static estimate(period, options = {}) {
+    try {
+      const scheme = options.scheme || ESTIMATOR_SCHEMES.ART_106;
+      const deductions = options.deductions || 0;
+      const vatCreditable = options.vatCreditable || 0;
+      const previousPayments = options.previousPayments || 0;
+      const months = options.months || 1;
+      const rateTable = getRateTable(options.date || new Date());
+
+      [deductions, vatCreditable, previousPayments].forEach(value => {
+        if (value !== 0) validatePositiveNumber(value, 'Amount');
+      });
+
+      let taxableBase;
+      let assessment;
+      if (scheme === ESTIMATOR_SCHEMES.RESICO) {
+        if (!rateTable.resicoMonthlyRates) {
+          throw new CalculatorError(ERROR_MESSAGES.RESICO_NOT_IN_EFFECT, { field: 'scheme', params: { version: rateTable.version } });
+        }
+        taxableBase = period.income;
+        assessment = MonthlyEstimator.applyResicoRate(taxableBase, rateTable.resicoMonthlyRates);
+      } else {
+        taxableBase = Math.max(sumDecimals([period.income, -deductions]), 0);
+        assessment = MonthlyEstimator.applyTariff(taxableBase, months, rateTable.isrMonthlyTariff);
+      }
+
+      const isrBalance = sumDecimals([assessment.tax, -period.incomeTaxWithheld, -previousPayments]);
+      const vatBalance = sumDecimals([period.vatCharged, -period.vatRetained, -vatCreditable]);
+
+      const isr = {
+        scheme: scheme,
+        income: period.income,
+        deductions: scheme === ESTIMATOR_SCHEMES.RESICO ? 0 : deductions,
+        taxableBase: taxableBase,
+        bracket: assessment.bracket,
+        tax: assessment.tax,
+        incomeTaxWithheld: period.incomeTaxWithheld,
+        previousPayments: previousPayments,
+        payable: Math.max(isrBalance, 0),
+        favorBalance: Math.max(-isrBalance, 0),
+      };
+
+      const vat = {
+        charged: period.vatCharged,
+        retained: period.vatRetained,
+        creditable: vatCreditable,
+        payable: Math.max(vatBalance, 0),
+        favorBalance: Math.max(-vatBalance, 0),
+      };
+
+      return {
+        isr: isr,
+        vat: vat,
+        totalPayable: round2(isr.payable + vat.payable),
+        months: months,
+        rateTableVersion: rateTable.version,
+      };
+    } catch (error) {
+      throw withOperation(error, 'monthlyEstimate');
+    }
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Payment complement (Pagos 2.0) calculator for PPD invoices
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { parseDecimal, divideRounded, fromScaled, roundDecimal, sumDecimals, validatePositiveNumber } from './mathUtils.js';
+import { getDocumentTaxes } from './cfdiXml.js';
+import { convertToMXN, getCurrencyDecimals, isForeignCurrency } from './currencyUtils.js';
+import { validateExchangeRate, validatePaymentForm } from './fiscalValidators.js';
+import { toDateKey } from './rateTableResolver.js';
+import { ValidationError, withOperation } from './errors.js';
+import { CFDI_CONFIG, ERROR_MESSAGES, PAYMENTS_CONFIG, PRECISION_CONFIG } from '../config/constants.js';
+import { MONEDA_NACIONAL } from '../config/satCatalogs.js';
+
+/**
+ * Totales attributes of the IVA traslados by TasaOCuota
+ * @type {Object}
+ */
+const IVA_TOTALS = {
+  '0.160000': 'IVA16',
+  '0.080000': 'IVA8',
+  '0.000000': 'IVA0',
+};
+
+/**
+ * Prorates an amount by the paid share of the invoice
+ * amount × paid / total, computed exactly and rounded once
+ *
+ * @param {number} amount - Invoice amount (Base or Importe)
+ * @param {number} paid - ImpPagado
+ * @param {number} total - Invoice Total
+ * @param {number} decimals - Decimal places of the result
+ * @returns {number} Prorated amount
+ */
+function prorate(amount, paid, total, decimals) {
+  const a = parseDecimal(amount);
+  const p = parseDecimal(paid);
+  const t = parseDecimal(total);
+
+  const numerator = a.digits * p.digits * 10n ** BigInt(decimals + t.scale);
+  const denominator = t.digits * 10n ** BigInt(a.scale + p.scale);
+  return fromScaled(divideRounded(numerator, denominator), decimals);
+}
+
+/**
+ * Class for computing the payment complement of a PPD invoice
+ */
+export class PaymentComplement {
+  /**
+   * Gets the paid invoice data needed by the complement
+   *
+   * @param {Object} result - TaxCalculator result of the invoice
+   * @param {Object} rates - Rates used in the calculation
+   * @param {Object} invoiceData - Invoice data (see buildCFDI40)
+   * @returns {Object} Total, currency, decimals, traslados and retenciones
+   */
+  static getDocument(result, rates, invoiceData = {}) {
+    const options = result.options || {};
+    const currency = options.currency || MONEDA_NACIONAL;
+    const taxes = getDocumentTaxes(result, rates, invoiceData);
+
+    return {
+      total: result.netAmount,
+      currency: currency,
+      decimals: getCurrencyDecimals(currency),
+      traslados: taxes.traslados,
+      retenciones: taxes.retenciones,
+    };
+  }
+
+  /**
+   * Computes every payment of an invoice
+   * Each payment prorates the invoice taxes by ImpPagado / Total (BaseDR and
+   * ImporteDR with 6 decimals) and carries the balance to the next one
+   *
+   * @param {Object} result - TaxCalculator result of the invoice
+   * @param {Object} rates - Rates used in the calculation
+   * @param {Array<Object>} payments - Payments in order
+   * @param {Date|string} payments[].date - Payment date (FechaPago)
+   * @param {number} payments[].amount - Amount paid, in the invoice currency
+   * @param {string} [payments[].formaPago] - c_FormaPago code (FormaDePagoP)
+   * @param {number} [payments[].exchangeRate] - TipoCambioP, required for foreign currencies
+   * @param {Object} invoiceData - Invoice data (see buildCFDI40)
+   * @returns {Object} Document, payments, outstanding balance and paid amount
+   */
+  static schedule(result, rates, payments, invoiceData = {}) {
+    try {
+      const document = PaymentComplement.getDocument(result, rates, invoiceData);
+      validatePositiveNumber(document.total, 'Invoice total');
+
+      let balance = document.total;
+      const computed = payments.map((payment, index) => {
+        const entry = PaymentComplement.applyPayment(document, balance, payment, index + 1);
+        balance = entry.impSaldoInsoluto;
+        return entry;
+      });
+
+      return {
+        document: document,
+        payments: computed,
+        balance: balance,
+        paid: sumDecimals([document.total, -balance], document.decimals),
+        settled: balance === 0,
+      };
+    } catch (error) {
+      throw withOperation(error, 'paymentComplement');
+    }
+  }
+
+  /**
+   * Applies one payment to the outstanding balance
+   *
+   * @param {Object} document - Invoice data (see getDocument)
+   * @param {number} balance - Outstanding balance before the payment (ImpSaldoAnt)
+   * @param {Object} payment - Payment (see schedule)
+   * @param {number} number - Installment number (NumParcialidad)
+   * @returns {Object} Payment with balances, prorated taxes and totals
+   */
+  static applyPayment(document, balance, payment, number) {
+    const field = `payments[${number - 1}]`;
+    validatePositiveNumber(payment.amount, `Payment ${number}`, `${field}.amount`);
+    const impPagado = roundDecimal(payment.amount, document.decimals);
+    if (impPagado > balance) {
+      throw new ValidationError(ERROR_MESSAGES.PAYMENT_EXCEEDS_BALANCE, {
+        field: `${field}.amount`,
+        params: { number, amount: impPagado, balance },
+      });
+    }
+
+    if (!payment.date) {
+      throw new ValidationError(ERROR_MESSAGES.PAYMENT_DATE_REQUIRED, { field: `${field}.date`, params: { number } });
+    }
+
+    const formaPago = payment.formaPago || CFDI_CONFIG.DEFAULTS.FORMA_PAGO;
+    const form = validatePaymentForm(formaPago);
+    if (!form.valid) {
+      throw new ValidationError(form.error, { field: `${field}.formaPago`, params: { number } });
+    }
+
+    const exchangeRate = isForeignCurrency(document.currency) ? payment.exchangeRate : 1;
+    const rate = validateExchangeRate(document.currency, exchangeRate);
+    if (!rate.valid) {
+      throw new ValidationError(rate.error, { field: `${field}.exchangeRate`, params: { number } });
+    }
+
+    const prorateTax = (tax) => ({
+      ...tax,
+      base: prorate(tax.base, impPagado, document.total, PAYMENTS_CONFIG.DR_DECIMALS),
+      importe: tax.importe === null ? null : prorate(tax.importe, impPagado, document.total, PAYMENTS_CONFIG.DR_DECIMALS),
+    });
+
+    // Single related document with EquivalenciaDR 1: the P taxes match the DR taxes
+    const trasladosDR = document.traslados.map(prorateTax);
+    const retencionesDR = document.retenciones.map(prorateTax);
+    const retencionesP = PaymentComplement._groupRetenciones(retencionesDR);
+
+    const entry = {
+      numParcialidad: number,
+      fechaPago: toDateKey(payment.date),
+      formaPago: formaPago,
+      currency: document.currency,
+      exchangeRate: Number(exchangeRate),
+      impSaldoAnt: balance,
+      impPagado: impPagado,
+      impSaldoInsoluto: sumDecimals([balance, -impPagado], document.decimals),
+      trasladosDR: trasladosDR,
+      retencionesDR: retencionesDR,
+      trasladosP: trasladosDR,
+      retencionesP: retencionesP,
+    };
+    entry.totals = PaymentComplement.getTotals(entry);
+    return entry;
+  }
+
+  /**
+   * Gets the Totales of a payment, in MXN with 2 decimals
+   * Attributes that do not apply are null
+   *
+   * @param {Object} payment - Payment (see applyPayment)
+   * @returns {Object} Totales keyed by attribute name in camelCase
+   */
+  static getTotals(payment) {
+    const toMXN = (amount) => isForeignCurrency(payment.currency)
+      ? convertToMXN(amount, payment.exchangeRate)
+      : roundDecimal(amount, PAYMENTS_CONFIG.TOTALS_DECIMALS);
+    const retention = (impuesto) => {
+      const tax = payment.retencionesP.find(group => group.impuesto === impuesto);
+      return tax ? toMXN(tax.importe) : null;
+    };
+
+    const totals = {
+      totalRetencionesIVA: retention(CFDI_CONFIG.TAX_CODES.IVA),
+      totalRetencionesISR: retention(CFDI_CONFIG.TAX_CODES.ISR),
+      totalTrasladosBaseIVA16: null,
+      totalTrasladosImpuestoIVA16: null,
+      totalTrasladosBaseIVA8: null,
+      totalTrasladosImpuestoIVA8: null,
+      totalTrasladosBaseIVA0: null,
+      totalTrasladosImpuestoIVA0: null,
+      totalTrasladosBaseIVAExento: null,
+      montoTotalPagos: toMXN(payment.impPagado),
+    };
+
+    payment.trasladosP
+      .filter(tax => tax.impuesto === CFDI_CONFIG.TAX_CODES.IVA)
+      .forEach(tax => {
+        if (tax.tipoFactor === CFDI_CONFIG.TIPO_FACTOR.EXENTO) {
+          totals.totalTrasladosBaseIVAExento = toMXN(tax.base);
+          return;
+        }
+        const suffix = IVA_TOTALS[roundDecimal(tax.tasaOCuota, PRECISION_CONFIG.RATE_DECIMALS).toFixed(PRECISION_CONFIG.RATE_DECIMALS)];
+        if (!suffix) return;
+        totals[`totalTrasladosBase${suffix}`] = toMXN(tax.base);
+        totals[`totalTrasladosImpuesto${suffix}`] = toMXN(tax.importe);
+      });
+
+    return totals;
+  }
+
+  /**
+   * Groups prorated retenciones by Impuesto, as RetencionesP requires
+   *
+   * @param {Array<Object>} retenciones - Prorated RetencionesDR
+   * @returns {Array<Object>} RetencionesP ({ impuesto, importe })
+   * @private
+   */
+  static _groupRetenciones(retenciones) {
+    const groups = new Map();
+    retenciones.forEach(tax => {
+      const current = groups.get(tax.impuesto) || { impuesto: tax.impuesto, importe: 0 };
+      current.importe = sumDecimals([current.importe, tax.importe], PAYMENTS_CONFIG.DR_DECIMALS);
+      groups.set(tax.impuesto, current);
+    });
+    return [...groups.values()];
+  }
+}
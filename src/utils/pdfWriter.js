@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Minimal PDF writer for text documents
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+/**
+ * Widths of the printable ASCII characters (32-126) in the standard
+ * Helvetica fonts, in thousandths of the font size
+ * @type {Object}
+ */
+const FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+/**
+ * Width used for characters without a metric
+ * @type {number}
+ */
+const DEFAULT_WIDTH = 556;
+
+/**
+ * Page sizes in points
+ * @type {Object}
+ */
+export const PAGE_SIZES = {
+  LETTER: { width: 612, height: 792 },
+  A4: { width: 595.28, height: 841.89 },
+};
+
+/**
+ * Formats a coordinate for the content stream
+ * @param {number} value - Coordinate
+ * @returns {string} Number with at most 2 decimals
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Converts a '#rrggbb' color to PDF components
+ * @param {string} color - Hex color
+ * @returns {string} 'r g b' between 0 and 1
+ */
+function rgb(color) {
+  const hex = color.replace('#', '');
+  return [0, 2, 4].map(index => num(parseInt(hex.slice(index, index + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Escapes text as a PDF literal string in WinAnsiEncoding
+ * Characters outside Latin-1 are replaced with '?', so the file stays ASCII
+ * @param {string} text - Text
+ * @returns {string} Literal string with parentheses
+ */
+function pdfString(text) {
+  const escaped = Array.from(String(text)).map(char => {
+    const code = char.charCodeAt(0);
+    if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+    if (code >= 32 && code <= 126) return char;
+    if (code >= 160 && code <= 255) return `\\${code.toString(8).padStart(3, '0')}`;
+    return '?';
+  }).join('');
+  return `(${escaped})`;
+}
+
+/**
+ * PDF writer
+ * Builds text documents with the standard Helvetica fonts, lines and
+ * rectangles, with no external library. Coordinates are in points from the
+ * top-left corner of the page
+ */
+export class PdfWriter {
+  /**
+   * PDF writer constructor
+   * Starts with one empty page
+   * @param {Object} [pageSize] - Page size in points (see PAGE_SIZES)
+   */
+  constructor(pageSize = PAGE_SIZES.LETTER) {
+    this.width = pageSize.width;
+    this.height = pageSize.height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  /**
+   * Starts a new page; later drawing goes to it
+   */
+  addPage() {
+    this.pages.push([]);
+  }
+
+  /**
+   * Measures a text
+   * Accented letters are measured as their base letter
+   * @param {string} text - Text
+   * @param {number} size - Font size
+   * @param {boolean} [bold] - Bold font
+   * @returns {number} Width in points
+   */
+  textWidth(text, size, bold = false) {
+    const widths = FONT_WIDTHS[bold ? 'bold' : 'regular'];
+    const base = String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return Array.from(base).reduce((total, char) => total + (widths[char.charCodeAt(0) - 32] ?? DEFAULT_WIDTH), 0) * size / 1000;
+  }
+
+  /**
+   * Splits a text into lines that fit a width
+   * @param {string} text - Text, may contain line breaks
+   * @param {number} maxWidth - Line width in points
+   * @param {number} size - Font size
+   * @param {boolean} [bold] - Bold font
+   * @returns {Array<string>} Lines
+   */
+  wrapText(text, maxWidth, size, bold = false) {
+    return String(text).split('\n').flatMap(paragraph => {
+      const lines = [];
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && this.textWidth(candidate, size, bold) > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line);
+      return lines;
+    });
+  }
+
+  /**
+   * Draws a line of text
+   * @param {string} text - Text
+   * @param {number} x - Left edge, or right edge when aligned right
+   * @param {number} y - Baseline
+   * @param {Object} [style] - Text style
+   * @param {number} [style.size] - Font size
+   * @param {boolean} [style.bold] - Bold font
+   * @param {string} [style.align] - 'left' or 'right'
+   * @param {string} [style.color] - Hex color
+   */
+  text(text, x, y, { size = 10, bold = false, align = 'left', color = '#000000' } = {}) {
+    const left = align === 'right' ? x - this.textWidth(text, size, bold) : x;
+    this._draw(`BT ${rgb(color)} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(this.height - y)} Td ${pdfString(text)} Tj ET`);
+  }
+
+  /**
+   * Draws a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {Object} [style] - Line style ({ width, color })
+   */
+  line(x1, y1, x2, y2, { width = 0.5, color = '#000000' } = {}) {
+    this._draw(`${num(width)} w ${rgb(color)} RG ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+  }
+
+  /**
+   * Draws a filled rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {string} color - Hex fill color
+   */
+  rect(x, y, width, height, color) {
+    this._draw(`${rgb(color)} rg ${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re f`);
+  }
+
+  /**
+   * Builds the PDF file
+   * @returns {string} PDF source; only ASCII characters, so it can be saved as is
+   */
+  toString() {
+    const objects = [];
+    const pageIds = this.pages.map((_, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    this.pages.forEach((operations, index) => {
+      const pageId = pageIds[index];
+      const content = operations.join('\n');
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = output.length;
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return output;
+  }
+
+  /**
+   * Adds an operation to the current page
+   * @param {string} operation - Content stream operation
+   * @private
+   */
+  _draw(operation) {
+    this.pages[this.pages.length - 1].push(operation);
+  }
+}
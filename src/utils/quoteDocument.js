@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Printable quote (pre-invoice) built from a calculation
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { getLines } from './cfdiXml.js';
+import { amountToWords } from './amountInWords.js';
+import { formatMoney, isForeignCurrency } from './currencyUtils.js';
+import { toDateKey } from './rateTableResolver.js';
+import { PdfWriter } from './pdfWriter.js';
+import { APP_CONFIG, QUOTE_CONFIG, VAT_TREATMENTS } from '../config/constants.js';
+import { MONEDA_NACIONAL, REGIMEN_FISCAL, USO_CFDI } from '../config/satCatalogs.js';
+
+/**
+ * Builds a quote from the current invoice
+ * The amounts are the ones of the calculation; the quote only adds the
+ * folio, dates, amount in words and notes
+ *
+ * @param {Object} invoice - Current invoice ({ result, rates, invoiceData })
+ * @param {Object} [details] - Quote details
+ * @param {string} [details.folio] - Quote number
+ * @param {Date|string} [details.issueDate] - Issue date (today by default)
+ * @param {number} [details.validDays] - Days the quote is valid
+ * @param {string} [details.notes] - Free notes
+ * @returns {Object} Quote
+ */
+export function buildQuote({ result, rates, invoiceData = {} }, {
+  folio = '',
+  issueDate = new Date(),
+  validDays = QUOTE_CONFIG.DEFAULT_VALID_DAYS,
+  notes = '',
+} = {}) {
+  const currency = result.options?.currency || MONEDA_NACIONAL;
+  const issued = new Date(`${toDateKey(issueDate)}T00:00:00`);
+  const validUntil = new Date(issued);
+  validUntil.setDate(validUntil.getDate() + validDays);
+
+  return {
+    folio,
+    issueDate: toDateKey(issued),
+    validUntil: toDateKey(validUntil),
+    currency,
+    exchangeRate: isForeignCurrency(currency) ? result.options?.exchangeRate : null,
+    vatTreatment: result.vatTreatment || VAT_TREATMENTS.TAXED,
+    issuer: invoiceData.emisor ? { ...invoiceData.emisor, codigoPostal: invoiceData.lugarExpedicion } : null,
+    client: invoiceData.receptor ? { ...invoiceData.receptor, codigoPostal: invoiceData.receptor.domicilioFiscal } : null,
+    lines: getLines(result, rates, invoiceData).map(line => ({
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      discount: line.discount || 0,
+      amount: line.amount,
+    })),
+    rates,
+    totals: {
+      subtotal: result.subtotal,
+      discount: result.discount || 0,
+      vat: result.vat,
+      incomeTaxWithheld: result.incomeTaxWithheld,
+      vatRetention: result.vatRetention,
+      netAmount: result.netAmount,
+    },
+    amountInWords: amountToWords(result.netAmount, currency),
+    notes: notes.trim(),
+  };
+}
+
+/**
+ * Formats a rate as a percentage without trailing zeros
+ * @param {number} rate - Rate as a fraction
+ * @returns {string} Percentage (e.g. '10.6667%')
+ */
+function percent(rate) {
+  return `${Number((rate * 100).toFixed(4))}%`;
+}
+
+/**
+ * Gets the rows of the totals block
+ * The discount and the withholdings are left out when they are zero
+ *
+ * @param {Object} quote - Quote (see buildQuote)
+ * @param {Function} translate - Translator (key => text)
+ * @returns {Array<{label: string, amount: number, total: boolean}>} Rows
+ */
+export function getQuoteTotals(quote, translate) {
+  const { totals, rates, vatTreatment } = quote;
+  const vatLabel = vatTreatment === VAT_TREATMENTS.EXEMPT
+    ? `${translate('vatChargedResult')} (${translate('vatTreatment_exempt')})`
+    : `${translate('vatChargedResult')} (${percent(rates.vatRate)})`;
+
+  return [
+    { label: translate('subtotalResult'), amount: totals.subtotal, total: false },
+    ...(totals.discount ? [{ label: translate('discountResult'), amount: -totals.discount, total: false }] : []),
+    { label: vatLabel, amount: totals.vat, total: false },
+    ...(totals.incomeTaxWithheld ? [{
+      label: `${translate('incomeTaxWithheldResult')} (${percent(rates.incomeTaxRate)})`,
+      amount: -totals.incomeTaxWithheld,
+      total: false,
+    }] : []),
+    ...(totals.vatRetention ? [{
+      label: `${translate('quoteVatWithheld')} (${percent(rates.vatRate * rates.vatRetentionFraction)})`,
+      amount: -totals.vatRetention,
+      total: false,
+    }] : []),
+    { label: translate('quoteTotal'), amount: totals.netAmount, total: true },
+  ];
+}
+
+/**
+ * Gets the lines of an issuer or client block
+ *
+ * @param {Object|null} party - Party data
+ * @param {Function} translate - Translator
+ * @returns {Array<string>} Block lines; a single 'not captured' line without data
+ */
+export function getPartyLines(party, translate) {
+  if (!party) return [translate('quoteNoParty')];
+
+  const regime = REGIMEN_FISCAL[party.regimenFiscal];
+  const uso = USO_CFDI[party.usoCFDI];
+  return [
+    party.nombre,
+    party.rfc && `${translate('quoteRfc')}: ${party.rfc}`,
+    party.regimenFiscal && `${translate('quoteRegime')}: ${party.regimenFiscal}${regime ? ` - ${regime.description}` : ''}`,
+    party.codigoPostal && `${translate('quotePostalCode')}: ${party.codigoPostal}`,
+    party.usoCFDI && `${translate('quoteUsoCFDI')}: ${party.usoCFDI}${uso ? ` - ${uso.description}` : ''}`,
+  ].filter(Boolean);
+}
+
+/**
+ * Lays out a quote as a PDF, letter size
+ * Long concept tables continue on new pages with their header repeated
+ *
+ * @param {Object} quote - Quote (see buildQuote)
+ * @param {Function} translate - Translator (key => text)
+ * @returns {string} PDF source
+ */
+export function renderQuotePdf(quote, translate) {
+  const pdf = new PdfWriter();
+  const margin = 48;
+  const right = pdf.width - margin;
+  const bottom = pdf.height - margin;
+  const money = (value) => formatMoney(value, quote.currency);
+  const text = { color: QUOTE_CONFIG.TEXT_COLOR, size: 9 };
+  const muted = { color: QUOTE_CONFIG.MUTED_COLOR, size: 8 };
+
+  // Header band with the issuer as brand, shrunk to leave room for the dates
+  const brand = quote.issuer?.nombre || APP_CONFIG.NAME;
+  let brandSize = 16;
+  while (brandSize > 9 && pdf.textWidth(brand, brandSize, true) > right - margin - 180) brandSize--;
+  pdf.rect(0, 0, pdf.width, 76, QUOTE_CONFIG.BRAND_COLOR);
+  pdf.text(brand, margin, 34, { size: brandSize, bold: true, color: '#ffffff' });
+  pdf.text(translate('quoteTitle').toUpperCase(), margin, 56, { size: 10, color: '#ffffff' });
+  [
+    quote.folio && `${translate('quoteFolio')}: ${quote.folio}`,
+    `${translate('quoteDate')}: ${quote.issueDate}`,
+    `${translate('quoteValidUntil')}: ${quote.validUntil}`,
+  ].filter(Boolean).forEach((line, index) => {
+    pdf.text(line, right, 28 + index * 14, { size: 9, color: '#ffffff', align: 'right' });
+  });
+
+  // Issuer and client blocks
+  let y = 104;
+  const columnWidth = (right - margin - 24) / 2;
+  const blocks = [
+    [translate('quoteIssuer'), getPartyLines(quote.issuer, translate), margin],
+    [translate('quoteClient'), getPartyLines(quote.client, translate), margin + columnWidth + 24],
+  ];
+  let blocksEnd = y;
+  blocks.forEach(([title, lines, x]) => {
+    pdf.text(title.toUpperCase(), x, y, { size: 8, bold: true, color: QUOTE_CONFIG.BRAND_COLOR });
+    let lineY = y + 14;
+    lines.forEach((line, index) => {
+      pdf.wrapText(line, columnWidth, 9, index === 0).forEach(part => {
+        pdf.text(part, x, lineY, { ...text, bold: index === 0 });
+        lineY += 12;
+      });
+    });
+    blocksEnd = Math.max(blocksEnd, lineY);
+  });
+  y = blocksEnd + 16;
+
+  // Concepts table
+  const columns = [
+    { key: 'quoteDescription', x: margin + 6, align: 'left' },
+    { key: 'quoteQuantity', x: 330, align: 'right' },
+    { key: 'quoteUnitPrice', x: 410, align: 'right' },
+    { key: 'quoteDiscount', x: 484, align: 'right' },
+    { key: 'quoteAmount', x: right - 6, align: 'right' },
+  ];
+  const descriptionWidth = 330 - 40 - columns[0].x;
+  const drawTableHeader = () => {
+    pdf.rect(margin, y, right - margin, 18, QUOTE_CONFIG.LIGHT_COLOR);
+    columns.forEach(column => {
+      pdf.text(translate(column.key), column.x, y + 12, { size: 8, bold: true, color: QUOTE_CONFIG.TEXT_COLOR, align: column.align });
+    });
+    y += 30;
+  };
+  drawTableHeader();
+
+  quote.lines.forEach(line => {
+    const descriptionLines = pdf.wrapText(line.description || '-', descriptionWidth, 9);
+    if (y + descriptionLines.length * 12 > bottom - 40) {
+      pdf.addPage();
+      y = margin;
+      drawTableHeader();
+    }
+
+    [String(line.quantity), money(line.unitPrice), line.discount ? money(line.discount) : '-', money(line.amount)]
+      .forEach((value, index) => pdf.text(value, columns[index + 1].x, y, { ...text, align: 'right' }));
+    descriptionLines.forEach((part, index) => pdf.text(part, columns[0].x, y + index * 12, text));
+    y += descriptionLines.length * 12 + 4;
+    pdf.line(margin, y - 10, right, y - 10, { color: QUOTE_CONFIG.LIGHT_COLOR });
+  });
+
+  // Totals, amount in words and notes move to a new page together when they do not fit
+  const totals = getQuoteTotals(quote, translate);
+  const wordsLines = pdf.wrapText(quote.amountInWords, right - margin, 9, true);
+  const notesLines = quote.notes ? pdf.wrapText(quote.notes, right - margin, 9) : [];
+  const closingHeight = totals.length * 16 + 40 + wordsLines.length * 12 + (notesLines.length ? 28 + notesLines.length * 12 : 0);
+  if (y + closingHeight > bottom - 24) {
+    pdf.addPage();
+    y = margin;
+  }
+
+  y += 8;
+  totals.forEach(row => {
+    const style = { ...text, size: row.total ? 11 : 9, bold: row.total, align: 'right' };
+    if (row.total) {
+      pdf.line(340, y - 12, right, y - 12, { width: 1, color: QUOTE_CONFIG.BRAND_COLOR });
+      y += 4;
+    }
+    pdf.text(row.label, 460, y, style);
+    pdf.text(money(row.amount), right, y, style);
+    y += 16;
+  });
+  if (quote.exchangeRate) {
+    pdf.text(`${translate('quoteExchangeRate')}: ${quote.exchangeRate} MXN`, right, y, { ...muted, align: 'right' });
+    y += 14;
+  }
+
+  y += 12;
+  pdf.text(translate('quoteAmountInWords').toUpperCase(), margin, y, { size: 8, bold: true, color: QUOTE_CONFIG.BRAND_COLOR });
+  y += 14;
+  wordsLines.forEach(part => {
+    pdf.text(part, margin, y, { ...text, bold: true });
+    y += 12;
+  });
+
+  if (notesLines.length) {
+    y += 16;
+    pdf.text(translate('quoteNotes').toUpperCase(), margin, y, { size: 8, bold: true, color: QUOTE_CONFIG.BRAND_COLOR });
+    y += 14;
+    notesLines.forEach(part => {
+      pdf.text(part, margin, y, text);
+      y += 12;
+    });
+  }
+
+  pdf.line(margin, bottom - 14, right, bottom - 14, { color: QUOTE_CONFIG.LIGHT_COLOR });
+  pdf.text(translate('quoteDisclaimer'), margin, bottom, muted);
+
+  return pdf.toString();
+}
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Resolves the tax rate table in effect on a date
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { RATE_TABLES } from '../config/rateTables.js';
+import { ValidationError } from './errors.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+
+/**
+ * Converts a date to a YYYY-MM-DD key in local time
+ * Strings that are already YYYY-MM-DD are returned as they are
+ *
+ * @param {Date|string|number} date - Date, date string or timestamp
+ * @returns {string} Date key
+ */
+export function toDateKey(date = new Date()) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_DATE, { field: 'invoiceDate', params: { date } });
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Gets the rate table in effect on a date
+ *
+ * @param {Date|string|number} date - Invoice date
+ * @param {Array<Object>} tables - Rate tables (see RATE_TABLES)
+ * @returns {Object} Rate table version
+ */
+export function getRateTable(date = new Date(), tables = RATE_TABLES) {
+  const key = toDateKey(date);
+  const table = tables.find(entry => (
+    key >= entry.effectiveFrom && (!entry.effectiveTo || key <= entry.effectiveTo)
+  ));
+
+  if (!table) {
+    throw new ValidationError(ERROR_MESSAGES.NO_RATE_TABLE, { field: 'invoiceDate', params: { date: key } });
+  }
+  return table;
+}
+
+/**
+ * Gets a rate table by its version
+ *
+ * @param {string} version - Table version
+ * @param {Array<Object>} tables - Rate tables (see RATE_TABLES)
+ * @returns {Object|null} Rate table version or null if unknown
+ */
+export function getRateTableByVersion(version, tables = RATE_TABLES) {
+  return tables.find(entry => entry.version === version) || null;
+}
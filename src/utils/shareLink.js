@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Calculation state encoded in shareable links
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { ROUNDING_MODES, VAT_TREATMENTS } from '../config/constants.js';
+import { TAX_REGIMES, CUSTOM_REGIME } from '../config/taxRegimes.js';
+import { MONEDA } from '../config/satCatalogs.js';
+
+/**
+ * Calculation methods a link can run when it is opened
+ * Concept calculations are not shared, since the concepts are not in the link
+ * @type {Array<string>}
+ */
+export const SHARE_METHODS = ['fromSubtotal', 'algebraic', 'goalSeek', 'exactSolve'];
+
+/**
+ * Link parameter of each state field
+ * Short names keep the links readable in chats
+ * @type {Object}
+ */
+const PARAMS = {
+  method: 'method',
+  netAmount: 'net',
+  subtotal: 'subtotal',
+  invoiceDate: 'date',
+  regime: 'regime',
+  vatTreatment: 'treatment',
+  borderZone: 'border',
+  vatRate: 'vat',
+  incomeTaxRate: 'isr',
+  vatRetentionFraction: 'retention',
+  highPrecision: 'precision',
+  roundPerLine: 'perLine',
+  roundingMode: 'rounding',
+  rateRoundingMode: 'rateRounding',
+  currency: 'currency',
+  exchangeRate: 'fx',
+};
+
+/**
+ * Encodes a calculation state as link parameters
+ * Missing fields are left out, so they keep their default when the link is opened
+ *
+ * @param {Object} state - Calculation state
+ * @param {string} [state.method] - Calculation method (see SHARE_METHODS)
+ * @param {string} [state.regime] - Regime id or 'custom'
+ * @param {string} [state.vatTreatment] - VAT_TREATMENTS value
+ * @param {boolean} [state.borderZone] - Border-region stimulus
+ * @param {Object} [state.inputs] - { netAmount, subtotal, invoiceDate } as typed in the form
+ * @param {Object} [state.rates] - { vatRate, incomeTaxRate, vatRetentionFraction }
+ * @param {Object} [state.options] - Calculation options, with currency and exchangeRate
+ * @returns {string} Parameters for the URL hash or query string, without '#' or '?'
+ */
+export function encodeShareState({ method, regime, vatTreatment, borderZone, inputs = {}, rates = {}, options = {} }) {
+  const params = new URLSearchParams();
+  const add = (field, value) => {
+    if (value === undefined || value === null || value === '') return;
+    params.set(PARAMS[field], typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+  };
+
+  add('method', method);
+  add('netAmount', inputs.netAmount);
+  add('subtotal', inputs.subtotal);
+  add('invoiceDate', inputs.invoiceDate);
+  add('regime', regime);
+  add('vatTreatment', vatTreatment);
+  add('borderZone', borderZone);
+  add('vatRate', rates.vatRate);
+  add('incomeTaxRate', rates.incomeTaxRate);
+  add('vatRetentionFraction', rates.vatRetentionFraction);
+  add('highPrecision', options.highPrecision);
+  add('roundPerLine', options.roundPerLine);
+  add('roundingMode', options.roundingMode);
+  add('rateRoundingMode', options.rateRoundingMode);
+  add('currency', options.currency);
+  add('exchangeRate', options.exchangeRate);
+
+  return params.toString();
+}
+
+/**
+ * Decodes link parameters into a calculation state
+ * Values that are not valid for their field are dropped rather than
+ * rejected, so a hand-edited link still restores everything else
+ *
+ * @param {string} search - URL hash or query string, with or without '#' or '?'
+ * @returns {Object|null} State with the same shape as encodeShareState takes,
+ *   or null when the link carries no calculation
+ */
+export function decodeShareState(search) {
+  const params = new URLSearchParams(String(search || '').replace(/^[#?]/, ''));
+  const get = (field) => params.get(PARAMS[field]);
+
+  const amount = (field) => {
+    const value = get(field);
+    const number = Number(value);
+    return value && Number.isFinite(number) && number >= 0 ? value : undefined;
+  };
+  const rate = (field) => {
+    const value = get(field);
+    const number = Number(value);
+    return value && Number.isFinite(number) && number >= 0 && number <= 1 ? number : undefined;
+  };
+  const flag = (field) => {
+    const value = get(field);
+    return value === '1' ? true : value === '0' ? false : undefined;
+  };
+  const oneOf = (field, allowed) => (allowed.includes(get(field)) ? get(field) : undefined);
+
+  const exchangeRate = Number(get('exchangeRate'));
+  const invoiceDate = get('invoiceDate');
+  const roundingModes = Object.values(ROUNDING_MODES);
+
+  const state = {
+    method: oneOf('method', SHARE_METHODS),
+    regime: oneOf('regime', [...Object.values(TAX_REGIMES).map(regime => regime.id), CUSTOM_REGIME]),
+    vatTreatment: oneOf('vatTreatment', Object.values(VAT_TREATMENTS)),
+    borderZone: flag('borderZone'),
+    inputs: {
+      netAmount: amount('netAmount'),
+      subtotal: amount('subtotal'),
+      invoiceDate: /^\d{4}-\d{2}-\d{2}$/.test(invoiceDate || '') ? invoiceDate : undefined,
+    },
+    rates: {
+      vatRate: rate('vatRate'),
+      incomeTaxRate: rate('incomeTaxRate'),
+      vatRetentionFraction: rate('vatRetentionFraction'),
+    },
+    options: {
+      highPrecision: flag('highPrecision'),
+      roundPerLine: flag('roundPerLine'),
+      roundingMode: oneOf('roundingMode', roundingModes),
+      rateRoundingMode: oneOf('rateRoundingMode', roundingModes),
+      currency: oneOf('currency', Object.keys(MONEDA)),
+      exchangeRate: exchangeRate > 0 && Number.isFinite(exchangeRate) ? exchangeRate : undefined,
+    },
+  };
+
+  ['inputs', 'rates', 'options'].forEach(group => {
+    Object.keys(state[group]).forEach(key => {
+      if (state[group][key] === undefined) delete state[group][key];
+    });
+  });
+  Object.keys(state).forEach(key => {
+    if (state[key] === undefined) delete state[key];
+  });
+
+  const hasAmount = state.inputs.netAmount !== undefined || state.inputs.subtotal !== undefined;
+  return hasAmount ? state : null;
+}
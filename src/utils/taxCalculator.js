@@ -4,9 +4,25 @@
  * @version 1.0.0
  */
 
-import { round2, validatePositiveNumber, calculatePercentage } from './mathUtils.js';
-import { GOAL_SEEK_CONFIG, ERROR_MESSAGES } from '../config/constants.js';
-import { i18n } from './i18n.js';
+import {
+  roundTo,
+  roundDecimal,
+  multiplyDecimals,
+  sumDecimals,
+  validatePositiveNumber,
+  calculatePercentage,
+} from './mathUtils.js';
+import {
+  GOAL_SEEK_CONFIG,
+  ERROR_MESSAGES,
+  DISTRIBUTION_STRATEGIES,
+  PRECISION_CONFIG,
+  VAT_TREATMENTS,
+} from '../config/constants.js';
+import { TAX_REGIMES } from '../config/taxRegimes.js';
+import { getRateTable, toDateKey } from './rateTableResolver.js';
+import { getCurrencyDecimals } from './currencyUtils.js';
+import { ValidationError, ConvergenceError, DenominatorError, withOperation } from './errors.js';
 
 /**
  * Main class for CFDI tax calculations
@@ -19,12 +35,87 @@ export class TaxCalculator {
    * @param {number} rates.vatRate - VAT rate (0-1)
    * @param {number} rates.incomeTaxRate - Income tax withheld rate (0-1)
    * @param {number} rates.vatRetentionFraction - VAT retention fraction (0-1)
+   * @param {Date|string} date - Invoice date; selects the rate table for missing rates
    */
-  constructor(rates = {}) {
+  constructor(rates = {}, date = new Date()) {
+    this.date = toDateKey(date);
+    this.rateTable = getRateTable(this.date);
     this.rates = {
-      vatRate: rates.vatRate || 0.16,
-      incomeTaxRate: rates.incomeTaxRate || 0.10,
-      vatRetentionFraction: rates.vatRetentionFraction || 0.6666666667,
+      vatRate: rates.vatRate ?? this.rateTable.rates.VAT_RATE,
+      incomeTaxRate: rates.incomeTaxRate ?? this.rateTable.rates.INCOME_TAX_RATE,
+      vatRetentionFraction: rates.vatRetentionFraction ?? this.rateTable.rates.VAT_RETENTION_FRACTION,
+    };
+    this.regime = null;
+    this.borderZone = false;
+    this.vatTreatment = VAT_TREATMENTS.TAXED;
+  }
+
+  /**
+   * Creates a calculator from a regime profile
+   * 
+   * @param {string} regimeId - Regime profile id (see TAX_REGIMES)
+   * @param {Date|string} date - Invoice date
+   * @returns {TaxCalculator} Calculator configured for the regime
+   */
+  static fromRegime(regimeId, date = new Date()) {
+    const calculator = new TaxCalculator({}, date);
+    calculator.setRegime(regimeId);
+    return calculator;
+  }
+
+  /**
+   * Creates a calculator from a state snapshot (see getState)
+   * The rates are taken as they are, without re-resolving the regime
+   * 
+   * @param {Object} state - Calculator state
+   * @returns {TaxCalculator} Calculator with the same configuration
+   */
+  static fromState(state) {
+    const calculator = new TaxCalculator(state.rates, state.date);
+    calculator.regime = state.regime ? TAX_REGIMES[state.regime] || null : null;
+    calculator.borderZone = Boolean(state.borderZone);
+    calculator.vatTreatment = state.vatTreatment || VAT_TREATMENTS.TAXED;
+    return calculator;
+  }
+
+  /**
+   * Resolves the rates of a regime profile
+   * Taxes that do not apply or that nobody withholds resolve to 0
+   * 
+   * @param {string} regimeId - Regime profile id
+   * @param {Object} rateTable - Rates to read the rate keys from (a RATE_TABLES entry's rates)
+   * @param {Object} options - Resolution options
+   * @param {boolean} [options.borderZone] - Apply the border-region IVA rate
+   * @param {string} [options.vatTreatment] - VAT_TREATMENTS value; zero-rated and
+   *   exempt invoices carry no IVA and no withholdings
+   * @returns {Object} Rates in the format accepted by the constructor
+   */
+  static getRegimeRates(regimeId, rateTable = getRateTable().rates, options = {}) {
+    const regime = TAX_REGIMES[regimeId];
+    if (!regime) {
+      throw new ValidationError(ERROR_MESSAGES.UNKNOWN_REGIME, { field: 'regime', params: { regime: regimeId } });
+    }
+
+    if (options.vatTreatment && options.vatTreatment !== VAT_TREATMENTS.TAXED) {
+      return { vatRate: 0, incomeTaxRate: 0, vatRetentionFraction: 0 };
+    }
+
+    const resolve = (tax, rateKey = tax.rateKey) => {
+      if (!tax.applies) return 0;
+      if (rateTable[rateKey] === undefined) {
+        throw new ValidationError(ERROR_MESSAGES.REGIME_NOT_AVAILABLE, {
+          field: 'regime',
+          params: { regime: regimeId, rateKey },
+        });
+      }
+      return rateTable[rateKey];
+    };
+
+    // The retention fraction is kept: it applies to the IVA actually charged
+    return {
+      vatRate: resolve(regime.taxes.vat, options.borderZone ? 'BORDER_VAT_RATE' : regime.taxes.vat.rateKey),
+      incomeTaxRate: resolve(regime.taxes.incomeTax),
+      vatRetentionFraction: resolve(regime.taxes.vatRetention),
     };
   }
 
@@ -34,42 +125,280 @@ export class TaxCalculator {
    * @param {number} subtotal - Invoice subtotal
    * @param {Object} options - Calculation options
    * @param {boolean} options.roundPerLine - Whether to round taxes per line
+   * @param {boolean} [options.highPrecision] - Use exact decimal arithmetic on integer centavos
+   * @param {string} [options.roundingMode] - Rounding mode for amounts (see ROUNDING_MODES)
+   * @param {string} [options.rateRoundingMode] - Rounding mode for TasaOCuota decimals
+   * @param {string} [options.currency] - c_Moneda code; amounts are rounded to its decimals
+   * @param {number} [options.exchangeRate] - TipoCambio, kept with the result for exports
    * @returns {Object} Object with complete breakdown
    */
   calculateFromSubtotal(subtotal, options = { roundPerLine: true }) {
     try {
-      validatePositiveNumber(subtotal, 'Subtotal');
+      validatePositiveNumber(subtotal, 'Subtotal', 'subtotal');
       
-      const { vatRate, incomeTaxRate, vatRetentionFraction } = this.rates;
+      const math = this._getArithmetic(options);
       
-      // High precision internal calculations
-      const vatRaw = calculatePercentage(subtotal, vatRate);
-      const incomeTaxWithheldRaw = calculatePercentage(subtotal, incomeTaxRate);
-      const vatRetentionRaw = calculatePercentage(vatRaw, vatRetentionFraction);
-      
-      // Apply line rounding if requested
-      const vat = options.roundPerLine ? round2(vatRaw) : vatRaw;
-      const incomeTaxWithheld = options.roundPerLine ? round2(incomeTaxWithheldRaw) : incomeTaxWithheldRaw;
-      const vatRetention = options.roundPerLine ? round2(vatRetentionRaw) : vatRetentionRaw;
+      // Exact mode works on centavos, so the subtotal itself is rounded first
+      const base = options.highPrecision ? math.round(subtotal) : subtotal;
+      const taxes = this._calculateTaxes(base, this.rates, options);
       
       // Calculate final net amount
-      const netAmount = subtotal + vat - incomeTaxWithheld - vatRetention;
+      const netAmount = math.sum([base, taxes.vat, -taxes.incomeTaxWithheld, -taxes.vatRetention]);
+      
+      return {
+        subtotal: base,
+        ...taxes,
+        netAmount: netAmount,
+        calculationMethod: 'fromSubtotal',
+        regime: this.regime ? this.regime.id : null,
+        rateTableVersion: this.rateTable.version,
+        borderZone: this.borderZone,
+        vatTreatment: this.vatTreatment,
+        options: options,
+      };
+    } catch (error) {
+      throw withOperation(error, 'fromSubtotal');
+    }
+  }
+
+  /**
+   * Calculates complete breakdown from invoice concepts (line items)
+   * Each line is rounded on its own and the document totals are the sum of
+   * the lines, the same way invoicing software builds the CFDI
+   * 
+   * @param {Array<Object>} concepts - Invoice concepts
+   * @param {string} concepts[].description - Concept description
+   * @param {number} concepts[].quantity - Quantity
+   * @param {number} concepts[].unitPrice - Unit price
+   * @param {number} [concepts[].discount=0] - Discount amount for the line
+   * @param {Object} [concepts[].rates] - Rates that override the calculator rates for the line
+   * @param {Object} options - Calculation options
+   * @param {boolean} options.roundPerLine - Whether to round taxes per line
+   * @returns {Object} Object with document totals and line breakdown
+   */
+  calculateFromConcepts(concepts, options = { roundPerLine: true }) {
+    try {
+      if (!Array.isArray(concepts) || concepts.length === 0) {
+        throw new ValidationError(ERROR_MESSAGES.NO_CONCEPTS, { field: 'concepts' });
+      }
+      
+      const math = this._getArithmetic(options);
+      const lines = concepts.map((concept, index) => this.calculateConcept(concept, index, options));
+      const sum = (key) => lines.reduce((total, line) => total + line[key], 0);
+      const sumOf = (key) => math.sum(lines.map(line => line[key]));
+      
+      // Rounded lines add up exactly; raw lines are rounded once at document level
+      const totalOf = (key) => (options.roundPerLine ? sumOf(key) : sumOf(`${key}Raw`));
+      
+      const subtotal = sumOf('amount');
+      const discount = sumOf('discount');
+      const vat = totalOf('vat');
+      const incomeTaxWithheld = totalOf('incomeTaxWithheld');
+      const vatRetention = totalOf('vatRetention');
       
       return {
         subtotal: subtotal,
-        vatRaw: vatRaw,
-        incomeTaxWithheldRaw: incomeTaxWithheldRaw,
-        vatRetentionRaw: vatRetentionRaw,
+        discount: discount,
+        vatRaw: sum('vatRaw'),
+        incomeTaxWithheldRaw: sum('incomeTaxWithheldRaw'),
+        vatRetentionRaw: sum('vatRetentionRaw'),
         vat: vat,
         incomeTaxWithheld: incomeTaxWithheld,
         vatRetention: vatRetention,
-        netAmount: round2(netAmount),
-        calculationMethod: 'fromSubtotal',
+        netAmount: math.sum([subtotal, -discount, vat, -incomeTaxWithheld, -vatRetention]),
+        lines: lines,
+        calculationMethod: 'fromConcepts',
+        regime: this.regime ? this.regime.id : null,
+        rateTableVersion: this.rateTable.version,
+        borderZone: this.borderZone,
+        vatTreatment: this.vatTreatment,
         options: options,
       };
     } catch (error) {
-      throw new Error(`Error in calculation from subtotal: ${error.message}`);
+      throw withOperation(error, 'fromConcepts');
+    }
+  }
+
+  /**
+   * Calculates a single invoice concept
+   * 
+   * @param {Object} concept - Invoice concept (see calculateFromConcepts)
+   * @param {number} index - Line index, used in error messages
+   * @param {Object} options - Calculation options
+   * @returns {Object} Line breakdown
+   */
+  calculateConcept(concept, index = 0, options = { roundPerLine: true }) {
+    const label = `Line ${index + 1}`;
+    const quantity = parseFloat(concept.quantity);
+    const unitPrice = parseFloat(concept.unitPrice);
+    const discount = parseFloat(concept.discount || 0);
+    
+    validatePositiveNumber(quantity, `${label} quantity`, `concepts[${index}].quantity`);
+    validatePositiveNumber(unitPrice, `${label} unit price`, `concepts[${index}].unitPrice`);
+    
+    // Line amount (Importe) is always rounded to the currency decimals
+    const math = this._getArithmetic(options);
+    const amount = math.multiply(quantity, unitPrice);
+    
+    if (isNaN(discount) || discount < 0 || discount >= amount) {
+      throw new ValidationError(ERROR_MESSAGES.INVALID_DISCOUNT, {
+        field: `concepts[${index}].discount`,
+        params: { field: `${label} discount` },
+      });
+    }
+    
+    const rates = { ...this.rates, ...(concept.rates || {}) };
+    const base = math.sum([amount, -discount]);
+    const taxes = this._calculateTaxes(base, rates, options);
+    
+    return {
+      index: index,
+      description: concept.description || '',
+      quantity: quantity,
+      unitPrice: unitPrice,
+      amount: amount,
+      discount: discount,
+      base: base,
+      rates: rates,
+      ...taxes,
+      netAmount: math.sum([base, taxes.vat, -taxes.incomeTaxWithheld, -taxes.vatRetention]),
+    };
+  }
+
+  /**
+   * Gets the TasaOCuota of each tax as it would appear in the CFDI
+   * The VAT retention rate is VAT rate x retention fraction, cut to the
+   * CFDI decimals with the configured rounding mode
+   * 
+   * @param {Object} rates - Rates to convert (defaults to the calculator rates)
+   * @param {Object} options - Calculation options
+   * @param {string} [options.rateRoundingMode] - Rounding mode for TasaOCuota decimals
+   * @returns {Object} Rates with PRECISION_CONFIG.RATE_DECIMALS decimals
+   */
+  getTasaOCuota(rates = this.rates, options = {}) {
+    const mode = options.rateRoundingMode || PRECISION_CONFIG.DEFAULT_RATE_ROUNDING_MODE;
+    const decimals = PRECISION_CONFIG.RATE_DECIMALS;
+    
+    return {
+      vat: roundDecimal(rates.vatRate, decimals, mode),
+      incomeTax: roundDecimal(rates.incomeTaxRate, decimals, mode),
+      vatRetention: multiplyDecimals(rates.vatRate, rates.vatRetentionFraction, decimals, mode),
+    };
+  }
+
+  /**
+   * Gets the net amount per unit of subtotal, before rounding
+   * Exact mode applies the TasaOCuota values, which can differ from the
+   * configured rates in the sixth decimal
+   * 
+   * @param {Object} options - Calculation options
+   * @returns {number} Net amount divided by subtotal
+   * @private
+   */
+  _getNetFactor(options) {
+    if (!options.highPrecision) {
+      const { vatRate, incomeTaxRate, vatRetentionFraction } = this.rates;
+      return 1 + vatRate - incomeTaxRate - (vatRate * vatRetentionFraction);
     }
+
+    const tasaOCuota = this.getTasaOCuota(this.rates, options);
+    return 1 + tasaOCuota.vat - tasaOCuota.incomeTax - tasaOCuota.vatRetention;
+  }
+
+  /**
+   * Gets rounding and summing functions for the selected precision mode
+   * 
+   * @param {Object} options - Calculation options
+   * @returns {{round: Function, multiply: Function, sum: Function, decimals: number}} Arithmetic
+   *   to the decimals of the invoice currency (centavos for MXN)
+   * @private
+   */
+  _getArithmetic(options) {
+    const decimals = getCurrencyDecimals(options.currency);
+    
+    if (!options.highPrecision) {
+      return {
+        round: (value) => roundTo(value, decimals),
+        multiply: (a, b) => roundTo(a * b, decimals),
+        sum: (values) => roundTo(values.reduce((total, value) => total + value, 0), decimals),
+        decimals: decimals,
+      };
+    }
+    
+    const mode = options.roundingMode || PRECISION_CONFIG.DEFAULT_ROUNDING_MODE;
+    
+    return {
+      round: (value) => roundDecimal(value, decimals, mode),
+      multiply: (a, b) => multiplyDecimals(a, b, decimals, mode),
+      sum: (values) => sumDecimals(values, decimals, mode),
+      decimals: decimals,
+    };
+  }
+
+  /**
+   * Calculates taxes for a taxable base
+   * 
+   * @param {number} base - Taxable base
+   * @param {Object} rates - Rates to apply
+   * @param {Object} options - Calculation options
+   * @returns {Object} Raw and (optionally) rounded taxes
+   * @private
+   */
+  _calculateTaxes(base, rates, options) {
+    if (options.highPrecision) {
+      return this._calculateTaxesExact(base, rates, options);
+    }
+    
+    const { vatRate, incomeTaxRate, vatRetentionFraction } = rates;
+    const round = this._getArithmetic(options).round;
+    
+    // High precision internal calculations
+    const vatRaw = calculatePercentage(base, vatRate);
+    const incomeTaxWithheldRaw = calculatePercentage(base, incomeTaxRate);
+    const vatRetentionRaw = calculatePercentage(vatRaw, vatRetentionFraction);
+    
+    // Apply line rounding if requested
+    return {
+      vatRaw: vatRaw,
+      incomeTaxWithheldRaw: incomeTaxWithheldRaw,
+      vatRetentionRaw: vatRetentionRaw,
+      vat: options.roundPerLine ? round(vatRaw) : vatRaw,
+      incomeTaxWithheld: options.roundPerLine ? round(incomeTaxWithheldRaw) : incomeTaxWithheldRaw,
+      vatRetention: options.roundPerLine ? round(vatRetentionRaw) : vatRetentionRaw,
+    };
+  }
+
+  /**
+   * Calculates taxes for a base in centavos using exact decimal arithmetic
+   * Each tax is Base x TasaOCuota, as validated by SAT
+   * 
+   * @param {number} base - Taxable base with 2 decimals
+   * @param {Object} rates - Rates to apply
+   * @param {Object} options - Calculation options
+   * @returns {Object} Raw and (optionally) rounded taxes
+   * @private
+   */
+  _calculateTaxesExact(base, rates, options) {
+    const tasaOCuota = this.getTasaOCuota(rates, options);
+    const mode = options.roundingMode || PRECISION_CONFIG.DEFAULT_ROUNDING_MODE;
+    const decimals = getCurrencyDecimals(options.currency);
+    
+    // Cents x rate with 6 decimals is exact with 8 decimals
+    const rawDecimals = decimals + PRECISION_CONFIG.RATE_DECIMALS;
+    const vatRaw = multiplyDecimals(base, tasaOCuota.vat, rawDecimals);
+    const incomeTaxWithheldRaw = multiplyDecimals(base, tasaOCuota.incomeTax, rawDecimals);
+    const vatRetentionRaw = multiplyDecimals(base, tasaOCuota.vatRetention, rawDecimals);
+    
+    const round = (value) => roundDecimal(value, decimals, mode);
+    
+    return {
+      vatRaw: vatRaw,
+      incomeTaxWithheldRaw: incomeTaxWithheldRaw,
+      vatRetentionRaw: vatRetentionRaw,
+      vat: options.roundPerLine ? round(vatRaw) : vatRaw,
+      incomeTaxWithheld: options.roundPerLine ? round(incomeTaxWithheldRaw) : incomeTaxWithheldRaw,
+      vatRetention: options.roundPerLine ? round(vatRetentionRaw) : vatRetentionRaw,
+    };
   }
 
   /**
@@ -80,7 +409,7 @@ export class TaxCalculator {
    */
   calculateSubtotalFromNetAlgebraic(netAmount) {
     try {
-      validatePositiveNumber(netAmount, 'Net amount');
+      validatePositiveNumber(netAmount, 'Net amount', 'netAmount');
       
       const { vatRate, incomeTaxRate, vatRetentionFraction } = this.rates;
       
@@ -88,12 +417,12 @@ export class TaxCalculator {
       const denominator = 1 + vatRate - incomeTaxRate - (vatRate * vatRetentionFraction);
       
       if (Math.abs(denominator) < 0.000001) {
-        throw new Error(i18n.t('denominatorTooSmall'));
+        throw new DenominatorError();
       }
       
       return netAmount / denominator;
     } catch (error) {
-      throw new Error(`Error in algebraic calculation: ${error.message}`);
+      throw withOperation(error, 'algebraic');
     }
   }
 
@@ -102,17 +431,18 @@ export class TaxCalculator {
    * 
    * @param {number} targetNetAmount - Target net amount
    * @param {Object} options - Calculation options
+   * @param {Function} [onProgress] - Called with { phase, step, total } on each search step
    * @returns {Object} Goal Seek result
    */
-  goalSeekSubtotal(targetNetAmount, options = { roundPerLine: true }) {
+  goalSeekSubtotal(targetNetAmount, options = { roundPerLine: true }, onProgress = null) {
     try {
-      validatePositiveNumber(targetNetAmount, 'Target net amount');
+      validatePositiveNumber(targetNetAmount, 'Target net amount', 'netAmount');
       
       // First approximation using algebraic formula
       const initialGuess = this.calculateSubtotalFromNetAlgebraic(targetNetAmount);
       
       // Define search limits
-      let low = Math.max(0, initialGuess - GOAL_SEEK_CONFIG.SEARCH_RANGE_MULTIPLIER);
+      let low = Math.max(GOAL_SEEK_CONFIG.MIN_SUBTOTAL, initialGuess - GOAL_SEEK_CONFIG.SEARCH_RANGE_MULTIPLIER);
       let high = initialGuess + GOAL_SEEK_CONFIG.SEARCH_RANGE_MULTIPLIER;
       
       // Function to calculate net amount given a subtotal
@@ -131,10 +461,11 @@ export class TaxCalculator {
       ) {
         attempts++;
         if (attempts > GOAL_SEEK_CONFIG.MAX_ATTEMPTS) {
-          throw new Error(i18n.t('goalSeekTimeout'));
+          throw new ConvergenceError();
         }
+        onProgress?.({ phase: 'expand', step: attempts, total: GOAL_SEEK_CONFIG.MAX_ATTEMPTS });
         
-        low = Math.max(0, low - (GOAL_SEEK_CONFIG.SEARCH_RANGE_MULTIPLIER * attempts));
+        low = Math.max(GOAL_SEEK_CONFIG.MIN_SUBTOTAL, low - (GOAL_SEEK_CONFIG.SEARCH_RANGE_MULTIPLIER * attempts));
         high = high + (GOAL_SEEK_CONFIG.SEARCH_RANGE_MULTIPLIER * attempts);
         nLow = calculateNetForSubtotal(low);
         nHigh = calculateNetForSubtotal(high);
@@ -146,6 +477,7 @@ export class TaxCalculator {
       let hi = high;
       
       for (let i = 0; i < GOAL_SEEK_CONFIG.MAX_ITERATIONS; i++) {
+        onProgress?.({ phase: 'bisect', step: i + 1, total: GOAL_SEEK_CONFIG.MAX_ITERATIONS });
         const mid = (lo + hi) / 2;
         const result = this.calculateFromSubtotal(mid, options);
         const currentNet = result.netAmount;
@@ -168,17 +500,295 @@ export class TaxCalculator {
         }
       }
       
-      // Final adjustment: round subtotal to 2 decimal places
-      bestResult.subtotal = round2(bestResult.subtotal);
-      bestResult = this.calculateFromSubtotal(bestResult.subtotal, options);
+      // Final adjustment: round subtotal to the currency decimals
+      const math = this._getArithmetic(options);
+      bestResult = this.calculateFromSubtotal(math.round(bestResult.subtotal), options);
+      
+      // Rounded taxes can make the net amount skip or repeat a cent next to
+      // the rounded subtotal; scan the neighbours for an exact match
+      const unit = 10 ** math.decimals;
+      const targetCents = Math.round(targetNetAmount * unit);
+      const roundedCents = Math.round(bestResult.subtotal * unit);
+      const gap = (result) => Math.abs(Math.round(result.netAmount * unit) - targetCents);
+      
+      for (let offset = 1; offset <= GOAL_SEEK_CONFIG.CENTS_SCAN_WINDOW && gap(bestResult) > 0; offset++) {
+        [roundedCents - offset, roundedCents + offset].filter(cents => cents > 0).forEach(cents => {
+          const candidate = this.calculateFromSubtotal(cents / unit, options);
+          if (gap(candidate) < gap(bestResult)) {
+            bestResult = candidate;
+          }
+        });
+      }
       bestResult.calculationMethod = 'goalSeek';
       
       return bestResult;
     } catch (error) {
-      throw new Error(`Error in Goal Seek: ${error.message}`);
+      throw withOperation(error, 'goalSeek');
+    }
+  }
+
+  /**
+   * Exact inverse: finds every subtotal, to the centavo, whose rounded
+   * breakdown gives exactly the target net amount
+   * Each rounded tax is within one centavo of its exact value, so every
+   * solution lies a few centavos around N / denominator. Some net amounts
+   * cannot be reached at all; then the nearest reachable ones are reported
+   * 
+   * @param {number} targetNetAmount - Target net amount
+   * @param {Object} options - Calculation options
+   * @returns {Object} Result of the lowest exact subtotal (or of the closest
+   *   reachable net amount) with exact, solutions and nearest ({ below, above })
+   */
+  solveSubtotalExact(targetNetAmount, options = { roundPerLine: true }) {
+    try {
+      validatePositiveNumber(targetNetAmount, 'Target net amount', 'netAmount');
+      
+      const unit = 10 ** this._getArithmetic(options).decimals;
+      const targetCents = Math.round(targetNetAmount * unit);
+      const netFactor = this._getNetFactor(options);
+      if (Math.abs(netFactor) < 0.000001) {
+        throw new DenominatorError();
+      }
+      const factor = 1 / netFactor;
+      const margin = GOAL_SEEK_CONFIG.EXACT_WINDOW_UNITS;
+      
+      // Subtotals (in cents) whose net amount is exactly netCents
+      const subtotalsFor = (netCents) => {
+        const bounds = [(netCents - margin) * factor, (netCents + margin) * factor];
+        const subtotals = [];
+        for (let cents = Math.max(1, Math.ceil(Math.min(...bounds))); cents <= Math.floor(Math.max(...bounds)); cents++) {
+          const net = Math.round(this.calculateFromSubtotal(cents / unit, options).netAmount * unit);
+          if (net === netCents) subtotals.push(cents / unit);
+        }
+        return subtotals;
+      };
+      
+      const solutions = subtotalsFor(targetCents);
+      let nearest = null;
+      let chosen = solutions[0];
+      
+      if (solutions.length === 0) {
+        nearest = { below: null, above: null };
+        for (let step = 1; step <= GOAL_SEEK_CONFIG.EXACT_NEAREST_LIMIT && !(nearest.below && nearest.above); step++) {
+          if (!nearest.below && targetCents - step > 0) {
+            const subtotals = subtotalsFor(targetCents - step);
+            if (subtotals.length > 0) nearest.below = { netAmount: (targetCents - step) / unit, subtotals };
+          }
+          if (!nearest.above) {
+            const subtotals = subtotalsFor(targetCents + step);
+            if (subtotals.length > 0) nearest.above = { netAmount: (targetCents + step) / unit, subtotals };
+          }
+        }
+        
+        if (!nearest.below && !nearest.above) {
+          throw new ConvergenceError();
+        }
+        
+        // The closest reachable amount wins; on a tie the client is not charged more
+        const gap = (entry) => (entry ? Math.abs(entry.netAmount - targetNetAmount) : Infinity);
+        chosen = (gap(nearest.below) <= gap(nearest.above) ? nearest.below : nearest.above).subtotals[0];
+      }
+      
+      const result = this.calculateFromSubtotal(chosen, options);
+      result.calculationMethod = 'exactSolve';
+      result.targetNetAmount = targetNetAmount;
+      result.exact = solutions.length > 0;
+      result.solutions = solutions;
+      result.nearest = nearest;
+      
+      return result;
+    } catch (error) {
+      throw withOperation(error, 'exactSolve');
     }
   }
 
+  /**
+   * Goal Seek across concepts: finds per-line unit prices that produce
+   * the target net amount to the centavo
+   * 
+   * @param {number} targetNetAmount - Target net amount
+   * @param {Array<Object>} concepts - Invoice concepts (unit price is optional for adjusted lines)
+   * @param {Object} distribution - How the adjustment is spread across lines
+   * @param {string} distribution.strategy - One of DISTRIBUTION_STRATEGIES
+   * @param {Array<number>} [distribution.weights] - Line weights (proportional strategy);
+   *   defaults to the current line amounts, or equal weights when prices are missing
+   * @param {number} [distribution.lineIndex=0] - Adjusted line (single line strategy)
+   * @param {Object} options - Calculation options
+   * @param {Function} [onProgress] - Called with { phase, step, total } on each search step
+   * @returns {Object} Concepts result with the distribution used and whether the match is exact
+   */
+  goalSeekConcepts(targetNetAmount, concepts, distribution = { strategy: DISTRIBUTION_STRATEGIES.PROPORTIONAL }, options = { roundPerLine: true }, onProgress = null) {
+    try {
+      validatePositiveNumber(targetNetAmount, 'Target net amount', 'netAmount');
+      
+      if (!Array.isArray(concepts) || concepts.length === 0) {
+        throw new ValidationError(ERROR_MESSAGES.NO_CONCEPTS, { field: 'concepts' });
+      }
+      
+      // Cents are the smallest unit of the invoice currency
+      const unit = 10 ** this._getArithmetic(options).decimals;
+      const buildConcepts = this._createDistribution(concepts, distribution, unit);
+      const targetCents = Math.round(targetNetAmount * unit);
+      
+      // Net amount in cents for a distributed amount, or null if the lines are not valid
+      const netCentsFor = (amountCents, variant = 0) => {
+        try {
+          return Math.round(this.calculateFromConcepts(buildConcepts.at(amountCents, variant), options).netAmount * unit);
+        } catch (error) {
+          return null;
+        }
+      };
+      const reaches = (amountCents) => {
+        const net = netCentsFor(amountCents);
+        return net !== null && net >= targetCents;
+      };
+      
+      // Upper bound: start from the algebraic estimate and expand
+      let low = 1;
+      let high = Math.max(2, Math.round(this.calculateSubtotalFromNetAlgebraic(targetNetAmount) * unit));
+      let attempts = 0;
+      
+      while (!reaches(high)) {
+        attempts++;
+        if (attempts > GOAL_SEEK_CONFIG.MAX_ATTEMPTS) {
+          throw new ConvergenceError();
+        }
+        onProgress?.({ phase: 'expand', step: attempts, total: GOAL_SEEK_CONFIG.MAX_ATTEMPTS });
+        low = high;
+        high *= 2;
+      }
+      
+      // Binary search on integer cents: smallest amount that reaches the target
+      const bisections = Math.ceil(Math.log2(high - low + 1));
+      let bisection = 0;
+      while (low < high) {
+        onProgress?.({ phase: 'bisect', step: ++bisection, total: bisections });
+        const mid = Math.floor((low + high) / 2);
+        if (reaches(mid)) {
+          high = mid;
+        } else {
+          low = mid + 1;
+        }
+      }
+      
+      // Per-line rounding makes the net amount jump; scan neighbours for an exact match.
+      // Split variants (one cent moved between lines) are only tried if the plain split misses
+      const window = GOAL_SEEK_CONFIG.CENTS_SCAN_WINDOW * concepts.length;
+      let best = null;
+      
+      for (let variant = 0; variant < buildConcepts.variantCount && !(best && best.gap === 0); variant++) {
+        onProgress?.({ phase: 'scan', step: variant + 1, total: buildConcepts.variantCount });
+        for (let cents = Math.max(1, high - window); cents <= high + window; cents++) {
+          const net = netCentsFor(cents, variant);
+          if (net === null) continue;
+          
+          const candidate = { cents, variant, gap: Math.abs(net - targetCents), distance: Math.abs(cents - high) };
+          if (!best || candidate.gap < best.gap || (candidate.gap === best.gap && candidate.distance < best.distance)) {
+            best = candidate;
+          }
+        }
+      }
+      
+      if (!best) {
+        throw new ConvergenceError();
+      }
+      
+      const result = this.calculateFromConcepts(buildConcepts.at(best.cents, best.variant), options);
+      result.calculationMethod = 'goalSeekConcepts';
+      result.targetNetAmount = targetNetAmount;
+      result.exact = best.gap === 0;
+      result.distribution = buildConcepts.description;
+      
+      return result;
+    } catch (error) {
+      throw withOperation(error, 'goalSeekConcepts');
+    }
+  }
+
+  /**
+   * Builds the function that spreads an amount (in cents) across concepts
+   * 
+   * @param {Array<Object>} concepts - Invoice concepts
+   * @param {Object} distribution - Distribution settings (see goalSeekConcepts)
+   * @param {number} unit - Cents per currency unit (100 for two decimals)
+   * @returns {{at: Function, variantCount: number, description: Object}} Builder, number of
+   *   split variants it supports and the resolved distribution
+   * @private
+   */
+  _createDistribution(concepts, distribution, unit = 100) {
+    const strategy = distribution.strategy || DISTRIBUTION_STRATEGIES.PROPORTIONAL;
+    
+    // Unit price that reproduces the line amount when multiplied by the quantity
+    const withAmount = (concept, amountCents) => ({
+      ...concept,
+      unitPrice: roundTo(amountCents / unit / parseFloat(concept.quantity), GOAL_SEEK_CONFIG.UNIT_PRICE_DECIMALS),
+    });
+    
+    if (strategy === DISTRIBUTION_STRATEGIES.SINGLE_LINE) {
+      const lineIndex = distribution.lineIndex ?? 0;
+      if (!Number.isInteger(lineIndex) || lineIndex < 0 || lineIndex >= concepts.length) {
+        throw new ValidationError(ERROR_MESSAGES.INVALID_ADJUSTED_LINE, {
+          field: 'adjustLine',
+          params: { max: concepts.length },
+        });
+      }
+      
+      return {
+        at: (amountCents) => concepts.map((concept, index) => (
+          index === lineIndex ? withAmount(concept, amountCents) : concept
+        )),
+        variantCount: 1,
+        description: { strategy, lineIndex },
+      };
+    }
+    
+    if (strategy !== DISTRIBUTION_STRATEGIES.PROPORTIONAL) {
+      throw new ValidationError(ERROR_MESSAGES.UNKNOWN_DISTRIBUTION, {
+        field: 'distributionStrategy',
+        params: { strategy },
+      });
+    }
+    
+    const currentAmounts = concepts.map(concept => parseFloat(concept.quantity) * parseFloat(concept.unitPrice));
+    const defaultWeights = currentAmounts.every(amount => amount > 0) ? currentAmounts : concepts.map(() => 1);
+    const weights = distribution.weights || defaultWeights;
+    
+    if (weights.length !== concepts.length || weights.some(weight => !(weight > 0))) {
+      throw new ValidationError(ERROR_MESSAGES.INVALID_WEIGHTS, { field: 'distribution.weights' });
+    }
+    
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    
+    const lastIndex = concepts.length - 1;
+    
+    // Cumulative rounding keeps every split adding up to the exact amount.
+    // Variant v > 0 moves one cent between line floor((v - 1) / 2) and the last line
+    return {
+      at: (amountCents, variant = 0) => {
+        let cumulativeWeight = 0;
+        let allocated = 0;
+        
+        const lineCents = weights.map(weight => {
+          cumulativeWeight += weight;
+          const boundary = Math.round(amountCents * cumulativeWeight / totalWeight);
+          const cents = boundary - allocated;
+          allocated = boundary;
+          return cents;
+        });
+        
+        if (variant > 0) {
+          const direction = (variant - 1) % 2 === 0 ? 1 : -1;
+          lineCents[Math.floor((variant - 1) / 2)] += direction;
+          lineCents[lastIndex] -= direction;
+        }
+        
+        return concepts.map((concept, index) => withAmount(concept, lineCents[index]));
+      },
+      variantCount: 1 + 2 * lastIndex,
+      description: { strategy, weights: weights.map(weight => weight / totalWeight) },
+    };
+  }
+
   /**
    * Updates tax rates
    * 
@@ -196,6 +806,148 @@ export class TaxCalculator {
     }
   }
 
+  /**
+   * Applies a regime profile, replacing the current rates
+   * 
+   * @param {string|null} regimeId - Regime profile id, or null for custom rates
+   */
+  setRegime(regimeId) {
+    if (regimeId === null) {
+      this.regime = null;
+      return;
+    }
+
+    this.rates = TaxCalculator.getRegimeRates(regimeId, this.rateTable.rates, this._getRegimeOptions());
+    this.regime = TAX_REGIMES[regimeId];
+  }
+
+  /**
+   * Sets the IVA treatment of the invoice
+   * Zero-rated and exempt invoices resolve every rate to 0. Going back to
+   * taxed re-applies the regime, or the rate table defaults for custom rates
+   * 
+   * @param {string} vatTreatment - VAT_TREATMENTS value
+   */
+  setVatTreatment(vatTreatment) {
+    if (!Object.values(VAT_TREATMENTS).includes(vatTreatment)) {
+      throw new ValidationError(ERROR_MESSAGES.UNKNOWN_VAT_TREATMENT, {
+        field: 'vatTreatment',
+        params: { vatTreatment },
+      });
+    }
+
+    this.vatTreatment = vatTreatment;
+
+    if (this.regime) {
+      this.rates = TaxCalculator.getRegimeRates(this.regime.id, this.rateTable.rates, this._getRegimeOptions());
+    } else if (vatTreatment !== VAT_TREATMENTS.TAXED) {
+      this.rates = { vatRate: 0, incomeTaxRate: 0, vatRetentionFraction: 0 };
+    } else {
+      const tableRates = this.rateTable.rates;
+      this.rates = {
+        vatRate: this.borderZone ? tableRates.BORDER_VAT_RATE : tableRates.VAT_RATE,
+        incomeTaxRate: tableRates.INCOME_TAX_RATE,
+        vatRetentionFraction: tableRates.VAT_RETENTION_FRACTION,
+      };
+    }
+  }
+
+  /**
+   * Gets the IVA treatment of the invoice
+   * 
+   * @returns {string} VAT_TREATMENTS value
+   */
+  getVatTreatment() {
+    return this.vatTreatment;
+  }
+
+  /**
+   * Turns the border-region IVA stimulus on or off
+   * Regime rates are re-resolved; with custom rates only the table's general
+   * or border rate switches to the other one, any other rate typed in is kept
+   * 
+   * @param {boolean} enabled - Whether the stimulus applies
+   */
+  setBorderZone(enabled) {
+    this.borderZone = Boolean(enabled);
+
+    if (this.regime) {
+      this.rates = TaxCalculator.getRegimeRates(this.regime.id, this.rateTable.rates, this._getRegimeOptions());
+      return;
+    }
+
+    const { VAT_RATE, BORDER_VAT_RATE } = this.rateTable.rates;
+    if ([VAT_RATE, BORDER_VAT_RATE].includes(this.rates.vatRate)) {
+      this.rates.vatRate = this.borderZone ? BORDER_VAT_RATE : VAT_RATE;
+    }
+  }
+
+  /**
+   * Checks whether the border-region IVA stimulus is on
+   * 
+   * @returns {boolean} True when the border rate applies
+   */
+  isBorderZone() {
+    return this.borderZone;
+  }
+
+  /**
+   * Sets the invoice date and switches to the rate table in effect on it
+   * The active regime profile is re-applied with the new table's rates;
+   * custom rates are kept as they are
+   * 
+   * @param {Date|string} date - Invoice date
+   * @returns {Object} Rate table in effect on the date
+   */
+  setDate(date) {
+    const dateKey = toDateKey(date);
+    const rateTable = getRateTable(dateKey);
+
+    if (this.regime) {
+      this.rates = TaxCalculator.getRegimeRates(this.regime.id, rateTable.rates, this._getRegimeOptions());
+    }
+    this.date = dateKey;
+    this.rateTable = rateTable;
+    return rateTable;
+  }
+
+  /**
+   * Gets the options used to resolve regime rates
+   * 
+   * @returns {{borderZone: boolean, vatTreatment: string}} Regime rate options
+   * @private
+   */
+  _getRegimeOptions() {
+    return { borderZone: this.borderZone, vatTreatment: this.vatTreatment };
+  }
+
+  /**
+   * Gets the invoice date used to resolve the rates
+   * 
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  getDate() {
+    return this.date;
+  }
+
+  /**
+   * Gets the rate table in effect on the invoice date
+   * 
+   * @returns {Object} Rate table version (see RATE_TABLES)
+   */
+  getRateTable() {
+    return this.rateTable;
+  }
+
+  /**
+   * Gets the active regime profile
+   * 
+   * @returns {Object|null} Regime profile or null when using custom rates
+   */
+  getRegime() {
+    return this.regime;
+  }
+
   /**
    * Gets current rates
    * 
@@ -204,4 +956,19 @@ export class TaxCalculator {
   getRates() {
     return { ...this.rates };
   }
+
+  /**
+   * Gets a serializable snapshot of the configuration (see fromState)
+   * 
+   * @returns {Object} Rates, date, regime id, border zone and VAT treatment
+   */
+  getState() {
+    return {
+      rates: this.getRates(),
+      date: this.date,
+      regime: this.regime ? this.regime.id : null,
+      borderZone: this.borderZone,
+      vatTreatment: this.vatTreatment,
+    };
+  }
 }
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Tax engine runner shared by the Web Worker and the main-thread fallback
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { TaxCalculator } from './taxCalculator.js';
+import { CalculatorError } from './errors.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+
+/**
+ * Engine methods and their number of arguments before the progress callback
+ * @type {Object<string, number>}
+ */
+const ENGINE_METHODS = {
+  goalSeekSubtotal: 2,
+  goalSeekConcepts: 4,
+};
+
+/**
+ * Runs a TaxCalculator method on a calculator rebuilt from its state
+ * Missing arguments are padded so the progress callback always lands last
+ *
+ * @param {Object} state - Calculator state (see TaxCalculator.getState)
+ * @param {string} method - Engine method name
+ * @param {Array} args - Method arguments
+ * @param {Function} [onProgress] - Called with { phase, step, total }
+ * @returns {Object} Method result
+ */
+export function runEngineMethod(state, method, args = [], onProgress = null) {
+  const arity = ENGINE_METHODS[method];
+  if (arity === undefined) {
+    throw new CalculatorError(ERROR_MESSAGES.UNKNOWN_ENGINE_METHOD, { params: { method } });
+  }
+
+  const padded = Array.from({ length: arity }, (_, index) => args[index]);
+  return TaxCalculator.fromState(state)[method](...padded, onProgress);
+}
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Promise-based client for the tax engine Web Worker
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { runEngineMethod } from './taxEngine.js';
+import { i18n } from './i18n.js';
+import { deserializeError } from './errors.js';
+
+/**
+ * Tax engine client
+ * Runs Goal Seek in a module worker so the page keeps responding, reports
+ * its progress and can cancel it. Browsers without module workers run the
+ * same engine on the main thread
+ */
+export class TaxEngineClient {
+  /**
+   * Tax engine client constructor
+   * The worker is created on the first run
+   */
+  constructor() {
+    this.worker = null;
+    this.workerFailed = false;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Checks whether runs go to a worker
+   * @returns {boolean} True when a worker is available
+   */
+  isWorkerAvailable() {
+    return typeof Worker !== 'undefined' && !this.workerFailed;
+  }
+
+  /**
+   * Runs an engine method
+   *
+   * @param {string} method - TaxCalculator method (goalSeekSubtotal or goalSeekConcepts)
+   * @param {Array} args - Method arguments, without the progress callback
+   * @param {Object} context - Run context
+   * @param {Object} context.state - Calculator state (see TaxCalculator.getState)
+   * @param {Function} [context.onProgress] - Called with { phase, step, total }
+   * @returns {Promise<Object>} Method result; rejects with the engine's CalculatorError,
+   *   or with error.cancelled set when cancelled
+   */
+  run(method, args, { state, onProgress = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const request = { id, method, state, args, onProgress, resolve, reject };
+      this.pending.set(id, request);
+
+      if (this.isWorkerAvailable()) {
+        this._post(request);
+      } else {
+        this._runInline(request);
+      }
+    });
+  }
+
+  /**
+   * Cancels every pending run
+   * The worker is terminated and a new one is created on the next run
+   * @returns {number} Runs cancelled
+   */
+  cancel() {
+    const count = this.pending.size;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.pending.forEach(request => request.reject(TaxEngineClient.createCancelledError()));
+    this.pending.clear();
+    return count;
+  }
+
+  /**
+   * Checks whether a run is in progress
+   * @returns {boolean} True when a run is pending
+   */
+  isBusy() {
+    return this.pending.size > 0;
+  }
+
+  /**
+   * Creates the error used to reject cancelled runs
+   * @returns {Error} Error with cancelled set to true
+   */
+  static createCancelledError() {
+    const error = new Error(i18n.t('calculationCancelled'));
+    error.cancelled = true;
+    return error;
+  }
+
+  /**
+   * Sends a request to the worker, creating it if needed
+   * @param {Object} request - Pending request
+   * @private
+   */
+  _post(request) {
+    try {
+      if (!this.worker) {
+        this.worker = new Worker(new URL('../workers/taxEngine.worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (event) => this._handleMessage(event.data));
+        this.worker.addEventListener('error', (event) => this._handleWorkerError(event));
+      }
+
+      this.worker.postMessage({
+        id: request.id,
+        method: request.method,
+        state: request.state,
+        args: request.args,
+        language: i18n.getCurrentLanguage(),
+      });
+    } catch (error) {
+      this._handleWorkerError(error);
+    }
+  }
+
+  /**
+   * Handles a worker reply
+   * Replies of cancelled runs are ignored
+   * @param {Object} message - Worker message ({ id, type, progress, result, error })
+   * @private
+   */
+  _handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    if (message.type === 'progress') {
+      request.onProgress?.(message.progress);
+      return;
+    }
+
+    this.pending.delete(message.id);
+    if (message.type === 'result') {
+      request.resolve(message.result);
+    } else {
+      request.reject(deserializeError(message.error));
+    }
+  }
+
+  /**
+   * Falls back to the main thread when the worker cannot load
+   * (e.g. browsers without module worker support); pending runs are retried inline
+   * @param {Event|Error} error - Worker error
+   * @private
+   */
+  _handleWorkerError(error) {
+    console.warn('Tax engine worker unavailable, running on the main thread:', error.message || error);
+    this.workerFailed = true;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.pending.forEach(request => this._runInline(request));
+  }
+
+  /**
+   * Runs a request on the main thread
+   * It starts on the next task so the busy state is painted first
+   * @param {Object} request - Pending request
+   * @private
+   */
+  _runInline(request) {
+    setTimeout(() => {
+      if (!this.pending.has(request.id)) return;
+
+      try {
+        const result = runEngineMethod(request.state, request.method, request.args, request.onProgress);
+        this.pending.delete(request.id);
+        request.resolve(result);
+      } catch (error) {
+        this.pending.delete(request.id);
+        request.reject(error);
+      }
+    }, 0);
+  }
+}
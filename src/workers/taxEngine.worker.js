@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Web Worker that runs the Goal Seek engine off the main thread
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { runEngineMethod } from '../utils/taxEngine.js';
+import { i18n } from '../utils/i18n.js';
+import { serializeError } from '../utils/errors.js';
+
+/**
+ * Runs one request and posts its progress, result or error
+ * Requests: { id, method, state, args, language }
+ * Replies: { id, type: 'progress' | 'result' | 'error', ... }
+ */
+self.addEventListener('message', (event) => {
+  const { id, method, state, args, language } = event.data;
+
+  // Error messages come back in the language of the page
+  if (language && language !== i18n.getCurrentLanguage()) {
+    i18n.setLanguage(language);
+  }
+
+  try {
+    const result = runEngineMethod(state, method, args, (progress) => {
+      self.postMessage({ id, type: 'progress', progress });
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: serializeError(error) });
+  }
+});
@@ -4,18 +4,53 @@
  * @version 1.0.0
  */
 
-const CACHE_NAME = 'cfdi-calculator-v1.0.0';
+const CACHE_NAME = 'cfdi-calculator-v1.1.0';
 const urlsToCache = [
   '/',
   '/index.html',
   '/src/assets/css/styles.css',
+  '/src/assets/css/print.css',
   '/src/assets/js/app.js',
   '/src/components/CalculatorController.js',
+  '/src/components/ConceptsTable.js',
+  '/src/components/CfdiAuditPanel.js',
+  '/src/components/PartyForm.js',
+  '/src/components/HistoryPanel.js',
+  '/src/components/MonthlyEstimatorPanel.js',
+  '/src/components/PaymentsPanel.js',
+  '/src/components/CreditNotePanel.js',
+  '/src/components/QuotePanel.js',
+  '/src/components/BatchPanel.js',
+  '/src/components/Notifier.js',
   '/src/utils/i18n.js',
+  '/src/utils/messages.js',
+  '/src/utils/errors.js',
+  '/src/utils/shareLink.js',
   '/src/utils/mathUtils.js',
   '/src/utils/taxCalculator.js',
   '/src/utils/exportUtils.js',
+  '/src/utils/cfdiXml.js',
+  '/src/utils/cfdiImporter.js',
+  '/src/utils/fiscalValidators.js',
+  '/src/utils/historyStore.js',
+  '/src/utils/monthlyEstimator.js',
+  '/src/utils/paymentComplement.js',
+  '/src/utils/creditNote.js',
+  '/src/utils/quoteDocument.js',
+  '/src/utils/amountInWords.js',
+  '/src/utils/pdfWriter.js',
+  '/src/utils/batchCalculator.js',
+  '/src/utils/taxEngine.js',
+  '/src/utils/taxEngineClient.js',
+  '/src/workers/taxEngine.worker.js',
+  '/src/utils/rateTableResolver.js',
+  '/src/utils/currencyUtils.js',
   '/src/config/constants.js',
+  '/src/config/taxRegimes.js',
+  '/src/config/satCatalogs.js',
+  '/src/config/isrTariffs.js',
+  '/src/config/rateTables.js',
+  '/src/config/borderZone.js',
   '/src/config/translations.js',
   '/manifest.json'
 ];
@@ -53,9 +88,12 @@ self.addEventListener('activate', (event) => {
 });
 
 // Fetch event - serve from cache, fallback to network
+// Shared calculation links may carry their state in the query string,
+// so pages match their cached copy without it
 self.addEventListener('fetch', (event) => {
+  const ignoreSearch = event.request.mode === 'navigate';
   event.respondWith(
-    caches.match(event.request)
+    caches.match(event.request, { ignoreSearch })
       .then((response) => {
         // Return cached version or fetch from network
         return response || fetch(event.request);
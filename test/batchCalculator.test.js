@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Tests for the batch calculator
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxCalculator } from '../src/utils/taxCalculator.js';
+import { BatchCalculator } from '../src/utils/batchCalculator.js';
+import { VAT_TREATMENTS } from '../src/config/constants.js';
+
+const OPTIONS = { roundPerLine: true, highPrecision: true };
+
+test('rows keep the date, border zone and IVA treatment of the defaults', async () => {
+  const rows = BatchCalculator.parse('cliente,neto,subtotal\nA,,1000\nB,,1000\n');
+
+  const border = TaxCalculator.fromRegime('honorarios', '2021-06-01');
+  border.setBorderZone(true);
+  const borderBatch = await BatchCalculator.run(rows, { rates: border.getRates(), state: border.getState(), options: OPTIONS });
+  assert.equal(borderBatch.rows[0].result.vat, 80);
+  assert.equal(borderBatch.rows[0].result.borderZone, true);
+  assert.equal(borderBatch.rows[0].result.rateTableVersion, border.getRateTable().version);
+
+  const exempt = new TaxCalculator({}, '2024-06-01');
+  exempt.setVatTreatment(VAT_TREATMENTS.EXEMPT);
+  const exemptBatch = await BatchCalculator.run(rows, { rates: exempt.getRates(), state: exempt.getState(), options: OPTIONS });
+  assert.equal(exemptBatch.rows[1].result.vatTreatment, VAT_TREATMENTS.EXEMPT);
+  assert.equal(exemptBatch.totals.vat, 0);
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Tests for the CFDI reverse audit
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CFDIImporter } from '../src/utils/cfdiImporter.js';
+
+/**
+ * Builds a parsed comprobante (see CFDIImporter.parse) whose taxes were
+ * rounded concept by concept
+ * @param {number} lines - Number of concepts
+ * @param {number} amount - Importe of each concept
+ * @returns {Object} Parsed comprobante
+ */
+function perConceptCfdi(lines, amount) {
+  const tax = (impuesto, tasaOCuota, importe) => ({ base: amount, impuesto, tipoFactor: 'Tasa', tasaOCuota, importe });
+  const conceptos = Array.from({ length: lines }, (_, index) => ({
+    description: `Concepto ${index + 1}`,
+    quantity: 1,
+    unitPrice: amount,
+    amount: amount,
+    discount: 0,
+    traslados: [tax('002', 0.16, 1.6)],
+    retenciones: [tax('001', 0.1, 1), tax('002', 0.106667, 1.07)],
+  }));
+
+  return {
+    tipoDeComprobante: 'I',
+    moneda: 'MXN',
+    tipoCambio: 1,
+    subtotal: 100.3,
+    discount: 0,
+    total: 95.6,
+    totalImpuestosTrasladados: 16,
+    totalImpuestosRetenidos: 20.7,
+    traslados: [{ base: 100.3, impuesto: '002', tipoFactor: 'Tasa', tasaOCuota: 0.16, importe: 16 }],
+    retenciones: [
+      { base: null, impuesto: '001', tipoFactor: null, tasaOCuota: null, importe: 10 },
+      { base: null, impuesto: '002', tipoFactor: null, tasaOCuota: null, importe: 10.7 },
+    ],
+    conceptos,
+  };
+}
+
+test('taxes rounded per concept are not flagged', () => {
+  const audit = CFDIImporter.audit(perConceptCfdi(10, 10.03));
+
+  assert.equal(audit.expected.vat, 16);
+  assert.equal(audit.expected.incomeTaxWithheld, 10);
+  assert.deepEqual(audit.differences, []);
+  assert.equal(audit.isValid, true);
+});
+
+test('a tampered concept tax is still flagged', () => {
+  const cfdi = perConceptCfdi(10, 10.03);
+  cfdi.traslados[0].importe = 16.05;
+  cfdi.totalImpuestosTrasladados = 16.05;
+  cfdi.total = 95.65;
+
+  const audit = CFDIImporter.audit(cfdi);
+  assert.equal(audit.isValid, false);
+  assert.deepEqual(audit.differences.map(difference => difference.field), ['vat', 'total']);
+});
+
+test('concepts with different rates are recalculated with their own taxes', () => {
+  const tasa = (impuesto, tasaOCuota, base, importe) => ({ base, impuesto, tipoFactor: 'Tasa', tasaOCuota, importe });
+  const exento = { base: 1000, impuesto: '002', tipoFactor: 'Exento', tasaOCuota: null, importe: 0 };
+  const concepto = (description, amount, traslados, retenciones) => ({
+    description, quantity: 1, unitPrice: amount, amount, discount: 0, traslados, retenciones,
+  });
+
+  const audit = CFDIImporter.audit({
+    tipoDeComprobante: 'I',
+    moneda: 'MXN',
+    tipoCambio: 1,
+    subtotal: 2500,
+    discount: 0,
+    total: 2453.33,
+    totalImpuestosTrasladados: 160,
+    totalImpuestosRetenidos: 206.67,
+    traslados: [tasa('002', 0.16, 1000, 160), exento],
+    retenciones: [tasa('001', null, null, 100), tasa('002', null, null, 106.67)],
+    conceptos: [
+      concepto('Honorarios', 1000, [tasa('002', 0.16, 1000, 160)], [tasa('001', 0.1, 1000, 100), tasa('002', 0.106667, 1000, 106.67)]),
+      concepto('Servicio exento', 1000, [exento], []),
+      concepto('No objeto de impuesto', 500, [], []),
+    ],
+  });
+
+  assert.equal(audit.expected.vat, 160);
+  assert.equal(audit.expected.incomeTaxWithheld, 100);
+  assert.equal(audit.expected.vatRetention, 106.67);
+  assert.deepEqual(audit.differences, []);
+  assert.equal(audit.isValid, true);
+});
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Tests for the unsigned CFDI 4.0 builders
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxCalculator } from '../src/utils/taxCalculator.js';
+import { PaymentComplement } from '../src/utils/paymentComplement.js';
+import { buildCFDI40, buildPaymentCFDI40 } from '../src/utils/cfdiXml.js';
+
+const DATE = '2024-06-01';
+const OPTIONS = { roundPerLine: true, highPrecision: true };
+
+const calculator = TaxCalculator.fromRegime('honorarios', DATE);
+const invoice = calculator.calculateFromSubtotal(1000, OPTIONS);
+
+const INVOICE_DATA = {
+  emisor: { rfc: 'CACX7605101P8', nombre: 'XOCHILT CASAS CHAVEZ', regimenFiscal: '612' },
+  receptor: { rfc: 'EKU9003173C9', nombre: 'ESCUELA KEMPER URGATE', domicilioFiscal: '26015', regimenFiscal: '601', usoCFDI: 'G03' },
+  lugarExpedicion: '01000',
+};
+
+test('the party attributes come from the invoice data', () => {
+  const xml = buildCFDI40(invoice, calculator.getRates(), INVOICE_DATA);
+
+  assert.match(xml, /<cfdi:Emisor Rfc="CACX7605101P8"/);
+  assert.match(xml, /DomicilioFiscalReceptor="26015"/);
+  assert.match(xml, /LugarExpedicion="01000"/);
+  assert.doesNotMatch(xml, / (Rfc|Nombre|RegimenFiscal|DomicilioFiscalReceptor|LugarExpedicion)=""/);
+});
+
+test('missing or malformed party data is rejected before building the XML', () => {
+  const rates = calculator.getRates();
+  const without = (changes) => ({ ...INVOICE_DATA, ...changes });
+
+  assert.throws(() => buildCFDI40(invoice, rates, without({ emisor: undefined })), { name: 'ValidationError', code: 'rfcRequired', field: 'emisor.rfc' });
+  assert.throws(() => buildCFDI40(invoice, rates, without({ lugarExpedicion: '' })), { code: 'postalCodeRequired', field: 'lugarExpedicion' });
+  assert.throws(() => buildCFDI40(invoice, rates, without({ lugarExpedicion: '1000' })), { code: 'postalCodeInvalid', field: 'lugarExpedicion' });
+  assert.throws(
+    () => buildCFDI40(invoice, rates, without({ receptor: { ...INVOICE_DATA.receptor, domicilioFiscal: '' } })),
+    { code: 'postalCodeRequired', field: 'receptor.domicilioFiscal' },
+  );
+});
+
+test('only the generic RFC takes LugarExpedicion as its domicilio fiscal', () => {
+  const xml = buildCFDI40(invoice, calculator.getRates(), { ...INVOICE_DATA, receptor: undefined });
+  assert.match(xml, /Rfc="XAXX010101000" Nombre="PUBLICO EN GENERAL" DomicilioFiscalReceptor="01000"/);
+});
+
+test('payment receipts validate the parties too', () => {
+  const schedule = PaymentComplement.schedule(invoice, calculator.getRates(), [{ date: DATE, amount: invoice.netAmount }]);
+
+  assert.match(buildPaymentCFDI40(schedule, 0, INVOICE_DATA), /DomicilioFiscalReceptor="26015"/);
+  assert.throws(() => buildPaymentCFDI40(schedule, 0, { ...INVOICE_DATA, emisor: { rfc: 'CACX7605101P8' } }), {
+    code: 'nameRequired',
+    field: 'emisor.nombre',
+  });
+});
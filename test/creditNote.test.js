@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Tests for credit notes linked to an original invoice
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxCalculator } from '../src/utils/taxCalculator.js';
+import { CreditNote } from '../src/utils/creditNote.js';
+
+const OPTIONS = { roundPerLine: true, highPrecision: true };
+
+/**
+ * Gets original invoices of honorarios for a range of subtotals
+ * @returns {Array<Object>} Original invoices (see CreditNote.fromResult)
+ */
+function originals() {
+  const calculator = TaxCalculator.fromRegime('honorarios', '2024-06-01');
+  return Array.from({ length: 200 }, (_, index) => {
+    const subtotal = 800 + index * 1.37;
+    return CreditNote.fromResult(calculator.calculateFromSubtotal(subtotal, OPTIONS), calculator.getRates());
+  });
+}
+
+test('a full refund reverses the original amounts', () => {
+  originals().forEach(original => {
+    const net = CreditNote.calculate(original, { amount: original.amounts.netAmount }, OPTIONS);
+    assert.deepEqual(net.creditNote.credit, original.amounts);
+    assert.ok(Object.values(net.creditNote.remaining).every(amount => amount === 0));
+
+    const subtotal = CreditNote.calculate(original, { amount: original.amounts.base, basis: 'subtotal' }, OPTIONS);
+    assert.deepEqual(subtotal.creditNote.credit, original.amounts);
+  });
+});
+
+test('a refund just below the full amount stays within the original', () => {
+  originals().forEach(original => {
+    const amount = Math.round(original.amounts.netAmount * 100 - 1) / 100;
+    const { creditNote } = CreditNote.calculate(original, { amount }, OPTIONS);
+    assert.ok(creditNote.credit.base <= original.amounts.base);
+    assert.ok(Object.values(creditNote.remaining).every(remaining => remaining >= 0));
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Tests for the typed errors and their serialization
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxCalculator } from '../src/utils/taxCalculator.js';
+import { BatchCalculator } from '../src/utils/batchCalculator.js';
+import { PaymentComplement } from '../src/utils/paymentComplement.js';
+import { CreditNote } from '../src/utils/creditNote.js';
+import { getRateTable } from '../src/utils/rateTableResolver.js';
+import { ExportManager } from '../src/utils/exportUtils.js';
+import {
+  CalculatorError,
+  ValidationError,
+  ConvergenceError,
+  DenominatorError,
+  withOperation,
+  serializeError,
+  deserializeError,
+  localizeError,
+} from '../src/utils/errors.js';
+import { formatMessage } from '../src/utils/messages.js';
+import { ERROR_MESSAGES, DISTRIBUTION_STRATEGIES } from '../src/config/constants.js';
+
+const DATE = '2024-06-01';
+const OPTIONS = { roundPerLine: true, highPrecision: true };
+
+test('formatMessage fills placeholders and keeps unknown ones', () => {
+  assert.equal(formatMessage('{field}: {value}', { field: 'net', value: 0 }), 'net: 0');
+  assert.equal(formatMessage('Between 1 and {max}', {}), 'Between 1 and {max}');
+  assert.equal(formatMessage('No placeholders'), 'No placeholders');
+});
+
+describe('TaxCalculator errors', () => {
+  test('a non-positive net amount is a validation error on the net amount', () => {
+    const calculator = new TaxCalculator({}, DATE);
+    assert.throws(() => calculator.goalSeekSubtotal(-5, OPTIONS), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.code, ERROR_MESSAGES.NOT_POSITIVE);
+      assert.equal(error.field, 'netAmount');
+      assert.equal(error.operation, 'goalSeek');
+      assert.equal(error.message, 'Target net amount: Must be greater than 0');
+      return true;
+    });
+  });
+
+  test('rates without an inverse are a denominator error', () => {
+    const calculator = new TaxCalculator({ vatRate: 0, incomeTaxRate: 1, vatRetentionFraction: 0 }, DATE);
+    assert.throws(() => calculator.solveSubtotalExact(100, OPTIONS), (error) => {
+      assert.ok(error instanceof DenominatorError);
+      assert.equal(error.code, ERROR_MESSAGES.DENOMINATOR_TOO_SMALL);
+      assert.equal(error.operation, 'exactSolve');
+      return true;
+    });
+  });
+
+  test('concept errors point to the line field', () => {
+    const calculator = new TaxCalculator({}, DATE);
+    const concepts = [
+      { description: 'A', quantity: 1, unitPrice: 100 },
+      { description: 'B', quantity: 0, unitPrice: 100 },
+    ];
+    assert.throws(() => calculator.calculateFromConcepts(concepts, OPTIONS), {
+      name: 'ValidationError',
+      field: 'concepts[1].quantity',
+      params: { field: 'Line 2 quantity' },
+      operation: 'fromConcepts',
+    });
+  });
+
+  test('an adjusted line out of range carries the line count', () => {
+    const calculator = new TaxCalculator({}, DATE);
+    const concepts = [{ description: 'A', quantity: 1, unitPrice: 100 }];
+    const distribution = { strategy: DISTRIBUTION_STRATEGIES.SINGLE_LINE, lineIndex: 3 };
+    assert.throws(() => calculator.goalSeekConcepts(100, concepts, distribution, OPTIONS), {
+      code: ERROR_MESSAGES.INVALID_ADJUSTED_LINE,
+      field: 'adjustLine',
+      params: { max: 1 },
+      message: 'Adjusted line must be between 1 and 1',
+    });
+  });
+
+  test('an unknown regime names the regime', () => {
+    assert.throws(() => TaxCalculator.getRegimeRates('nope'), {
+      code: ERROR_MESSAGES.UNKNOWN_REGIME,
+      field: 'regime',
+      params: { regime: 'nope' },
+    });
+  });
+});
+
+describe('serialization', () => {
+  test('a serialized error rebuilds with its class and details', () => {
+    const error = new ConvergenceError(undefined, { operation: 'goalSeek' });
+    const rebuilt = deserializeError(JSON.parse(JSON.stringify(error)));
+
+    assert.ok(rebuilt instanceof ConvergenceError);
+    assert.deepEqual(serializeError(rebuilt), serializeError(error));
+  });
+
+  test('plain errors become unexpected errors with their message', () => {
+    const wrapped = withOperation(new TypeError('boom'), 'fromSubtotal');
+    assert.ok(wrapped instanceof CalculatorError);
+    assert.equal(wrapped.code, ERROR_MESSAGES.UNEXPECTED_ERROR);
+    assert.equal(wrapped.operation, 'fromSubtotal');
+    assert.equal(wrapped.cause.message, 'boom');
+
+    assert.equal(serializeError(new Error('plain')).code, ERROR_MESSAGES.UNEXPECTED_ERROR);
+    assert.equal(localizeError(new Error('plain')), 'plain');
+  });
+
+  test('batch rows keep their serialized error', () => {
+    const rows = BatchCalculator.parse('cliente,neto,subtotal\nA,x,\nB,100,100\n');
+    const [invalidCell, bothAmounts] = rows.map(row => BatchCalculator.calculateRow(row, {
+      rates: new TaxCalculator({}, DATE).getRates(),
+      options: OPTIONS,
+    }));
+
+    assert.deepEqual(invalidCell.error, {
+      name: 'ValidationError',
+      code: ERROR_MESSAGES.INVALID_CELL,
+      field: 'net',
+      params: { field: 'net', value: 'x' },
+      operation: null,
+      message: 'net: "x" is not a number',
+    });
+    assert.equal(bothAmounts.error.code, ERROR_MESSAGES.NET_AND_SUBTOTAL);
+    assert.equal(localizeError(bothAmounts.error), 'Fill either net or subtotal, not both');
+  });
+});
+
+describe('module errors', () => {
+  const calculator = new TaxCalculator({}, DATE);
+  const invoice = calculator.calculateFromSubtotal(1000, OPTIONS);
+
+  test('a payment above the balance is a validation error on its amount', () => {
+    assert.throws(
+      () => PaymentComplement.schedule(invoice, calculator.getRates(), [{ date: DATE, amount: 5000 }]),
+      (error) => error instanceof ValidationError
+        && error.code === ERROR_MESSAGES.PAYMENT_EXCEEDS_BALANCE
+        && error.field === 'payments[0].amount'
+        && error.operation === 'paymentComplement',
+    );
+  });
+
+  test('a credit above the original invoice keeps its type through the wrapper', () => {
+    const original = CreditNote.fromResult(invoice, calculator.getRates());
+    assert.throws(
+      () => CreditNote.calculate(original, { amount: invoice.netAmount * 2 }, OPTIONS),
+      { name: 'ValidationError', code: ERROR_MESSAGES.CREDIT_EXCEEDS_ORIGINAL, operation: 'creditNote' },
+    );
+  });
+
+  test('batch files and invoice dates report their own codes', () => {
+    assert.throws(() => BatchCalculator.parse(''), { name: 'ValidationError', code: ERROR_MESSAGES.CSV_EMPTY });
+    assert.throws(() => BatchCalculator.parse('cliente\nA\n'), { code: ERROR_MESSAGES.CSV_NO_AMOUNT_COLUMN });
+    assert.throws(() => getRateTable('not a date'), { name: 'ValidationError', code: ERROR_MESSAGES.INVALID_DATE, field: 'invoiceDate' });
+  });
+
+  test('exports keep the code of the builder and wrap anything else', () => {
+    assert.throws(
+      () => ExportManager.exportToCFDIXml(invoice, calculator.getRates(), { exportacion: '99' }),
+      { name: 'ValidationError', code: ERROR_MESSAGES.UNKNOWN_EXPORTACION, field: 'exportacion', operation: 'exportCfdiXml' },
+    );
+    assert.throws(
+      () => ExportManager.exportToCSV(null),
+      { name: 'CalculatorError', code: ERROR_MESSAGES.UNEXPECTED_ERROR, operation: 'exportCsv' },
+    );
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Tests for the fiscal validators
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBorderZonePostalCode } from '../src/utils/fiscalValidators.js';
+
+test('the southern border zone is not in effect before 2021', () => {
+  const chetumal2020 = validateBorderZonePostalCode('77000', '2020-06-01');
+  assert.equal(chetumal2020.valid, false);
+  assert.equal(chetumal2020.error, 'borderZoneNotInEffect');
+  assert.equal(chetumal2020.effectiveFrom, '2021-01-01');
+
+  assert.equal(validateBorderZonePostalCode('77000', '2021-01-01').valid, true);
+  assert.equal(validateBorderZonePostalCode('22000', '2019-01-01').valid, true);
+  assert.equal(validateBorderZonePostalCode('22000', '2018-12-31').error, 'borderZoneNotInEffect');
+  assert.equal(validateBorderZonePostalCode('06000', '2024-06-01').error, 'borderZoneOutside');
+});
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Property-based tests for Goal Seek and the exact solver
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxCalculator } from '../src/utils/taxCalculator.js';
+import { TAX_REGIMES } from '../src/config/taxRegimes.js';
+import { ROUNDING_MODES, DISTRIBUTION_STRATEGIES } from '../src/config/constants.js';
+import { useMessageKeys } from './support/i18nStub.js';
+import { createRandom, randomAmount, pick } from './support/random.js';
+
+const DATE = '2024-06-01';
+const RUNS = 300;
+const SEED = 20240601;
+
+/**
+ * Picks a random calculator configuration
+ * @param {Function} random - Generator
+ * @returns {{calculator: TaxCalculator, options: Object, label: string}} Case
+ */
+function randomCase(random) {
+  const regime = pick(random, Object.keys(TAX_REGIMES));
+  const borderZone = random() < 0.2;
+  const calculator = TaxCalculator.fromRegime(regime, DATE);
+  calculator.setBorderZone(borderZone);
+
+  const options = {
+    roundPerLine: true,
+    highPrecision: random() < 0.7,
+    roundingMode: pick(random, Object.values(ROUNDING_MODES)),
+  };
+  return { calculator, options, label: `${regime}${borderZone ? ' border' : ''} ${JSON.stringify(options)}` };
+}
+
+before(() => {
+  useMessageKeys();
+});
+
+test('the net amount of a subtotal is always reached again by Goal Seek', () => {
+  const random = createRandom(SEED);
+  for (let run = 0; run < RUNS; run++) {
+    const { calculator, options, label } = randomCase(random);
+    const { netAmount } = calculator.calculateFromSubtotal(randomAmount(random), options);
+
+    const result = calculator.goalSeekSubtotal(netAmount, options);
+    assert.equal(result.netAmount, netAmount, `${label} net ${netAmount}`);
+  }
+});
+
+test('Goal Seek reaches every net amount the exact solver can reach', () => {
+  const random = createRandom(SEED + 1);
+  for (let run = 0; run < RUNS; run++) {
+    const { calculator, options, label } = randomCase(random);
+    const target = randomAmount(random);
+    const exact = calculator.solveSubtotalExact(target, options);
+    const result = calculator.goalSeekSubtotal(target, options);
+
+    if (exact.exact) {
+      assert.equal(result.netAmount, target, `${label} net ${target}`);
+      assert.ok(exact.solutions.includes(result.subtotal), `${label} subtotal ${result.subtotal}`);
+    } else {
+      assert.ok(Math.abs(result.netAmount - target) <= 0.0200001, `${label} net ${target} got ${result.netAmount}`);
+    }
+  }
+});
+
+test('every exact solution reproduces its target and the nearest amounts are reachable', () => {
+  const random = createRandom(SEED + 2);
+  for (let run = 0; run < RUNS; run++) {
+    const { calculator, options, label } = randomCase(random);
+    const target = randomAmount(random);
+    const result = calculator.solveSubtotalExact(target, options);
+
+    result.solutions.forEach(subtotal => {
+      assert.equal(calculator.calculateFromSubtotal(subtotal, options).netAmount, target, `${label} subtotal ${subtotal}`);
+    });
+    if (!result.exact) {
+      [result.nearest.below, result.nearest.above].filter(Boolean).forEach(entry => {
+        entry.subtotals.forEach(subtotal => {
+          assert.equal(calculator.calculateFromSubtotal(subtotal, options).netAmount, entry.netAmount, label);
+        });
+      });
+    }
+  }
+});
+
+test('Goal Seek across concepts reproduces its target when it reports an exact match', () => {
+  const random = createRandom(SEED + 3);
+  for (let run = 0; run < 50; run++) {
+    const { calculator, options, label } = randomCase(random);
+    const lines = 1 + Math.floor(random() * 4);
+    const concepts = Array.from({ length: lines }, (_, index) => ({
+      description: `Line ${index + 1}`,
+      quantity: 1 + Math.floor(random() * 3),
+      unitPrice: randomAmount(random, 4),
+    }));
+    const target = randomAmount(random, 5);
+
+    const result = calculator.goalSeekConcepts(target, concepts, { strategy: DISTRIBUTION_STRATEGIES.PROPORTIONAL }, options);
+    const recalculated = calculator.calculateFromConcepts(result.lines.map(line => ({
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+    })), options);
+
+    assert.equal(recalculated.netAmount, result.netAmount, label);
+    if (result.exact) {
+      assert.equal(result.netAmount, target, `${label} net ${target}`);
+    }
+  }
+});
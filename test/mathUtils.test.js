@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests for the rounding and decimal helpers
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  round2,
+  roundTo,
+  roundDecimal,
+  multiplyDecimals,
+  sumDecimals,
+  validatePositiveNumber,
+} from '../src/utils/mathUtils.js';
+import { ERROR_MESSAGES, ROUNDING_MODES } from '../src/config/constants.js';
+
+// Values whose binary approximation falls just under the half centavo
+const HALF_CENTAVO_CASES = [
+  [0.005, 0.01],
+  [1.005, 1.01],
+  [1.015, 1.02],
+  [1.255, 1.26],
+  [2.675, 2.68],
+  [8.345, 8.35],
+  [10.005, 10.01],
+  [100.005, 100.01],
+  [1234.565, 1234.57],
+  [1600.005, 1600.01],
+];
+
+test('round2 rounds x.xx5 half up despite floating point', () => {
+  HALF_CENTAVO_CASES.forEach(([value, expected]) => {
+    assert.equal(round2(value), expected, `round2(${value})`);
+  });
+});
+
+test('round2 keeps values just under the half centavo', () => {
+  assert.equal(round2(1.0049999), 1);
+  assert.equal(round2(197.5248), 197.52);
+  assert.equal(round2(2.5), 2.5);
+});
+
+test('round2 rejects values that are not numbers', () => {
+  assert.throws(() => round2(NaN), { name: 'ValidationError', code: ERROR_MESSAGES.NOT_A_NUMBER });
+  assert.throws(() => round2('1.005'), { name: 'ValidationError', code: ERROR_MESSAGES.NOT_A_NUMBER });
+});
+
+test('roundTo and roundDecimal agree with round2 on x.xx5', () => {
+  HALF_CENTAVO_CASES.forEach(([value, expected]) => {
+    assert.equal(roundTo(value, 2), expected, `roundTo(${value})`);
+    assert.equal(roundDecimal(value, 2), expected, `roundDecimal(${value})`);
+  });
+});
+
+test('roundDecimal supports half even and truncate', () => {
+  assert.equal(roundDecimal(0.125, 2, ROUNDING_MODES.HALF_EVEN), 0.12);
+  assert.equal(roundDecimal(0.135, 2, ROUNDING_MODES.HALF_EVEN), 0.14);
+  assert.equal(roundDecimal(8.345, 2, ROUNDING_MODES.HALF_EVEN), 8.34);
+  assert.equal(roundDecimal(1.015, 2, ROUNDING_MODES.HALF_EVEN), 1.02);
+  assert.equal(roundDecimal(2.679, 2, ROUNDING_MODES.TRUNCATE), 2.67);
+  assert.equal(roundDecimal(1600.005, 2, ROUNDING_MODES.TRUNCATE), 1600);
+});
+
+test('roundDecimal rounds TasaOCuota to 6 decimals', () => {
+  assert.equal(roundDecimal(0.16 * 0.6666666667, 6), 0.106667);
+  assert.equal(roundDecimal(0.08 * 0.6666666667, 6), 0.053333);
+});
+
+test('multiplyDecimals is exact on centavos times a 6-decimal rate', () => {
+  assert.equal(multiplyDecimals(15000, 0.106667, 2), 1600.01);
+  assert.equal(multiplyDecimals(10000, 0.106667, 2), 1066.67);
+  assert.equal(multiplyDecimals(2345.67, 0.16, 8), 375.3072);
+  assert.equal(multiplyDecimals(1000.4, 0.0125, 2), 12.51);
+});
+
+test('sumDecimals adds without floating point drift', () => {
+  assert.equal(sumDecimals([0.1, 0.2]), 0.3);
+  assert.equal(sumDecimals([10000, 1600, -1000, -1066.67]), 9533.33);
+  assert.equal(sumDecimals([]), 0);
+});
+
+test('validatePositiveNumber rejects zero, negatives and NaN', () => {
+  assert.doesNotThrow(() => validatePositiveNumber(0.01));
+  [0, -1, NaN].forEach(value => {
+    assert.throws(() => validatePositiveNumber(value, 'Subtotal'), /Subtotal/);
+  });
+});
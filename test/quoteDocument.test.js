@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Tests for the amount in words and the quote PDF
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxCalculator } from '../src/utils/taxCalculator.js';
+import { amountToWords } from '../src/utils/amountInWords.js';
+import { buildQuote, getQuoteTotals, renderQuotePdf } from '../src/utils/quoteDocument.js';
+
+const DATE = '2024-06-01';
+const OPTIONS = { roundPerLine: true, highPrecision: true };
+const translate = (key) => key;
+
+describe('amountToWords', () => {
+  [
+    [0, 'MXN', 'CERO PESOS 00/100 M.N.'],
+    [1, 'MXN', 'UN PESO 00/100 M.N.'],
+    [21, 'MXN', 'VEINTIÚN PESOS 00/100 M.N.'],
+    [101, 'MXN', 'CIENTO UN PESOS 00/100 M.N.'],
+    [1160.5, 'MXN', 'MIL CIENTO SESENTA PESOS 50/100 M.N.'],
+    [21000, 'MXN', 'VEINTIÚN MIL PESOS 00/100 M.N.'],
+    [1000000, 'MXN', 'UN MILLÓN DE PESOS 00/100 M.N.'],
+    [31234567.89, 'MXN', 'TREINTA Y UN MILLONES DOSCIENTOS TREINTA Y CUATRO MIL QUINIENTOS SESENTA Y SIETE PESOS 89/100 M.N.'],
+    [2500.01, 'USD', 'DOS MIL QUINIENTOS DÓLARES 01/100 USD'],
+  ].forEach(([amount, currency, expected]) => {
+    test(`${amount} ${currency}`, () => {
+      assert.equal(amountToWords(amount, currency), expected);
+    });
+  });
+});
+
+describe('quote', () => {
+  const calculator = TaxCalculator.fromRegime('honorarios', DATE);
+  const concepts = [
+    { description: 'Consultoría (fase 1)', quantity: 2, unitPrice: 1500, discount: 100 },
+    { description: 'Soporte', quantity: 1, unitPrice: 1000 },
+  ];
+  const result = calculator.calculateFromConcepts(concepts, OPTIONS);
+  const invoice = {
+    result,
+    rates: calculator.getRates(),
+    invoiceData: { emisor: { rfc: 'XAXX010101000', nombre: 'Ana Pérez', regimenFiscal: '612' }, lugarExpedicion: '06600' },
+  };
+
+  test('the quote keeps the amounts of the calculation', () => {
+    const quote = buildQuote(invoice, { folio: 'C-7', issueDate: '2024-06-28', validDays: 5, notes: ' Pago a 15 días ' });
+
+    assert.equal(quote.validUntil, '2024-07-03');
+    assert.equal(quote.lines.length, 2);
+    assert.equal(quote.issuer.codigoPostal, '06600');
+    assert.equal(quote.client, null);
+    assert.equal(quote.notes, 'Pago a 15 días');
+    assert.equal(quote.amountInWords, amountToWords(result.netAmount, 'MXN'));
+
+    const totals = getQuoteTotals(quote, translate);
+    assert.equal(totals.at(-1).amount, result.netAmount);
+    assert.equal(totals.find(row => row.label.startsWith('incomeTaxWithheldResult')).amount, -result.incomeTaxWithheld);
+  });
+
+  test('the PDF is a valid ASCII file with its cross-reference table', () => {
+    const quote = buildQuote(invoice, { issueDate: DATE });
+    const pdf = renderQuotePdf(quote, translate);
+
+    assert.match(pdf, /^%PDF-1\.4\n/);
+    assert.match(pdf, /%%EOF\n$/);
+    assert.ok(/^[\x00-\x7f]*$/.test(pdf));
+    assert.ok(pdf.includes('(Consultor\\355a \\(fase 1\\)) Tj'));
+
+    const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    assert.ok(pdf.startsWith('xref', startxref));
+    const offsets = pdf.slice(startxref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      assert.ok(pdf.startsWith(`${index + 1} 0 obj`, offset));
+    });
+  });
+
+  test('long concept lists continue on more pages', () => {
+    const many = Array.from({ length: 80 }, (_, index) => ({ description: `Concepto ${index + 1}`, quantity: 1, unitPrice: 100 }));
+    const quote = buildQuote({ ...invoice, result: calculator.calculateFromConcepts(many, OPTIONS) }, { issueDate: DATE });
+    const pdf = renderQuotePdf(quote, translate);
+
+    assert.ok(Number(pdf.match(/\/Count (\d+)/)[1]) > 1);
+    assert.ok(pdf.includes('(Concepto 80) Tj'));
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Tests for the calculation state of shareable links
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareState, decodeShareState } from '../src/utils/shareLink.js';
+
+const STATE = {
+  method: 'goalSeek',
+  regime: 'custom',
+  vatTreatment: 'taxed',
+  borderZone: true,
+  inputs: { netAmount: '9280.00', subtotal: '0', invoiceDate: '2024-06-01' },
+  rates: { vatRate: 0.08, incomeTaxRate: 0.1, vatRetentionFraction: 0.6666666667 },
+  options: {
+    highPrecision: true,
+    roundPerLine: false,
+    roundingMode: 'halfEven',
+    rateRoundingMode: 'halfUp',
+    currency: 'USD',
+    exchangeRate: 17.25,
+  },
+};
+
+test('a shared state decodes to the same state', () => {
+  const encoded = encodeShareState(STATE);
+  assert.deepEqual(decodeShareState(`#${encoded}`), STATE);
+  assert.deepEqual(decodeShareState(`?${encoded}`), STATE);
+});
+
+test('invalid values are dropped and the rest is kept', () => {
+  const state = decodeShareState('#net=1000&method=nope&vat=2&border=yes&currency=XXX1&fx=-3&date=ayer');
+  assert.deepEqual(state, { inputs: { netAmount: '1000' }, rates: {}, options: {} });
+});
+
+test('links without an amount carry no calculation', () => {
+  assert.equal(decodeShareState(''), null);
+  assert.equal(decodeShareState('#vat=0.16&method=goalSeek'), null);
+  assert.equal(decodeShareState('#net=-5'), null);
+});
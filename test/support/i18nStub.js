@@ -0,0 +1,15 @@
+/**
+ * @fileoverview DOM-free i18n stub for the test suite
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { setMessageTranslator } from '../../src/utils/messages.js';
+
+/**
+ * Makes engine messages return their translation keys, so assertions do
+ * not depend on the language or on the browser i18n service
+ */
+export function useMessageKeys() {
+  setMessageTranslator((key) => key);
+}
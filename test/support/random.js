@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Seeded random numbers for the property-based tests
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+/**
+ * Creates a seeded generator (mulberry32), so a failing case can be replayed
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a random amount with centavos, spread evenly across orders of magnitude
+ * @param {Function} random - Generator (see createRandom)
+ * @param {number} maxExponent - Amounts go up to 10^maxExponent
+ * @returns {number} Amount greater than 0
+ */
+export function randomAmount(random, maxExponent = 6) {
+  return Math.max(0.01, Math.round(10 ** (random() * maxExponent) * 100) / 100);
+}
+
+/**
+ * Picks a random element
+ * @param {Function} random - Generator (see createRandom)
+ * @param {Array} items - Items
+ * @returns {*} Item
+ */
+export function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Tests for TaxCalculator against the invoice fixtures
+ * @author Ramses Martinez
+ * @version 1.0.0
+ */
+
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { TaxCalculator } from '../src/utils/taxCalculator.js';
+import { ERROR_MESSAGES, VAT_TREATMENTS } from '../src/config/constants.js';
+import { useMessageKeys } from './support/i18nStub.js';
+
+// Breakdowns computed with Base x TasaOCuota rounded half up to the centavo,
+// as SAT validates them (IVA retention TasaOCuota 0.106667, or 0.053333 in the border region)
+const { date, invoices } = JSON.parse(readFileSync(new URL('./fixtures/invoices.json', import.meta.url), 'utf8'));
+
+const OPTIONS = { roundPerLine: true, highPrecision: true };
+
+/**
+ * Creates the calculator of a fixture
+ * @param {Object} invoice - Fixture invoice
+ * @returns {TaxCalculator} Calculator
+ */
+function calculatorFor(invoice) {
+  const calculator = TaxCalculator.fromRegime(invoice.regime, date);
+  calculator.setBorderZone(invoice.borderZone);
+  return calculator;
+}
+
+before(() => {
+  useMessageKeys();
+});
+
+describe('calculateFromSubtotal', () => {
+  invoices.forEach(invoice => {
+    test(invoice.name, () => {
+      const result = calculatorFor(invoice).calculateFromSubtotal(invoice.subtotal, OPTIONS);
+      assert.deepEqual({
+        vat: result.vat,
+        incomeTaxWithheld: result.incomeTaxWithheld,
+        vatRetention: result.vatRetention,
+        netAmount: result.netAmount,
+      }, invoice.expected);
+      assert.equal(result.subtotal, invoice.subtotal);
+    });
+  });
+
+  test('the net amount is the sum of the rounded amounts', () => {
+    const result = new TaxCalculator({}, date).calculateFromSubtotal(8391.61, { roundPerLine: true });
+    const sum = Math.round((result.subtotal + result.vat - result.incomeTaxWithheld - result.vatRetention) * 100) / 100;
+    assert.equal(result.netAmount, sum);
+  });
+
+  test('exempt invoices carry no IVA and no withholdings', () => {
+    const calculator = new TaxCalculator({}, date);
+    calculator.setVatTreatment(VAT_TREATMENTS.EXEMPT);
+    const result = calculator.calculateFromSubtotal(10000, OPTIONS);
+    assert.equal(result.vat, 0);
+    assert.equal(result.incomeTaxWithheld, 0);
+    assert.equal(result.vatRetention, 0);
+    assert.equal(result.netAmount, 10000);
+  });
+
+  test('rejects a subtotal that is not positive', () => {
+    assert.throws(() => new TaxCalculator({}, date).calculateFromSubtotal(0, OPTIONS), {
+      name: 'ValidationError',
+      code: 'valueNotPositive',
+      field: 'subtotal',
+      operation: 'fromSubtotal',
+    });
+  });
+});
+
+describe('goalSeekSubtotal', () => {
+  invoices.forEach(invoice => {
+    test(`reproduces the net amount of: ${invoice.name}`, () => {
+      const result = calculatorFor(invoice).goalSeekSubtotal(invoice.expected.netAmount, OPTIONS);
+      assert.equal(result.netAmount, invoice.expected.netAmount);
+      assert.equal(result.calculationMethod, 'goalSeek');
+    });
+  });
+
+  test('reports progress', () => {
+    const phases = new Set();
+    new TaxCalculator({}, date).goalSeekSubtotal(9533.33, OPTIONS, (progress) => phases.add(progress.phase));
+    assert.ok(phases.has('bisect'));
+  });
+});
+
+describe('calculateSubtotalFromNetAlgebraic', () => {
+  test('inverts the net formula without rounding', () => {
+    const subtotal = new TaxCalculator({}, date).calculateSubtotalFromNetAlgebraic(9533.33);
+    assert.ok(Math.abs(subtotal - 10000) < 0.01, `got ${subtotal}`);
+  });
+
+  test('rejects rates that cancel the subtotal out', () => {
+    const calculator = new TaxCalculator({ vatRate: 0, incomeTaxRate: 1, vatRetentionFraction: 0 }, date);
+    assert.throws(() => calculator.calculateSubtotalFromNetAlgebraic(100), { name: 'DenominatorError', message: 'denominatorTooSmall' });
+  });
+});
+
+describe('solveSubtotalExact', () => {
+  test('lists every subtotal that gives the net amount', () => {
+    const calculator = new TaxCalculator({}, date);
+    const netBySubtotal = new Map();
+    for (let cents = 104000; cents < 106000; cents++) {
+      const net = Math.round(calculator.calculateFromSubtotal(cents / 100, OPTIONS).netAmount * 100);
+      netBySubtotal.set(net, [...(netBySubtotal.get(net) || []), cents / 100]);
+    }
+
+    for (let net = 99500; net < 100500; net++) {
+      const result = calculator.solveSubtotalExact(net / 100, OPTIONS);
+      assert.deepEqual(result.solutions, netBySubtotal.get(net) || [], `net ${net / 100}`);
+      assert.equal(result.exact, netBySubtotal.has(net));
+    }
+  });
+
+  test('reports the nearest reachable net amounts', () => {
+    const result = new TaxCalculator({}, date).solveSubtotalExact(1000.01, OPTIONS);
+    assert.equal(result.exact, false);
+    assert.deepEqual(result.nearest, {
+      below: { netAmount: 1000, subtotals: [1048.96] },
+      above: { netAmount: 1000.02, subtotals: [1048.97] },
+    });
+    assert.equal(result.netAmount, 1000);
+  });
+
+  test('finds exact subtotals for large amounts with TasaOCuota', () => {
+    const result = new TaxCalculator({}, date).solveSubtotalExact(476666.67, OPTIONS);
+    assert.equal(result.exact, true);
+    assert.equal(result.netAmount, 476666.67);
+  });
+});
+
+describe('border zone', () => {
+  test('2019 invoices resolve the table of the first stimulus year', () => {
+    const calculator = TaxCalculator.fromRegime('honorarios', '2019-03-15');
+    calculator.setBorderZone(true);
+    assert.equal(calculator.getRateTable().version, '2019.1');
+    assert.equal(calculator.getRates().vatRate, 0.08);
+
+    assert.throws(() => new TaxCalculator({}, '2018-12-31'), {
+      name: 'ValidationError',
+      code: ERROR_MESSAGES.NO_RATE_TABLE,
+      field: 'invoiceDate',
+    });
+  });
+
+  test('custom rates switch only between the general and the border rate', () => {
+    const calculator = new TaxCalculator({}, date);
+    calculator.setBorderZone(true);
+    assert.equal(calculator.getRates().vatRate, 0.08);
+    calculator.setBorderZone(false);
+    assert.equal(calculator.getRates().vatRate, 0.16);
+
+    calculator.updateRates({ vatRate: 0.1 });
+    calculator.setBorderZone(true);
+    assert.equal(calculator.getRates().vatRate, 0.1);
+    calculator.setBorderZone(false);
+    assert.equal(calculator.getRates().vatRate, 0.1);
+  });
+});
+
+describe('state', () => {
+  test('fromState restores the calculator configuration', () => {
+    const calculator = TaxCalculator.fromRegime('resico', date);
+    calculator.setBorderZone(true);
+    const state = JSON.parse(JSON.stringify(calculator.getState()));
+    const restored = TaxCalculator.fromState(state);
+
+    assert.deepEqual(restored.getState(), calculator.getState());
+    assert.deepEqual(
+      restored.calculateFromSubtotal(12345.67, OPTIONS),
+      calculator.calculateFromSubtotal(12345.67, OPTIONS)
+    );
+  });
+});